@@ -1,8 +1,22 @@
 import dotenv from "dotenv";
 dotenv.config();
 
-// export const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
-
 export const MONGODB_URI = process.env.MONGODB_URI;
 export const EMAIL = process.env.EMAIL;
 export const PASSWORD = process.env.PASSWORD;
+export const WAITLIST_CLAIM_URL = process.env.WAITLIST_CLAIM_URL;
+export const CALENDAR_FEED_URL = process.env.CALENDAR_FEED_URL;
+export const CALENDAR_FEED_SECRET = process.env.CALENDAR_FEED_SECRET;
+// Proxies in front of the server, so that rate limits see the client's IP address
+export const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS) || 0;
+// Online payments go through this gateway, one of PAYMENT_GATEWAYS; required in production
+export const PAYMENT_GATEWAY_PROVIDER = process.env.PAYMENT_GATEWAY;
+export const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY;
+export const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+export const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+export const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID;
+export const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET;
+export const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+// The mock gateway moves no money; it must be turned on, and never runs in production
+export const ALLOW_MOCK_GATEWAY = process.env.ALLOW_MOCK_GATEWAY === "true";
+export const MOCK_GATEWAY_SECRET = process.env.MOCK_GATEWAY_SECRET;
@@ -5,6 +5,8 @@ export const ROUTES = {
 
 export const REVENUE_ROUTES = {
   BASE: "/",
+  TAX_LIABILITY: "/tax-liability",
+  REPORT: "/report",
 };
 
 export const APPOINTMENT_ROUTES = {
@@ -16,11 +18,87 @@ export const APPOINTMENT_ROUTES = {
   BY_EMPLOYEE: "/employee/:employeeId",
   BY_CLIENT: "/client/:id",
   STATS: "/stats",
+  AVAILABILITY: "/availability",
+  SERIES: "/series",
+  SERIES_BY_ID: "/series/:seriesId",
+  SERIES_OCCURRENCE: "/series/:seriesId/appointments/:appointmentId",
+  CANCEL: "/:id/cancel",
+  RESCHEDULE: "/:id/reschedule",
+  NO_SHOW: "/:id/no-show",
+  CHECK_IN: "/:id/check-in",
+  COMPLETE: "/:id/complete",
+  HISTORY: "/:id/history",
+  CALENDAR: "/calendar",
+  PAY_DEPOSIT: "/:id/deposit/pay",
+};
+
+export const WALK_IN_ROUTES = {
+  BASE: "/",
+  START: "/:id/start",
+  REMOVE: "/:id/remove",
+};
+
+export const CALENDAR_FEED_ROUTES = {
+  EMPLOYEE: "/employees/:id",
+  CLIENT: "/clients/:id",
+  FEED: "/:token.ics",
+};
+
+export const RESOURCE_ROUTES = {
+  BASE: "/",
+  UPDATE: "/:id",
+  SOFT_DELETE: "/soft-delete/:id",
+};
+
+export const WAITLIST_ROUTES = {
+  BASE: "/",
+  CANCEL: "/:id/cancel",
+  OFFER: "/offers/:token",
+  CLAIM_OFFER: "/offers/:token/claim",
+};
+
+export const SALE_ROUTES = {
+  BASE: "/",
+  RECEIPT: "/:id/receipt",
+};
+
+export const PUBLIC_BOOKING_ROUTES = {
+  COMPANY: "/:slug",
+  CATEGORIES: "/:slug/categories",
+  SERVICES: "/:slug/services",
+  STYLISTS: "/:slug/stylists",
+  AVAILABILITY: "/:slug/availability",
+  OTP: "/:slug/otp",
+  APPOINTMENTS: "/:slug/appointments",
 };
 
 export const PAYMENT_ROUTES = {
   CREATE_PAYMENT: "/create-payment",
   LIST_PAYMENTS: "/list-payments",
+  INVOICE: "/:id/invoice",
+  EMAIL_INVOICE: "/:id/invoice/email",
+  PAYMENT_REFUNDS: "/:id/refunds",
+  REFUNDS: "/refunds",
+  APPROVE_REFUND: "/refunds/:refundId/approve",
+  REJECT_REFUND: "/refunds/:refundId/reject",
+  PAYMENT_INTENT: "/:id/intent",
+  CONFIRM_PAYMENT: "/:id/confirm",
+  ORDER_PAYMENT_INTENT: "/orders/:orderId/intent",
+  WEBHOOK_EVENTS: "/webhook-events",
+  REPLAY_WEBHOOK_EVENT: "/webhook-events/:eventId/replay",
+};
+
+export const PAYROLL_ROUTES = {
+  PLANS: "/plans",
+  PLAN_BY_ID: "/plans/:id",
+  RUNS: "/runs",
+  RUN_BY_ID: "/runs/:id",
+  RECALCULATE_RUN: "/runs/:id/recalculate",
+  LOCK_RUN: "/runs/:id/lock",
+};
+
+export const WEBHOOK_ROUTES = {
+  PAYMENT: "/payments/:provider",
 };
 
 export const USER_ROUTES = {
@@ -67,6 +145,9 @@ export const COMPANY_ROUTES = {
   UPDATE_COMPANY: "/",
   LIST_ALL_COMPANIES: "/list",
   GET_COMPANY_BY_ID: "/:companyId",
+  SETTINGS: "/settings",
+  CLOSURES: "/closures",
+  CLOSURE_BY_DATE: "/closures/:date",
 };
 
 export const EMPLOYEE_ROUTES = {
@@ -76,6 +157,14 @@ export const EMPLOYEE_ROUTES = {
   UPDATE_EMPLOYEE: "/:id",
   SOFT_DELETE_EMPLOYEE: "/soft-delete/:id",
   SUMMARY: "/summary",
+  SCHEDULE: "/:id/schedule",
+  OVERRIDES: "/:id/overrides",
+  OVERRIDE_BY_DATE: "/:id/overrides/:date",
+  LEAVES: "/leaves",
+  EMPLOYEE_LEAVES: "/:id/leaves",
+  REVIEW_LEAVE: "/leaves/:leaveId/review",
+  CANCEL_LEAVE: "/leaves/:leaveId/cancel",
+  PERFORMANCE: "/performance",
 };
 
 export const MODULE_ROUTES = {
@@ -130,11 +219,6 @@ export const STOCK_ROUTES = {
   COUNT: "/count",
 };
 
-export const STRIPE_ROUTES = {
-  CREATE_PAYMENT_INTENT: "/create-payment-intent",
-  WEBHOOK: "/webhook",
-};
-
 export const IMAGE_ROUTES = {
   UPLOAD_IMAGE: "/",
 };
@@ -156,6 +240,14 @@ export const BASE_ROUTES = {
   MODULES: "/modules",
   ROLES: "/roles",
   REVENUE: "/revenue",
+  WALK_INS: "/walk-ins",
+  WAITLIST: "/waitlist",
+  CALENDAR_FEEDS: "/calendar-feeds",
+  RESOURCES: "/resources",
+  BOOKING: "/booking",
+  SALES: "/sales",
+  WEBHOOKS: "/webhooks",
+  PAYROLL: "/payroll",
 };
 
 export const UPLOAD_IMAGE_FIELD = {
@@ -294,6 +386,10 @@ export const ERROR_MESSAGES = {
   EMAIL_AND_OTP_REQUIRED: "Email and OTP are required",
   OTP_NOT_FOUND: "OTP not found",
   INVALID_OTP: "Invalid OTP",
+  TOO_MANY_OTP_ATTEMPTS:
+    "Too many wrong OTP attempts, please request a new OTP",
+  GUEST_PHONE_REGISTERED:
+    "This phone number belongs to a client with another email, please book with the email the salon has on file",
   ERROR_LISTING_REVIEWS: "Error listing reviews",
   ROLE_NAME_SHOULD_BE_STRING: "Role name should be a string",
   ROLE_NAME_REQUIRED: "Role name is required",
@@ -379,7 +475,195 @@ export const ERROR_MESSAGES = {
   EMAIL_ALREADY_IN_USE: "Email already in use.",
   PHONE_ALREADY_IN_USE: "Phone number already in use.",
   INVALID_DURATION: "Invalid duration",
-  EMPLOYEE_EXISTS: "An employee with this email already exists."
+  EMPLOYEE_EXISTS: "An employee with this email already exists.",
+  STYLIST_NOT_AVAILABLE: "Stylist is not available for the selected time slot",
+  SERVICE_ID_AND_DATE_REQUIRED: "Service ID and date are required",
+  FAILED_TO_GET_AVAILABILITY: "Failed to retrieve availability",
+  STYLIST_NOT_WORKING: "Stylist is not working at the selected time",
+  ACCESS_DENIED_NOT_A_COMPANY_ADMIN: "Access denied: Not a company admin",
+  FAILED_UPDATING_SCHEDULE: "Failed to update employee schedule",
+  FAILED_FETCHING_SCHEDULE: "Failed to fetch employee schedule",
+  SCHEDULE_RANGE_TOO_LONG: "Schedule range cannot exceed 62 days",
+  CALENDAR_RANGE_TOO_LONG: "Calendar range cannot exceed 31 days",
+  FAILED_FETCHING_CALENDAR: "Failed to fetch appointment calendar",
+  LEAVE_NOT_FOUND: "Leave request not found",
+  LEAVE_ALREADY_REVIEWED: "Leave request has already been reviewed",
+  FAILED_CREATING_LEAVE: "Failed to create leave request",
+  FAILED_REVIEWING_LEAVE: "Failed to review leave request",
+  FAILED_FETCHING_LEAVES: "Failed to fetch leave requests",
+  FAILED_CANCELLING_LEAVE: "Failed to cancel leave request",
+  COMPANY_NOT_FOUND: "Company not found",
+  INVALID_TIME_ZONE: "Invalid timezone",
+  SALON_CLOSED: "The salon is closed at the selected time",
+  FAILED_FETCHING_COMPANY_SETTINGS: "Failed to fetch company settings",
+  FAILED_UPDATING_COMPANY_SETTINGS: "Failed to update company settings",
+  SERIES_NOT_FOUND: "Appointment series not found",
+  SERIES_APPOINTMENT_NOT_FOUND:
+    "Appointment not found in this series or already past",
+  SERIES_HAS_NO_OCCURRENCES: "The series does not produce any appointment",
+  SERIES_DATE_IN_PAST: "Date is in the past",
+  SERIES_ALL_DATES_UNAVAILABLE:
+    "The stylist is not available on any date of the series",
+  FAILED_CREATING_SERIES: "Failed to create appointment series",
+  FAILED_FETCHING_SERIES: "Failed to fetch appointment series",
+  FAILED_UPDATING_SERIES: "Failed to update appointment series",
+  LINE_ITEMS_OVERLAP:
+    "A stylist cannot perform two services of the same appointment at once",
+  ONLY_UPCOMING_APPOINTMENTS_CAN_BE_RESCHEDULED:
+    "Only upcoming appointments can be rescheduled",
+  RESCHEDULE_DATE_IN_PAST:
+    "Appointments can only be moved to a future date and time",
+  USE_APPOINTMENT_ACTION_ENDPOINTS:
+    "Use the cancel, reschedule, check-in, complete or no-show endpoints to change an appointment's status, date or time",
+  CANCELLATION_WINDOW_PASSED:
+    "The appointment can no longer be cancelled or rescheduled this close to its start",
+  NO_SHOW_BEFORE_START:
+    "An appointment can only be marked as a no-show once it has started",
+  APPOINTMENT_CANNOT_BE_MARKED_NO_SHOW:
+    "Only upcoming, ongoing or completed appointments can be marked as a no-show",
+  ACCESS_DENIED_NOT_COMPANY_STAFF:
+    "Access denied: Not a member of the company staff",
+  FAILED_CANCELLING_APPOINTMENT: "Failed to cancel appointment",
+  FAILED_RESCHEDULING_APPOINTMENT: "Failed to reschedule appointment",
+  FAILED_MARKING_NO_SHOW: "Failed to mark appointment as a no-show",
+  INVALID_STATUS_TRANSITION: "The appointment cannot move to this status",
+  CHECK_IN_TOO_EARLY:
+    "Clients can only be checked in on the day of their appointment",
+  FAILED_CHECKING_IN_APPOINTMENT: "Failed to check in appointment",
+  FAILED_COMPLETING_APPOINTMENT: "Failed to complete appointment",
+  FAILED_FETCHING_APPOINTMENT_HISTORY: "Failed to fetch appointment history",
+  WALK_IN_NOT_FOUND: "Walk-in not found",
+  WALK_IN_NOT_WAITING: "The walk-in is no longer waiting in the queue",
+  NO_STYLIST_AVAILABLE_FOR_WALK_IN:
+    "No eligible stylist is free to take this walk-in today",
+  STYLIST_NOT_ELIGIBLE_FOR_SERVICE: "The stylist does not perform this service",
+  FAILED_ADDING_WALK_IN: "Failed to add walk-in",
+  FAILED_FETCHING_WALK_IN_QUEUE: "Failed to fetch walk-in queue",
+  FAILED_STARTING_WALK_IN: "Failed to start walk-in",
+  FAILED_REMOVING_WALK_IN: "Failed to remove walk-in",
+  WAITLIST_ENTRY_NOT_FOUND: "Waitlist entry not found",
+  WAITLIST_ENTRY_NOT_ACTIVE: "The waitlist entry is no longer active",
+  WAITLIST_DATES_IN_PAST: "The waitlist dates are in the past",
+  WAITLIST_OFFER_NOT_FOUND: "Waitlist offer not found",
+  WAITLIST_OFFER_EXPIRED: "This waitlist offer has expired",
+  WAITLIST_OFFER_NO_LONGER_AVAILABLE:
+    "This slot has already been taken or is no longer available",
+  FAILED_ADDING_TO_WAITLIST: "Failed to add client to the waitlist",
+  FAILED_FETCHING_WAITLIST: "Failed to fetch waitlist",
+  FAILED_CANCELLING_WAITLIST_ENTRY: "Failed to cancel waitlist entry",
+  FAILED_FETCHING_WAITLIST_OFFER: "Failed to fetch waitlist offer",
+  FAILED_CLAIMING_WAITLIST_OFFER: "Failed to claim waitlist offer",
+  FAILED_OFFERING_FREED_SLOT: "Failed to offer freed slot to the waitlist",
+  FAILED_SENDING_APPOINTMENT_REMINDER: "Failed to send appointment reminder",
+  FAILED_SENDING_APPOINTMENT_REMINDERS: "Failed to send appointment reminders",
+  CALENDAR_FEED_NOT_FOUND: "Calendar feed not found or revoked",
+  FAILED_CREATING_CALENDAR_FEED: "Failed to create calendar feed",
+  FAILED_REVOKING_CALENDAR_FEED: "Failed to revoke calendar feed",
+  FAILED_FETCHING_CALENDAR_FEED: "Failed to fetch calendar feed",
+  FAILED_SENDING_APPOINTMENT_EMAIL: "Failed to send appointment email",
+  RESOURCE_NOT_FOUND: "Resource not found",
+  INVALID_RESOURCE_ID: "Invalid resource ID format",
+  RESOURCE_NAME_EXISTS: "A resource with this name already exists",
+  RESOURCE_NOT_AVAILABLE:
+    "A room or piece of equipment needed for the service is not available at the selected time",
+  FAILED_FETCHING_RESOURCES: "Failed to fetch resources",
+  FAILED_CREATING_RESOURCE: "Failed to create resource",
+  FAILED_UPDATING_RESOURCE: "Failed to update resource",
+  FAILED_DELETING_RESOURCE: "Failed to delete resource",
+  NO_DEPOSIT_DUE: "This appointment has no deposit to pay",
+  DEPOSIT_ALREADY_PAID: "The deposit for this appointment is already paid",
+  DEPOSIT_HOLD_EXPIRED:
+    "The hold on this appointment has expired and the slot was released",
+  FAILED_PAYING_DEPOSIT: "Failed to record deposit payment",
+  FAILED_RELEASING_DEPOSIT_HOLDS: "Failed to release unpaid deposit holds",
+  BOOKING_PAGE_NOT_FOUND: "Online booking is not available for this salon",
+  BOOKING_SLUG_TAKEN: "This booking page address is already taken",
+  NO_STYLIST_AVAILABLE_AT_TIME:
+    "No stylist is available for this service at the selected time",
+  TOO_MANY_REQUESTS: "Too many requests, please try again later",
+  FAILED_FETCHING_BOOKING_PAGE: "Failed to fetch booking page",
+  FAILED_BOOKING_ONLINE: "Failed to book appointment",
+  SALE_NOT_FOUND: "Sale not found",
+  EMPTY_SALE: "A sale needs at least one appointment or product",
+  APPOINTMENT_NOT_BILLABLE:
+    "Cancelled and no-show appointments cannot be checked out",
+  APPOINTMENT_ALREADY_PAID: "This appointment is already paid",
+  APPOINTMENTS_OF_DIFFERENT_CLIENTS:
+    "All appointments on a sale must belong to the same client",
+  INSUFFICIENT_STOCK: "Not enough of this product in stock",
+  STOCK_EXPIRED: "This product has expired and cannot be sold",
+  TENDERS_DO_NOT_COVER_TOTAL: "The tenders do not cover the amount due",
+  CHANGE_EXCEEDS_CASH: "Only cash tenders can be overpaid to give change",
+  FAILED_CHECKING_OUT: "Failed to check out sale",
+  FAILED_FETCHING_RECEIPT: "Failed to fetch receipt",
+  FAILED_GENERATING_SALE_ID: "Failed to generate sale ID",
+  PAYMENT_NOT_FOUND: "Payment not found",
+  INVOICE_EMAIL_REQUIRED:
+    "The client has no email address, please provide one to send the invoice to",
+  FAILED_GENERATING_INVOICE: "Failed to generate invoice",
+  FAILED_GENERATING_INVOICE_ID: "Failed to generate invoice number",
+  FAILED_EMAILING_INVOICE: "Failed to email invoice",
+  FAILED_UPLOADING_FILE: "Failed to upload file to Firebase Storage",
+  FAILED_DOWNLOADING_FILE: "Failed to download file from Firebase Storage",
+  TAX_CATEGORY_NOT_FOUND: "Tax category not found",
+  TAX_CATEGORY_IN_USE:
+    "This tax category is still used by services or products",
+  INVALID_REPORT_INTERVAL: "Interval must be one of day, week or month",
+  TAX_REPORT_RANGE_TOO_LONG: "Tax report range cannot exceed 366 days",
+  FAILED_FETCHING_TAX_REPORT: "Failed to fetch tax liability report",
+  INVALID_REVENUE_GROUP:
+    "Group must be one of service, category, stylist or payment-method",
+  REVENUE_REPORT_RANGE_TOO_LONG: "Revenue report range cannot exceed 366 days",
+  FAILED_FETCHING_REVENUE_REPORT: "Failed to fetch revenue report",
+  PERFORMANCE_REPORT_RANGE_TOO_LONG:
+    "Performance report range cannot exceed 366 days",
+  INVALID_REPORT_FORMAT: "Format must be json or csv",
+  FAILED_FETCHING_PERFORMANCE_REPORT: "Failed to fetch performance report",
+  COMPENSATION_PLAN_NOT_FOUND: "Compensation plan not found",
+  COMPENSATION_PLAN_EXISTS:
+    "An active compensation plan already exists for this employee or role",
+  FAILED_FETCHING_COMPENSATION_PLANS: "Failed to fetch compensation plans",
+  FAILED_SAVING_COMPENSATION_PLAN: "Failed to save compensation plan",
+  PAYROLL_RUN_NOT_FOUND: "Payroll run not found",
+  PAYROLL_RUN_LOCKED: "This payroll run is locked and cannot be changed",
+  PAYROLL_PERIOD_OVERLAPS:
+    "Another payroll run already covers part of this period",
+  PAYROLL_PERIOD_TOO_LONG: "Payroll period cannot exceed 62 days",
+  FAILED_FETCHING_PAYROLL_RUNS: "Failed to fetch payroll runs",
+  FAILED_CREATING_PAYROLL_RUN: "Failed to create payroll run",
+  FAILED_UPDATING_PAYROLL_RUN: "Failed to update payroll run",
+  FAILED_DELETING_PAYROLL_RUN: "Failed to delete payroll run",
+  PAYMENT_NOT_REFUNDABLE: "Only paid payments can be refunded",
+  REFUND_EXCEEDS_PAYMENT:
+    "The refund exceeds what is left to refund on this payment",
+  REFUND_NOT_FOUND: "Refund not found",
+  REFUND_ALREADY_REVIEWED: "This refund has already been approved or rejected",
+  FAILED_REQUESTING_REFUND: "Failed to request refund",
+  FAILED_FETCHING_REFUNDS: "Failed to fetch refunds",
+  FAILED_REVIEWING_REFUND: "Failed to review refund",
+  FAILED_RECORDING_REFUND:
+    "The gateway refunded the payment but the refund could not be recorded; approve it again",
+  UNKNOWN_PAYMENT_GATEWAY: "Unknown payment gateway",
+  PAYMENT_GATEWAY_NOT_CONFIGURED: "The payment gateway is not configured",
+  PAYMENT_GATEWAY_ERROR: "The payment gateway could not process the request",
+  PAYMENT_NOT_PAYABLE: "This payment is not waiting to be paid",
+  NO_PAYMENT_INTENT: "Start an online payment before confirming it",
+  ORDER_ALREADY_PAID: "This order is already paid",
+  INVALID_IDEMPOTENCY_KEY:
+    "Idempotency key must be 1 to 255 letters, digits, dashes, underscores or colons",
+  INVALID_WEBHOOK_SIGNATURE: "Invalid webhook signature",
+  FAILED_CREATING_PAYMENT_INTENT: "Failed to start the online payment",
+  FAILED_CONFIRMING_PAYMENT: "Failed to confirm the online payment",
+  INVALID_WEBHOOK_PAYLOAD: "Invalid webhook payload",
+  WEBHOOK_PAYMENT_NOT_FOUND: "No payment matches this webhook event",
+  FAILED_CANCELLING_PAYMENT_INTENT:
+    "Failed to cancel the payment intent of a lapsed deposit",
+  WEBHOOK_AMOUNT_MISMATCH:
+    "The gateway reports another amount or currency than the payment asked for",
+  WEBHOOK_EVENT_NOT_FOUND: "Webhook event not found",
+  WEBHOOK_EVENT_NOT_REPLAYABLE: "Only failed webhook events can be replayed",
+  FAILED_PROCESSING_WEBHOOK: "Failed to process webhook event",
+  FAILED_FETCHING_WEBHOOK_EVENTS: "Failed to fetch webhook events",
 };
 
 export const SUCCESS_MESSAGES = {
@@ -444,6 +728,50 @@ export const SUCCESS_MESSAGES = {
   PAYMENTS_FETCHED_SUCCESSFULLY: "Payments fetched successfully",
   ROLE_TRASHED: "Role deleted successfully",
   ERROR_TRASHING_ROLE: "Error trashing role",
+  SCHEDULE_UPDATED: "Employee schedule updated successfully",
+  OVERRIDE_REMOVED: "Schedule override removed successfully",
+  LEAVE_REQUESTED: "Leave request submitted successfully",
+  LEAVE_REVIEWED: "Leave request reviewed successfully",
+  LEAVE_CANCELLED: "Leave request cancelled successfully",
+  COMPANY_SETTINGS_UPDATED: "Company settings updated successfully",
+  CLOSURE_ADDED: "Closure date added successfully",
+  CLOSURE_REMOVED: "Closure date removed successfully",
+  SERIES_CREATED: "Appointment series created successfully",
+  SERIES_UPDATED: "Appointment series updated successfully",
+  APPOINTMENT_CANCELLED: "Appointment cancelled successfully",
+  APPOINTMENT_RESCHEDULED: "Appointment rescheduled successfully",
+  APPOINTMENT_MARKED_NO_SHOW: "Appointment marked as a no-show",
+  APPOINTMENT_CHECKED_IN: "Client checked in successfully",
+  APPOINTMENT_COMPLETED: "Appointment completed successfully",
+  WALK_IN_ADDED: "Walk-in added to the queue",
+  WALK_IN_STARTED: "Walk-in started successfully",
+  WALK_IN_REMOVED: "Walk-in removed from the queue",
+  ADDED_TO_WAITLIST: "Client added to the waitlist",
+  WAITLIST_ENTRY_CANCELLED: "Waitlist entry cancelled",
+  WAITLIST_OFFER_CLAIMED: "Slot claimed and appointment booked",
+  CALENDAR_FEED_CREATED: "Calendar feed created",
+  CALENDAR_FEED_REVOKED: "Calendar feed revoked",
+  RESOURCE_CREATED: "Resource created",
+  RESOURCE_UPDATED: "Resource updated",
+  RESOURCE_DELETED: "Resource deleted",
+  DEPOSIT_PAID: "Deposit paid, the appointment is confirmed",
+  ONLINE_BOOKING_CONFIRMED: "Your appointment is booked",
+  SALE_COMPLETED: "Sale completed",
+  INVOICE_EMAILED: "Invoice emailed",
+  REFUND_REQUESTED: "Refund requested, waiting for approval",
+  REFUND_COMPLETED: "Refund approved and recorded",
+  REFUND_REJECTED: "Refund rejected",
+  PAYMENT_INTENT_CREATED: "Online payment started",
+  PAYMENT_CONFIRMED: "Online payment checked with the gateway",
+  WEBHOOK_RECEIVED: "Webhook received",
+  WEBHOOK_ALREADY_PROCESSED: "Webhook already processed",
+  WEBHOOK_EVENT_REPLAYED: "Webhook event replayed",
+  COMPENSATION_PLAN_CREATED: "Compensation plan created",
+  COMPENSATION_PLAN_UPDATED: "Compensation plan updated",
+  PAYROLL_RUN_CREATED: "Payroll run calculated",
+  PAYROLL_RUN_RECALCULATED: "Payroll run recalculated",
+  PAYROLL_RUN_LOCKED: "Payroll run locked",
+  PAYROLL_RUN_DELETED: "Payroll run deleted",
 };
 
 export const PORT = "3000";
@@ -471,7 +799,11 @@ export const PAYMENT_STATUSES = {
 
 export const TOKEN_EXPIRY = 60 * 60 * 1000;
 export const COMPANY_TOKEN_HEADER = "x-company-token";
-// export const STRIPE_SIGNATURE_HEADER = "stripe-signature";
+export const STRIPE_SIGNATURE_HEADER = "stripe-signature";
+export const RAZORPAY_SIGNATURE_HEADER = "x-razorpay-signature";
+export const RAZORPAY_EVENT_ID_HEADER = "x-razorpay-event-id";
+export const MOCK_GATEWAY_SIGNATURE_HEADER = "x-mock-signature";
+export const IDEMPOTENCY_KEY_HEADER = "Idempotency-Key";
 export const AUTHORIZATION_SCHEME = "Bearer";
 export const BOOLEAN_VALUE = "boolean";
 
@@ -523,6 +855,40 @@ export const APPOINTMENT_STATUS = {
   COMPLETED: "Completed",
   ONGOING: "Ongoing",
   CANCELLED: "Cancelled",
+  NO_SHOW: "No-show",
+  CHECKED_IN: "Checked-in",
+};
+
+/**
+ * Statuses an appointment may move to from each status.
+ * Cancelled and no-show appointments are final.
+ */
+export const APPOINTMENT_STATUS_TRANSITIONS = {
+  [APPOINTMENT_STATUS.UPCOMING]: [
+    APPOINTMENT_STATUS.CHECKED_IN,
+    APPOINTMENT_STATUS.ONGOING,
+    APPOINTMENT_STATUS.COMPLETED,
+    APPOINTMENT_STATUS.CANCELLED,
+    APPOINTMENT_STATUS.NO_SHOW,
+  ],
+  [APPOINTMENT_STATUS.CHECKED_IN]: [
+    APPOINTMENT_STATUS.ONGOING,
+    APPOINTMENT_STATUS.COMPLETED,
+  ],
+  [APPOINTMENT_STATUS.ONGOING]: [
+    APPOINTMENT_STATUS.COMPLETED,
+    APPOINTMENT_STATUS.NO_SHOW,
+  ],
+  // The status cron completes appointments once they end, before staff can mark a no-show
+  [APPOINTMENT_STATUS.COMPLETED]: [APPOINTMENT_STATUS.NO_SHOW],
+  [APPOINTMENT_STATUS.CANCELLED]: [],
+  [APPOINTMENT_STATUS.NO_SHOW]: [],
+};
+
+export const STATUS_CHANGE_ACTORS = {
+  SYSTEM: "system", // Changes made by the status and deposit hold crons
+  WAITLIST: "waitlist", // Bookings claimed by a client through a waitlist offer
+  ONLINE_BOOKING: "online-booking", // Bookings made by guests on the public booking API
 };
 
 export const TOKENS = {
@@ -583,10 +949,25 @@ export const COMPANY_FIELDS = {
 
 export const NOTIFICATION_MESSAGES = {
   NEW_APPOINTMENT_SCHEDULED: "You have a new appointment scheduled.",
+  NEW_APPOINTMENT_SERIES_SCHEDULED:
+    "A new recurring appointment series has been scheduled.",
+  APPOINTMENT_SERIES_UPDATED:
+    "A recurring appointment series has been updated.",
+  APPOINTMENT_CANCELLED: "An appointment has been cancelled.",
+  APPOINTMENT_RESCHEDULED: "An appointment has been rescheduled.",
+  APPOINTMENT_NO_SHOW: "A client did not show up for an appointment.",
+  DEPOSIT_HOLD_RELEASED:
+    "An appointment was cancelled because its deposit was not paid in time.",
+  WAITLIST_SLOT_OFFERED:
+    "A freed slot has been offered to clients on the waitlist.",
+  WAITLIST_OFFER_CLAIMED: "A waitlisted client has claimed a freed slot.",
+  APPOINTMENT_REMINDER_SENT:
+    "A reminder has been sent for an upcoming appointment.",
   NEW_CLIENT_ADDED: "A new client service has been added.",
   STAFF_UPDATE: "Staff Update",
   SERVICE_ADDED: "Service Added",
   NEW_REVIEW_ADDED: "New Review Added",
+  REFUND_REQUESTED: "A refund is waiting for approval.",
 };
 
 export const REQUEST_METHOD = {
@@ -653,6 +1034,7 @@ export const NOTIFICATION_TYPES = {
   SERVICE: "service",
   EMPLOYEE: "employee",
   REVIEWS: "reviews",
+  PAYMENT: "payment",
 };
 
 export const IST_OFFSET = "+05:30";
@@ -694,6 +1076,20 @@ export const MODELS = {
   STOCK_ID_TRACKER: "StockIdTracker",
   STOCK: "Stocks",
   PAYMENT: "Payment",
+  LEAVE: "Leave",
+  APPOINTMENT_SERIES: "AppointmentSeries",
+  WALK_IN: "WalkIn",
+  WAITLIST: "Waitlist",
+  WAITLIST_CLAIM: "WaitlistClaim",
+  RESOURCE: "Resource",
+  SALE: "Sale",
+  SALE_ID_TRACKER: "SaleIdTracker",
+  INVOICE: "Invoice",
+  INVOICE_ID_TRACKER: "InvoiceIdTracker",
+  REFUND: "Refund",
+  PAYMENT_EVENT: "PaymentEvent",
+  COMPENSATION_PLAN: "CompensationPlan",
+  PAYROLL_RUN: "PayrollRun",
 };
 
 export const ROLE_STATUS = {
@@ -713,6 +1109,202 @@ export const PAYMENT_STATUS = {
   PROCESSING: "processing",
   PENDING: "pending",
   FAILED: "failed",
+  PARTIALLY_REFUNDED: "partially-refunded",
+  REFUNDED: "refunded",
+};
+
+// Payments whose money was received, even if some or all of it was refunded since
+export const COLLECTED_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.PAID,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED,
+];
+
+export const REFUND_STATUS = {
+  PENDING: "pending", // Waiting for a company admin to approve it
+  PROCESSING: "processing", // Approved, being paid back and recorded
+  COMPLETED: "completed",
+  REJECTED: "rejected",
+};
+
+export const REFUND_REASONS = {
+  SERVICE_ISSUE: "service-issue", // The client was unhappy with the service
+  CANCELLED: "cancelled", // The appointment did not go ahead
+  DUPLICATE: "duplicate", // The client was charged twice
+  PRICE_ADJUSTMENT: "price-adjustment", // The client was overcharged
+  OTHER: "other",
+};
+
+export const PAYMENT_TYPES = {
+  APPOINTMENT: "appointment",
+  LATE_CANCELLATION_FEE: "late-cancellation-fee",
+  NO_SHOW_FEE: "no-show-fee",
+  DEPOSIT: "deposit",
+  SALE: "sale", // A checkout ticket settled at the counter
+  ORDER: "order", // A stock order paid online
+};
+
+export const PAYMENT_GATEWAYS = {
+  STRIPE: "stripe",
+  RAZORPAY: "razorpay",
+  MOCK: "mock", // In-process gateway for development and tests; moves no money
+};
+
+// Status of a payment intent at the gateway, whatever the gateway calls it
+export const GATEWAY_INTENT_STATUS = {
+  REQUIRES_ACTION: "requires-action", // Waiting for the client to pay
+  PROCESSING: "processing",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+// Webhook events, whatever the gateway calls them
+export const GATEWAY_EVENT_TYPES = {
+  PAYMENT_SUCCEEDED: "payment.succeeded",
+  PAYMENT_FAILED: "payment.failed",
+  REFUNDED: "refund.succeeded",
+  OTHER: "other",
+};
+
+export const PAYMENT_GATEWAY = {
+  STRIPE_API_URL: "https://api.stripe.com/v1",
+  RAZORPAY_API_URL: "https://api.razorpay.com/v1",
+  WEBHOOK_TOLERANCE_SECONDS: 300, // Oldest Stripe signature accepted
+  IDEMPOTENCY_KEY_PATTERN: /^[\w:-]{1,255}$/,
+  RAZORPAY_RECEIPT_MAX_LENGTH: 40,
+  WEBHOOK_BODY_LIMIT: "1mb",
+};
+
+export const WEBHOOK_EVENT_STATUS = {
+  RECEIVED: "received", // Stored, not processed yet
+  PROCESSED: "processed",
+  IGNORED: "ignored", // Nothing to update, e.g. an unhandled event type
+  FAILED: "failed", // Processing threw; an admin can replay it
+};
+
+export const WEBHOOK_NOTES = {
+  UNHANDLED_EVENT: "Event type is not handled",
+  REFUND_RECORDED_ON_APPROVAL: "Refunds are recorded when they are approved",
+};
+
+export const DISCOUNT_TYPES = {
+  FIXED: "fixed", // A set amount off the ticket, capped at its subtotal
+  PERCENTAGE: "percentage", // A share of the ticket's subtotal
+};
+
+export const SALE_LINE_TYPES = {
+  SERVICE: "service", // A service performed during a checked-out appointment
+  PRODUCT: "product", // A retail product sold from stock
+};
+
+export const TENDER_METHODS = {
+  CASH: "cash",
+  CARD: "card",
+  WALLET: "wallet",
+};
+
+export const TAX_PRICING_MODES = {
+  EXCLUSIVE: "exclusive", // Tax is added on top of prices
+  INCLUSIVE: "inclusive", // Prices already include tax
+};
+
+// Periods a report can be broken down into
+export const REPORT_INTERVALS = {
+  DAY: "day",
+  WEEK: "week", // ISO weeks, starting on Monday
+  MONTH: "month",
+};
+
+export const REVENUE_GROUPS = {
+  SERVICE: "service", // Services, and products and fees by name
+  CATEGORY: "category",
+  STYLIST: "stylist",
+  PAYMENT_METHOD: "payment-method",
+};
+
+export const REPORT_FORMATS = {
+  JSON: "json",
+  CSV: "csv",
+};
+
+export const CSV = {
+  CONTENT_TYPE: "text/csv; charset=utf-8",
+};
+
+export const COMMISSION_TYPES = {
+  NONE: "none",
+  PERCENTAGE: "percentage", // One rate on all sales
+  TIERED: "tiered", // Each rate applies to the sales within its tier
+};
+
+export const SALARY_PERIODS = {
+  MONTHLY: "monthly",
+  WEEKLY: "weekly",
+};
+
+// Where the plan used for an employee's pay came from
+export const COMPENSATION_PLAN_SOURCES = {
+  EMPLOYEE: "employee",
+  ROLE: "role",
+  DEFAULT: "default", // The employee's monthly salary, tips passed on
+};
+
+export const PAYROLL_RUN_STATUS = {
+  DRAFT: "draft", // Can be recalculated or deleted
+  LOCKED: "locked", // Final, kept as the record of what was paid
+};
+
+export const PAYROLL_AUDIT_ACTIONS = {
+  CREATED: "created",
+  RECALCULATED: "recalculated",
+  LOCKED: "locked",
+};
+
+export const PAYROLL = {
+  MAX_PERIOD_DAYS: 62,
+  MAX_TIERS: 10,
+};
+
+export const PERFORMANCE_REPORT = {
+  MAX_RANGE_DAYS: 366,
+  // A completed visit counts as rebooked when the client is booked with the same stylist
+  // again within this many days
+  REBOOKING_WINDOW_DAYS: 90,
+};
+
+export const REVENUE_REPORT = {
+  MAX_RANGE_DAYS: 366,
+  ONLINE_METHOD: "online", // Paid through a payment gateway
+  UNRECORDED_METHOD: "unrecorded", // Marked paid without a checkout or gateway
+  TIPS_LABEL: "Tips",
+  FEES_LABEL: "Fees",
+  RETAIL_LABEL: "Retail",
+  UNCATEGORIZED_LABEL: "Uncategorized",
+  UNASSIGNED_LABEL: "Unassigned",
+};
+
+export const TAX = {
+  MAX_CATEGORIES: 20,
+  CODE_MAX_LENGTH: 20,
+  REPORT_MAX_RANGE_DAYS: 366,
+};
+
+export const DEPOSIT_TYPES = {
+  FIXED: "fixed", // A set amount, capped at the price of the service
+  PERCENTAGE: "percentage", // A share of the price of the service
+};
+
+export const DEPOSIT = {
+  CRON_SCHEDULE: "* * * * *", // How often expired holds are released
+  DEFAULT_HOLD_MINUTES: 30, // How long an unpaid booking holds its slot
+  MAX_HOLD_MINUTES: 7 * 24 * 60, // Holds can last at most a week
+};
+
+export const DEFAULT_CANCELLATION_POLICY = {
+  windowHours: 24, // Cancelling or rescheduling closer to the start than this is late
+  allowLateChanges: true, // Whether late cancellations and reschedules are accepted at all
+  lateCancellationFee: 0, // Charged on late cancellations; 0 charges nothing
+  noShowFee: 0, // Charged when a client does not show up; 0 charges nothing
 };
 
 export const OFFER_TYPES = {
@@ -821,6 +1413,210 @@ export const ROLE_SCHEMA = {
   ROLE_NAME_FIELD: "roleName",
 };
 
+export const AVAILABILITY = {
+  DAY_START: "09:00", // Opening time for companies without business hours
+  DAY_END: "21:00", // Closing time for companies without business hours
+  SLOT_INTERVAL_MINUTES: 15, // Gap between consecutive candidate slots
+  MAX_ALTERNATIVES: 5, // Alternatives suggested when a slot is taken
+};
+
+export const AVAILABILITY_ERRORS = [
+  ERROR_MESSAGES.STYLIST_NOT_AVAILABLE,
+  ERROR_MESSAGES.STYLIST_NOT_WORKING,
+  ERROR_MESSAGES.SALON_CLOSED,
+  ERROR_MESSAGES.RESOURCE_NOT_AVAILABLE,
+];
+
+export const SCHEDULE_MAX_RANGE_DAYS = 62;
+export const CALENDAR_MAX_RANGE_DAYS = 31;
+
+export const WEEKDAYS = {
+  SUNDAY: 0,
+  MONDAY: 1,
+  TUESDAY: 2,
+  WEDNESDAY: 3,
+  THURSDAY: 4,
+  FRIDAY: 5,
+  SATURDAY: 6,
+};
+
+export const LEAVE_TYPES = {
+  VACATION: "Vacation",
+  SICK: "Sick",
+  PERSONAL: "Personal",
+  HOLIDAY: "Holiday",
+};
+
+export const LEAVE_STATUS = {
+  PENDING: "Pending",
+  APPROVED: "Approved",
+  REJECTED: "Rejected",
+  CANCELLED: "Cancelled",
+};
+
+// Where the shifts of a day come from, in order of precedence
+export const SCHEDULE_SOURCES = {
+  CLOSED: "closed",
+  LEAVE: "leave",
+  OVERRIDE: "override",
+  WEEKLY: "weekly",
+  DEFAULT: "default",
+};
+
+export const RECURRENCE_FREQUENCY = {
+  WEEKLY: "weekly",
+  BIWEEKLY: "biweekly",
+  MONTHLY: "monthly",
+};
+
+export const SERIES_EDIT_SCOPE = {
+  THIS: "this", // Only the selected occurrence
+  FOLLOWING: "following", // The selected occurrence and every later one
+  ALL: "all", // Every upcoming occurrence of the series
+};
+
+export const SERIES_MAX_OCCURRENCES = 52;
+
+// Wrong entries after which an OTP is discarded and a new one must be requested
+export const OTP_MAX_ATTEMPTS = 5;
+
+export const MAX_LINE_ITEMS_PER_APPOINTMENT = 10;
+
+export const LINE_ITEM = {
+  FIELD: "lineItems", // The field holding the line items in the appointment
+  SERVICE: "lineItems.service", // Path of a line item's service
+  STYLIST: "lineItems.stylistId", // Path of a line item's stylist
+  RESOURCES: "lineItems.resources", // Path of a line item's reserved resources
+};
+
+export const WALK_IN_STATUS = {
+  WAITING: "Waiting", // In the queue
+  STARTED: "Started", // Converted into an appointment
+  LEFT: "Left", // Removed before being served
+};
+
+export const WAITLIST_STATUS = {
+  ACTIVE: "Active", // Waiting for a slot
+  BOOKED: "Booked", // Claimed an offered slot
+  CANCELLED: "Cancelled", // No longer interested
+};
+
+// Things a service can need besides a stylist
+export const RESOURCE_TYPES = {
+  CHAIR: "Chair",
+  ROOM: "Room",
+  EQUIPMENT: "Equipment",
+};
+
+export const WAITLIST = {
+  OFFER_EXPIRY_MINUTES: 120, // How long a claim link stays valid
+  MAX_OFFERS_PER_SLOT: 5, // Clients offered the same freed slot, first come first served
+  TOKEN_BYTES: 24, // Length of the random claim token
+};
+
+export const SERVICE_TIMING = {
+  MAX_BUFFER_MINUTES: 120, // Longest setup or cleanup time a service can have
+};
+
+export const REMINDER = {
+  CRON_SCHEDULE: "*/5 * * * *", // How often due reminders are looked for
+  MAX_MINUTES_BEFORE: 7 * 24 * 60, // Reminders can be sent at most a week ahead
+  MAX_PER_COMPANY: 5, // Reminders a company can configure
+};
+
+// Placeholders available in reminder subjects and bodies, written as {{name}}
+export const REMINDER_PLACEHOLDERS = [
+  "clientName",
+  "companyName",
+  "serviceName",
+  "stylistName",
+  "date",
+  "time",
+];
+
+export const DEFAULT_REMINDER_TEMPLATE = {
+  subject: "Reminder: your appointment at {{companyName}}",
+  body:
+    "Hello {{clientName}},\n\n" +
+    "This is a reminder of your {{serviceName}} appointment with " +
+    "{{stylistName}} on {{date}} at {{time}}.\n\n" +
+    "If you can no longer make it, please let us know.",
+};
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  isEnabled: true,
+  // A reminder left without a subject or body uses DEFAULT_REMINDER_TEMPLATE
+  reminders: [
+    { minutesBefore: 24 * 60, sendEmail: true, sendInApp: true },
+    { minutesBefore: 2 * 60, sendEmail: true, sendInApp: true },
+  ],
+};
+
+export const DEFAULT_ONLINE_BOOKING = {
+  isEnabled: false, // Salons opt in to the public booking API
+};
+
+export const DEFAULT_TAX_SETTINGS = {
+  pricingMode: TAX_PRICING_MODES.EXCLUSIVE,
+  categories: [], // No tax is charged until the salon sets up its rates
+  defaultCategory: null,
+};
+
+export const ONLINE_BOOKING = {
+  RATE_LIMIT_WINDOW_MINUTES: 15,
+  MAX_REQUESTS: 300, // Requests per IP address and salon in each window
+  MAX_OTP_REQUESTS: 5, // OTP emails per IP address and salon in each window
+  MAX_BOOKING_REQUESTS: 10, // Booking attempts per IP address and salon in each window
+  SLUG_MAX_LENGTH: 60,
+};
+
+// Whose appointments a calendar feed lists
+export const CALENDAR_FEED_OWNERS = {
+  EMPLOYEE: "employee",
+  CLIENT: "client",
+};
+
+export const ICALENDAR = {
+  PRODUCT_ID: "-//Grotech//Salon ERP//EN",
+  UID_DOMAIN: "salon-erp", // Appointment UIDs read <appointment _id>@salon-erp
+  CONTENT_TYPE: "text/calendar; charset=utf-8",
+  FILE_NAME: "appointment.ics",
+  FEED_PAST_DAYS: 30, // Feeds list appointments from this many days ago
+  FEED_FUTURE_DAYS: 365, // up to this many days ahead
+  KEY_BYTES: 24, // Length of the random part of a feed token
+};
+
+export const INVOICE = {
+  STORAGE_FOLDER: "invoices", // Firebase Storage folder, one subfolder per company
+  TITLE: "Invoice", // Documents of payments still to be paid
+  PAID_TITLE: "Receipt", // Documents of paid payments
+};
+
+export const PDF = {
+  PAGE_WIDTH: 595, // A4, in points
+  PAGE_HEIGHT: 842,
+  MARGIN: 50,
+  FONT_SIZE: 10,
+  TEXT_COLOR: [0.13, 0.13, 0.13],
+  MUTED_COLOR: [0.45, 0.45, 0.45],
+  ACCENT_COLOR: [0.55, 0.27, 0.47], // Headings and rules of company documents
+  CONTENT_TYPE: "application/pdf",
+};
+
+// iTIP methods: a feed publishes, emails invite to or cancel an event
+export const ICALENDAR_METHODS = {
+  PUBLISH: "PUBLISH",
+  REQUEST: "REQUEST",
+  CANCEL: "CANCEL",
+};
+
+// Why a client is emailed about an appointment
+export const APPOINTMENT_EMAIL_TYPES = {
+  BOOKED: "booked",
+  UPDATED: "updated",
+  CANCELLED: "cancelled",
+};
+
 export const TIME_CONSTANTS = {
   TWO_HOURS_IN_MS: 2 * 60 * 60 * 1000, // 2 hours in milliseconds
 };
@@ -834,4 +1630,7 @@ export const STYLIST = {
 export const SERVICE = {
   COLLECTION: "service", // The name of the service field in the appointment
   FIELD: "serviceName", // The field for the service's name
+  // The fields read by `getServiceTiming`
+  TIMING_FIELDS:
+    "duration durationMinutes bufferBeforeMinutes bufferAfterMinutes processingStartMinutes processingMinutes",
 };
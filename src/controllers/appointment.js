@@ -4,6 +4,7 @@ import { Employee } from "../models/Employee.js";
 import moment from "moment-timezone";
 import { Client } from "../models/Client.js";
 import {
+  APPOINTMENT_EMAIL_TYPES,
   APPOINTMENT_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
@@ -18,14 +19,24 @@ import {
   SERVICE_PROJECTION_FIELDS,
   CLIENT_FIELDS,
   SERVICE_FIELDS,
+  AVAILABILITY_ERRORS,
+  LINE_ITEM,
+  STATUS_CHANGE_ACTORS,
 } from "../constants.js";
-import { validateAppointmentInput } from "../validators/appointment.js";
+import {
+  validateAppointmentInput,
+  validateAppointmentUpdateInput,
+} from "../validators/appointment.js";
 import {
   listAppointmentCountByGender,
   getAppointments,
   scheduleAppointments,
   updateAppointmentService,
 } from "../services/appointment.js";
+import { listAvailability } from "../services/availability.js";
+import { transitionAppointments } from "../services/appointmentStatus.js";
+import { offerFreedSlot } from "../services/waitlist.js";
+import { sendAppointmentInvite } from "../services/icalendar.js";
 
 /**
  * Controller to handle scheduling a new appointment.
@@ -51,6 +62,16 @@ export const scheduleAppointment = async (req, res) => {
     const result = await scheduleAppointments(req);
     return res.status(201).json(result);
   } catch (error) {
+    if (AVAILABILITY_ERRORS.includes(error.message)) {
+      return res.status(409).json({
+        error: error.message,
+        lineItem: error.lineItem,
+        alternatives: error.alternatives,
+      });
+    }
+    if (error.message === ERROR_MESSAGES.LINE_ITEMS_OVERLAP) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error(ERROR_MESSAGES.ERROR_CREATING_APPOINTMENT, error);
     res.status(500).json({ error: ERROR_MESSAGES.FAILED_TO_ADD_APPOINTMENT });
   }
@@ -177,6 +198,15 @@ export const deleteAppointment = async (req, res) => {
     appointment.isTrashed = true;
     await appointment.save();
 
+    // A cancelled appointment already gave its slot to the waitlist
+    if (appointment.appointmentStatus !== APPOINTMENT_STATUS.CANCELLED) {
+      await offerFreedSlot(appointment);
+      await sendAppointmentInvite(
+        [appointment._id],
+        APPOINTMENT_EMAIL_TYPES.CANCELLED
+      );
+    }
+
     res.status(200).json({ message: SUCCESS_MESSAGES.APPOINTMENT_DELETED });
   } catch (error) {
     console.error(ERROR_MESSAGES.FAILED_TO_DELETE_APPOINTMENT, error);
@@ -191,27 +221,56 @@ export const deleteAppointment = async (req, res) => {
  * It receives the request to update appointment details and calls the service to handle the update logic.
  * It also saves a notification about the update.
  *
- * @param {Object} req - The request object containing appointment update data (body) and appointment ID (params).
+ * @param {Object} req - The request object containing the new `stylistId` or `note` (body) and appointment ID (params).
  * @param {Object} res - The response object to send the result back.
  * @returns {Promise<void>} - Sends a success or error response based on the result of the appointment update.
  */
 export const updateAppointment = async (req, res) => {
   const { id } = req.params;
-  const updateData = req.body;
   const { companyId } = req;
+  const { error, value: updateData } = validateAppointmentUpdateInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
 
   try {
     const updatedAppointment = await updateAppointmentService(
       id,
       updateData,
-      companyId
+      companyId,
+      req.userId
     );
 
+    if (updateData.stylistId) {
+      await sendAppointmentInvite(
+        [updatedAppointment._id],
+        APPOINTMENT_EMAIL_TYPES.UPDATED
+      );
+    }
+
     res.status(200).json({
       message: SUCCESS_MESSAGES.APPOINTMENT_UPDATED_SUCCESSFULLY,
       appointment: updatedAppointment,
     });
   } catch (error) {
+    if (AVAILABILITY_ERRORS.includes(error.message)) {
+      return res
+        .status(409)
+        .json({ message: error.message, alternatives: error.alternatives });
+    }
+    if (
+      [
+        ERROR_MESSAGES.INVALID_ID_FORMAT,
+        ERROR_MESSAGES.USE_APPOINTMENT_ACTION_ENDPOINTS,
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message === ERROR_MESSAGES.APPOINTMENT_NOT_FOUND) {
+      return res.status(404).json({ message: error.message });
+    }
     console.error(ERROR_MESSAGES.FAILED_TO_UPDATE_APPOINTMENT, error);
     res
       .status(500)
@@ -227,7 +286,14 @@ export const updateAppointment = async (req, res) => {
  * @description This function performs bulk updates on appointment statuses:
  * - Marks appointments as "Completed" if their expiration time is in the past.
  * - Marks appointments as "Ongoing" if their current time falls between the start and end times.
- * - Marks appointments as "Upcoming" if their start time is in the future.
+ * Only transitions allowed by `APPOINTMENT_STATUS_TRANSITIONS` are applied, and each one is
+ * recorded in the appointment's status history as made by the system.
+ *
+ * `date` and `expiresAt` bound the time the client is in the salon: processing time keeps
+ * the appointment ongoing, while setup and cleanup buffers fall outside it.
+ *
+ * Appointment times are parsed in each company's timezone and stored in UTC, so comparing them
+ * with the current UTC instant is correct whatever the server's timezone is.
  *
  * @throws Logs an error message if there is an issue during the status update process.
  *
@@ -239,53 +305,29 @@ export const updateAppointmentStatuses = async (companyId) => {
     const nowUTC = moment.utc();
     // console.log("Current date and time in UTC:", nowUTC.format());
 
-    // Fetch all appointments that may need a status update (to log their details)
-    const appointments = await Appointment.find({
-      isTrashed: false,
-      companyId,
-    });
-
-    const completedResult = await Appointment.updateMany(
+    await transitionAppointments(
       {
         isTrashed: false,
         companyId,
 
         expiresAt: { $lte: nowUTC.toDate() }, // End time is in the past or now
-        appointmentStatus: {
-          $nin: [APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.CANCELLED],
-        },
       },
-      { $set: { appointmentStatus: APPOINTMENT_STATUS.COMPLETED } }
+      APPOINTMENT_STATUS.COMPLETED,
+      STATUS_CHANGE_ACTORS.SYSTEM
     );
 
     // Update appointments to "Ongoing"
-    // Only appointments not already marked "Completed" and whose `date` and `expiresAt` are around now
-    const ongoingResult = await Appointment.updateMany(
+    // Only appointments whose `date` and `expiresAt` are around now
+    await transitionAppointments(
       {
         isTrashed: false,
         companyId,
 
         date: { $lte: nowUTC.toDate() }, // Start time is in the past or now
         expiresAt: { $gt: nowUTC.toDate() }, // End time is in the future
-        appointmentStatus: {
-          $nin: [APPOINTMENT_STATUS.ONGOING, APPOINTMENT_STATUS.CANCELLED],
-        }, // Avoid unnecessary updates
-      },
-      { $set: { appointmentStatus: APPOINTMENT_STATUS.ONGOING } }
-    );
-
-    // Appointments whose `date` is in the future are "Upcoming"
-    const upcomingResult = await Appointment.updateMany(
-      {
-        isTrashed: false,
-        companyId,
-
-        date: { $gt: nowUTC.toDate() }, // Start time is in the future
-        appointmentStatus: {
-          $nin: [APPOINTMENT_STATUS.UPCOMING, APPOINTMENT_STATUS.CANCELLED],
-        }, // Avoid unnecessary updates
       },
-      { $set: { appointmentStatus: APPOINTMENT_STATUS.UPCOMING } }
+      APPOINTMENT_STATUS.ONGOING,
+      STATUS_CHANGE_ACTORS.SYSTEM
     );
   } catch (error) {
     console.error(ERROR_MESSAGES.ERROR_UPDATING_APPOINTMENT_STATUSES, error);
@@ -343,9 +385,17 @@ export const getAppointmentsByEmployee = async (req, res) => {
         $match: {
           [APPOINTMENT_FIELDS.IS_TRASHED]: false,
           [APPOINTMENT_FIELDS.COMPANY_ID]: companyId,
-          [APPOINTMENT_FIELDS.STYLIST_ID]: new mongoose.Types.ObjectId(
-            employeeId
-          ),
+          // Primary stylist, or performing any of the line items
+          $or: [
+            {
+              [APPOINTMENT_FIELDS.STYLIST_ID]: new mongoose.Types.ObjectId(
+                employeeId
+              ),
+            },
+            {
+              [LINE_ITEM.STYLIST]: new mongoose.Types.ObjectId(employeeId),
+            },
+          ],
         },
       },
       {
@@ -407,6 +457,8 @@ export const getAppointmentsByEmployee = async (req, res) => {
           time: GENERAL_CONSTANTS.ONE,
           note: GENERAL_CONSTANTS.ONE,
           appointmentStatus: GENERAL_CONSTANTS.ONE,
+          [LINE_ITEM.FIELD]: GENERAL_CONSTANTS.ONE,
+          totalPrice: GENERAL_CONSTANTS.ONE,
           stylistId: {
             [EMPLOYEE_PROJECTION_FIELDS.ID]: `$${AGGREGATION_FIELDS.STYLIST_ID}.${EMPLOYEE_PROJECTION_FIELDS.ID}`,
             [EMPLOYEE_PROJECTION_FIELDS.EMPLOYEE_ID]: `$${AGGREGATION_FIELDS.STYLIST_ID}.${EMPLOYEE_PROJECTION_FIELDS.EMPLOYEE_ID}`,
@@ -515,6 +567,8 @@ export const getAppointmentsByClient = async (req, res) => {
           [APPOINTMENT_FIELDS.TIME]: 1,
           [APPOINTMENT_FIELDS.NOTE]: 1,
           [APPOINTMENT_FIELDS.STATUS]: 1,
+          [LINE_ITEM.FIELD]: 1,
+          totalPrice: 1,
           [`${APPOINTMENT_FIELDS.STYLIST_ID}.${CLIENT_FIELDS.ID}`]: 1,
           [`${APPOINTMENT_FIELDS.STYLIST_ID}.${EMPLOYEE_PROJECTION_FIELDS.EMPLOYEE_NAME}`]: 1,
           [`${APPOINTMENT_FIELDS.STYLIST_ID}.${EMPLOYEE_PROJECTION_FIELDS.EMPLOYEE_PHONE}`]: 1,
@@ -541,7 +595,8 @@ export const getAppointmentsByClient = async (req, res) => {
 };
 
 /**
- * @desc    Get appointment stats (count of upcoming, completed, and cancelled)
+ * @desc    Get appointment stats (count of upcoming, completed, cancelled and no-show),
+ *          overall and per service, counting each line item of an appointment
  * @route   GET /api/appointments/stats
  * @access  Private (Requires authentication)
  * @param   {Object} req - Express request object
@@ -570,12 +625,78 @@ export const getAppointmentStats = async (req, res) => {
       appointmentStatus: APPOINTMENT_STATUS.CANCELLED,
     });
 
+    const noShowCount = await Appointment.countDocuments({
+      isTrashed: false,
+      companyId,
+      appointmentStatus: APPOINTMENT_STATUS.NO_SHOW,
+    });
+
+    const countStatus = (status) => ({
+      $sum: { $cond: [{ $eq: ["$appointmentStatus", status] }, 1, 0] },
+    });
+
+    // Count line items per service
+    const services = await Appointment.aggregate([
+      { $match: { isTrashed: false, companyId } },
+      {
+        $project: {
+          appointmentStatus: 1,
+          // Appointments booked before line items existed count as one line item
+          lineItems: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ["$lineItems", []] } }, 0] },
+              "$lineItems",
+              [{ service: "$service" }],
+            ],
+          },
+        },
+      },
+      { $unwind: "$lineItems" },
+      {
+        $group: {
+          _id: "$lineItems.service",
+          upcoming: countStatus(APPOINTMENT_STATUS.UPCOMING),
+          completed: countStatus(APPOINTMENT_STATUS.COMPLETED),
+          cancelled: countStatus(APPOINTMENT_STATUS.CANCELLED),
+          noShow: countStatus(APPOINTMENT_STATUS.NO_SHOW),
+        },
+      },
+      {
+        $lookup: {
+          from: COLLECTION_NAMES.SERVICES,
+          localField: "_id",
+          foreignField: SERVICE_FIELDS.ID,
+          as: AGGREGATION_FIELDS.SERVICE_DETAILS,
+        },
+      },
+      {
+        $unwind: {
+          path: `$${AGGREGATION_FIELDS.SERVICE_DETAILS}`,
+          preserveNullAndEmptyArrays: true,
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          serviceId: "$_id",
+          serviceName: `$${AGGREGATION_FIELDS.SERVICE_DETAILS}.${SERVICE_FIELDS.SERVICE_NAME}`,
+          upcoming: 1,
+          completed: 1,
+          cancelled: 1,
+          noShow: 1,
+        },
+      },
+      { $sort: { serviceName: 1 } },
+    ]);
+
     // Send back the counts
     res.status(200).json({
       success: true,
       upcoming: upcomingCount,
       completed: completedCount,
       cancelled: cancelledCount,
+      noShow: noShowCount,
+      services,
     });
   } catch (error) {
     console.error("Failed to get appointment stats", error);
@@ -584,3 +705,39 @@ export const getAppointmentStats = async (req, res) => {
       .json({ success: false, error: "Failed to get appointment stats" });
   }
 };
+
+/**
+ * Controller to list the open slots of each eligible stylist for a service on a given day.
+ *
+ * @route GET /appointments/availability?serviceId&date
+ * @param {Object} req - The request object containing `serviceId` and `date` (YYYY-MM-DD) query parameters.
+ * @param {Object} res - The response object to send the result back.
+ * @returns {Promise<void>} - Sends the open slots per stylist or an error response.
+ */
+export const getAvailability = async (req, res) => {
+  const { serviceId, date } = req.query;
+
+  if (!serviceId || !date) {
+    return res
+      .status(400)
+      .json({ error: ERROR_MESSAGES.SERVICE_ID_AND_DATE_REQUIRED });
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+    return res.status(400).json({ error: ERROR_MESSAGES.INVALID_ID_FORMAT });
+  }
+
+  try {
+    const availability = await listAvailability(req);
+    res.status(200).json(availability);
+  } catch (error) {
+    if (error.message === ERROR_MESSAGES.SERVICE_NOT_FOUND) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === ERROR_MESSAGES.INVALID_DATE_FORMAT) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(ERROR_MESSAGES.FAILED_TO_GET_AVAILABILITY, error);
+    res.status(500).json({ error: ERROR_MESSAGES.FAILED_TO_GET_AVAILABILITY });
+  }
+};
@@ -0,0 +1,135 @@
+import {
+  AVAILABILITY_ERRORS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+} from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  validateCancellationInput,
+  validateNoShowInput,
+  validateRescheduleInput,
+} from "../validators/appointment.js";
+import {
+  cancelAppointment,
+  markNoShow,
+  rescheduleAppointment,
+} from "../services/appointmentPolicy.js";
+
+const handlePolicyError = createServiceErrorHandler({
+  400: [
+    ERROR_MESSAGES.INVALID_ID_FORMAT,
+    ERROR_MESSAGES.INVALID_APPOINTMENT_DATE_TIME,
+    ERROR_MESSAGES.RESCHEDULE_DATE_IN_PAST,
+  ],
+  404: [ERROR_MESSAGES.APPOINTMENT_NOT_FOUND],
+  409: [
+    ERROR_MESSAGES.ONLY_UPCOMING_APPOINTMENTS_CAN_BE_CANCELLED,
+    ERROR_MESSAGES.ONLY_UPCOMING_APPOINTMENTS_CAN_BE_RESCHEDULED,
+    ERROR_MESSAGES.CANCELLATION_WINDOW_PASSED,
+    ERROR_MESSAGES.NO_SHOW_BEFORE_START,
+    ERROR_MESSAGES.APPOINTMENT_CANNOT_BE_MARKED_NO_SHOW,
+    ...AVAILABILITY_ERRORS,
+  ],
+});
+
+/**
+ * Cancels an upcoming appointment, applying the company's cancellation policy.
+ *
+ * @route PATCH /appointments/:id/cancel
+ * @param {Object} req - The request object containing the optional `reason` in the body.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the cancelled appointment and any late-cancellation fee.
+ */
+export const cancelAppointmentController = async (req, res) => {
+  const { error, value } = validateCancellationInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const result = await cancelAppointment(
+      req.params.id,
+      req.companyId,
+      req.userId,
+      value
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.APPOINTMENT_CANCELLED, ...result });
+  } catch (error) {
+    return handlePolicyError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_CANCELLING_APPOINTMENT
+    );
+  }
+};
+
+/**
+ * Moves an upcoming appointment to a new local date and time.
+ *
+ * @route PATCH /appointments/:id/reschedule
+ * @param {Object} req - The request object containing `date`, `time` and the optional `reason` in the body.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the rescheduled appointment.
+ */
+export const rescheduleAppointmentController = async (req, res) => {
+  const { error, value } = validateRescheduleInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const appointment = await rescheduleAppointment(
+      req.params.id,
+      req.companyId,
+      req.userId,
+      value
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.APPOINTMENT_RESCHEDULED, appointment });
+  } catch (error) {
+    return handlePolicyError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_RESCHEDULING_APPOINTMENT
+    );
+  }
+};
+
+/**
+ * Marks an appointment as a no-show, applying the company's no-show fee.
+ *
+ * @route PATCH /appointments/:id/no-show
+ * @param {Object} req - The request object containing the optional `note` in the body.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the appointment and any no-show fee.
+ */
+export const markNoShowController = async (req, res) => {
+  const { error, value } = validateNoShowInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const result = await markNoShow(
+      req.params.id,
+      req.companyId,
+      req.userId,
+      value
+    );
+    return res.status(200).json({
+      message: SUCCESS_MESSAGES.APPOINTMENT_MARKED_NO_SHOW,
+      ...result,
+    });
+  } catch (error) {
+    return handlePolicyError(res, error, ERROR_MESSAGES.FAILED_MARKING_NO_SHOW);
+  }
+};
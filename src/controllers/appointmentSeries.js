@@ -0,0 +1,119 @@
+import {
+  AVAILABILITY_ERRORS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+} from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  validateAppointmentSeriesInput,
+  validateSeriesUpdateInput,
+} from "../validators/appointment.js";
+import {
+  createAppointmentSeries,
+  getAppointmentSeries,
+  updateSeriesOccurrences,
+} from "../services/appointmentSeries.js";
+
+const handleSeriesError = createServiceErrorHandler({
+  400: [
+    ERROR_MESSAGES.INVALID_ID_FORMAT,
+    ERROR_MESSAGES.INVALID_APPOINTMENT_DATE_TIME,
+    ERROR_MESSAGES.SERIES_HAS_NO_OCCURRENCES,
+    ERROR_MESSAGES.ONLY_UPCOMING_APPOINTMENTS_CAN_BE_CANCELLED,
+    ERROR_MESSAGES.RESCHEDULE_DATE_IN_PAST,
+  ],
+  404: [
+    ERROR_MESSAGES.SERIES_NOT_FOUND,
+    ERROR_MESSAGES.SERIES_APPOINTMENT_NOT_FOUND,
+    ERROR_MESSAGES.CLIENT_NOT_FOUND,
+    ERROR_MESSAGES.SERVICE_NOT_FOUND,
+    ERROR_MESSAGES.STYLIST_NOT_FOUND,
+  ],
+  409: [
+    ERROR_MESSAGES.SERIES_ALL_DATES_UNAVAILABLE,
+    ERROR_MESSAGES.INVALID_STATUS_TRANSITION,
+    ERROR_MESSAGES.ONLY_UPCOMING_APPOINTMENTS_CAN_BE_RESCHEDULED,
+    ERROR_MESSAGES.CANCELLATION_WINDOW_PASSED,
+    ...AVAILABILITY_ERRORS,
+  ],
+});
+
+/**
+ * Creates a recurring appointment series and books its occurrences.
+ *
+ * @route POST /appointments/series
+ * @param {Object} req - The request object containing the series details in the body.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the series, the booked appointments and the skipped dates.
+ */
+export const createSeries = async (req, res) => {
+  const { error } = validateAppointmentSeriesInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const result = await createAppointmentSeries(req);
+    return res
+      .status(201)
+      .json({ message: SUCCESS_MESSAGES.SERIES_CREATED, ...result });
+  } catch (error) {
+    return handleSeriesError(res, error, ERROR_MESSAGES.FAILED_CREATING_SERIES);
+  }
+};
+
+/**
+ * Retrieves a series with all of its appointments.
+ *
+ * @route GET /appointments/series/:seriesId
+ * @param {Object} req - The request object containing `seriesId` in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the series and its appointments.
+ */
+export const getSeries = async (req, res) => {
+  try {
+    const result = await getAppointmentSeries(
+      req.params.seriesId,
+      req.companyId
+    );
+    return res.status(200).json(result);
+  } catch (error) {
+    return handleSeriesError(res, error, ERROR_MESSAGES.FAILED_FETCHING_SERIES);
+  }
+};
+
+/**
+ * Edits this, this and following, or all upcoming occurrences of a series.
+ *
+ * @route PATCH /appointments/series/:seriesId/appointments/:appointmentId
+ * @param {Object} req - The request object containing the `scope` and the changes in the body.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the updated and the skipped occurrences.
+ */
+export const updateSeries = async (req, res) => {
+  const { error, value } = validateSeriesUpdateInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  const { seriesId, appointmentId } = req.params;
+
+  try {
+    const result = await updateSeriesOccurrences(
+      seriesId,
+      appointmentId,
+      req.companyId,
+      req.userId,
+      value
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.SERIES_UPDATED, ...result });
+  } catch (error) {
+    return handleSeriesError(res, error, ERROR_MESSAGES.FAILED_UPDATING_SERIES);
+  }
+};
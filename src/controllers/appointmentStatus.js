@@ -0,0 +1,100 @@
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import { validateCompletionInput } from "../validators/appointment.js";
+import {
+  checkInAppointment,
+  completeAppointment,
+  getAppointmentHistory,
+} from "../services/appointmentStatus.js";
+
+const handleStatusError = createServiceErrorHandler({
+  400: [ERROR_MESSAGES.INVALID_ID_FORMAT],
+  404: [ERROR_MESSAGES.APPOINTMENT_NOT_FOUND],
+  409: [
+    ERROR_MESSAGES.INVALID_STATUS_TRANSITION,
+    ERROR_MESSAGES.CHECK_IN_TOO_EARLY,
+  ],
+});
+
+/**
+ * Checks a client in for their appointment.
+ *
+ * @route PATCH /appointments/:id/check-in
+ * @param {Object} req - The request object containing the appointment ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the checked-in appointment.
+ */
+export const checkInAppointmentController = async (req, res) => {
+  try {
+    const appointment = await checkInAppointment(
+      req.params.id,
+      req.companyId,
+      req.userId
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.APPOINTMENT_CHECKED_IN, appointment });
+  } catch (error) {
+    return handleStatusError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_CHECKING_IN_APPOINTMENT
+    );
+  }
+};
+
+/**
+ * Marks an appointment as completed.
+ *
+ * @route PATCH /appointments/:id/complete
+ * @param {Object} req - The request object containing the optional `note` in the body.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the completed appointment.
+ */
+export const completeAppointmentController = async (req, res) => {
+  const { error, value } = validateCompletionInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const appointment = await completeAppointment(
+      req.params.id,
+      req.companyId,
+      req.userId,
+      value
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.APPOINTMENT_COMPLETED, appointment });
+  } catch (error) {
+    return handleStatusError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_COMPLETING_APPOINTMENT
+    );
+  }
+};
+
+/**
+ * Retrieves the status timeline of an appointment.
+ *
+ * @route GET /appointments/:id/history
+ * @param {Object} req - The request object containing the appointment ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the current status and every status change.
+ */
+export const getAppointmentHistoryController = async (req, res) => {
+  try {
+    const history = await getAppointmentHistory(req.params.id, req.companyId);
+    return res.status(200).json(history);
+  } catch (error) {
+    return handleStatusError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_APPOINTMENT_HISTORY
+    );
+  }
+};
@@ -0,0 +1,41 @@
+import { ERROR_MESSAGES } from "../constants.js";
+import { getAppointmentCalendar } from "../services/calendar.js";
+
+const BAD_REQUEST_ERRORS = [
+  ERROR_MESSAGES.INVALID_DATE_FORMAT,
+  ERROR_MESSAGES.CALENDAR_RANGE_TOO_LONG,
+  ERROR_MESSAGES.INVALID_EMPLOYEE_ID,
+];
+
+/**
+ * Retrieves the appointments of each stylist over a range of days, grouped per day,
+ * with the blocked time and the gaps between appointments.
+ *
+ * @route GET /appointments/calendar?from&to&stylistId
+ * @param {Object} req - The request object containing `from`, optional `to` (YYYY-MM-DD, defaults to `from`) and optional `stylistId` query parameters.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the calendar of each stylist.
+ */
+export const getAppointmentCalendarController = async (req, res) => {
+  const { from, to, stylistId } = req.query;
+
+  try {
+    const calendar = await getAppointmentCalendar(req.companyId, {
+      from,
+      to: to || from,
+      stylistId,
+    });
+    return res.status(200).json(calendar);
+  } catch (error) {
+    if (BAD_REQUEST_ERRORS.includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === ERROR_MESSAGES.EMPLOYEE_NOT_FOUND) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error(ERROR_MESSAGES.FAILED_FETCHING_CALENDAR, error);
+    return res
+      .status(500)
+      .json({ error: ERROR_MESSAGES.FAILED_FETCHING_CALENDAR });
+  }
+};
@@ -0,0 +1,125 @@
+import {
+  CALENDAR_FEED_OWNERS,
+  ERROR_MESSAGES,
+  ICALENDAR,
+  SUCCESS_MESSAGES,
+} from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  createCalendarFeed,
+  getCalendarFeed,
+  revokeCalendarFeed,
+} from "../services/icalendar.js";
+
+const handleCalendarFeedError = createServiceErrorHandler({
+  400: [ERROR_MESSAGES.INVALID_EMPLOYEE_ID, ERROR_MESSAGES.INVALID_CLIENT_ID],
+  404: [
+    ERROR_MESSAGES.EMPLOYEE_NOT_FOUND,
+    ERROR_MESSAGES.CLIENT_NOT_FOUND,
+    ERROR_MESSAGES.CALENDAR_FEED_NOT_FOUND,
+  ],
+});
+
+/**
+ * Builds the controller creating the calendar feed of an employee or a client.
+ *
+ * @param {string} owner - One of CALENDAR_FEED_OWNERS.
+ * @returns {Function} - The controller.
+ */
+const createFeedController = (owner) => async (req, res) => {
+  try {
+    const feed = await createCalendarFeed(owner, req.params.id, req.companyId);
+    return res
+      .status(201)
+      .json({ message: SUCCESS_MESSAGES.CALENDAR_FEED_CREATED, ...feed });
+  } catch (error) {
+    return handleCalendarFeedError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_CREATING_CALENDAR_FEED
+    );
+  }
+};
+
+/**
+ * Builds the controller revoking the calendar feed of an employee or a client.
+ *
+ * @param {string} owner - One of CALENDAR_FEED_OWNERS.
+ * @returns {Function} - The controller.
+ */
+const revokeFeedController = (owner) => async (req, res) => {
+  try {
+    await revokeCalendarFeed(owner, req.params.id, req.companyId);
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.CALENDAR_FEED_REVOKED });
+  } catch (error) {
+    return handleCalendarFeedError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_REVOKING_CALENDAR_FEED
+    );
+  }
+};
+
+/**
+ * Creates the calendar feed of an employee, replacing the previous one.
+ *
+ * @route POST /calendar-feeds/employees/:id
+ * @returns {Promise<void>} - Sends the feed token and URL.
+ */
+export const createEmployeeFeedController = createFeedController(
+  CALENDAR_FEED_OWNERS.EMPLOYEE
+);
+
+/**
+ * Revokes the calendar feed of an employee.
+ *
+ * @route DELETE /calendar-feeds/employees/:id
+ */
+export const revokeEmployeeFeedController = revokeFeedController(
+  CALENDAR_FEED_OWNERS.EMPLOYEE
+);
+
+/**
+ * Creates the calendar feed of a client, replacing the previous one.
+ *
+ * @route POST /calendar-feeds/clients/:id
+ * @returns {Promise<void>} - Sends the feed token and URL.
+ */
+export const createClientFeedController = createFeedController(
+  CALENDAR_FEED_OWNERS.CLIENT
+);
+
+/**
+ * Revokes the calendar feed of a client.
+ *
+ * @route DELETE /calendar-feeds/clients/:id
+ */
+export const revokeClientFeedController = revokeFeedController(
+  CALENDAR_FEED_OWNERS.CLIENT
+);
+
+/**
+ * Serves a calendar feed. Public: the signed token is the credential.
+ *
+ * @route GET /calendar-feeds/:token.ics
+ * @param {Object} req - The request object containing the feed token in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the iCalendar document.
+ */
+export const getCalendarFeedController = async (req, res) => {
+  try {
+    const content = await getCalendarFeed(req.params.token);
+    return res
+      .status(200)
+      .set("Content-Type", ICALENDAR.CONTENT_TYPE)
+      .send(content);
+  } catch (error) {
+    return handleCalendarFeedError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_CALENDAR_FEED
+    );
+  }
+};
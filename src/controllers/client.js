@@ -3,13 +3,10 @@ import {
   DEFAULT_PROFILE_IMAGE_URL,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
-  USER_ROLES,
 } from "../constants.js";
 import { uploadImageToFirebase } from "../services/firebaseStorage.js";
-import { generateNextClientId } from "../utils/idGenerator.js";
 import * as clientService from "../services/client.js";
 import { auth } from "../../firebaseAdmin.js";
-import Role from "../models/Role.js";
 
 /**
  * Adds a new client to the database, including their details and optional photo upload.
@@ -55,42 +52,19 @@ export const addClient = async (req, res) => {
     }
   }
 
-  let role = await Role.findOne({ roleName: USER_ROLES.USER, companyId });
-
-  if (!role) {
-    // If the role doesn't exist, create a new one
-    const newRole = new Role({
-      roleName: USER_ROLES.USER,
-      companyId,
-    });
-
-    await newRole.save();
-    role = newRole; // Assign the newly created role to the user
-  }
-
   const clientFullName = `${firstName} ${lastName}`;
 
-  const newClient = new Client({
-    name: clientFullName,
-    email,
-    phone,
-    dob,
-    photo: photoToUse || DEFAULT_PROFILE_IMAGE_URL,
-    gender,
-    notes,
-    address,
-    companyId,
-    role: role._id,
-  });
-
   try {
-    await newClient.save();
-
-    // Now, generate and assign the clientId after the client has been successfully saved
-    const clientId = await generateNextClientId(companyId);
-    newClient.clientId = clientId;
-
-    await newClient.save();
+    const newClient = await clientService.createClient(companyId, {
+      name: clientFullName,
+      email,
+      phone,
+      dob,
+      photo: photoToUse || DEFAULT_PROFILE_IMAGE_URL,
+      gender,
+      notes,
+      address,
+    });
 
     res.status(201).json(newClient);
   } catch (error) {
@@ -10,7 +10,15 @@ import {
   listCompanies,
   updateCompanyDetails,
   getCompanyById,
+  getCompanySettings,
+  updateCompanySettings,
+  addCompanyClosure,
+  removeCompanyClosure,
 } from "../services/company.js";
+import {
+  validateCompanyClosure,
+  validateCompanySettings,
+} from "../validators/company.js";
 
 /**
  * Adds a new company and sets an auth token in the response cookie.
@@ -134,3 +142,120 @@ export const listAllCompanies = async (req, res) => {
     return res.status(400).json;
   }
 };
+
+/**
+ * Retrieves the timezone, weekly business hours, closure dates and cancellation policy of the company.
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>}
+ */
+export const getCompanySettingsController = async (req, res) => {
+  try {
+    const settings = await getCompanySettings(req.companyId);
+    res.status(200).json(settings);
+  } catch (error) {
+    if (error.message === ERROR_MESSAGES.COMPANY_NOT_FOUND) {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error(ERROR_MESSAGES.FAILED_FETCHING_COMPANY_SETTINGS, error);
+    res
+      .status(500)
+      .json({ message: ERROR_MESSAGES.FAILED_FETCHING_COMPANY_SETTINGS });
+  }
+};
+
+/**
+ * Updates the timezone, weekly business hours, cancellation policy, reminder settings, online booking settings and/or tax settings of the company.
+ * @async
+ * @param {Object} req - The HTTP request object containing `timeZone`, `businessHours`, `cancellationPolicy`, `reminderSettings`,
+ * `onlineBooking` and/or `taxSettings` in the body.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>}
+ */
+export const updateCompanySettingsController = async (req, res) => {
+  const { isValid, errors, data } = validateCompanySettings(req.body);
+  if (!isValid) {
+    return res
+      .status(400)
+      .json({ message: ERROR_MESSAGES.VALIDATION_ERROR, errors });
+  }
+
+  try {
+    const settings = await updateCompanySettings(req.companyId, data);
+    res.status(200).json({
+      message: SUCCESS_MESSAGES.COMPANY_SETTINGS_UPDATED,
+      data: settings,
+    });
+  } catch (error) {
+    if (error.message === ERROR_MESSAGES.COMPANY_NOT_FOUND) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === ERROR_MESSAGES.TAX_CATEGORY_NOT_FOUND) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (
+      error.message === ERROR_MESSAGES.BOOKING_SLUG_TAKEN ||
+      error.message === ERROR_MESSAGES.TAX_CATEGORY_IN_USE
+    ) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error(ERROR_MESSAGES.FAILED_UPDATING_COMPANY_SETTINGS, error);
+    res
+      .status(500)
+      .json({ message: ERROR_MESSAGES.FAILED_UPDATING_COMPANY_SETTINGS });
+  }
+};
+
+/**
+ * Marks a day as closed for the company, e.g. a public holiday.
+ * @async
+ * @param {Object} req - The HTTP request object containing `date` and optional `reason` in the body.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>}
+ */
+export const addClosureController = async (req, res) => {
+  const { isValid, errors, data } = validateCompanyClosure(req.body);
+  if (!isValid) {
+    return res
+      .status(400)
+      .json({ message: ERROR_MESSAGES.VALIDATION_ERROR, errors });
+  }
+
+  try {
+    const closures = await addCompanyClosure(req.companyId, data);
+    res.status(201).json({ message: SUCCESS_MESSAGES.CLOSURE_ADDED, closures });
+  } catch (error) {
+    if (error.message === ERROR_MESSAGES.COMPANY_NOT_FOUND) {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error(ERROR_MESSAGES.FAILED_UPDATING_COMPANY_SETTINGS, error);
+    res
+      .status(500)
+      .json({ message: ERROR_MESSAGES.FAILED_UPDATING_COMPANY_SETTINGS });
+  }
+};
+
+/**
+ * Removes a closure date of the company.
+ * @async
+ * @param {Object} req - The HTTP request object containing the `date` URL parameter.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>}
+ */
+export const removeClosureController = async (req, res) => {
+  try {
+    const closures = await removeCompanyClosure(req.companyId, req.params.date);
+    res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.CLOSURE_REMOVED, closures });
+  } catch (error) {
+    if (error.message === ERROR_MESSAGES.COMPANY_NOT_FOUND) {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error(ERROR_MESSAGES.FAILED_UPDATING_COMPANY_SETTINGS, error);
+    res
+      .status(500)
+      .json({ message: ERROR_MESSAGES.FAILED_UPDATING_COMPANY_SETTINGS });
+  }
+};
@@ -0,0 +1,35 @@
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import { payDeposit } from "../services/deposit.js";
+
+const handleDepositError = createServiceErrorHandler({
+  400: [ERROR_MESSAGES.INVALID_ID_FORMAT],
+  404: [ERROR_MESSAGES.APPOINTMENT_NOT_FOUND],
+  409: [
+    ERROR_MESSAGES.NO_DEPOSIT_DUE,
+    ERROR_MESSAGES.DEPOSIT_ALREADY_PAID,
+    ERROR_MESSAGES.DEPOSIT_HOLD_EXPIRED,
+  ],
+});
+
+/**
+ * Records the deposit of an appointment as paid, confirming its slot.
+ *
+ * @route PATCH /appointments/:id/deposit/pay
+ * @param {Object} req - The request object containing the appointment ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the confirmed appointment and the paid deposit payment.
+ */
+export const payDepositController = async (req, res) => {
+  try {
+    const { appointment, payment } = await payDeposit(
+      req.params.id,
+      req.companyId
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.DEPOSIT_PAID, appointment, payment });
+  } catch (error) {
+    return handleDepositError(res, error, ERROR_MESSAGES.FAILED_PAYING_DEPOSIT);
+  }
+};
@@ -1,14 +1,17 @@
+import moment from "moment-timezone";
 import mongoose from "mongoose";
 import { Employee } from "../models/Employee.js";
-import { ServiceRoleMapping } from "../models/Services.js";
 import {
   DEFAULT_PROFILE_IMAGE_URL,
-  EMPLOYEE_STATUS,
   ERROR_MESSAGES,
   GENERAL_CONSTANTS,
+  MOMENT_DATE_FORMAT,
   SUCCESS_MESSAGES,
+  TIME_FORMAT,
 } from "../constants.js";
 import { uploadImageToFirebase } from "../services/firebaseStorage.js";
+import { getServiceEmployees } from "../services/employee.js";
+import { filterWorkingEmployees } from "../services/schedule.js";
 import { generateNextEmployeeId } from "../utils/idGenerator.js";
 
 /**
@@ -204,49 +207,65 @@ export const listEmployees = async (req, res) => {
   }
 };
 
+/**
+ * Checks the optional `date` (YYYY-MM-DD) and `time` (HH:mm) filters of the service employee listings.
+ * A time is only meaningful together with a date.
+ * @param {string} [date] - The day the employees must be on shift.
+ * @param {string} [time] - The time the employees must be on shift at.
+ * @returns {boolean} True if the filters are absent or well formed.
+ */
+const isValidShiftQuery = (date, time) => {
+  if (!date) {
+    return !time;
+  }
+  return (
+    moment(date, MOMENT_DATE_FORMAT, true).isValid() &&
+    (!time || moment(time, TIME_FORMAT, true).isValid())
+  );
+};
+
 /**
  * Lists employees based on the roles associated with a given service.
  * Validates the service ID and fetches the relevant employees.
  * @async
- * @param {Object} req - The request object containing the serviceID query parameter and companyId.
+ * @param {Object} req - The request object containing the serviceID query parameter, optional `date`/`time` shift filters and companyId.
  * @param {Object} res - The response object to send the result.
  * @returns {Promise<void>} Responds with the list of employees associated with the service roles or appropriate error messages.
  * @throws {Error} Throws an error if fetching employees based on service fails.
  */
 export const listServiceBasedEmployee = async (req, res) => {
-  const { serviceID } = req.query;
+  const { serviceID, date, time } = req.query;
 
   // Validate query parameter
   if (!serviceID) {
     return res.status(400).json({ error: ERROR_MESSAGES.SERVICE_ID_REQUIRED });
   }
 
+  if (!isValidShiftQuery(date, time)) {
+    return res.status(400).json({ error: ERROR_MESSAGES.INVALID_DATE_FORMAT });
+  }
+
   try {
-    // Step 1: Get the roles associated with the service
-    const serviceRoleMapping = await ServiceRoleMapping.findOne({
-      serviceID,
-      companyId: req.companyId,
-    });
+    // Find active employees whose role is mapped to the service
+    let employees = await getServiceEmployees(serviceID, req.companyId);
 
-    if (
-      !serviceRoleMapping ||
-      !serviceRoleMapping.roles ||
-      serviceRoleMapping.roles.length === 0
-    ) {
+    if (!employees) {
       return res
         .status(200)
         .json({ message: ERROR_MESSAGES.NO_ROLES_FOR_GIVEN_SERVICE });
     }
 
-    // Step 2: Find employees with the roles for the service
-    const employees = await Employee.find({
-      employeeRole: { $in: serviceRoleMapping.roles },
-      isTrashed: false, // Exclude employees marked as trashed
-      employeeStatus: EMPLOYEE_STATUS.ACTIVE, // Include only active employees
-      companyId: req.companyId,
-    });
+    // Keep only the employees on shift when a day is requested
+    if (date) {
+      employees = await filterWorkingEmployees(
+        req.companyId,
+        employees,
+        date,
+        time
+      );
+    }
 
-    // Step 3: Check if employees were found
+    // Check if employees were found
     if (employees.length === GENERAL_CONSTANTS.ZERO) {
       return res
         .status(404)
@@ -267,48 +286,49 @@ export const listServiceBasedEmployee = async (req, res) => {
  * but only retrieves the employee's name and photo.
  * Validates the service ID and fetches the relevant employees' summaries.
  * @async
- * @param {Object} req - The request object containing the serviceID query parameter and companyId.
+ * @param {Object} req - The request object containing the serviceID query parameter, optional `date`/`time` shift filters and companyId.
  * @param {Object} res - The response object to send the result.
  * @returns {Promise<void>} Responds with the list of employee names and photos associated with the service roles or appropriate error messages.
  * @throws {Error} Throws an error if fetching employee summaries based on service fails.
  */
 export const listServiceBasedEmployeeSummary = async (req, res) => {
-  const { serviceID } = req.query;
+  const { serviceID, date, time } = req.query;
 
   // Validate query parameter
   if (!serviceID) {
     return res.status(400).json({ error: ERROR_MESSAGES.SERVICE_ID_REQUIRED });
   }
 
+  if (!isValidShiftQuery(date, time)) {
+    return res.status(400).json({ error: ERROR_MESSAGES.INVALID_DATE_FORMAT });
+  }
+
   try {
-    // Step 1: Get the roles associated with the service
-    const serviceRoleMapping = await ServiceRoleMapping.findOne({
-      serviceID,
-      companyId: req.companyId,
+    // Find employees for the service, but only retrieve name and photo
+    let employees = await getServiceEmployees(serviceID, req.companyId, {
+      employeeName: 1,
+      employeePhoto: 1,
+      ...(date && { weeklySchedule: 1, scheduleOverrides: 1 }),
     });
 
-    if (
-      !serviceRoleMapping ||
-      !serviceRoleMapping.roles ||
-      serviceRoleMapping.roles.length === 0
-    ) {
+    if (!employees) {
       return res
         .status(200)
         .json({ message: ERROR_MESSAGES.NO_ROLES_FOR_GIVEN_SERVICE });
     }
 
-    // Step 2: Find employees with the roles for the service, but only retrieve name and photo
-    const employees = await Employee.find(
-      {
-        employeeRole: { $in: serviceRoleMapping.roles },
-        isTrashed: false, // Exclude employees marked as trashed
-        employeeStatus: EMPLOYEE_STATUS.ACTIVE, // Include only active employees
-        companyId: req.companyId,
-      },
-      { employeeName: 1, employeePhoto: 1 } // Only select name and photo
-    );
+    // Keep only the employees on shift when a day is requested
+    if (date) {
+      employees = (
+        await filterWorkingEmployees(req.companyId, employees, date, time)
+      ).map(({ _id, employeeName, employeePhoto }) => ({
+        _id,
+        employeeName,
+        employeePhoto,
+      }));
+    }
 
-    // Step 3: Check if employees were found
+    // Check if employees were found
     if (employees.length === GENERAL_CONSTANTS.ZERO) {
       return res
         .status(404)
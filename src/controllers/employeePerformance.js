@@ -0,0 +1,84 @@
+import { CSV, ERROR_MESSAGES, REPORT_FORMATS } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  getEmployeePerformanceReport,
+} from "../services/employeePerformance.js";
+import { toCsv } from "../utils/csv.js";
+
+const handlePerformanceError = createServiceErrorHandler(
+  {
+    400: [
+      ERROR_MESSAGES.INVALID_DATE_FORMAT,
+      ERROR_MESSAGES.PERFORMANCE_REPORT_RANGE_TOO_LONG,
+      ERROR_MESSAGES.INVALID_EMPLOYEE_ID,
+    ],
+    404: [ERROR_MESSAGES.EMPLOYEE_NOT_FOUND],
+  },
+  { key: "message" }
+);
+
+// Columns of the CSV export, one row per employee
+const CSV_COLUMNS = [
+  { key: "employeeCode", label: "Employee ID" },
+  { key: "employeeName", label: "Employee" },
+  { key: "appointmentsCompleted", label: "Appointments completed" },
+  { key: "noShows", label: "No-shows" },
+  { key: "revenue", label: "Revenue" },
+  { key: "tips", label: "Tips" },
+  { key: "averageTicket", label: "Average ticket" },
+  { key: "rebookingRate", label: "Rebooking rate (%)" },
+  { key: "reviews", label: "Reviews" },
+  { key: "averageRating", label: "Average rating" },
+  { key: "bookedHours", label: "Booked hours" },
+  { key: "shiftHours", label: "Shift hours" },
+  { key: "utilisation", label: "Utilisation (%)" },
+];
+
+/**
+ * Retrieves the performance of the company's employees over a range of days, as JSON or as
+ * a CSV download. Company admins only.
+ *
+ * @route GET /employees/performance?from&to&employeeId&format
+ * @param {Object} req - The request object containing `from`, optional `to` (YYYY-MM-DD, defaults to `from`), optional `employeeId` and optional `format` (json or csv) query parameters.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the figures of each employee with the totals.
+ */
+export const getPerformanceReport = async (req, res) => {
+  const { from, to, employeeId, format = REPORT_FORMATS.JSON } = req.query;
+  if (!Object.values(REPORT_FORMATS).includes(format)) {
+    return res
+      .status(400)
+      .json({ message: ERROR_MESSAGES.INVALID_REPORT_FORMAT });
+  }
+
+  try {
+    const report = await getEmployeePerformanceReport(req.companyId, {
+      from,
+      to: to || from,
+      employeeId,
+    });
+    if (format === REPORT_FORMATS.JSON) {
+      return res.status(200).json(report);
+    }
+
+    const fileName = `employee-performance-${report.from}-to-${report.to}.csv`;
+    return res
+      .status(200)
+      .set({
+        "Content-Type": CSV.CONTENT_TYPE,
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+      })
+      .send(
+        toCsv(CSV_COLUMNS, [
+          ...report.employees,
+          { employeeName: "Total", ...report.totals },
+        ])
+      );
+  } catch (error) {
+    return handlePerformanceError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_PERFORMANCE_REPORT
+    );
+  }
+};
@@ -0,0 +1,251 @@
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  cancelLeaveRequest,
+  createLeaveRequest,
+  getEmployeeSchedule,
+  listLeaveRequests,
+  removeScheduleOverride,
+  reviewLeaveRequest,
+  upsertScheduleOverride,
+  updateWeeklySchedule,
+} from "../services/schedule.js";
+import {
+  validateLeaveRequest,
+  validateLeaveReview,
+  validateScheduleOverride,
+  validateWeeklySchedule,
+} from "../validators/schedule.js";
+
+const handleScheduleError = createServiceErrorHandler(
+  {
+    400: [
+      ERROR_MESSAGES.INVALID_EMPLOYEE_ID,
+      ERROR_MESSAGES.INVALID_ID_FORMAT,
+      ERROR_MESSAGES.INVALID_DATE_FORMAT,
+      ERROR_MESSAGES.SCHEDULE_RANGE_TOO_LONG,
+    ],
+    404: [ERROR_MESSAGES.EMPLOYEE_NOT_FOUND, ERROR_MESSAGES.LEAVE_NOT_FOUND],
+    409: [ERROR_MESSAGES.LEAVE_ALREADY_REVIEWED],
+  },
+  { key: "message" }
+);
+
+/**
+ * Retrieves the resolved day-by-day schedule of an employee.
+ *
+ * @route GET /employees/:id/schedule?from&to
+ * @param {Object} req - The request object containing the employee ID and the `from`/`to` (YYYY-MM-DD) query parameters.
+ * @param {Object} res - The response object to send the result back.
+ * @returns {Promise<void>} - Sends the weekly template and the calendar for the range.
+ */
+export const getSchedule = async (req, res) => {
+  const { from, to } = req.query;
+
+  try {
+    const schedule = await getEmployeeSchedule(
+      req.params.id,
+      req.companyId,
+      from,
+      to || from
+    );
+    res.status(200).json(schedule);
+  } catch (error) {
+    handleScheduleError(res, error, ERROR_MESSAGES.FAILED_FETCHING_SCHEDULE);
+  }
+};
+
+/**
+ * Replaces the weekly shift template of an employee. Company admins only.
+ *
+ * @route PUT /employees/:id/schedule
+ * @param {Object} req - The request object containing the employee ID and `weeklySchedule` in the body.
+ * @param {Object} res - The response object to send the result back.
+ * @returns {Promise<void>} - Sends the updated weekly schedule.
+ */
+export const setWeeklySchedule = async (req, res) => {
+  const { isValid, errors, data } = validateWeeklySchedule(req.body);
+  if (!isValid) {
+    return res
+      .status(400)
+      .json({ message: ERROR_MESSAGES.VALIDATION_ERROR, errors });
+  }
+
+  try {
+    const employee = await updateWeeklySchedule(
+      req.params.id,
+      req.companyId,
+      data.weeklySchedule
+    );
+    res.status(200).json({
+      message: SUCCESS_MESSAGES.SCHEDULE_UPDATED,
+      weeklySchedule: employee.weeklySchedule,
+    });
+  } catch (error) {
+    handleScheduleError(res, error, ERROR_MESSAGES.FAILED_UPDATING_SCHEDULE);
+  }
+};
+
+/**
+ * Adds or replaces a one-off schedule override (extra shift, day off or holiday). Company admins only.
+ *
+ * @route PUT /employees/:id/overrides
+ * @param {Object} req - The request object containing the employee ID and the override in the body.
+ * @param {Object} res - The response object to send the result back.
+ * @returns {Promise<void>} - Sends the employee's overrides.
+ */
+export const setScheduleOverride = async (req, res) => {
+  const { isValid, errors, data } = validateScheduleOverride(req.body);
+  if (!isValid) {
+    return res
+      .status(400)
+      .json({ message: ERROR_MESSAGES.VALIDATION_ERROR, errors });
+  }
+
+  try {
+    const employee = await upsertScheduleOverride(
+      req.params.id,
+      req.companyId,
+      data
+    );
+    res.status(200).json({
+      message: SUCCESS_MESSAGES.SCHEDULE_UPDATED,
+      scheduleOverrides: employee.scheduleOverrides,
+    });
+  } catch (error) {
+    handleScheduleError(res, error, ERROR_MESSAGES.FAILED_UPDATING_SCHEDULE);
+  }
+};
+
+/**
+ * Removes the schedule override of an employee for a given day. Company admins only.
+ *
+ * @route DELETE /employees/:id/overrides/:date
+ * @param {Object} req - The request object containing the employee ID and the date.
+ * @param {Object} res - The response object to send the result back.
+ * @returns {Promise<void>} - Sends the remaining overrides.
+ */
+export const deleteScheduleOverride = async (req, res) => {
+  try {
+    const employee = await removeScheduleOverride(
+      req.params.id,
+      req.companyId,
+      req.params.date
+    );
+    res.status(200).json({
+      message: SUCCESS_MESSAGES.OVERRIDE_REMOVED,
+      scheduleOverrides: employee.scheduleOverrides,
+    });
+  } catch (error) {
+    handleScheduleError(res, error, ERROR_MESSAGES.FAILED_UPDATING_SCHEDULE);
+  }
+};
+
+/**
+ * Submits a leave request for an employee. The request stays pending until an admin reviews it.
+ *
+ * @route POST /employees/:id/leaves
+ * @param {Object} req - The request object containing the employee ID and the leave details in the body.
+ * @param {Object} res - The response object to send the result back.
+ * @returns {Promise<void>} - Sends the created leave request.
+ */
+export const requestLeave = async (req, res) => {
+  const { isValid, errors, data } = validateLeaveRequest(req.body);
+  if (!isValid) {
+    return res
+      .status(400)
+      .json({ message: ERROR_MESSAGES.VALIDATION_ERROR, errors });
+  }
+
+  try {
+    const leave = await createLeaveRequest(req.params.id, req.companyId, data);
+    res
+      .status(201)
+      .json({ message: SUCCESS_MESSAGES.LEAVE_REQUESTED, leave });
+  } catch (error) {
+    handleScheduleError(res, error, ERROR_MESSAGES.FAILED_CREATING_LEAVE);
+  }
+};
+
+/**
+ * Lists the leave requests of the company.
+ *
+ * @route GET /employees/leaves?employeeId&status
+ * @param {Object} req - The request object containing optional `employeeId` and `status` query parameters.
+ * @param {Object} res - The response object to send the result back.
+ * @returns {Promise<void>} - Sends the list of leave requests.
+ */
+export const getLeaves = async (req, res) => {
+  try {
+    const leaves = await listLeaveRequests(req.companyId, req.query);
+    res.status(200).json(leaves);
+  } catch (error) {
+    handleScheduleError(res, error, ERROR_MESSAGES.FAILED_FETCHING_LEAVES);
+  }
+};
+
+/**
+ * Lists the leave requests of one employee.
+ *
+ * @route GET /employees/:id/leaves?status
+ * @param {Object} req - The request object containing the employee ID and an optional `status` query parameter.
+ * @param {Object} res - The response object to send the result back.
+ * @returns {Promise<void>} - Sends the employee's leave requests.
+ */
+export const getEmployeeLeaves = async (req, res) => {
+  try {
+    const leaves = await listLeaveRequests(req.companyId, {
+      employeeId: req.params.id,
+      status: req.query.status,
+    });
+    res.status(200).json(leaves);
+  } catch (error) {
+    handleScheduleError(res, error, ERROR_MESSAGES.FAILED_FETCHING_LEAVES);
+  }
+};
+
+/**
+ * Approves or rejects a pending leave request. Company admins only.
+ *
+ * @route PATCH /employees/leaves/:leaveId/review
+ * @param {Object} req - The request object containing the leave ID and the decision in the body.
+ * @param {Object} res - The response object to send the result back.
+ * @returns {Promise<void>} - Sends the reviewed leave request.
+ */
+export const reviewLeave = async (req, res) => {
+  const { isValid, errors, data } = validateLeaveReview(req.body);
+  if (!isValid) {
+    return res
+      .status(400)
+      .json({ message: ERROR_MESSAGES.VALIDATION_ERROR, errors });
+  }
+
+  try {
+    const leave = await reviewLeaveRequest(
+      req.params.leaveId,
+      req.companyId,
+      data,
+      req.adminUserId
+    );
+    res.status(200).json({ message: SUCCESS_MESSAGES.LEAVE_REVIEWED, leave });
+  } catch (error) {
+    handleScheduleError(res, error, ERROR_MESSAGES.FAILED_REVIEWING_LEAVE);
+  }
+};
+
+/**
+ * Withdraws a leave request that has not been reviewed yet.
+ *
+ * @route PATCH /employees/leaves/:leaveId/cancel
+ * @param {Object} req - The request object containing the leave ID.
+ * @param {Object} res - The response object to send the result back.
+ * @returns {Promise<void>} - Sends the cancelled leave request.
+ */
+export const cancelLeave = async (req, res) => {
+  try {
+    const leave = await cancelLeaveRequest(req.params.leaveId, req.companyId);
+    res.status(200).json({ message: SUCCESS_MESSAGES.LEAVE_CANCELLED, leave });
+  } catch (error) {
+    handleScheduleError(res, error, ERROR_MESSAGES.FAILED_CANCELLING_LEAVE);
+  }
+};
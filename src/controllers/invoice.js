@@ -0,0 +1,80 @@
+import { ERROR_MESSAGES, PDF, SUCCESS_MESSAGES } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  emailPaymentInvoice,
+  getPaymentInvoice,
+} from "../services/invoice.js";
+import { validateInvoiceEmail } from "../validators/invoice.js";
+
+const handleInvoiceError = createServiceErrorHandler({
+  400: [
+    ERROR_MESSAGES.INVALID_ID_FORMAT,
+    ERROR_MESSAGES.INVOICE_EMAIL_REQUIRED,
+  ],
+  404: [ERROR_MESSAGES.PAYMENT_NOT_FOUND],
+});
+
+/**
+ * Downloads the PDF invoice of a payment, a receipt once it is paid.
+ *
+ * @route GET /payment/:id/invoice
+ * @param {Object} req - The request object containing the payment ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the PDF as an attachment named after the invoice number.
+ */
+export const downloadInvoiceController = async (req, res) => {
+  try {
+    const { invoice, pdf } = await getPaymentInvoice(
+      req.params.id,
+      req.companyId
+    );
+    const fileName = `${invoice.invoiceNumber.replace("#", "")}.pdf`;
+    return res
+      .status(200)
+      .set({
+        "Content-Type": PDF.CONTENT_TYPE,
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+      })
+      .send(pdf);
+  } catch (error) {
+    return handleInvoiceError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_GENERATING_INVOICE
+    );
+  }
+};
+
+/**
+ * Emails the PDF invoice of a payment, to the client or to the given address.
+ *
+ * @route POST /payment/:id/invoice/email
+ * @param {Object} req - The request object containing the payment ID in params and an optional `email`.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the invoice with its email history.
+ */
+export const emailInvoiceController = async (req, res) => {
+  const { error, value } = validateInvoiceEmail(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const invoice = await emailPaymentInvoice(
+      req.params.id,
+      req.companyId,
+      value.email
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.INVOICE_EMAILED, invoice });
+  } catch (error) {
+    return handleInvoiceError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_EMAILING_INVOICE
+    );
+  }
+};
@@ -1,7 +1,5 @@
 import { auth } from "../../firebaseAdmin.js";
-import OTP from "../models/OTP.js";
-import { generateOtp } from "../utils/generateOtp.js";
-import { sendOtpEmail } from "../services/email.js";
+import { consumeOtp, issueOtp } from "../services/otp.js";
 import { ERROR_MESSAGES, ERRORS, SUCCESS_MESSAGES } from "../constants.js";
 
 /**
@@ -23,14 +21,8 @@ export const sendOtp = async (req, res) => {
     // Verify the user exists in Firebase
     await auth.getUserByEmail(email);
 
-    // Generate a random 6-digit OTP
-    const otp = generateOtp();
-
-    // Save OTP to database
-    await OTP.create({ email, otp });
-
-    // Send the OTP via email
-    await sendOtpEmail(email, otp);
+    // Generate, save and email the OTP
+    await issueOtp(email);
 
     res.status(200).send({ message: SUCCESS_MESSAGES.OTP_SEND });
   } catch (error) {
@@ -61,23 +53,20 @@ export const verifyOtp = async (req, res) => {
   }
 
   try {
-    // Fetch the OTP from the database
-    const otpRecord = await OTP.findOne({ email });
-
-    if (!otpRecord) {
-      return res.status(404).send({ error: ERROR_MESSAGES.OTP_NOT_FOUND });
-    }
-
-    // Check if the provided OTP matches the stored OTP
-    if (otpRecord.otp !== otp) {
-      return res.status(400).send({ error: ERROR_MESSAGES.INVALID_OTP });
-    }
-
-    // Clear the OTP after successful verification
-    await OTP.deleteOne({ email });
+    // Check the OTP and clear it after successful verification
+    await consumeOtp(email, otp);
 
     res.status(200).send({ message: SUCCESS_MESSAGES.OTP_VERIFIED });
   } catch (error) {
+    if (error.message === ERROR_MESSAGES.OTP_NOT_FOUND) {
+      return res.status(404).send({ error: error.message });
+    }
+    if (error.message === ERROR_MESSAGES.INVALID_OTP) {
+      return res.status(400).send({ error: error.message });
+    }
+    if (error.message === ERROR_MESSAGES.TOO_MANY_OTP_ATTEMPTS) {
+      return res.status(429).send({ error: error.message });
+    }
     res.status(500).send({ error: ERROR_MESSAGES.INTERNAL_SERVER_ERROR });
   }
 };
@@ -5,6 +5,15 @@ import {
 } from "../constants.js";
 import { Payment } from "../models/Payment.js";
 
+/**
+ * Lists the distinct names a sale's lines give, e.g. its services and products.
+ * @param {Object} sale - The populated sale.
+ * @param {Function} getName - Picks the name from a line.
+ * @returns {string} - The names, comma separated.
+ */
+const joinSaleNames = (sale, getName) =>
+  [...new Set(sale.lines.map(getName).filter(Boolean))].join(", ");
+
 /**
  * Get a list of all payments for a company.
  * @param {Object} req - The request object containing companyId.
@@ -46,8 +55,18 @@ export const listPayments = async (req, res) => {
             path: "service",
             select: "serviceName",
           },
+          {
+            path: "lineItems.service",
+            select: "serviceName",
+          },
         ],
       })
+      // Sale payments may cover several appointments, or only products
+      .populate({
+        path: "saleId",
+        select: "saleId clientName lines.name lines.stylistId",
+        populate: { path: "lines.stylistId", select: "employeeName" },
+      })
       .sort({ createdAt: -1 });
 
     const skip = (parsedPage - 1) * parsedLimit;
@@ -59,11 +78,32 @@ export const listPayments = async (req, res) => {
     payments = payments.map((payment) => ({
       _id: payment._id,
       transactionId: payment.transactionId,
-      clientName: payment.appointmentId?.client?.name || "",
-      stylistName: payment.appointmentId?.stylistId?.employeeName || "",
-      serviceName: payment.appointmentId?.service?.serviceName || "",
+      clientName:
+        payment.appointmentId?.client?.name || payment.saleId?.clientName || "",
+      stylistName: payment.saleId
+        ? joinSaleNames(payment.saleId, (line) => line.stylistId?.employeeName)
+        : payment.appointmentId?.stylistId?.employeeName || "",
+      // A sale lists its services and products; an appointment payment covers
+      // every service of a multi-service appointment
+      serviceName: payment.saleId
+        ? joinSaleNames(payment.saleId, (line) => line.name)
+        : payment.appointmentId?.lineItems?.length
+        ? payment.appointmentId.lineItems
+            .map((item) => item.service?.serviceName)
+            .filter(Boolean)
+            .join(", ")
+        : payment.appointmentId?.service?.serviceName || "",
       appointmentId: payment.appointmentId?.appointmentId || "",
+      saleId: payment.saleId?.saleId || "",
       amount: payment.amount,
+      // What the company kept once approved refunds are given back
+      refundedAmount: payment.refundedAmount || 0,
+      netAmount:
+        Math.round((payment.amount - (payment.refundedAmount || 0)) * 100) /
+        100,
+      taxAmount: payment.taxAmount || 0,
+      taxBreakdown: payment.taxBreakdown,
+      type: payment.type,
       status: payment.status,
       dateAndTime: payment.dateAndTime,
       createdAt: payment.createdAt,
@@ -0,0 +1,122 @@
+import {
+  ERROR_MESSAGES,
+  IDEMPOTENCY_KEY_HEADER,
+  PAYMENT_GATEWAY,
+  SUCCESS_MESSAGES,
+} from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  confirmPayment,
+  createOrderPaymentIntent,
+  createPaymentIntent,
+} from "../services/paymentGateway.js";
+
+const handleGatewayError = createServiceErrorHandler({
+  400: [
+    ERROR_MESSAGES.INVALID_ID_FORMAT,
+    ERROR_MESSAGES.INVALID_IDEMPOTENCY_KEY,
+  ],
+  404: [ERROR_MESSAGES.PAYMENT_NOT_FOUND, ERROR_MESSAGES.ORDER_NOT_FOUND],
+  409: [
+    ERROR_MESSAGES.PAYMENT_NOT_PAYABLE,
+    ERROR_MESSAGES.NO_PAYMENT_INTENT,
+    ERROR_MESSAGES.ORDER_ALREADY_PAID,
+  ],
+  502: [ERROR_MESSAGES.PAYMENT_GATEWAY_ERROR],
+  503: [
+    ERROR_MESSAGES.PAYMENT_GATEWAY_NOT_CONFIGURED,
+    ERROR_MESSAGES.UNKNOWN_PAYMENT_GATEWAY,
+  ],
+});
+
+/**
+ * Reads the optional `Idempotency-Key` header of a request.
+ *
+ * @param {Object} req - The request object.
+ * @returns {string|undefined} - The key, if one was sent.
+ * @throws {Error} - Throws INVALID_IDEMPOTENCY_KEY.
+ */
+const readIdempotencyKey = (req) => {
+  const key = req.get(IDEMPOTENCY_KEY_HEADER);
+  if (key !== undefined && !PAYMENT_GATEWAY.IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    throw new Error(ERROR_MESSAGES.INVALID_IDEMPOTENCY_KEY);
+  }
+  return key;
+};
+
+/**
+ * Starts the online payment of an appointment, deposit or fee payment.
+ *
+ * @route POST /payment/:id/intent
+ * @param {Object} req - The request object containing the payment ID in params and an
+ * optional `Idempotency-Key` header.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the intent with the client secret to pay it with.
+ */
+export const createPaymentIntentController = async (req, res) => {
+  try {
+    const intent = await createPaymentIntent(req.params.id, req.companyId, {
+      idempotencyKey: readIdempotencyKey(req),
+    });
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.PAYMENT_INTENT_CREATED, intent });
+  } catch (error) {
+    return handleGatewayError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_CREATING_PAYMENT_INTENT
+    );
+  }
+};
+
+/**
+ * Starts the online payment of a stock order.
+ *
+ * @route POST /payment/orders/:orderId/intent
+ * @param {Object} req - The request object containing the order ID in params and an
+ * optional `Idempotency-Key` header.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the intent with the client secret to pay it with.
+ */
+export const createOrderPaymentIntentController = async (req, res) => {
+  try {
+    const intent = await createOrderPaymentIntent(
+      req.params.orderId,
+      req.companyId,
+      { idempotencyKey: readIdempotencyKey(req) }
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.PAYMENT_INTENT_CREATED, intent });
+  } catch (error) {
+    return handleGatewayError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_CREATING_PAYMENT_INTENT
+    );
+  }
+};
+
+/**
+ * Confirms the online payment of a payment with its gateway once the client has paid.
+ *
+ * @route POST /payment/:id/confirm
+ * @param {Object} req - The request object containing the payment ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the intent with the payment's status.
+ */
+export const confirmPaymentController = async (req, res) => {
+  try {
+    const intent = await confirmPayment(req.params.id, req.companyId);
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.PAYMENT_CONFIRMED, intent });
+  } catch (error) {
+    return handleGatewayError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_CONFIRMING_PAYMENT
+    );
+  }
+};
@@ -0,0 +1,108 @@
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  listWebhookEvents,
+  receivePaymentWebhook,
+  replayWebhookEvent,
+} from "../services/paymentWebhook.js";
+import { validateWebhookEventList } from "../validators/paymentWebhook.js";
+
+// Gateways retry deliveries that did not get a 2xx, so a failed event is answered with a
+// 500; its cause was already logged and stored on the event
+const handleWebhookError = createServiceErrorHandler({
+  400: [
+    ERROR_MESSAGES.INVALID_ID_FORMAT,
+    ERROR_MESSAGES.INVALID_WEBHOOK_SIGNATURE,
+    ERROR_MESSAGES.INVALID_WEBHOOK_PAYLOAD,
+  ],
+  404: [
+    ERROR_MESSAGES.UNKNOWN_PAYMENT_GATEWAY,
+    ERROR_MESSAGES.WEBHOOK_EVENT_NOT_FOUND,
+  ],
+  409: [ERROR_MESSAGES.WEBHOOK_EVENT_NOT_REPLAYABLE],
+  503: [ERROR_MESSAGES.PAYMENT_GATEWAY_NOT_CONFIGURED],
+  500: [ERROR_MESSAGES.FAILED_PROCESSING_WEBHOOK],
+});
+
+/**
+ * Receives a webhook from a payment gateway and applies its event.
+ *
+ * @route POST /webhooks/payments/:provider
+ * @param {Object} req - The request object containing the provider in params, the raw body
+ * and the gateway's signature header.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Acknowledges the event, also when it was delivered before.
+ */
+export const paymentWebhookController = async (req, res) => {
+  try {
+    const { event, duplicate } = await receivePaymentWebhook(
+      req.params.provider,
+      req.body,
+      req.headers
+    );
+    return res.status(200).json({
+      message: duplicate
+        ? SUCCESS_MESSAGES.WEBHOOK_ALREADY_PROCESSED
+        : SUCCESS_MESSAGES.WEBHOOK_RECEIVED,
+      eventId: event.eventId,
+      status: event.status,
+    });
+  } catch (error) {
+    return handleWebhookError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_PROCESSING_WEBHOOK
+    );
+  }
+};
+
+/**
+ * Lists the company's payment webhook events, by default those that failed.
+ *
+ * @route GET /payment/webhook-events
+ * @param {Object} req - The request object containing an optional `status` query.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the events.
+ */
+export const listWebhookEventsController = async (req, res) => {
+  const { error, value } = validateWebhookEventList(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const events = await listWebhookEvents(req.companyId, value);
+    return res.status(200).json({ events });
+  } catch (error) {
+    return handleWebhookError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_WEBHOOK_EVENTS
+    );
+  }
+};
+
+/**
+ * Applies a failed payment webhook event again.
+ *
+ * @route POST /payment/webhook-events/:eventId/replay
+ * @param {Object} req - The request object containing the event ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the event with its new status.
+ */
+export const replayWebhookEventController = async (req, res) => {
+  try {
+    const event = await replayWebhookEvent(req.params.eventId, req.companyId);
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.WEBHOOK_EVENT_REPLAYED, event });
+  } catch (error) {
+    return handleWebhookError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_PROCESSING_WEBHOOK
+    );
+  }
+};
@@ -0,0 +1,282 @@
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  validateCompensationPlanInput,
+  validateCompensationPlanQuery,
+  validateCompensationPlanUpdate,
+  validatePayrollRunInput,
+} from "../validators/payroll.js";
+import {
+  createCompensationPlan,
+  createPayrollRun,
+  deletePayrollRun,
+  getPayrollRun,
+  listCompensationPlans,
+  listPayrollRuns,
+  lockPayrollRun,
+  recalculatePayrollRun,
+  updateCompensationPlan,
+} from "../services/payroll.js";
+
+const handlePayrollError = createServiceErrorHandler({
+  400: [
+    ERROR_MESSAGES.INVALID_ID_FORMAT,
+    ERROR_MESSAGES.INVALID_DATE_FORMAT,
+    ERROR_MESSAGES.PAYROLL_PERIOD_TOO_LONG,
+  ],
+  404: [
+    ERROR_MESSAGES.EMPLOYEE_NOT_FOUND,
+    ERROR_MESSAGES.ROLE_NOT_FOUND,
+    ERROR_MESSAGES.COMPENSATION_PLAN_NOT_FOUND,
+    ERROR_MESSAGES.PAYROLL_RUN_NOT_FOUND,
+  ],
+  409: [
+    ERROR_MESSAGES.COMPENSATION_PLAN_EXISTS,
+    ERROR_MESSAGES.PAYROLL_PERIOD_OVERLAPS,
+    ERROR_MESSAGES.PAYROLL_RUN_LOCKED,
+  ],
+});
+
+/**
+ * Lists the company's compensation plans.
+ *
+ * @route GET /payroll/plans?isActive
+ * @param {Object} req - The request object containing the optional `isActive` query parameter.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the plans, by name.
+ */
+export const listCompensationPlansController = async (req, res) => {
+  const { error, value } = validateCompensationPlanQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const plans = await listCompensationPlans(req.companyId, value);
+    return res.status(200).json({ plans });
+  } catch (error) {
+    return handlePayrollError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_COMPENSATION_PLANS
+    );
+  }
+};
+
+/**
+ * Creates a compensation plan for an employee or a role.
+ *
+ * @route POST /payroll/plans
+ * @param {Object} req - The request object containing `name`, `employee` or `role`, and optional `salary`, `salaryPeriod`, `serviceCommission`, `retailCommission` and `tipShare`.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the new plan.
+ */
+export const createCompensationPlanController = async (req, res) => {
+  const { error, value } = validateCompensationPlanInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const plan = await createCompensationPlan(
+      req.companyId,
+      req.adminUserId,
+      value
+    );
+    return res
+      .status(201)
+      .json({ message: SUCCESS_MESSAGES.COMPENSATION_PLAN_CREATED, plan });
+  } catch (error) {
+    return handlePayrollError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_SAVING_COMPENSATION_PLAN
+    );
+  }
+};
+
+/**
+ * Updates a compensation plan, or deactivates it with `isActive: false`.
+ *
+ * @route PATCH /payroll/plans/:id
+ * @param {Object} req - The request object containing the plan ID in params and the fields to change.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the updated plan.
+ */
+export const updateCompensationPlanController = async (req, res) => {
+  const { error, value } = validateCompensationPlanUpdate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const plan = await updateCompensationPlan(
+      req.params.id,
+      req.companyId,
+      value
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.COMPENSATION_PLAN_UPDATED, plan });
+  } catch (error) {
+    return handlePayrollError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_SAVING_COMPENSATION_PLAN
+    );
+  }
+};
+
+/**
+ * Lists the company's payroll runs, without the pay of each employee.
+ *
+ * @route GET /payroll/runs
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the runs, latest period first.
+ */
+export const listPayrollRunsController = async (req, res) => {
+  try {
+    const runs = await listPayrollRuns(req.companyId);
+    return res.status(200).json({ runs });
+  } catch (error) {
+    return handlePayrollError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_PAYROLL_RUNS
+    );
+  }
+};
+
+/**
+ * Retrieves a payroll run with the pay of each employee.
+ *
+ * @route GET /payroll/runs/:id
+ * @param {Object} req - The request object containing the run ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the run.
+ */
+export const getPayrollRunController = async (req, res) => {
+  try {
+    const run = await getPayrollRun(req.params.id, req.companyId);
+    return res.status(200).json({ run });
+  } catch (error) {
+    return handlePayrollError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_PAYROLL_RUNS
+    );
+  }
+};
+
+/**
+ * Calculates the pay of the company's employees for a period as a draft run.
+ *
+ * @route POST /payroll/runs
+ * @param {Object} req - The request object containing `from` and `to` (YYYY-MM-DD).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the new run.
+ */
+export const createPayrollRunController = async (req, res) => {
+  const { error, value } = validatePayrollRunInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const run = await createPayrollRun(req.companyId, req.adminUserId, value);
+    return res
+      .status(201)
+      .json({ message: SUCCESS_MESSAGES.PAYROLL_RUN_CREATED, run });
+  } catch (error) {
+    return handlePayrollError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_CREATING_PAYROLL_RUN
+    );
+  }
+};
+
+/**
+ * Calculates a draft payroll run again.
+ *
+ * @route POST /payroll/runs/:id/recalculate
+ * @param {Object} req - The request object containing the run ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the updated run.
+ */
+export const recalculatePayrollRunController = async (req, res) => {
+  try {
+    const run = await recalculatePayrollRun(
+      req.params.id,
+      req.companyId,
+      req.adminUserId
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.PAYROLL_RUN_RECALCULATED, run });
+  } catch (error) {
+    return handlePayrollError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_UPDATING_PAYROLL_RUN
+    );
+  }
+};
+
+/**
+ * Locks a payroll run as the final record of what was paid.
+ *
+ * @route POST /payroll/runs/:id/lock
+ * @param {Object} req - The request object containing the run ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the locked run.
+ */
+export const lockPayrollRunController = async (req, res) => {
+  try {
+    const run = await lockPayrollRun(
+      req.params.id,
+      req.companyId,
+      req.adminUserId
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.PAYROLL_RUN_LOCKED, run });
+  } catch (error) {
+    return handlePayrollError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_UPDATING_PAYROLL_RUN
+    );
+  }
+};
+
+/**
+ * Deletes a draft payroll run.
+ *
+ * @route DELETE /payroll/runs/:id
+ * @param {Object} req - The request object containing the run ID in params.
+ * @param {Object} res - The response object.
+ */
+export const deletePayrollRunController = async (req, res) => {
+  try {
+    await deletePayrollRun(req.params.id, req.companyId);
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.PAYROLL_RUN_DELETED });
+  } catch (error) {
+    return handlePayrollError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_DELETING_PAYROLL_RUN
+    );
+  }
+};
@@ -0,0 +1,212 @@
+import {
+  AVAILABILITY_ERRORS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+} from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  validateBookingAvailabilityQuery,
+  validateBookingOtpInput,
+  validateBookingServicesQuery,
+  validateBookingStylistsQuery,
+  validateOnlineBookingInput,
+} from "../validators/publicBooking.js";
+import {
+  bookOnline,
+  listBookableAvailability,
+  listBookableCategories,
+  listBookableServices,
+  listBookableStylists,
+  requestBookingOtp,
+} from "../services/publicBooking.js";
+
+const handleBookingError = createServiceErrorHandler({
+  400: [
+    ERROR_MESSAGES.INVALID_DATE_FORMAT,
+    ERROR_MESSAGES.INVALID_APPOINTMENT_DATE_TIME,
+    ERROR_MESSAGES.SCHEDULED_DATE_TIME_SHOULD_NOT_BE_IN_PAST,
+    ERROR_MESSAGES.STYLIST_NOT_ELIGIBLE_FOR_SERVICE,
+    ERROR_MESSAGES.INVALID_OTP,
+  ],
+  404: [
+    ERROR_MESSAGES.SERVICE_NOT_FOUND,
+    ERROR_MESSAGES.STYLIST_NOT_FOUND,
+    ERROR_MESSAGES.OTP_NOT_FOUND,
+  ],
+  409: [
+    ...AVAILABILITY_ERRORS,
+    ERROR_MESSAGES.NO_STYLIST_AVAILABLE_AT_TIME,
+    ERROR_MESSAGES.GUEST_PHONE_REGISTERED,
+  ],
+  429: [ERROR_MESSAGES.TOO_MANY_OTP_ATTEMPTS],
+});
+
+/**
+ * Retrieves the salon behind a booking page.
+ *
+ * @route GET /booking/:slug
+ * @param {Object} req - The request object, with the salon found from the slug.
+ * @param {Object} res - The response object.
+ * @returns {void} - Sends the salon's name, address, timezone and opening hours.
+ */
+export const getBookingPageController = (req, res) => {
+  const { _id, ...company } = req.company;
+  return res.status(200).json({ company });
+};
+
+/**
+ * Lists the categories shown on a booking page.
+ *
+ * @route GET /booking/:slug/categories
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the active categories.
+ */
+export const listBookingCategoriesController = async (req, res) => {
+  try {
+    const categories = await listBookableCategories(req.companyId);
+    return res.status(200).json({ categories });
+  } catch (error) {
+    return handleBookingError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_BOOKING_PAGE
+    );
+  }
+};
+
+/**
+ * Lists the services guests can book.
+ *
+ * @route GET /booking/:slug/services?categoryId
+ * @param {Object} req - The request object containing the optional `categoryId` query parameter.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the bookable services.
+ */
+export const listBookingServicesController = async (req, res) => {
+  const { error, value: query } = validateBookingServicesQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const services = await listBookableServices(req.companyId, query);
+    return res.status(200).json({ services });
+  } catch (error) {
+    return handleBookingError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_BOOKING_PAGE
+    );
+  }
+};
+
+/**
+ * Lists the stylists guests can book.
+ *
+ * @route GET /booking/:slug/stylists?serviceId
+ * @param {Object} req - The request object containing the optional `serviceId` query parameter.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the stylists' names and photos.
+ */
+export const listBookingStylistsController = async (req, res) => {
+  const { error, value: query } = validateBookingStylistsQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const stylists = await listBookableStylists(req.companyId, query);
+    return res.status(200).json({ stylists });
+  } catch (error) {
+    return handleBookingError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_BOOKING_PAGE
+    );
+  }
+};
+
+/**
+ * Lists the open slots of a service on a day.
+ *
+ * @route GET /booking/:slug/availability?serviceId&date&stylistId
+ * @param {Object} req - The request object containing `serviceId`, `date` and optional `stylistId` query parameters.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the open slots per stylist.
+ */
+export const getBookingAvailabilityController = async (req, res) => {
+  const { error, value: query } = validateBookingAvailabilityQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const availability = await listBookableAvailability(req.companyId, query);
+    return res.status(200).json(availability);
+  } catch (error) {
+    return handleBookingError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_TO_GET_AVAILABILITY
+    );
+  }
+};
+
+/**
+ * Emails a guest the OTP that confirms their booking.
+ *
+ * @route POST /booking/:slug/otp
+ * @param {Object} req - The request object containing `email` in the body.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>}
+ */
+export const requestBookingOtpController = async (req, res) => {
+  const { error, value: input } = validateBookingOtpInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    await requestBookingOtp(input.email);
+    return res.status(200).json({ message: SUCCESS_MESSAGES.OTP_SEND });
+  } catch (error) {
+    return handleBookingError(res, error, ERROR_MESSAGES.FAILED_SENDING_OTP);
+  }
+};
+
+/**
+ * Books an appointment as a guest.
+ *
+ * @route POST /booking/:slug/appointments
+ * @param {Object} req - The request object containing `name`, `phone`, `email`, `otp`, `serviceId`,
+ * optional `stylistId`, `date`, `time` and optional `note` in the body.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends a summary of the booked appointment.
+ */
+export const bookOnlineController = async (req, res) => {
+  const { error, value: input } = validateOnlineBookingInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const appointment = await bookOnline(req.company, input);
+    return res.status(201).json({
+      message: SUCCESS_MESSAGES.ONLINE_BOOKING_CONFIRMED,
+      appointment,
+    });
+  } catch (error) {
+    return handleBookingError(res, error, ERROR_MESSAGES.FAILED_BOOKING_ONLINE);
+  }
+};
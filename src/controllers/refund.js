@@ -0,0 +1,187 @@
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  approveRefund,
+  listPaymentRefunds,
+  listRefunds,
+  rejectRefund,
+  requestRefund,
+} from "../services/refund.js";
+import {
+  validateRefundList,
+  validateRefundRequest,
+  validateRefundReview,
+} from "../validators/refund.js";
+
+const handleRefundError = createServiceErrorHandler({
+  400: [ERROR_MESSAGES.INVALID_ID_FORMAT],
+  404: [ERROR_MESSAGES.PAYMENT_NOT_FOUND, ERROR_MESSAGES.REFUND_NOT_FOUND],
+  409: [
+    ERROR_MESSAGES.PAYMENT_NOT_REFUNDABLE,
+    ERROR_MESSAGES.REFUND_EXCEEDS_PAYMENT,
+    ERROR_MESSAGES.REFUND_ALREADY_REVIEWED,
+  ],
+  502: [ERROR_MESSAGES.PAYMENT_GATEWAY_ERROR],
+});
+
+/**
+ * Sends a 400 with the messages of a failed validation.
+ *
+ * @param {Object} res - The response object.
+ * @param {Object} error - The Joi validation error.
+ */
+const sendValidationError = (res, error) =>
+  res.status(400).json({
+    error: error.details.map((detail) => detail.message).join(", "),
+  });
+
+/**
+ * Asks for part or all of a payment to be refunded; a company admin must approve it.
+ *
+ * @route POST /payment/:id/refunds
+ * @param {Object} req - The request object containing the payment ID in params and the
+ * `amount`, `reason` and `note` in the body.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the pending refund.
+ */
+export const requestRefundController = async (req, res) => {
+  const { error, value } = validateRefundRequest(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const refund = await requestRefund(
+      req.params.id,
+      req.companyId,
+      req.userId,
+      value
+    );
+    return res
+      .status(201)
+      .json({ message: SUCCESS_MESSAGES.REFUND_REQUESTED, refund });
+  } catch (error) {
+    return handleRefundError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_REQUESTING_REFUND
+    );
+  }
+};
+
+/**
+ * Lists the refunds of a payment with what is left to refund.
+ *
+ * @route GET /payment/:id/refunds
+ * @param {Object} req - The request object containing the payment ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the payment's amounts and refunds.
+ */
+export const listPaymentRefundsController = async (req, res) => {
+  try {
+    const refunds = await listPaymentRefunds(req.params.id, req.companyId);
+    return res.status(200).json(refunds);
+  } catch (error) {
+    return handleRefundError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_REFUNDS
+    );
+  }
+};
+
+/**
+ * Lists the company's refunds in one status, by default those waiting for approval.
+ *
+ * @route GET /payment/refunds
+ * @param {Object} req - The request object containing an optional `status` query.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the refunds.
+ */
+export const listRefundsController = async (req, res) => {
+  const { error, value } = validateRefundList(req.query);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const refunds = await listRefunds(req.companyId, value);
+    return res.status(200).json({ refunds });
+  } catch (error) {
+    return handleRefundError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_REFUNDS
+    );
+  }
+};
+
+/**
+ * Approves a pending refund and records it against its payment.
+ *
+ * @route POST /payment/refunds/:refundId/approve
+ * @param {Object} req - The request object containing the refund ID in params and an
+ * optional `note`.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the completed refund and the updated payment.
+ */
+export const approveRefundController = async (req, res) => {
+  const { error, value } = validateRefundReview(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const { refund, payment } = await approveRefund(
+      req.params.refundId,
+      req.companyId,
+      req.adminUserId,
+      value
+    );
+    return res.status(200).json({
+      message: SUCCESS_MESSAGES.REFUND_COMPLETED,
+      refund,
+      payment,
+    });
+  } catch (error) {
+    return handleRefundError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_REVIEWING_REFUND
+    );
+  }
+};
+
+/**
+ * Rejects a pending refund.
+ *
+ * @route POST /payment/refunds/:refundId/reject
+ * @param {Object} req - The request object containing the refund ID in params and an
+ * optional `note`.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the rejected refund.
+ */
+export const rejectRefundController = async (req, res) => {
+  const { error, value } = validateRefundReview(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const refund = await rejectRefund(
+      req.params.refundId,
+      req.companyId,
+      req.adminUserId,
+      value
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.REFUND_REJECTED, refund });
+  } catch (error) {
+    return handleRefundError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_REVIEWING_REFUND
+    );
+  }
+};
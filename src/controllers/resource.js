@@ -0,0 +1,127 @@
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  validateResourceInput,
+  validateResourceQuery,
+  validateResourceUpdate,
+} from "../validators/resource.js";
+import {
+  createResource,
+  deleteResource,
+  listResources,
+  updateResource,
+} from "../services/resource.js";
+
+const handleResourceError = createServiceErrorHandler({
+  400: [ERROR_MESSAGES.INVALID_RESOURCE_ID],
+  404: [ERROR_MESSAGES.RESOURCE_NOT_FOUND],
+  409: [ERROR_MESSAGES.RESOURCE_NAME_EXISTS],
+});
+
+/**
+ * Lists the company's chairs, rooms and equipment.
+ *
+ * @route GET /resources?type
+ * @param {Object} req - The request object containing the optional `type` query parameter.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the resources, by name.
+ */
+export const listResourcesController = async (req, res) => {
+  const { error, value } = validateResourceQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const resources = await listResources(req.companyId, value);
+    return res.status(200).json({ resources });
+  } catch (error) {
+    return handleResourceError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_RESOURCES
+    );
+  }
+};
+
+/**
+ * Creates a resource.
+ *
+ * @route POST /resources
+ * @param {Object} req - The request object containing `name`, `type`, optional `capacity` and `description`.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the new resource.
+ */
+export const createResourceController = async (req, res) => {
+  const { error, value } = validateResourceInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const resource = await createResource(req.companyId, value);
+    return res
+      .status(201)
+      .json({ message: SUCCESS_MESSAGES.RESOURCE_CREATED, resource });
+  } catch (error) {
+    return handleResourceError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_CREATING_RESOURCE
+    );
+  }
+};
+
+/**
+ * Updates a resource.
+ *
+ * @route PATCH /resources/:id
+ * @param {Object} req - The request object containing the resource ID in params and the fields to change.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the updated resource.
+ */
+export const updateResourceController = async (req, res) => {
+  const { error, value } = validateResourceUpdate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const resource = await updateResource(req.params.id, req.companyId, value);
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.RESOURCE_UPDATED, resource });
+  } catch (error) {
+    return handleResourceError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_UPDATING_RESOURCE
+    );
+  }
+};
+
+/**
+ * Soft deletes a resource. Services stop requiring it.
+ *
+ * @route PATCH /resources/soft-delete/:id
+ * @param {Object} req - The request object containing the resource ID in params.
+ * @param {Object} res - The response object.
+ */
+export const deleteResourceController = async (req, res) => {
+  try {
+    await deleteResource(req.params.id, req.companyId);
+    return res.status(200).json({ message: SUCCESS_MESSAGES.RESOURCE_DELETED });
+  } catch (error) {
+    return handleResourceError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_DELETING_RESOURCE
+    );
+  }
+};
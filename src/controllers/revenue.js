@@ -1,6 +1,76 @@
-import moment from "moment";
+import moment from "moment-timezone";
 import { Appointment } from "../models/Appointments.js";
-import { ERROR_MESSAGES } from "../constants.js";
+import { Payment } from "../models/Payment.js";
+import {
+  COLLECTED_PAYMENT_STATUSES,
+  ERROR_MESSAGES,
+  PAYMENT_TYPES,
+  TAX_PRICING_MODES,
+} from "../constants.js";
+import { getCompanySettings } from "../services/company.js";
+import { getRevenueReport } from "../services/revenue.js";
+import { getTaxLiabilityReport } from "../services/tax.js";
+import { getAppointmentLineItems } from "../utils/lineItems.js";
+
+const TAX_REPORT_BAD_REQUEST_ERRORS = [
+  ERROR_MESSAGES.INVALID_DATE_FORMAT,
+  ERROR_MESSAGES.TAX_REPORT_RANGE_TOO_LONG,
+  ERROR_MESSAGES.INVALID_REPORT_INTERVAL,
+];
+
+const REVENUE_REPORT_BAD_REQUEST_ERRORS = [
+  ERROR_MESSAGES.INVALID_DATE_FORMAT,
+  ERROR_MESSAGES.REVENUE_REPORT_RANGE_TOO_LONG,
+  ERROR_MESSAGES.INVALID_REPORT_INTERVAL,
+  ERROR_MESSAGES.INVALID_REVENUE_GROUP,
+];
+
+/**
+ * Works out the share of each appointment's revenue the company kept once refunds were
+ * given back, from the payments that settled it: its own and deposit payments, or the
+ * checkout sale it was billed on.
+ *
+ * @param {Array<Object>} appointments - The paid appointments.
+ * @returns {Promise<Map<string, number>>} - The share kept, from 0 to 1, per appointment `_id`.
+ */
+const getKeptShares = async (appointments) => {
+  const payments = await Payment.find(
+    {
+      status: { $in: COLLECTED_PAYMENT_STATUSES },
+      $or: [
+        {
+          appointmentId: { $in: appointments.map((item) => item._id) },
+          type: { $in: [PAYMENT_TYPES.APPOINTMENT, PAYMENT_TYPES.DEPOSIT] },
+        },
+        {
+          saleId: {
+            $in: appointments.map((item) => item.sale).filter(Boolean),
+          },
+        },
+      ],
+    },
+    { appointmentId: 1, saleId: 1, amount: 1, refundedAmount: 1 }
+  ).lean();
+
+  const totals = new Map();
+  payments.forEach((payment) => {
+    const key = String(payment.saleId || payment.appointmentId);
+    const total = totals.get(key) || { charged: 0, refunded: 0 };
+    total.charged += payment.amount;
+    total.refunded += payment.refundedAmount || 0;
+    totals.set(key, total);
+  });
+
+  const shares = new Map();
+  appointments.forEach((appointment) => {
+    const total = totals.get(String(appointment.sale || appointment._id));
+    shares.set(
+      String(appointment._id),
+      total?.charged > 0 ? 1 - Math.min(total.refunded / total.charged, 1) : 1
+    );
+  });
+  return shares;
+};
 
 export const getRevenueStats = async (req, res) => {
   const { companyId } = req;
@@ -9,18 +79,22 @@ export const getRevenueStats = async (req, res) => {
   try {
     let startDate, endDate;
 
+    // Revenue windows follow the salon's calendar, not the server's
+    const { timeZone } = await getCompanySettings(companyId);
+    const now = moment.tz(timeZone);
+
     // Determine start and end dates based on selected duration
     if (duration === "daily") {
       // Set the start date to the beginning of the current day
-      startDate = moment().startOf("day").toDate(); // Convert to JavaScript Date object
+      startDate = now.clone().startOf("day").toDate(); // Convert to JavaScript Date object
       // Set the end date to the end of the current day
-      endDate = moment().endOf("day").toDate(); // Convert to JavaScript Date object
+      endDate = now.clone().endOf("day").toDate(); // Convert to JavaScript Date object
     } else if (duration === "weekly") {
-      startDate = moment().startOf("isoWeek").toDate();
-      endDate = moment().endOf("isoWeek").toDate();
+      startDate = now.clone().startOf("isoWeek").toDate();
+      endDate = now.clone().endOf("isoWeek").toDate();
     } else if (duration === "monthly") {
-      startDate = moment().startOf("month").toDate();
-      endDate = moment().endOf("month").toDate();
+      startDate = now.clone().startOf("month").toDate();
+      endDate = now.clone().endOf("month").toDate();
     } else {
       return res.status(400).json({ message: ERROR_MESSAGES.INVALID_DURATION });
     }
@@ -34,28 +108,107 @@ export const getRevenueStats = async (req, res) => {
         $gte: startDate, // Greater than or equal to the start date
         $lte: endDate, // Less than or equal to the end date
       },
-    }).populate("service", "price serviceName");
+    })
+      .populate("service", "price serviceName")
+      .populate("stylistId", "employeeName")
+      .populate("lineItems.service", "serviceName")
+      .populate("lineItems.stylistId", "employeeName");
 
-    // Calculate revenue per service safely
-    const revenuePerService = appointments.reduce((acc, appointment) => {
-      const price = appointment.service?.price
-        ? Number(appointment.service.price)
-        : 0;
-      const serviceName = appointment.service?.serviceName || "";
+    // Calculate revenue per service and per stylist from each line item safely
+    const revenuePerService = {};
+    const revenuePerStylist = {};
+    const keptShares = await getKeptShares(appointments);
+    appointments.forEach((appointment) => {
+      // Revenue excludes the tax collected for the authorities
+      const includesTax =
+        appointment.taxPricingMode === TAX_PRICING_MODES.INCLUSIVE;
+      // Revenue is net of refunds, shared across the line items
+      const keptShare = keptShares.get(String(appointment._id));
+      getAppointmentLineItems(appointment).forEach((item) => {
+        // Line items keep the price they were booked at; older appointments use the service's price
+        const price =
+          ((item.price ??
+            (item.service?.price ? Number(item.service.price) : 0)) -
+            (includesTax ? item.tax || 0 : 0)) *
+          keptShare;
+        const serviceName = item.service?.serviceName || "";
+        const stylistName = item.stylistId?.employeeName || "";
 
-      if (!acc[serviceName]) {
-        acc[serviceName] = 0; // Initialize if the service doesn't exist yet
-      }
-
-      acc[serviceName] += price; // Accumulate revenue for each service
-      return acc;
-    }, {});
+        revenuePerService[serviceName] =
+          (revenuePerService[serviceName] || 0) + price;
+        revenuePerStylist[stylistName] =
+          (revenuePerStylist[stylistName] || 0) + price;
+      });
+    });
 
     return res.json({
       duration,
       revenuePerService, // Sending service-wise revenue in the response
+      revenuePerStylist,
     });
   } catch (error) {
     res.status(500).json({ message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR });
   }
 };
+
+/**
+ * Retrieves the tax collected on paid payments per period and tax category, e.g. for a GST
+ * return.
+ *
+ * @route GET /revenue/tax-liability?from&to&interval
+ * @param {Object} req - The request object containing `from`, optional `to` (YYYY-MM-DD, defaults to `from`) and optional `interval` (day, week or month) query parameters.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the tax liability per period, with the totals.
+ */
+export const getTaxLiabilityReportController = async (req, res) => {
+  const { from, to, interval } = req.query;
+
+  try {
+    const report = await getTaxLiabilityReport(req.companyId, {
+      from,
+      to: to || from,
+      interval,
+    });
+    return res.status(200).json(report);
+  } catch (error) {
+    if (TAX_REPORT_BAD_REQUEST_ERRORS.includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(ERROR_MESSAGES.FAILED_FETCHING_TAX_REPORT, error);
+    return res
+      .status(500)
+      .json({ error: ERROR_MESSAGES.FAILED_FETCHING_TAX_REPORT });
+  }
+};
+
+/**
+ * Retrieves the revenue collected over a range of days per period, optionally grouped by
+ * service, category, stylist or payment method, and compared with the prior period.
+ *
+ * @route GET /revenue/report?from&to&interval&groupBy&compare
+ * @param {Object} req - The request object containing `from`, optional `to` (YYYY-MM-DD, defaults to `from`), optional `interval` (day, week or month), optional `groupBy` (service, category, stylist or payment-method) and optional `compare` (`false` to skip the prior period) query parameters.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the revenue per period and group, with the totals.
+ */
+export const getRevenueReportController = async (req, res) => {
+  const { from, to, interval, groupBy, compare } = req.query;
+
+  try {
+    const report = await getRevenueReport(req.companyId, {
+      from,
+      to: to || from,
+      interval,
+      groupBy,
+      compare: compare !== "false",
+    });
+    return res.status(200).json(report);
+  } catch (error) {
+    if (REVENUE_REPORT_BAD_REQUEST_ERRORS.includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(ERROR_MESSAGES.FAILED_FETCHING_REVENUE_REPORT, error);
+    return res
+      .status(500)
+      .json({ error: ERROR_MESSAGES.FAILED_FETCHING_REVENUE_REPORT });
+  }
+};
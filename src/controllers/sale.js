@@ -0,0 +1,79 @@
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import { checkoutSale, getSaleReceipt } from "../services/sale.js";
+import { validateSaleInput } from "../validators/sale.js";
+
+const handleSaleError = createServiceErrorHandler({
+  400: [
+    ERROR_MESSAGES.INVALID_ID_FORMAT,
+    ERROR_MESSAGES.EMPTY_SALE,
+    ERROR_MESSAGES.TENDERS_DO_NOT_COVER_TOTAL,
+    ERROR_MESSAGES.CHANGE_EXCEEDS_CASH,
+    ERROR_MESSAGES.APPOINTMENTS_OF_DIFFERENT_CLIENTS,
+  ],
+  404: [
+    ERROR_MESSAGES.SALE_NOT_FOUND,
+    ERROR_MESSAGES.APPOINTMENT_NOT_FOUND,
+    ERROR_MESSAGES.STOCK_NOT_FOUND,
+    ERROR_MESSAGES.CLIENT_NOT_FOUND,
+    ERROR_MESSAGES.STYLIST_NOT_FOUND,
+  ],
+  409: [
+    ERROR_MESSAGES.APPOINTMENT_NOT_BILLABLE,
+    ERROR_MESSAGES.APPOINTMENT_ALREADY_PAID,
+    ERROR_MESSAGES.INSUFFICIENT_STOCK,
+    ERROR_MESSAGES.STOCK_EXPIRED,
+  ],
+});
+
+/**
+ * Checks out a sale: appointment services and retail products, with an optional discount,
+ * tips per stylist and split tenders. Tax follows the company's tax settings.
+ *
+ * @route POST /sales
+ * @param {Object} req - The request object containing `appointments`, `products`, optional
+ * `clientId`, `discount`, `tips` and `tenders`.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the sale, its payment and the receipt.
+ */
+export const checkoutSaleController = async (req, res) => {
+  const { error, value } = validateSaleInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const { sale, payment, receipt } = await checkoutSale(
+      req.companyId,
+      req.userId,
+      value
+    );
+    return res.status(201).json({
+      message: SUCCESS_MESSAGES.SALE_COMPLETED,
+      sale,
+      payment,
+      receipt,
+    });
+  } catch (error) {
+    return handleSaleError(res, error, ERROR_MESSAGES.FAILED_CHECKING_OUT);
+  }
+};
+
+/**
+ * Fetches the receipt of a sale.
+ *
+ * @route GET /sales/:id/receipt
+ * @param {Object} req - The request object containing the sale ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the receipt.
+ */
+export const getSaleReceiptController = async (req, res) => {
+  try {
+    const receipt = await getSaleReceipt(req.params.id, req.companyId);
+    return res.status(200).json({ receipt });
+  } catch (error) {
+    return handleSaleError(res, error, ERROR_MESSAGES.FAILED_FETCHING_RECEIPT);
+  }
+};
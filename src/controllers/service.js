@@ -10,9 +10,33 @@ import {
   APPOINTMENT_STATUS,
 } from "../constants.js";
 import { uploadImageToFirebase } from "../services/firebaseStorage.js";
+import { resolveRequiredResources } from "../services/resource.js";
+import { resolveTaxCategory } from "../services/tax.js";
 import { generateNextSTId } from "../utils/idGenerator.js";
+import parseDurationToMinutes from "../utils/duration.js";
+import {
+  validateServiceDeposit,
+  validateServiceTiming,
+} from "../validators/service.js";
 import { Appointment } from "../models/Appointments.js";
 
+/**
+ * Reads a free-text duration in minutes; a bare number is taken as minutes.
+ *
+ * @param {string|number} duration - The duration, e.g. "45 mins" or 45.
+ * @returns {number|null} - The minutes, or null if the duration cannot be read.
+ */
+const readDurationMinutes = (duration) => {
+  if (/^\d+$/.test(String(duration).trim())) {
+    return Number(duration);
+  }
+  try {
+    return parseDurationToMinutes(String(duration).trim());
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Adds a new service to the system, including uploading an image (if provided),
  * creating a service entry, generating a service ID, saving a notification,
@@ -24,8 +48,18 @@ import { Appointment } from "../models/Appointments.js";
  * @param {string} req.body.category - The category of the service.
  * @param {string} req.body.description - The description of the service.
  * @param {number} req.body.duration - The duration of the service.
+ * @param {number} [req.body.durationMinutes] - The duration in minutes, processing time included. Replaces `duration`.
+ * @param {number} [req.body.bufferBeforeMinutes] - Setup time before the service.
+ * @param {number} [req.body.bufferAfterMinutes] - Cleanup time after the service.
+ * @param {number} [req.body.processingStartMinutes] - Minutes into the service when processing starts.
+ * @param {number} [req.body.processingMinutes] - Processing time, during which the stylist can serve another client.
  * @param {number} req.body.price - The price of the service.
  * @param {Array} req.body.roles - The list of roles that can access the service.
+ * @param {Array|string} [req.body.requiredResources] - The rooms and equipment the service needs (IDs, array or comma separated).
+ * @param {string} [req.body.depositType] - `fixed` or `percentage` when booking the service requires a deposit.
+ * @param {number} [req.body.depositValue] - The deposit amount, or the percentage of the price.
+ * @param {number} [req.body.depositHoldMinutes] - How long a booking holds its slot while the deposit is unpaid.
+ * @param {string} [req.body.taxCategory] - Code of the company tax category the service is charged under.
  * @param {Object} req.file - The uploaded file containing the service image (optional).
  * @param {Object} req - The request object.
  * @param {string} req.companyId - The company ID.
@@ -35,8 +69,15 @@ import { Appointment } from "../models/Appointments.js";
 
 export const addServices = async (req, res) => {
   try {
-    const { serviceName, category, description, duration, price, roles } =
-      req.body;
+    const {
+      serviceName,
+      category,
+      description,
+      duration,
+      price,
+      roles,
+      requiredResources,
+    } = req.body;
     console.log("req body in service", req.body);
     const { companyId } = req;
 
@@ -46,6 +87,34 @@ export const addServices = async (req, res) => {
         .json({ error: ERROR_MESSAGES.SERVICE_NAME_REQUIRED });
     }
 
+    const { error: timingError, value: timing } = validateServiceTiming({
+      ...req.body,
+      durationMinutes:
+        req.body.durationMinutes ?? readDurationMinutes(duration),
+    });
+    if (timingError) {
+      return res.status(400).json({
+        error: timingError.details.map((detail) => detail.message).join(", "),
+      });
+    }
+
+    const { error: depositError, value: deposit } = validateServiceDeposit(
+      req.body
+    );
+    if (depositError) {
+      return res.status(400).json({
+        error: depositError.details.map((detail) => detail.message).join(", "),
+      });
+    }
+
+    const resourceIds = requiredResources
+      ? await resolveRequiredResources(companyId, requiredResources)
+      : [];
+    const taxCategory = await resolveTaxCategory(
+      companyId,
+      req.body.taxCategory
+    );
+
     let photoToUse = "";
     if (req.file) {
       try {
@@ -67,9 +136,17 @@ export const addServices = async (req, res) => {
       serviceName,
       category: categoryId,
       description,
-      duration,
+      ...timing,
+      ...deposit,
+      // The free-text duration follows the structured one when both are sent
+      duration:
+        req.body.durationMinutes !== undefined
+          ? `${timing.durationMinutes} mins`
+          : duration,
       price,
       serviceImage: photoToUse || DEFAULT_PROFILE_IMAGE_URL,
+      requiredResources: resourceIds,
+      taxCategory,
       companyId,
     });
 
@@ -131,6 +208,15 @@ export const addServices = async (req, res) => {
 
     res.status(201).json(newService);
   } catch (error) {
+    if (
+      error.message === ERROR_MESSAGES.INVALID_RESOURCE_ID ||
+      error.message === ERROR_MESSAGES.TAX_CATEGORY_NOT_FOUND
+    ) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === ERROR_MESSAGES.RESOURCE_NOT_FOUND) {
+      return res.status(404).json({ error: error.message });
+    }
     console.error("Error adding service:", error);
     res.status(500).json({ error: ERROR_MESSAGES.FAILED_ADDING_SERVICE });
   }
@@ -453,6 +539,54 @@ export const updateService = async (req, res) => {
       updatedData.serviceImage = photoToUse;
     }
 
+    // Buffers and processing time are checked against the rest of the service's timing
+    const hasDurationMinutes = updatedData.durationMinutes !== undefined;
+    const { error: timingError, value: timing } = validateServiceTiming({
+      ...service.toObject(),
+      ...updatedData,
+      ...(!hasDurationMinutes &&
+        updatedData.duration !== undefined && {
+          durationMinutes: readDurationMinutes(updatedData.duration),
+        }),
+    });
+    if (timingError) {
+      return res.status(400).json({
+        error: timingError.details.map((detail) => detail.message).join(", "),
+      });
+    }
+    Object.assign(updatedData, timing);
+    if (hasDurationMinutes) {
+      updatedData.duration = `${timing.durationMinutes} mins`;
+    }
+
+    // A deposit value is checked against the deposit type, sent or already set
+    const { error: depositError, value: deposit } = validateServiceDeposit({
+      ...service.toObject(),
+      ...updatedData,
+    });
+    if (depositError) {
+      return res.status(400).json({
+        error: depositError.details.map((detail) => detail.message).join(", "),
+      });
+    }
+    Object.assign(updatedData, deposit);
+
+    // An empty value clears the rooms and equipment the service needs
+    if (updatedData.requiredResources !== undefined) {
+      updatedData.requiredResources = await resolveRequiredResources(
+        companyId,
+        updatedData.requiredResources
+      );
+    }
+
+    // An empty value clears the tax category; the company's default then applies
+    if (updatedData.taxCategory !== undefined) {
+      updatedData.taxCategory = await resolveTaxCategory(
+        companyId,
+        updatedData.taxCategory
+      );
+    }
+
     // Convert roles to ObjectId array if provided
     let formattedRoles = [];
 
@@ -488,6 +622,15 @@ export const updateService = async (req, res) => {
       updatedService,
     });
   } catch (error) {
+    if (
+      error.message === ERROR_MESSAGES.INVALID_RESOURCE_ID ||
+      error.message === ERROR_MESSAGES.TAX_CATEGORY_NOT_FOUND
+    ) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === ERROR_MESSAGES.RESOURCE_NOT_FOUND) {
+      return res.status(404).json({ error: error.message });
+    }
     console.error("Error updating service:", error);
     res.status(500).json({ error: ERROR_MESSAGES.FAILED_UPDATING_SERVICE });
   }
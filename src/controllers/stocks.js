@@ -6,6 +6,7 @@ import {
   SUCCESS_MESSAGES,
 } from "../constants.js";
 import { uploadImageToFirebase } from "../services/firebaseStorage.js";
+import { resolveTaxCategory } from "../services/tax.js";
 import { stockValidationSchema } from "../validators/stock.js";
 import { generateNextStockId } from "../utils/idGenerator.js";
 import Category from "../models/Category.js";
@@ -23,6 +24,7 @@ import Category from "../models/Category.js";
  * @param {string} req.body.stockDescription - The description of the stock item.
  * @param {number} req.body.reorderQuantity - The quantity at which the stock should be reordered.
  * @param {number} req.body.price - The price of the stock item.
+ * @param {string} [req.body.taxCategory] - Code of the company tax category the stock item is sold under.
  * @param {Object} req.file - The uploaded file for the stock image.
  * @param {string} req.companyId - The ID of the company adding the stock.
  * @param {Object} res - The response object.
@@ -65,6 +67,11 @@ export const addNewStock = async (req, res) => {
       return res.status(400).json({ message: ERROR_MESSAGES.INVALID_CATEGORY });
     }
 
+    const taxCategory = await resolveTaxCategory(
+      companyId,
+      req.body.taxCategory
+    );
+
     const stockExists = await Stocks.findOne({
       stockName,
       companyId,
@@ -129,6 +136,7 @@ export const addNewStock = async (req, res) => {
       reorderQuantity,
       companyId,
       price,
+      taxCategory,
     });
 
     await newStock.save();
@@ -138,6 +146,9 @@ export const addNewStock = async (req, res) => {
       stock: newStock,
     });
   } catch (error) {
+    if (error.message === ERROR_MESSAGES.TAX_CATEGORY_NOT_FOUND) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({
       message: ERROR_MESSAGES.FAILED_TO_ADD_STOCK,
       error: error.message,
@@ -381,6 +392,14 @@ export const updateStock = async (req, res) => {
       return res.status(404).json({ message: ERROR_MESSAGES.STOCK_NOT_FOUND });
     }
 
+    // An empty value clears the tax category; the company's default then applies
+    if (updateData.taxCategory !== undefined) {
+      updateData.taxCategory = await resolveTaxCategory(
+        companyId,
+        updateData.taxCategory
+      );
+    }
+
     let productImage = stock.stockImage; // Default to the current image
 
     // Check if a new image was uploaded
@@ -426,6 +445,9 @@ export const updateStock = async (req, res) => {
       stock: updatedStock,
     });
   } catch (error) {
+    if (error.message === ERROR_MESSAGES.TAX_CATEGORY_NOT_FOUND) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({
       message: ERROR_MESSAGES.FAILED_TO_UPDATE_STOCK,
       error: error.message,
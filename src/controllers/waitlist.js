@@ -0,0 +1,158 @@
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  validateWaitlistInput,
+  validateWaitlistQuery,
+} from "../validators/waitlist.js";
+import {
+  addToWaitlist,
+  cancelWaitlistEntry,
+  claimWaitlistOffer,
+  getWaitlistOffer,
+  listWaitlist,
+} from "../services/waitlist.js";
+
+const handleWaitlistError = createServiceErrorHandler({
+  400: [
+    ERROR_MESSAGES.INVALID_ID_FORMAT,
+    ERROR_MESSAGES.WAITLIST_DATES_IN_PAST,
+    ERROR_MESSAGES.STYLIST_NOT_ELIGIBLE_FOR_SERVICE,
+  ],
+  404: [
+    ERROR_MESSAGES.WAITLIST_ENTRY_NOT_FOUND,
+    ERROR_MESSAGES.WAITLIST_OFFER_NOT_FOUND,
+    ERROR_MESSAGES.CLIENT_NOT_FOUND,
+    ERROR_MESSAGES.SERVICE_NOT_FOUND,
+    ERROR_MESSAGES.STYLIST_NOT_FOUND,
+  ],
+  409: [
+    ERROR_MESSAGES.WAITLIST_ENTRY_NOT_ACTIVE,
+    ERROR_MESSAGES.WAITLIST_OFFER_NO_LONGER_AVAILABLE,
+  ],
+  410: [ERROR_MESSAGES.WAITLIST_OFFER_EXPIRED],
+});
+
+/**
+ * Adds a client to the waitlist.
+ *
+ * @route POST /waitlist
+ * @param {Object} req - The request object containing `clientId`, `service`, optional `stylistId`, `fromDate`, `toDate` and `note`.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the new waitlist entry.
+ */
+export const addToWaitlistController = async (req, res) => {
+  const { error, value } = validateWaitlistInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const entry = await addToWaitlist(req.companyId, value);
+    return res
+      .status(201)
+      .json({ message: SUCCESS_MESSAGES.ADDED_TO_WAITLIST, entry });
+  } catch (error) {
+    return handleWaitlistError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_ADDING_TO_WAITLIST
+    );
+  }
+};
+
+/**
+ * Lists the company's waitlist.
+ *
+ * @route GET /waitlist?status
+ * @param {Object} req - The request object containing the optional `status` query parameter.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the waitlist entries, oldest first.
+ */
+export const listWaitlistController = async (req, res) => {
+  const { error, value } = validateWaitlistQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const entries = await listWaitlist(req.companyId, value);
+    return res.status(200).json({ entries });
+  } catch (error) {
+    return handleWaitlistError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_WAITLIST
+    );
+  }
+};
+
+/**
+ * Takes a client off the waitlist.
+ *
+ * @route PATCH /waitlist/:id/cancel
+ * @param {Object} req - The request object containing the entry ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the cancelled entry.
+ */
+export const cancelWaitlistEntryController = async (req, res) => {
+  try {
+    const entry = await cancelWaitlistEntry(req.params.id, req.companyId);
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.WAITLIST_ENTRY_CANCELLED, entry });
+  } catch (error) {
+    return handleWaitlistError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_CANCELLING_WAITLIST_ENTRY
+    );
+  }
+};
+
+/**
+ * Retrieves the slot offered by a claim link. Public: the token is the credential.
+ *
+ * @route GET /waitlist/offers/:token
+ * @param {Object} req - The request object containing the claim token in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the offered slot and whether it can still be claimed.
+ */
+export const getWaitlistOfferController = async (req, res) => {
+  try {
+    const offer = await getWaitlistOffer(req.params.token);
+    return res.status(200).json(offer);
+  } catch (error) {
+    return handleWaitlistError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_WAITLIST_OFFER
+    );
+  }
+};
+
+/**
+ * Claims an offered slot and books it. Public: the token is the credential.
+ *
+ * @route POST /waitlist/offers/:token/claim
+ * @param {Object} req - The request object containing the claim token in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the booked appointment.
+ */
+export const claimWaitlistOfferController = async (req, res) => {
+  try {
+    const appointment = await claimWaitlistOffer(req.params.token);
+    return res
+      .status(201)
+      .json({ message: SUCCESS_MESSAGES.WAITLIST_OFFER_CLAIMED, appointment });
+  } catch (error) {
+    return handleWaitlistError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_CLAIMING_WAITLIST_OFFER
+    );
+  }
+};
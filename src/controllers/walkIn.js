@@ -0,0 +1,139 @@
+import {
+  AVAILABILITY_ERRORS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+} from "../constants.js";
+import { createServiceErrorHandler } from "../helpers/handleServiceError.js";
+import {
+  validateWalkInInput,
+  validateWalkInStartInput,
+} from "../validators/walkIn.js";
+import {
+  addWalkIn,
+  getWalkInQueue,
+  removeWalkIn,
+  startWalkIn,
+} from "../services/walkIn.js";
+
+const handleWalkInError = createServiceErrorHandler({
+  400: [
+    ERROR_MESSAGES.INVALID_ID_FORMAT,
+    ERROR_MESSAGES.STYLIST_NOT_ELIGIBLE_FOR_SERVICE,
+  ],
+  404: [
+    ERROR_MESSAGES.WALK_IN_NOT_FOUND,
+    ERROR_MESSAGES.CLIENT_NOT_FOUND,
+    ERROR_MESSAGES.SERVICE_NOT_FOUND,
+    ERROR_MESSAGES.STYLIST_NOT_FOUND,
+  ],
+  409: [
+    ERROR_MESSAGES.WALK_IN_NOT_WAITING,
+    ERROR_MESSAGES.NO_STYLIST_AVAILABLE_FOR_WALK_IN,
+    ...AVAILABILITY_ERRORS,
+  ],
+});
+
+/**
+ * Retrieves the live walk-in queue with estimated waits.
+ *
+ * @route GET /walk-ins
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the waiting clients in order with their estimated stylist and wait.
+ */
+export const getWalkInQueueController = async (req, res) => {
+  try {
+    const result = await getWalkInQueue(req.companyId);
+    return res.status(200).json(result);
+  } catch (error) {
+    return handleWalkInError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_FETCHING_WALK_IN_QUEUE
+    );
+  }
+};
+
+/**
+ * Adds an existing or new client to the walk-in queue.
+ *
+ * @route POST /walk-ins
+ * @param {Object} req - The request object containing `clientId` or `client`, `service`, and optional `stylistId` and `note`.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the queue item with its position and estimated wait.
+ */
+export const addWalkInController = async (req, res) => {
+  const { error, value } = validateWalkInInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const walkIn = await addWalkIn(req.companyId, req.userId, value);
+    return res
+      .status(201)
+      .json({ message: SUCCESS_MESSAGES.WALK_IN_ADDED, ...walkIn });
+  } catch (error) {
+    return handleWalkInError(res, error, ERROR_MESSAGES.FAILED_ADDING_WALK_IN);
+  }
+};
+
+/**
+ * Starts serving a walk-in, converting it into an appointment that starts now.
+ *
+ * @route PATCH /walk-ins/:id/start
+ * @param {Object} req - The request object containing the optional `stylistId` in the body.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the started walk-in and its appointment.
+ */
+export const startWalkInController = async (req, res) => {
+  const { error, value } = validateWalkInStartInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: error.details.map((detail) => detail.message).join(", "),
+    });
+  }
+
+  try {
+    const result = await startWalkIn(
+      req.params.id,
+      req.companyId,
+      req.userId,
+      value
+    );
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.WALK_IN_STARTED, ...result });
+  } catch (error) {
+    return handleWalkInError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_STARTING_WALK_IN
+    );
+  }
+};
+
+/**
+ * Removes a client who left from the walk-in queue.
+ *
+ * @route PATCH /walk-ins/:id/remove
+ * @param {Object} req - The request object containing the walk-in ID in params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - Sends the removed walk-in.
+ */
+export const removeWalkInController = async (req, res) => {
+  try {
+    const walkIn = await removeWalkIn(req.params.id, req.companyId);
+    return res
+      .status(200)
+      .json({ message: SUCCESS_MESSAGES.WALK_IN_REMOVED, walkIn });
+  } catch (error) {
+    return handleWalkInError(
+      res,
+      error,
+      ERROR_MESSAGES.FAILED_REMOVING_WALK_IN
+    );
+  }
+};
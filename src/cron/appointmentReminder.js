@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import { REMINDER } from "../constants.js";
+import { sendDueReminders } from "../services/reminder.js";
+
+export const startAppointmentReminderCron = () => {
+  cron.schedule(REMINDER.CRON_SCHEDULE, async () => {
+    try {
+      // Reminders already sent are recorded on the appointment and skipped
+      const sent = await sendDueReminders();
+
+      console.log(`Appointment reminders sent: ${sent}.`);
+    } catch (error) {
+      console.error("Error sending appointment reminders:", error);
+    }
+  });
+};
@@ -0,0 +1,18 @@
+import cron from "node-cron";
+import { DEPOSIT } from "../constants.js";
+import { releaseExpiredDepositHolds } from "../services/deposit.js";
+
+export const startDepositHoldReleaseCron = () => {
+  cron.schedule(DEPOSIT.CRON_SCHEDULE, async () => {
+    try {
+      // Holds paid in the meantime are skipped
+      const released = await releaseExpiredDepositHolds();
+
+      if (released > 0) {
+        console.log(`Unpaid deposit holds released: ${released}.`);
+      }
+    } catch (error) {
+      console.error("Error releasing unpaid deposit holds:", error);
+    }
+  });
+};
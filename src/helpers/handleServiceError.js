@@ -0,0 +1,31 @@
+/**
+ * Creates the error handler of a controller. Errors whose message is listed under an HTTP
+ * status are answered with that status and the message, plus the details some errors
+ * carry, e.g. the alternatives to an unavailable slot. Anything else is logged and answered
+ * with a 500 and the fallback message.
+ *
+ * @param {Object<number, Array<string>>} statuses - Known service error messages, by HTTP status.
+ * @param {Object} [options] - The options.
+ * @param {string} [options.key] - The response field holding the message; `error` by default.
+ * @returns {function(Object, Error, string): Object} - Sends the response for
+ * `(res, error, fallback)`.
+ */
+export const createServiceErrorHandler =
+  (statuses, { key = "error" } = {}) =>
+  (res, error, fallback) => {
+    const status = Object.keys(statuses).find((code) =>
+      statuses[code].includes(error.message)
+    );
+    if (!status) {
+      console.error(fallback, error);
+      return res.status(500).json({ [key]: fallback });
+    }
+
+    const { lineItem, alternatives, skippedDates } = error;
+    return res.status(Number(status)).json({
+      [key]: error.message,
+      ...(lineItem !== undefined && { lineItem }),
+      ...(alternatives !== undefined && { alternatives }),
+      ...(skippedDates !== undefined && { skippedDates }),
+    });
+  };
@@ -4,16 +4,22 @@ import dotenv from "dotenv";
 import helmet from "helmet";
 import cookieParser from "cookie-parser";
 import { startAppointmentStatusCron } from "./cron/appointmentStatusUpdate.js";
+import { startAppointmentReminderCron } from "./cron/appointmentReminder.js";
+import { startDepositHoldReleaseCron } from "./cron/depositHoldRelease.js";
 import routes from "./routes/index.js";
 import { errorHandler } from "./middleware/errorHandler.js";
 import { startServer } from "./config/server.js";
+import { TRUST_PROXY_HOPS } from "./config/env.js";
 import { startOfferStatusCron } from "./cron/offerStatusUpdate.js";
 import { startStockStatusCron } from "./cron/stockStatusUpdate.js";
 import { seedModules } from "./seeds/seedModules.js";
+import { checkPaymentGatewayConfig } from "./services/paymentGateway.js";
 import {
+  BASE_ROUTES,
   ERROR_MESSAGES,
   GENERAL_CONSTANTS,
   HOST,
+  PAYMENT_GATEWAY,
   PORT,
   ROUTES,
 } from "./constants.js";
@@ -21,6 +27,7 @@ import {
 dotenv.config();
 
 const app = express();
+app.set("trust proxy", TRUST_PROXY_HOPS);
 const port = parseInt(process.env.PORT || PORT, GENERAL_CONSTANTS.TEN);
 const host = process.env.HOST || HOST;
 
@@ -44,6 +51,15 @@ app.use(cors(corsOptions));
  */
 app.use(cookieParser());
 
+/**
+ * Webhooks keep their raw body, as gateway signatures are computed over the exact bytes.
+ * Mounted before the JSON parser, which skips bodies that were already read.
+ */
+app.use(
+  `${ROUTES.BASE_ROUTE}${BASE_ROUTES.WEBHOOKS}`,
+  express.raw({ type: "*/*", limit: PAYMENT_GATEWAY.WEBHOOK_BODY_LIMIT })
+);
+
 /**
  * Middleware to parse JSON requests.
  */
@@ -70,6 +86,16 @@ app.use(ROUTES.BASE_ROUTE, routes); // Mounting all API routes
  */
 app.use(errorHandler);
 
+/**
+ * Refuses to start in production without a real payment gateway.
+ */
+try {
+  checkPaymentGatewayConfig();
+} catch (error) {
+  console.error(ERROR_MESSAGES.FAILED_STARTING_SERVER, error);
+  process.exit(1);
+}
+
 /**
  * Starts the server and runs the cron jobs once the server is ready.
  * @param {Express} app - The Express application instance.
@@ -81,6 +107,8 @@ startServer(app, port, host)
     // Start the cron job after the server starts
     seedModules();
     startAppointmentStatusCron();
+    startAppointmentReminderCron();
+    startDepositHoldReleaseCron();
     startOfferStatusCron();
     startStockStatusCron();
   })
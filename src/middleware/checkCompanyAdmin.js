@@ -0,0 +1,40 @@
+import { ERROR_MESSAGES, USER_ROLES } from "../constants.js";
+import { User } from "../models/User.js";
+
+/**
+ * Middleware to allow only the admins of the current company through.
+ * Must run after `isAuthenticated` and `decodeCompanyToken`.
+ * The admin's user ID is attached to `req.adminUserId`.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ *
+ * @returns {Promise<void>}
+ */
+export const checkCompanyAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      firebaseUid: req.userId,
+      company: req.companyId,
+    }).populate("role");
+
+    const isAdmin = [USER_ROLES.SUPERADMIN, USER_ROLES.ADMIN].includes(
+      user?.role?.roleName
+    );
+
+    if (!isAdmin) {
+      return res
+        .status(403)
+        .json({ message: ERROR_MESSAGES.ACCESS_DENIED_NOT_A_COMPANY_ADMIN });
+    }
+
+    req.adminUserId = user._id;
+    next();
+  } catch (error) {
+    console.error(ERROR_MESSAGES.ACCESS_DENIED_NOT_A_COMPANY_ADMIN, error);
+    return res
+      .status(500)
+      .json({ message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR });
+  }
+};
@@ -0,0 +1,37 @@
+import { ERROR_MESSAGES } from "../constants.js";
+import { User } from "../models/User.js";
+
+/**
+ * Middleware to allow only the staff of the current company through, whatever their role.
+ * Clients signed in through the mobile app are not company users and are rejected.
+ * Must run after `isAuthenticated` and `decodeCompanyToken`.
+ * The staff member's user ID is attached to `req.staffUserId`.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ *
+ * @returns {Promise<void>}
+ */
+export const checkCompanyStaff = async (req, res, next) => {
+  try {
+    const user = await User.findOne(
+      { firebaseUid: req.userId, company: req.companyId },
+      { _id: 1 }
+    );
+
+    if (!user) {
+      return res
+        .status(403)
+        .json({ message: ERROR_MESSAGES.ACCESS_DENIED_NOT_COMPANY_STAFF });
+    }
+
+    req.staffUserId = user._id;
+    next();
+  } catch (error) {
+    console.error(ERROR_MESSAGES.ACCESS_DENIED_NOT_COMPANY_STAFF, error);
+    return res
+      .status(500)
+      .json({ message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR });
+  }
+};
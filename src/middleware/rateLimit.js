@@ -0,0 +1,43 @@
+import { ERROR_MESSAGES } from "../constants.js";
+
+/**
+ * Builds a middleware allowing each client at most `max` requests per window. Requests are
+ * counted per IP address and, on routes with a `:slug`, per salon, in memory: each server
+ * process keeps its own counts.
+ *
+ * @param {Object} options - The limit.
+ * @param {number} options.windowMinutes - Length of the window.
+ * @param {number} options.max - Requests allowed in each window.
+ * @returns {Function} - The middleware; it answers 429 with a `Retry-After` header once the limit is reached.
+ */
+export const rateLimit = ({ windowMinutes, max }) => {
+  const windowMs = windowMinutes * 60 * 1000;
+  const hits = new Map();
+
+  // Forget clients whose window has ended, so the counts do not grow forever
+  setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    });
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = `${req.ip}:${req.params.slug || ""}`;
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: ERROR_MESSAGES.TOO_MANY_REQUESTS });
+    }
+    next();
+  };
+};
@@ -0,0 +1,33 @@
+import { ERROR_MESSAGES } from "../constants.js";
+import { findBookableCompany } from "../services/publicBooking.js";
+
+/**
+ * Middleware to find the salon of a public booking route from its `:slug`.
+ * Attaches the company's ID to `req.companyId`, as `decodeCompanyToken` does for staff,
+ * and the company itself to `req.company`.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ *
+ * @returns {Promise<void>}
+ */
+export const resolveBookingCompany = async (req, res, next) => {
+  try {
+    const company = await findBookableCompany(req.params.slug);
+    if (!company) {
+      return res
+        .status(404)
+        .json({ error: ERROR_MESSAGES.BOOKING_PAGE_NOT_FOUND });
+    }
+
+    req.company = company;
+    req.companyId = company._id;
+    next();
+  } catch (error) {
+    console.error(ERROR_MESSAGES.FAILED_FETCHING_BOOKING_PAGE, error);
+    return res
+      .status(500)
+      .json({ error: ERROR_MESSAGES.FAILED_FETCHING_BOOKING_PAGE });
+  }
+};
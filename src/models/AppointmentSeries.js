@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import { MODELS, PAYMENT_STATUS, RECURRENCE_FREQUENCY } from "../constants.js";
+
+/**
+ * @typedef {Object} AppointmentSeries
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {mongoose.Schema.Types.ObjectId} client - Reference to the Client model.
+ * @property {string} clientId - Identifier for the client.
+ * @property {mongoose.Schema.Types.ObjectId} service - Reference to the Services model.
+ * @property {mongoose.Schema.Types.ObjectId} stylistId - Reference to the Employee model.
+ * @property {string} frequency - How often the appointment repeats (weekly, biweekly, monthly).
+ * @property {string} startDate - Day of the first occurrence in `YYYY-MM-DD`, in the company's timezone.
+ * @property {string} time - Local start time of every occurrence in `HH:mm`.
+ * @property {string} [endDate] - Last day an occurrence may fall on, in `YYYY-MM-DD`.
+ * @property {number} [occurrenceCount] - Number of occurrences to generate when no end date is given.
+ * @property {string} [note] - Note copied onto every occurrence.
+ * @property {string} paidStatus - Payment status given to every occurrence.
+ * @property {Array<Object>} skippedDates - Dates not booked because the stylist was unavailable.
+ * @property {mongoose.Schema.Types.ObjectId} [splitFrom] - The series this one was split from by a "this and following" edit.
+ */
+
+/**
+ * A date of the series that was not booked, and why.
+ */
+const skippedDateSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true }, // YYYY-MM-DD
+    reason: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * Mongoose schema for the AppointmentSeries model.
+ * The series is the template; each occurrence is a regular Appointment referencing it.
+ * @type {mongoose.Schema<AppointmentSeries>}
+ */
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.CLIENT,
+      required: true,
+    },
+    clientId: { type: String, required: true },
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.SERVICES,
+      required: true,
+    },
+    stylistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.EMPLOYEE,
+      required: true,
+    },
+    frequency: {
+      type: String,
+      enum: Object.values(RECURRENCE_FREQUENCY),
+      required: true,
+    },
+    startDate: { type: String, required: true },
+    time: { type: String, required: true },
+    endDate: { type: String },
+    occurrenceCount: { type: Number },
+    note: { type: String },
+    paidStatus: {
+      type: String,
+      default: PAYMENT_STATUS.UNPAID,
+    },
+    skippedDates: [skippedDateSchema],
+    splitFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.APPOINTMENT_SERIES,
+    },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Mongoose model for the AppointmentSeries schema.
+ * @type {mongoose.Model<AppointmentSeries>}
+ */
+const AppointmentSeries = mongoose.model(
+  MODELS.APPOINTMENT_SERIES,
+  appointmentSeriesSchema
+);
+
+export default AppointmentSeries;
@@ -1,5 +1,12 @@
 import mongoose from "mongoose";
-import { APPOINTMENT_STATUS, GENERAL_CONSTANTS, MODELS, PAYMENT_STATUS } from "../constants.js";
+import {
+  APPOINTMENT_STATUS,
+  GENERAL_CONSTANTS,
+  MODELS,
+  PAYMENT_STATUS,
+  TAX_PRICING_MODES,
+} from "../constants.js";
+import { taxLineSchema } from "./Payment.js";
 
 /**
  * @typedef {Object} AppointmentIdTracker
@@ -25,20 +32,214 @@ const AppointmentIdTracker = mongoose.model(
   appointmentIdTrackerSchema
 );
 
+/**
+ * @typedef {Object} AppointmentLineItem
+ * @property {mongoose.Schema.Types.ObjectId} service - Reference to the Services model.
+ * @property {mongoose.Schema.Types.ObjectId} stylistId - Reference to the Employee performing the service.
+ * @property {number} startOffset - Minutes between the appointment start and the start of this service.
+ * @property {number} duration - Length of the service in minutes, processing time included.
+ * @property {number} bufferBefore - Setup minutes before the service, the stylist and resources are busy.
+ * @property {number} bufferAfter - Cleanup minutes after the service, the stylist and resources are busy.
+ * @property {number} processingStart - Minutes into the service when processing starts.
+ * @property {number} processingDuration - Minutes of processing, during which the stylist is free.
+ * @property {number} price - Price of the service at booking time.
+ * @property {string} [taxCategory] - Code of the tax category the service was charged under.
+ * @property {number} tax - Tax on the service, included in or added to the price depending on the pricing mode.
+ * @property {Array<mongoose.Schema.Types.ObjectId>} resources - Rooms and equipment reserved for the service.
+ */
+
+/**
+ * Mongoose schema for a service performed during an appointment.
+ * @type {mongoose.Schema<AppointmentLineItem>}
+ */
+const appointmentLineItemSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: MODELS.SERVICES,
+    required: true,
+  },
+  stylistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: MODELS.EMPLOYEE,
+    required: true,
+  },
+  startOffset: { type: Number, required: true, min: 0 },
+  duration: { type: Number, required: true, min: 1 },
+  bufferBefore: { type: Number, default: 0, min: 0 },
+  bufferAfter: { type: Number, default: 0, min: 0 },
+  processingStart: { type: Number, default: 0, min: 0 },
+  processingDuration: { type: Number, default: 0, min: 0 },
+  price: { type: Number, default: GENERAL_CONSTANTS.ZERO },
+  taxCategory: { type: String },
+  tax: { type: Number, default: GENERAL_CONSTANTS.ZERO },
+  resources: [{ type: mongoose.Schema.Types.ObjectId, ref: MODELS.RESOURCE }],
+});
+
+/**
+ * @typedef {Object} AppointmentCancellation
+ * @property {Date} cancelledAt - When the appointment was cancelled.
+ * @property {string} cancelledBy - Firebase UID of the user who cancelled it.
+ * @property {string} [reason] - Why the appointment was cancelled.
+ * @property {boolean} isLate - Whether it was cancelled inside the company's cancellation window.
+ * @property {mongoose.Schema.Types.ObjectId} [feePayment] - The late-cancellation fee charged, if any.
+ */
+
+/**
+ * Mongoose schema recording the cancellation of an appointment.
+ * @type {mongoose.Schema<AppointmentCancellation>}
+ */
+const appointmentCancellationSchema = new mongoose.Schema(
+  {
+    cancelledAt: { type: Date, required: true },
+    cancelledBy: { type: String, required: true },
+    reason: { type: String },
+    isLate: { type: Boolean, default: false },
+    feePayment: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.PAYMENT },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} AppointmentReschedule
+ * @property {Date} previousDate - Start of the appointment before the change.
+ * @property {Date} newDate - Start of the appointment after the change.
+ * @property {Date} rescheduledAt - When the change was made.
+ * @property {string} rescheduledBy - Firebase UID of the user who made the change.
+ * @property {string} [reason] - Why the appointment was moved.
+ * @property {boolean} isLate - Whether it was moved inside the company's cancellation window.
+ */
+
+/**
+ * Mongoose schema recording one rescheduling of an appointment.
+ * @type {mongoose.Schema<AppointmentReschedule>}
+ */
+const appointmentRescheduleSchema = new mongoose.Schema(
+  {
+    previousDate: { type: Date, required: true },
+    newDate: { type: Date, required: true },
+    rescheduledAt: { type: Date, required: true },
+    rescheduledBy: { type: String, required: true },
+    reason: { type: String },
+    isLate: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} AppointmentNoShow
+ * @property {Date} markedAt - When the appointment was marked as a no-show.
+ * @property {string} markedBy - Firebase UID of the staff member who marked it.
+ * @property {string} [note] - Optional note from the staff member.
+ * @property {mongoose.Schema.Types.ObjectId} [feePayment] - The no-show fee charged, if any.
+ */
+
+/**
+ * Mongoose schema recording that the client did not show up.
+ * @type {mongoose.Schema<AppointmentNoShow>}
+ */
+const appointmentNoShowSchema = new mongoose.Schema(
+  {
+    markedAt: { type: Date, required: true },
+    markedBy: { type: String, required: true },
+    note: { type: String },
+    feePayment: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.PAYMENT },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} AppointmentDeposit
+ * @property {number} amount - The deposit required to hold the slot.
+ * @property {mongoose.Schema.Types.ObjectId} payment - The deposit payment.
+ * @property {Date} holdExpiresAt - When the slot is released if the deposit is still unpaid.
+ * @property {Date} [paidAt] - When the deposit was paid.
+ */
+
+/**
+ * Mongoose schema for the deposit holding an appointment's slot.
+ * @type {mongoose.Schema<AppointmentDeposit>}
+ */
+const appointmentDepositSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.PAYMENT },
+    holdExpiresAt: { type: Date, required: true },
+    paidAt: { type: Date },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} AppointmentStatusChange
+ * @property {string} [from] - Status before the change; empty for the status the appointment was booked with.
+ * @property {string} to - Status after the change.
+ * @property {Date} changedAt - When the status changed.
+ * @property {string} changedBy - Firebase UID of the user who changed it, or `system` for the status cron.
+ * @property {string} [note] - Optional note about the change.
+ */
+
+/**
+ * Mongoose schema for one entry of an appointment's status timeline.
+ * @type {mongoose.Schema<AppointmentStatusChange>}
+ */
+const appointmentStatusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String },
+    to: { type: String, required: true },
+    changedAt: { type: Date, required: true },
+    changedBy: { type: String, required: true },
+    note: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} AppointmentReminderSent
+ * @property {number} minutesBefore - Which of the company's reminders was sent.
+ * @property {Date} appointmentDate - Start of the appointment when it was sent; a reschedule makes the reminder due again.
+ * @property {Date} sentAt - When the reminder was sent.
+ */
+
+/**
+ * Mongoose schema for a reminder already sent for an appointment.
+ * @type {mongoose.Schema<AppointmentReminderSent>}
+ */
+const appointmentReminderSentSchema = new mongoose.Schema(
+  {
+    minutesBefore: { type: Number, required: true },
+    appointmentDate: { type: Date, required: true },
+    sentAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
 /**
  * @typedef {Object} Appointment
  * @property {string} appointmentId - Unique identifier for the appointment.
  * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
  * @property {string} clientId - Identifier for the client.
  * @property {mongoose.Schema.Types.ObjectId} client - Reference to the Client model.
- * @property {mongoose.Schema.Types.ObjectId} service - Reference to the Services model.
- * @property {mongoose.Schema.Types.ObjectId} stylistId - Reference to the Employee model.
+ * @property {mongoose.Schema.Types.ObjectId} service - Reference to the Services model (the first line item's service).
+ * @property {mongoose.Schema.Types.ObjectId} stylistId - Reference to the Employee model (the first line item's stylist).
+ * @property {Array<AppointmentLineItem>} lineItems - Services performed during the appointment, in booking order.
+ * @property {number} totalPrice - Sum of the line item prices.
+ * @property {string} taxPricingMode - One of TAX_PRICING_MODES: whether the prices included tax at booking time.
+ * @property {number} taxAmount - Tax on the appointment.
+ * @property {Array<TaxLine>} taxBreakdown - Tax on the appointment per tax category.
  * @property {Date} date - Date of the appointment.
  * @property {string} time - Time of the appointment.
  * @property {string} [note] - Optional note for the appointment.
  * @property {Date} expiresAt - Expiry date of the appointment.
  * @property {boolean} isTrashed - Whether the appointment is trashed or deleted.
  * @property {string} appointmentStatus - Current status of the appointment.
+ * @property {mongoose.Schema.Types.ObjectId} [seriesId] - Reference to the recurring series that generated the appointment.
+ * @property {AppointmentCancellation} [cancellation] - Who cancelled the appointment, when and why.
+ * @property {Array<AppointmentReschedule>} rescheduleHistory - Every time the appointment was moved.
+ * @property {AppointmentNoShow} [noShow] - Who marked the appointment as a no-show, and when.
+ * @property {Array<AppointmentStatusChange>} statusHistory - Every status the appointment went through, oldest first.
+ * @property {Array<AppointmentReminderSent>} remindersSent - Reminders already sent, so they are not sent twice.
+ * @property {AppointmentDeposit} [deposit] - The deposit required by the booked services, if any.
+ * @property {mongoose.Schema.Types.ObjectId} [sale] - The checkout sale the appointment was billed on.
  */
 
 /**
@@ -72,6 +273,15 @@ const appointmentSchema = new mongoose.Schema(
       ref: MODELS.EMPLOYEE,
       required: true,
     }, // Foreign key to Employee
+    lineItems: [appointmentLineItemSchema],
+    totalPrice: { type: Number, default: GENERAL_CONSTANTS.ZERO },
+    taxPricingMode: {
+      type: String,
+      enum: Object.values(TAX_PRICING_MODES),
+      default: TAX_PRICING_MODES.EXCLUSIVE,
+    },
+    taxAmount: { type: Number, default: GENERAL_CONSTANTS.ZERO },
+    taxBreakdown: [taxLineSchema],
     date: { type: Date, required: true },
     time: { type: String, required: true },
     note: { type: String },
@@ -94,14 +304,32 @@ const appointmentSchema = new mongoose.Schema(
         APPOINTMENT_STATUS.COMPLETED,
         APPOINTMENT_STATUS.CANCELLED,
         APPOINTMENT_STATUS.ONGOING,
+        APPOINTMENT_STATUS.NO_SHOW,
+        APPOINTMENT_STATUS.CHECKED_IN,
       ],
       default: APPOINTMENT_STATUS.UPCOMING,
     },
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.APPOINTMENT_SERIES,
+    },
+    cancellation: appointmentCancellationSchema,
+    rescheduleHistory: [appointmentRescheduleSchema],
+    noShow: appointmentNoShowSchema,
+    statusHistory: [appointmentStatusChangeSchema],
+    remindersSent: [appointmentReminderSentSchema],
+    deposit: appointmentDepositSchema,
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.SALE },
   },
   { timestamps: true }
 );
 
 appointmentSchema.index({ appointmentId: 1, companyId: 1 }, { unique: true });
+appointmentSchema.index({ seriesId: 1, date: 1 });
+appointmentSchema.index({ "lineItems.stylistId": 1, date: 1 });
+appointmentSchema.index({ "lineItems.resources": 1, date: 1 });
+appointmentSchema.index({ companyId: 1, appointmentStatus: 1, date: 1 });
+appointmentSchema.index({ "deposit.holdExpiresAt": 1 });
 
 /**
  * Mongoose model for the Appointment schema.
@@ -36,6 +36,7 @@ const ClientIdTracker = mongoose.model(
  * @property {string} [notes] - Additional notes about the client.
  * @property {string} address - Address of the client.
  * @property {boolean} isTrashed - Indicates if the client record is deleted.
+ * @property {string} [calendarFeedKey] - Random part of the client's calendar feed token; empty once revoked.
  */
 
 /**
@@ -63,6 +64,7 @@ const clientSchema = new mongoose.Schema(
     notes: { type: String },
     address: { type: String },
     isTrashed: { type: Boolean, default: false },
+    calendarFeedKey: { type: String, select: false },
   },
   { timestamps: true }
 );
@@ -1,5 +1,16 @@
+import moment from "moment-timezone";
 import mongoose from "mongoose";
-import { MODELS } from "../constants.js";
+import {
+  DEFAULT_CANCELLATION_POLICY,
+  DEFAULT_ONLINE_BOOKING,
+  DEFAULT_REMINDER_SETTINGS,
+  DEFAULT_TAX_SETTINGS,
+  ERROR_MESSAGES,
+  MODELS,
+  TAX_PRICING_MODES,
+  TIME_ZONE,
+  WEEKDAYS,
+} from "../constants.js";
 
 /**
  * @typedef {Object} Company
@@ -8,8 +19,148 @@ import { MODELS } from "../constants.js";
  * @property {string} country - Country where the company is located.
  * @property {string} city - City where the company is located.
  * @property {string} address - Address of the company.
+ * @property {string} timeZone - IANA timezone the salon operates in, e.g. `Europe/London`.
+ * @property {Array<Object>} businessHours - Opening hours per weekday. Empty means the default hours every day.
+ * @property {Array<Object>} closures - One-off dates the salon is closed, e.g. public holidays.
+ * @property {Object} cancellationPolicy - When clients may cancel or reschedule, and the fees for late cancellations and no-shows.
+ * @property {Object} reminderSettings - When clients are reminded of upcoming appointments, and what the reminders say.
+ * @property {Object} onlineBooking - Whether guests can book through the public booking API, and the slug identifying the salon there.
+ * @property {Object} taxSettings - The salon's tax rates, e.g. GST slabs, and whether its prices include tax.
  */
 
+/**
+ * Opening hours of the salon on one weekday, in the company's timezone.
+ */
+const businessHoursSchema = new mongoose.Schema(
+  {
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: WEEKDAYS.SUNDAY,
+      max: WEEKDAYS.SATURDAY,
+    },
+    openTime: { type: String }, // HH:mm
+    closeTime: { type: String }, // HH:mm
+    isClosed: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+/**
+ * A single day the salon is closed.
+ */
+const closureSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true }, // YYYY-MM-DD
+    reason: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * Rules applied when an appointment is cancelled, rescheduled or missed.
+ */
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    windowHours: {
+      type: Number,
+      min: 0,
+      default: DEFAULT_CANCELLATION_POLICY.windowHours,
+    },
+    allowLateChanges: {
+      type: Boolean,
+      default: DEFAULT_CANCELLATION_POLICY.allowLateChanges,
+    },
+    lateCancellationFee: {
+      type: Number,
+      min: 0,
+      default: DEFAULT_CANCELLATION_POLICY.lateCancellationFee,
+    },
+    noShowFee: {
+      type: Number,
+      min: 0,
+      default: DEFAULT_CANCELLATION_POLICY.noShowFee,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * A reminder sent a fixed time before each appointment.
+ * Subject and body may use the placeholders in REMINDER_PLACEHOLDERS; left empty, the default template is used.
+ */
+const reminderSchema = new mongoose.Schema(
+  {
+    minutesBefore: { type: Number, required: true, min: 1 },
+    subject: { type: String },
+    body: { type: String },
+    sendEmail: { type: Boolean, default: true }, // Email the client
+    sendInApp: { type: Boolean, default: true }, // Notify the salon's staff
+  },
+  { _id: false }
+);
+
+/**
+ * Appointment reminders of the company.
+ */
+const reminderSettingsSchema = new mongoose.Schema(
+  {
+    isEnabled: {
+      type: Boolean,
+      default: DEFAULT_REMINDER_SETTINGS.isEnabled,
+    },
+    reminders: {
+      type: [reminderSchema],
+      default: () => DEFAULT_REMINDER_SETTINGS.reminders,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Online booking of the company. The slug is the salon's address on the public booking API.
+ */
+const onlineBookingSchema = new mongoose.Schema(
+  {
+    isEnabled: {
+      type: Boolean,
+      default: DEFAULT_ONLINE_BOOKING.isEnabled,
+    },
+    slug: { type: String, lowercase: true, trim: true },
+  },
+  { _id: false }
+);
+
+/**
+ * A tax rate services and products can be charged under, e.g. a GST slab.
+ * The code is what services and stock items refer to.
+ */
+const taxCategorySchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, uppercase: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    rate: { type: Number, required: true, min: 0, max: 100 }, // Percentage
+  },
+  { _id: false }
+);
+
+/**
+ * Tax settings of the company. Items without a tax category of their own are charged
+ * under the default category; with none, they are not taxed.
+ */
+const taxSettingsSchema = new mongoose.Schema(
+  {
+    pricingMode: {
+      type: String,
+      enum: Object.values(TAX_PRICING_MODES),
+      default: DEFAULT_TAX_SETTINGS.pricingMode,
+    },
+    categories: { type: [taxCategorySchema], default: () => [] },
+    defaultCategory: { type: String, default: null },
+  },
+  { _id: false }
+);
+
 /**
  * Mongoose schema for the Company model.
  * @type {mongoose.Schema<Company>}
@@ -37,8 +188,39 @@ const companySchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  timeZone: {
+    type: String,
+    default: TIME_ZONE,
+    validate: {
+      validator: (value) => !!moment.tz.zone(value),
+      message: ERROR_MESSAGES.INVALID_TIME_ZONE,
+    },
+  },
+  businessHours: [businessHoursSchema],
+  closures: [closureSchema],
+  cancellationPolicy: {
+    type: cancellationPolicySchema,
+    default: () => ({}),
+  },
+  reminderSettings: {
+    type: reminderSettingsSchema,
+    default: () => ({}),
+  },
+  onlineBooking: {
+    type: onlineBookingSchema,
+    default: () => ({}),
+  },
+  taxSettings: {
+    type: taxSettingsSchema,
+    default: () => ({}),
+  },
 });
 
+companySchema.index(
+  { "onlineBooking.slug": 1 },
+  { unique: true, sparse: true }
+);
+
 /**
  * Mongoose model for the Company schema.
  * @type {mongoose.Model<Company>}
@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import { COMMISSION_TYPES, MODELS, SALARY_PERIODS } from "../constants.js";
+
+/**
+ * @typedef {Object} CommissionTier
+ * @property {number} threshold - Sales in the period from which the rate applies.
+ * @property {number} rate - The commission, in percent.
+ */
+
+/**
+ * @typedef {Object} Commission
+ * @property {string} type - One of COMMISSION_TYPES.
+ * @property {number} [rate] - The commission in percent, for percentage commissions.
+ * @property {Array<CommissionTier>} [tiers] - The tiers by threshold, for tiered commissions.
+ */
+
+/**
+ * Mongoose schema for the commission paid on service or retail sales.
+ * @type {mongoose.Schema<Commission>}
+ */
+const commissionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(COMMISSION_TYPES),
+      default: COMMISSION_TYPES.NONE,
+    },
+    rate: { type: Number, min: 0, max: 100 },
+    tiers: [
+      {
+        _id: false,
+        threshold: { type: Number, required: true, min: 0 },
+        rate: { type: Number, required: true, min: 0, max: 100 },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} CompensationPlan
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {string} name - Name of the plan, e.g. "Senior stylist".
+ * @property {mongoose.Schema.Types.ObjectId} [employee] - The employee the plan is for; set this or `role`.
+ * @property {mongoose.Schema.Types.ObjectId} [role] - The role the plan is for, used for employees without a plan of their own.
+ * @property {number} salary - Fixed pay per salary period.
+ * @property {string} salaryPeriod - One of SALARY_PERIODS.
+ * @property {Commission} serviceCommission - Commission on the services the employee performed.
+ * @property {Commission} retailCommission - Commission on the products the employee sold.
+ * @property {number} tipShare - Percentage of their tips passed on to the employee.
+ * @property {boolean} isActive - Whether payroll runs use the plan.
+ * @property {mongoose.Schema.Types.ObjectId} [createdBy] - The user who created the plan.
+ */
+
+/**
+ * Mongoose schema for the CompensationPlan model.
+ * @type {mongoose.Schema<CompensationPlan>}
+ */
+const compensationPlanSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    name: { type: String, required: true },
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.EMPLOYEE },
+    role: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.ROLE },
+    salary: { type: Number, default: 0, min: 0 },
+    salaryPeriod: {
+      type: String,
+      enum: Object.values(SALARY_PERIODS),
+      default: SALARY_PERIODS.MONTHLY,
+    },
+    serviceCommission: { type: commissionSchema, default: () => ({}) },
+    retailCommission: { type: commissionSchema, default: () => ({}) },
+    tipShare: { type: Number, default: 100, min: 0, max: 100 },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.USER },
+  },
+  { timestamps: true }
+);
+
+// One active plan per employee and per role
+compensationPlanSchema.index(
+  { companyId: 1, employee: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { isActive: true, employee: { $exists: true } },
+  }
+);
+compensationPlanSchema.index(
+  { companyId: 1, role: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { isActive: true, role: { $exists: true } },
+  }
+);
+
+/**
+ * Mongoose model for the CompensationPlan schema.
+ * @type {mongoose.Model<CompensationPlan>}
+ */
+const CompensationPlan = mongoose.model(
+  MODELS.COMPENSATION_PLAN,
+  compensationPlanSchema
+);
+
+export { CompensationPlan };
@@ -4,6 +4,7 @@ import {
   EMPLOYMENT_TYPE,
   GENDER,
   MODELS,
+  WEEKDAYS,
 } from "../constants.js";
 
 /**
@@ -34,6 +35,71 @@ const EmployeeIdTracker = mongoose.model(
   employeeIdTrackerSchema
 );
 
+/**
+ * @typedef {Object} Shift
+ * @property {string} startTime - Start of the shift in `HH:mm` (company local time).
+ * @property {string} endTime - End of the shift in `HH:mm` (company local time).
+ */
+
+/**
+ * Mongoose schema for a single shift within a day.
+ * @type {mongoose.Schema<Shift>}
+ */
+const shiftSchema = new mongoose.Schema(
+  {
+    startTime: { type: String, required: true },
+    endTime: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} WeeklyShift
+ * @property {number} dayOfWeek - Day of the week (0 = Sunday ... 6 = Saturday).
+ * @property {string} startTime - Start of the shift in `HH:mm`.
+ * @property {string} endTime - End of the shift in `HH:mm`.
+ */
+
+/**
+ * Mongoose schema for a recurring weekly shift template entry.
+ * @type {mongoose.Schema<WeeklyShift>}
+ */
+const weeklyShiftSchema = new mongoose.Schema(
+  {
+    dayOfWeek: {
+      type: Number,
+      min: WEEKDAYS.SUNDAY,
+      max: WEEKDAYS.SATURDAY,
+      required: true,
+    },
+    startTime: { type: String, required: true },
+    endTime: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} ScheduleOverride
+ * @property {string} date - The day being overridden in `YYYY-MM-DD`.
+ * @property {boolean} isDayOff - Whether the employee is off for the whole day (e.g. a holiday).
+ * @property {Shift[]} shifts - Replacement shifts for the day when not a day off.
+ * @property {string} [reason] - Optional reason, e.g. the holiday name.
+ */
+
+/**
+ * Mongoose schema for a one-off change to the weekly template.
+ * @type {mongoose.Schema<ScheduleOverride>}
+ */
+const scheduleOverrideSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true },
+    isDayOff: { type: Boolean, default: false },
+    shifts: [shiftSchema],
+    reason: { type: String },
+  },
+  { _id: false }
+);
+
 /**
  * @typedef {Object} Employee
  * @property {string} employeeId - Unique identifier for the employee.
@@ -49,6 +115,9 @@ const EmployeeIdTracker = mongoose.model(
  * @property {string} employeeGender - Gender of the employee (Male, Female, Other).
  * @property {boolean} [isTrashed] - Flag indicating if the employee is deleted.
  * @property {string} employeeStatus - Status of the employee (Active or Inactive).
+ * @property {WeeklyShift[]} weeklySchedule - Recurring weekly shifts. Empty means default business hours.
+ * @property {ScheduleOverride[]} scheduleOverrides - One-off changes to the weekly shifts, including holidays.
+ * @property {string} [calendarFeedKey] - Random part of the employee's calendar feed token; empty once revoked.
  */
 
 /**
@@ -87,6 +156,9 @@ const employeeSchema = new mongoose.Schema(
       default: EMPLOYEE_STATUS.ACTIVE,
       required: true,
     },
+    weeklySchedule: [weeklyShiftSchema],
+    scheduleOverrides: [scheduleOverrideSchema],
+    calendarFeedKey: { type: String, select: false },
   },
   { timestamps: true }
 );
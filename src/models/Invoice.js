@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import { GENERAL_CONSTANTS, MODELS } from "../constants.js";
+
+/**
+ * @typedef {Object} InvoiceIdTracker
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {number} lastInvoiceId - The last invoice number issued by the company.
+ */
+const invoiceIdTrackerSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  lastInvoiceId: { type: Number, default: GENERAL_CONSTANTS.ZERO },
+});
+
+/**
+ * Mongoose model for the Invoice ID Tracker schema.
+ * @type {mongoose.Model<InvoiceIdTracker>}
+ */
+const InvoiceIdTracker = mongoose.model(
+  MODELS.INVOICE_ID_TRACKER,
+  invoiceIdTrackerSchema
+);
+
+/**
+ * @typedef {Object} InvoiceEmail
+ * @property {string} email - Where the invoice was sent.
+ * @property {Date} sentAt - When it was sent.
+ */
+
+/**
+ * Mongoose schema for one time an invoice was emailed.
+ * @type {mongoose.Schema<InvoiceEmail>}
+ */
+const invoiceEmailSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true },
+    sentAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} Invoice
+ * @property {string} invoiceNumber - The invoice number, e.g. `#INV0001`, unique within the company.
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {mongoose.Schema.Types.ObjectId} payment - The payment the invoice is for; one invoice per payment.
+ * @property {string} paymentStatus - The payment status the PDF was rendered with.
+ * @property {number} refundedAmount - The payment's refunds the PDF was rendered with.
+ * @property {string} storagePath - Where the PDF is kept in Firebase Storage.
+ * @property {string} fileUrl - Signed URL of the PDF.
+ * @property {Object} [billTo] - The client's `name`, `email` and `phone` on the invoice.
+ * @property {Array<InvoiceEmail>} emails - Every time the invoice was emailed.
+ */
+
+/**
+ * Mongoose schema for the Invoice model.
+ * @type {mongoose.Schema<Invoice>}
+ */
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: { type: String, required: true },
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.PAYMENT,
+      required: true,
+    },
+    paymentStatus: { type: String, required: true },
+    refundedAmount: { type: Number, default: 0 },
+    storagePath: { type: String, required: true },
+    fileUrl: { type: String, required: true },
+    billTo: {
+      name: { type: String },
+      email: { type: String },
+      phone: { type: String },
+    },
+    emails: [invoiceEmailSchema],
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ companyId: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ payment: 1 }, { unique: true });
+
+/**
+ * Mongoose model for the Invoice schema.
+ * @type {mongoose.Model<Invoice>}
+ */
+const Invoice = mongoose.model(MODELS.INVOICE, invoiceSchema);
+
+export { Invoice, InvoiceIdTracker };
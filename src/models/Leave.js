@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import { LEAVE_STATUS, LEAVE_TYPES, MODELS } from "../constants.js";
+
+/**
+ * @typedef {Object} Leave
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {mongoose.Schema.Types.ObjectId} employeeId - Reference to the Employee taking leave.
+ * @property {string} type - The type of leave (Vacation, Sick, Personal, Holiday).
+ * @property {string} startDate - First day of leave in `YYYY-MM-DD`.
+ * @property {string} endDate - Last day of leave (inclusive) in `YYYY-MM-DD`.
+ * @property {string} [reason] - Reason given by the requester.
+ * @property {string} status - Pending until reviewed by a company admin.
+ * @property {mongoose.Schema.Types.ObjectId} [reviewedBy] - The admin user who approved or rejected the request.
+ * @property {Date} [reviewedAt] - When the request was reviewed.
+ * @property {string} [reviewNote] - Optional note from the reviewer.
+ */
+
+/**
+ * Mongoose schema for the Leave model.
+ * Only approved leave blocks an employee from being booked.
+ * @type {mongoose.Schema<Leave>}
+ */
+const leaveSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.EMPLOYEE,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(LEAVE_TYPES),
+      default: LEAVE_TYPES.VACATION,
+    },
+    startDate: { type: String, required: true },
+    endDate: { type: String, required: true },
+    reason: { type: String },
+    status: {
+      type: String,
+      enum: Object.values(LEAVE_STATUS),
+      default: LEAVE_STATUS.PENDING,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.USER,
+    },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String },
+  },
+  { timestamps: true }
+);
+
+leaveSchema.index({ companyId: 1, employeeId: 1, startDate: 1 });
+
+/**
+ * Mongoose model for the Leave schema.
+ * @type {mongoose.Model<Leave>}
+ */
+const Leave = mongoose.model(MODELS.LEAVE, leaveSchema);
+
+export default Leave;
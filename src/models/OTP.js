@@ -7,6 +7,7 @@ const { Schema } = mongoose;
  * @typedef {Object} OTP
  * @property {string} email - The email address associated with the OTP.
  * @property {string} otp - The one-time password.
+ * @property {number} attempts - How many times the OTP was entered.
  * @property {Date} createdAt - The creation timestamp of the OTP. Automatically set to the current date.
  *                               The document will expire 300 seconds (5 minutes) after creation.
  */
@@ -18,6 +19,7 @@ const { Schema } = mongoose;
 const otpSchema = new Schema({
   email: { type: String, required: true },
   otp: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now, expires: 300 },
 });
 
@@ -106,7 +106,14 @@
 // export { Payment, TransactionIdTracker };
 
 import mongoose from "mongoose";
-import { GENERAL_CONSTANTS, MODELS, PAYMENT_STATUS } from "../constants.js";
+import {
+  GATEWAY_INTENT_STATUS,
+  GENERAL_CONSTANTS,
+  MODELS,
+  PAYMENT_GATEWAYS,
+  PAYMENT_STATUS,
+  PAYMENT_TYPES,
+} from "../constants.js";
 
 /**
  * Transaction ID tracker schema for storing the last used transaction ID.
@@ -121,6 +128,65 @@ const TransactionIdTracker = mongoose.model(
   transactionIdTrackerSchema
 );
 
+/**
+ * @typedef {Object} TaxLine
+ * @property {string} code - Code of the tax category.
+ * @property {string} name - Name of the tax category at the time, e.g. `GST 18%`.
+ * @property {number} rate - The tax percentage.
+ * @property {number} taxable - The amount the tax was charged on, tax excluded.
+ * @property {number} tax - The tax charged.
+ */
+
+/**
+ * Tax charged under one tax category. Appointments, sales and payments keep one line per
+ * category they were taxed under.
+ * @type {mongoose.Schema<TaxLine>}
+ */
+const taxLineSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    name: { type: String, required: true },
+    rate: { type: Number, required: true, min: 0 },
+    taxable: { type: Number, required: true },
+    tax: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} GatewayIntent
+ * @property {string} provider - One of PAYMENT_GATEWAYS.
+ * @property {string} intentId - The payment intent (Stripe) or order (Razorpay) at the gateway.
+ * @property {string} [chargeId] - The charge or payment that settled the intent, used for refunds.
+ * @property {string} status - One of GATEWAY_INTENT_STATUS.
+ * @property {string} idempotencyKey - The key the intent was created with.
+ * @property {number} attempts - How many intents were created for the payment.
+ */
+
+/**
+ * The online payment of a payment through a payment gateway.
+ * @type {mongoose.Schema<GatewayIntent>}
+ */
+const gatewayIntentSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: Object.values(PAYMENT_GATEWAYS),
+      required: true,
+    },
+    intentId: { type: String, required: true },
+    chargeId: { type: String },
+    status: {
+      type: String,
+      enum: Object.values(GATEWAY_INTENT_STATUS),
+      required: true,
+    },
+    idempotencyKey: { type: String, required: true },
+    attempts: { type: Number, default: 1 },
+  },
+  { _id: false }
+);
+
 // Define the schema for payment data
 const paymentSchema = new mongoose.Schema(
   {
@@ -134,11 +200,44 @@ const paymentSchema = new mongoose.Schema(
     /**
      * The ID of the appointment linked to this payment.
      * All other details (client, stylist, service, company) can be fetched from the appointment.
+     * Sale payments may cover several appointments, or none, and link to the sale instead.
      */
     appointmentId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: MODELS.APPOINTMENT, // Reference to the Appointment model
-      required: true,
+      required: function () {
+        return !this.saleId && !this.orderId;
+      },
+    },
+
+    /**
+     * The ID of the checkout sale settled by this payment.
+     * @type {mongoose.Schema.Types.ObjectId}
+     */
+    saleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.SALE,
+    },
+
+    /**
+     * The ID of the stock order settled by this payment.
+     * @type {mongoose.Schema.Types.ObjectId}
+     */
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.ORDER,
+    },
+
+    /**
+     * What the payment is for: the appointment itself, its deposit, a late-cancellation /
+     * no-show fee, a checkout sale or a stock order.
+     * @type {string}
+     * @default 'appointment'
+     */
+    type: {
+      type: String,
+      enum: Object.values(PAYMENT_TYPES),
+      default: PAYMENT_TYPES.APPOINTMENT,
     },
 
     /**
@@ -147,10 +246,17 @@ const paymentSchema = new mongoose.Schema(
      */
     amount: { type: Number, required: true },
 
+    /**
+     * The tax included in the amount, and its breakdown per tax category.
+     * Fees are not taxed.
+     */
+    taxAmount: { type: Number, default: 0 },
+    taxBreakdown: [taxLineSchema],
+
     /**
      * The status of the payment.
      * @type {string}
-     * @enum {PENDING, PAID, FAILED}
+     * @enum {PENDING, PAID, FAILED, PARTIALLY_REFUNDED, REFUNDED}
      * @default 'PENDING'
      */
     status: {
@@ -160,10 +266,18 @@ const paymentSchema = new mongoose.Schema(
         PAYMENT_STATUS.UNPAID,
         PAYMENT_STATUS.PAID,
         PAYMENT_STATUS.FAILED,
+        PAYMENT_STATUS.PARTIALLY_REFUNDED,
+        PAYMENT_STATUS.REFUNDED,
       ],
       default: PAYMENT_STATUS.UNPAID,
     },
 
+    /**
+     * The total of the approved refunds on this payment.
+     * @type {number}
+     */
+    refundedAmount: { type: Number, default: 0 },
+
     /**
      * The date and time of the payment.
      * @type {Date}
@@ -176,10 +290,21 @@ const paymentSchema = new mongoose.Schema(
      * @type {string}
      */
     clientSecret: { type: String },
+
+    /**
+     * The latest online payment attempt, when the payment is paid through a gateway.
+     * @type {GatewayIntent}
+     */
+    gateway: { type: gatewayIntentSchema, default: undefined },
   },
   { timestamps: true }
 );
 
+paymentSchema.index(
+  { "gateway.provider": 1, "gateway.intentId": 1 },
+  { sparse: true }
+);
+
 const Payment = mongoose.model(MODELS.PAYMENT, paymentSchema);
 
-export { Payment, TransactionIdTracker };
+export { Payment, TransactionIdTracker, taxLineSchema };
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import {
+  GATEWAY_EVENT_TYPES,
+  MODELS,
+  PAYMENT_GATEWAYS,
+  WEBHOOK_EVENT_STATUS,
+} from "../constants.js";
+
+/**
+ * @typedef {Object} PaymentEvent
+ * @property {string} provider - The gateway that sent the event, one of PAYMENT_GATEWAYS.
+ * @property {string} eventId - The gateway's event ID, the same on every delivery.
+ * @property {string} type - One of GATEWAY_EVENT_TYPES.
+ * @property {string} [intentId] - The intent the event is about.
+ * @property {string} [chargeId] - The charge the event is about.
+ * @property {number} [amount] - The amount, in minor units.
+ * @property {string} [currency] - The currency of the amount, in lower case.
+ * @property {string} payload - The body exactly as received, kept for replays and audits.
+ * @property {string} status - One of WEBHOOK_EVENT_STATUS.
+ * @property {number} attempts - How many times processing was tried.
+ * @property {string} [lastError] - Why the last attempt failed.
+ * @property {string} [note] - Why the event was ignored.
+ * @property {mongoose.Schema.Types.ObjectId} [companyId] - The company of the matched payment.
+ * @property {mongoose.Schema.Types.ObjectId} [payment] - The payment the event matched.
+ * @property {Date} [processedAt] - When the event was applied.
+ */
+
+/**
+ * Mongoose schema for the PaymentEvent model, one document per webhook event a payment
+ * gateway delivered.
+ * @type {mongoose.Schema<PaymentEvent>}
+ */
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: Object.values(PAYMENT_GATEWAYS),
+      required: true,
+    },
+    eventId: { type: String, required: true },
+    type: {
+      type: String,
+      enum: Object.values(GATEWAY_EVENT_TYPES),
+      required: true,
+    },
+    intentId: { type: String },
+    chargeId: { type: String },
+    amount: { type: Number },
+    currency: { type: String },
+    payload: { type: String, required: true },
+    status: {
+      type: String,
+      enum: Object.values(WEBHOOK_EVENT_STATUS),
+      default: WEBHOOK_EVENT_STATUS.RECEIVED,
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    note: { type: String },
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.COMPANY },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.PAYMENT },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// Gateways deliver an event again until it is acknowledged; one document per event
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ companyId: 1, status: 1, createdAt: -1 });
+
+/**
+ * Mongoose model for the PaymentEvent schema.
+ * @type {mongoose.Model<PaymentEvent>}
+ */
+const PaymentEvent = mongoose.model(MODELS.PAYMENT_EVENT, paymentEventSchema);
+
+export { PaymentEvent };
@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import {
+  COMPENSATION_PLAN_SOURCES,
+  MODELS,
+  PAYROLL_AUDIT_ACTIONS,
+  PAYROLL_RUN_STATUS,
+} from "../constants.js";
+
+/**
+ * @typedef {Object} PayrollLine
+ * @property {mongoose.Schema.Types.ObjectId} employee - Reference to the Employee model.
+ * @property {string} [employeeCode] - The employee's ID at the time of the run.
+ * @property {string} employeeName - The employee's name at the time of the run.
+ * @property {Object} plan - The compensation plan the pay was worked out with, as it was then.
+ * @property {string} plan.source - One of COMPENSATION_PLAN_SOURCES.
+ * @property {number} appointmentsCompleted - Completed appointments the employee performed services in.
+ * @property {number} serviceSales - Price of the services the employee performed, before tax.
+ * @property {number} retailSales - Products the employee sold, after discounts and before tax.
+ * @property {number} tipsReceived - Tips left for the employee.
+ * @property {number} salary - Fixed pay for the period.
+ * @property {number} serviceCommission - Commission on `serviceSales`.
+ * @property {number} retailCommission - Commission on `retailSales`.
+ * @property {number} tips - The employee's share of `tipsReceived`.
+ * @property {number} gross - Salary, commissions and tips.
+ * @property {Array<mongoose.Schema.Types.ObjectId>} appointments - The appointments counted.
+ * @property {Array<mongoose.Schema.Types.ObjectId>} sales - The sales products and tips were counted from.
+ * @property {Array<mongoose.Schema.Types.ObjectId>} refunds - The refunds taken off the employee's sales and tips.
+ */
+
+/**
+ * Mongoose schema for the pay of one employee in a payroll run.
+ * @type {mongoose.Schema<PayrollLine>}
+ */
+const payrollLineSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.EMPLOYEE,
+      required: true,
+    },
+    employeeCode: { type: String },
+    employeeName: { type: String, required: true },
+    plan: {
+      source: {
+        type: String,
+        enum: Object.values(COMPENSATION_PLAN_SOURCES),
+        required: true,
+      },
+      planId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: MODELS.COMPENSATION_PLAN,
+      },
+      name: { type: String },
+      salary: { type: Number },
+      salaryPeriod: { type: String },
+      serviceCommission: { type: mongoose.Schema.Types.Mixed },
+      retailCommission: { type: mongoose.Schema.Types.Mixed },
+      tipShare: { type: Number },
+    },
+    appointmentsCompleted: { type: Number, default: 0 },
+    serviceSales: { type: Number, default: 0 },
+    retailSales: { type: Number, default: 0 },
+    tipsReceived: { type: Number, default: 0 },
+    salary: { type: Number, default: 0 },
+    serviceCommission: { type: Number, default: 0 },
+    retailCommission: { type: Number, default: 0 },
+    tips: { type: Number, default: 0 },
+    gross: { type: Number, default: 0 },
+    appointments: [
+      { type: mongoose.Schema.Types.ObjectId, ref: MODELS.APPOINTMENT },
+    ],
+    sales: [{ type: mongoose.Schema.Types.ObjectId, ref: MODELS.SALE }],
+    refunds: [{ type: mongoose.Schema.Types.ObjectId, ref: MODELS.REFUND }],
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} PayrollAuditEntry
+ * @property {string} action - One of PAYROLL_AUDIT_ACTIONS.
+ * @property {mongoose.Schema.Types.ObjectId} by - The user who did it.
+ * @property {Date} at - When.
+ */
+
+/**
+ * Mongoose schema for an entry of a payroll run's history.
+ * @type {mongoose.Schema<PayrollAuditEntry>}
+ */
+const payrollAuditSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: Object.values(PAYROLL_AUDIT_ACTIONS),
+      required: true,
+    },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.USER },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} PayrollRun
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {string} from - First day of the period in `YYYY-MM-DD`.
+ * @property {string} to - Last day (inclusive) of the period in `YYYY-MM-DD`.
+ * @property {string} timeZone - The company timezone the days were read in.
+ * @property {string} status - One of PAYROLL_RUN_STATUS.
+ * @property {Array<PayrollLine>} lines - The pay of each employee.
+ * @property {Object} totals - The sums of the lines' pay.
+ * @property {mongoose.Schema.Types.ObjectId} [createdBy] - The user who started the run.
+ * @property {mongoose.Schema.Types.ObjectId} [lockedBy] - The user who locked the run.
+ * @property {Date} [lockedAt] - When the run was locked.
+ * @property {Array<PayrollAuditEntry>} history - Who calculated and locked the run, and when.
+ */
+
+/**
+ * Mongoose schema for the PayrollRun model.
+ * @type {mongoose.Schema<PayrollRun>}
+ */
+const payrollRunSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    timeZone: { type: String, required: true },
+    status: {
+      type: String,
+      enum: Object.values(PAYROLL_RUN_STATUS),
+      default: PAYROLL_RUN_STATUS.DRAFT,
+    },
+    lines: [payrollLineSchema],
+    totals: {
+      salary: { type: Number, default: 0 },
+      serviceCommission: { type: Number, default: 0 },
+      retailCommission: { type: Number, default: 0 },
+      tips: { type: Number, default: 0 },
+      gross: { type: Number, default: 0 },
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.USER },
+    lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.USER },
+    lockedAt: { type: Date },
+    history: [payrollAuditSchema],
+  },
+  { timestamps: true }
+);
+
+payrollRunSchema.index({ companyId: 1, from: -1 });
+
+/**
+ * Mongoose model for the PayrollRun schema.
+ * @type {mongoose.Model<PayrollRun>}
+ */
+const PayrollRun = mongoose.model(MODELS.PAYROLL_RUN, payrollRunSchema);
+
+export { PayrollRun };
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import { MODELS, REFUND_REASONS, REFUND_STATUS } from "../constants.js";
+import { taxLineSchema } from "./Payment.js";
+
+/**
+ * @typedef {Object} Refund
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {mongoose.Schema.Types.ObjectId} payment - The payment being refunded.
+ * @property {string} originalTransactionId - Transaction ID of the payment being refunded.
+ * @property {string} [transactionId] - Transaction ID of the refund, given once it is approved.
+ * @property {string} [gatewayRefundId] - The refund at the payment gateway, for online payments.
+ * @property {number} amount - The amount given back.
+ * @property {number} taxAmount - The tax included in the amount.
+ * @property {Array<TaxLine>} taxBreakdown - The tax given back per tax category.
+ * @property {string} reason - One of REFUND_REASONS.
+ * @property {string} [note] - Why the refund was asked for, in the staff member's words.
+ * @property {string} status - One of REFUND_STATUS.
+ * @property {string} requestedBy - Firebase UID of the staff member who asked for it.
+ * @property {mongoose.Schema.Types.ObjectId} [reviewedBy] - The admin who approved or rejected it.
+ * @property {Date} [reviewedAt] - When it was approved or rejected.
+ * @property {string} [reviewNote] - The admin's note, e.g. why it was rejected.
+ * @property {Date} [refundedAt] - When the money was given back.
+ */
+
+/**
+ * Mongoose schema for the Refund model. A payment can be refunded in several parts, each
+ * of which must be approved by a company admin.
+ * @type {mongoose.Schema<Refund>}
+ */
+const refundSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.PAYMENT,
+      required: true,
+    },
+    originalTransactionId: { type: String, required: true },
+    transactionId: { type: String },
+    gatewayRefundId: { type: String },
+    amount: { type: Number, required: true, min: 0.01 },
+    taxAmount: { type: Number, default: 0 },
+    taxBreakdown: [taxLineSchema],
+    reason: {
+      type: String,
+      enum: Object.values(REFUND_REASONS),
+      required: true,
+    },
+    note: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: Object.values(REFUND_STATUS),
+      default: REFUND_STATUS.PENDING,
+    },
+    requestedBy: { type: String, required: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.USER },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true },
+    refundedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ companyId: 1, status: 1, createdAt: -1 });
+refundSchema.index({ payment: 1 });
+refundSchema.index({ companyId: 1, status: 1, refundedAt: 1 });
+
+/**
+ * Mongoose model for the Refund schema.
+ * @type {mongoose.Model<Refund>}
+ */
+const Refund = mongoose.model(MODELS.REFUND, refundSchema);
+
+export { Refund };
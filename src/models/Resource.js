@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import { MODELS, RESOURCE_TYPES } from "../constants.js";
+
+/**
+ * @typedef {Object} Resource
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {string} name - Name of the chair, room or machine, unique within the company.
+ * @property {string} type - One of RESOURCE_TYPES.
+ * @property {number} capacity - How many services can use the resource at the same time.
+ * @property {string} [description] - Free text, e.g. where the resource is.
+ * @property {boolean} isTrashed - Indicates if the resource is soft deleted. Defaults to false.
+ */
+
+/**
+ * Mongoose schema for the Resource model.
+ * @type {mongoose.Schema<Resource>}
+ */
+const resourceSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    type: {
+      type: String,
+      enum: Object.values(RESOURCE_TYPES),
+      required: true,
+    },
+    capacity: { type: Number, default: 1, min: 1 },
+    description: { type: String },
+    isTrashed: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+resourceSchema.index({ companyId: 1, isTrashed: 1, name: 1 });
+
+/**
+ * Mongoose model for the Resource schema.
+ * @type {mongoose.Model<Resource>}
+ */
+const Resource = mongoose.model(MODELS.RESOURCE, resourceSchema);
+
+export default Resource;
@@ -0,0 +1,215 @@
+import mongoose from "mongoose";
+import {
+  DISCOUNT_TYPES,
+  GENERAL_CONSTANTS,
+  MODELS,
+  SALE_LINE_TYPES,
+  TAX_PRICING_MODES,
+  TENDER_METHODS,
+} from "../constants.js";
+import { taxLineSchema } from "./Payment.js";
+
+/**
+ * @typedef {Object} SaleIdTracker
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {number} lastSaleId - The last sale number issued by the company.
+ */
+const saleIdTrackerSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  lastSaleId: { type: Number, default: GENERAL_CONSTANTS.ZERO },
+});
+
+/**
+ * Mongoose model for the Sale ID Tracker schema.
+ * @type {mongoose.Model<SaleIdTracker>}
+ */
+const SaleIdTracker = mongoose.model(
+  MODELS.SALE_ID_TRACKER,
+  saleIdTrackerSchema
+);
+
+/**
+ * @typedef {Object} SaleLine
+ * @property {string} type - One of SALE_LINE_TYPES.
+ * @property {string} name - Name of the service or product at checkout.
+ * @property {mongoose.Schema.Types.ObjectId} [appointment] - The appointment a service line comes from.
+ * @property {mongoose.Schema.Types.ObjectId} [service] - Reference to the Services model, for service lines.
+ * @property {mongoose.Schema.Types.ObjectId} [stylistId] - The employee who performed the service, or sold the product.
+ * @property {mongoose.Schema.Types.ObjectId} [stock] - Reference to the Stocks model, for product lines.
+ * @property {number} unitPrice - Price of one unit at checkout.
+ * @property {number} quantity - Units sold; always 1 for services.
+ * @property {number} amount - `unitPrice` times `quantity`.
+ * @property {string} [taxCategory] - Code of the tax category the line was charged under.
+ * @property {number} tax - Tax on the line, after its share of the discount.
+ */
+
+/**
+ * Mongoose schema for one line of a sale.
+ * @type {mongoose.Schema<SaleLine>}
+ */
+const saleLineSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(SALE_LINE_TYPES),
+      required: true,
+    },
+    name: { type: String, required: true },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.APPOINTMENT,
+    },
+    service: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.SERVICES },
+    stylistId: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.EMPLOYEE },
+    stock: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.STOCK },
+    unitPrice: { type: Number, required: true, min: 0 },
+    quantity: { type: Number, default: 1, min: 1 },
+    amount: { type: Number, required: true, min: 0 },
+    taxCategory: { type: String },
+    tax: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} SaleDiscount
+ * @property {string} type - One of DISCOUNT_TYPES.
+ * @property {number} value - The amount off, or the percentage off.
+ * @property {number} amount - The discount taken off the subtotal.
+ * @property {string} [reason] - Why the discount was given.
+ */
+
+/**
+ * Mongoose schema for the discount given on a sale.
+ * @type {mongoose.Schema<SaleDiscount>}
+ */
+const saleDiscountSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(DISCOUNT_TYPES),
+      required: true,
+    },
+    value: { type: Number, required: true, min: 0 },
+    amount: { type: Number, required: true, min: 0 },
+    reason: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} SaleTip
+ * @property {mongoose.Schema.Types.ObjectId} stylistId - The employee the tip goes to.
+ * @property {number} amount - The tip.
+ */
+
+/**
+ * Mongoose schema for a tip left for a stylist.
+ * @type {mongoose.Schema<SaleTip>}
+ */
+const saleTipSchema = new mongoose.Schema(
+  {
+    stylistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.EMPLOYEE,
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} SaleTender
+ * @property {string} method - One of TENDER_METHODS.
+ * @property {number} amount - The amount handed over with this method.
+ * @property {string} [reference] - Card terminal or wallet reference.
+ */
+
+/**
+ * Mongoose schema for one way a sale was paid.
+ * @type {mongoose.Schema<SaleTender>}
+ */
+const saleTenderSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: Object.values(TENDER_METHODS),
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0 },
+    reference: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} Sale
+ * @property {string} saleId - The receipt number, e.g. `#SALE0001`, unique within the company.
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {mongoose.Schema.Types.ObjectId} [client] - Reference to the Client model; empty for anonymous retail sales.
+ * @property {string} [clientName] - The client's name at checkout.
+ * @property {Array<SaleLine>} lines - Services and products sold, in checkout order.
+ * @property {number} subtotal - Sum of the line amounts.
+ * @property {SaleDiscount} [discount] - The discount given on the subtotal.
+ * @property {string} taxPricingMode - One of TAX_PRICING_MODES: whether the line prices included tax.
+ * @property {number} tax - Tax charged on the discounted subtotal.
+ * @property {Array<TaxLine>} taxBreakdown - Tax charged per tax category.
+ * @property {Array<SaleTip>} tips - Tips, per stylist.
+ * @property {number} tipTotal - Sum of the tips.
+ * @property {number} total - Discounted subtotal plus tips, and tax unless the prices include it.
+ * @property {number} depositApplied - Paid appointment deposits credited against the total.
+ * @property {number} amountDue - What was left to pay at the counter.
+ * @property {Array<SaleTender>} tenders - How the amount due was paid.
+ * @property {number} change - Cash handed back to the client.
+ * @property {mongoose.Schema.Types.ObjectId} [payment] - The payment recording the amount due; empty when nothing was due.
+ * @property {string} soldBy - Firebase UID of the staff member who checked the sale out.
+ */
+
+/**
+ * Mongoose schema for the Sale model.
+ * @type {mongoose.Schema<Sale>}
+ */
+const saleSchema = new mongoose.Schema(
+  {
+    saleId: { type: String, required: true },
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    client: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.CLIENT },
+    clientName: { type: String },
+    lines: [saleLineSchema],
+    subtotal: { type: Number, required: true, min: 0 },
+    discount: saleDiscountSchema,
+    taxPricingMode: {
+      type: String,
+      enum: Object.values(TAX_PRICING_MODES),
+      default: TAX_PRICING_MODES.EXCLUSIVE,
+    },
+    tax: { type: Number, default: 0, min: 0 },
+    taxBreakdown: [taxLineSchema],
+    tips: [saleTipSchema],
+    tipTotal: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+    depositApplied: { type: Number, default: 0, min: 0 },
+    amountDue: { type: Number, required: true, min: 0 },
+    tenders: [saleTenderSchema],
+    change: { type: Number, default: 0, min: 0 },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: MODELS.PAYMENT },
+    soldBy: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+saleSchema.index({ companyId: 1, saleId: 1 }, { unique: true });
+saleSchema.index({ companyId: 1, createdAt: -1 });
+
+/**
+ * Mongoose model for the Sale schema.
+ * @type {mongoose.Model<Sale>}
+ */
+const Sale = mongoose.model(MODELS.SALE, saleSchema);
+
+export { Sale, SaleIdTracker };
@@ -1,5 +1,10 @@
 import mongoose from "mongoose";
-import { MODELS, SERVICE_STATUS } from "../constants.js";
+import {
+  DEPOSIT,
+  DEPOSIT_TYPES,
+  MODELS,
+  SERVICE_STATUS,
+} from "../constants.js";
 
 /**
  * @typedef {Object} ServicesIdTracker
@@ -36,9 +41,19 @@ const ServicesIdTracker = mongoose.model(
  * @property {string} serviceImage - The image URL of the service.
  * @property {mongoose.Schema.Types.ObjectId} category - The ID of the category associated with the service.
  * @property {string} [description] - A description of the service.
- * @property {string} duration - The duration of the service.
+ * @property {string} duration - The duration of the service, as entered (e.g. "45 mins").
+ * @property {number} [durationMinutes] - The duration of the service in minutes, processing time included. Takes precedence over `duration`.
+ * @property {number} bufferBeforeMinutes - Setup time before the client arrives, during which the stylist is busy.
+ * @property {number} bufferAfterMinutes - Cleanup time after the client leaves, during which the stylist is busy.
+ * @property {number} processingStartMinutes - Minutes into the service when processing (e.g. colour developing) starts.
+ * @property {number} processingMinutes - Length of the processing, during which the stylist can serve another client.
  * @property {string} price - The price of the service.
  * @property {string} serviceStatus - The status of the service. Defaults to active.
+ * @property {Array<mongoose.Schema.Types.ObjectId>} requiredResources - Rooms and equipment reserved with the stylist whenever the service is booked.
+ * @property {string} [depositType] - One of DEPOSIT_TYPES when booking the service requires a deposit; empty otherwise.
+ * @property {number} depositValue - The deposit amount, or the percentage of the price for percentage deposits.
+ * @property {number} depositHoldMinutes - How long a booking holds its slot while the deposit is unpaid.
+ * @property {string} [taxCategory] - Code of the company tax category the service is charged under; empty uses the company's default.
  * @property {boolean} isTrashed - Indicates if the service is soft deleted. Defaults to false.
  */
 
@@ -65,12 +80,32 @@ const servicesSchema = new mongoose.Schema(
     },
     description: { type: String },
     duration: { type: String, required: true },
+    durationMinutes: { type: Number, min: 1 },
+    bufferBeforeMinutes: { type: Number, default: 0, min: 0 },
+    bufferAfterMinutes: { type: Number, default: 0, min: 0 },
+    processingStartMinutes: { type: Number, default: 0, min: 0 },
+    processingMinutes: { type: Number, default: 0, min: 0 },
     price: { type: String, required: true },
     serviceStatus: {
       type: String,
       enum: [SERVICE_STATUS.ACTIVE, SERVICE_STATUS.INACTIVE],
       default: SERVICE_STATUS.ACTIVE,
     },
+    requiredResources: [
+      { type: mongoose.Schema.Types.ObjectId, ref: MODELS.RESOURCE },
+    ],
+    depositType: {
+      type: String,
+      enum: [...Object.values(DEPOSIT_TYPES), null],
+      default: null,
+    },
+    depositValue: { type: Number, default: 0, min: 0 },
+    depositHoldMinutes: {
+      type: Number,
+      default: DEPOSIT.DEFAULT_HOLD_MINUTES,
+      min: 1,
+    },
+    taxCategory: { type: String, default: null },
     isTrashed: { type: Boolean, default: false }, // Soft delete mechanism
   },
   { timestamps: true }
@@ -37,6 +37,7 @@ const StockIdTracker = mongoose.model(
  * @property {string} stockStatus - Current status of the stock (e.g., in stock, low stock).
  * @property {string} stockImage - Image URL of the stock.
  * @property {string} [stockDescription] - Description of the stock.
+ * @property {string} [taxCategory] - Code of the company tax category the product is sold under; empty uses the company's default.
  * @property {boolean} [isTrashed=false] - Indicates whether the stock is soft-deleted.
  */
 const stockSchema = new mongoose.Schema({
@@ -69,6 +70,7 @@ const stockSchema = new mongoose.Schema({
   },
   stockImage: { type: String, required: true },
   stockDescription: { type: String },
+  taxCategory: { type: String, default: null },
   isTrashed: { type: Boolean, default: false },
 });
 
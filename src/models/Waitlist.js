@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import { MODELS, WAITLIST_STATUS } from "../constants.js";
+
+/**
+ * @typedef {Object} WaitlistOffer
+ * @property {string} token - Random token of the claim link.
+ * @property {mongoose.Schema.Types.ObjectId} stylistId - The stylist whose slot was freed.
+ * @property {Date} start - Start of the offered slot (UTC).
+ * @property {string} time - Local start time of the slot in `HH:mm`.
+ * @property {mongoose.Schema.Types.ObjectId} freedBy - The cancelled or deleted appointment that freed the slot.
+ * @property {Date} expiresAt - The claim link stops working after this time.
+ * @property {Date} [claimedAt] - When the client claimed the slot.
+ */
+
+/**
+ * A freed slot offered to the client.
+ */
+const waitlistOfferSchema = new mongoose.Schema(
+  {
+    token: { type: String, required: true },
+    stylistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.EMPLOYEE,
+      required: true,
+    },
+    start: { type: Date, required: true },
+    time: { type: String, required: true },
+    freedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.APPOINTMENT,
+    },
+    expiresAt: { type: Date, required: true },
+    claimedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} Waitlist
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {mongoose.Schema.Types.ObjectId} client - Reference to the Client model.
+ * @property {string} clientId - Identifier for the client.
+ * @property {mongoose.Schema.Types.ObjectId} service - Reference to the Services model.
+ * @property {mongoose.Schema.Types.ObjectId} [preferredStylistId] - Only slots of this stylist are offered; any eligible stylist otherwise.
+ * @property {string} fromDate - First acceptable day in `YYYY-MM-DD`, in the company's timezone.
+ * @property {string} toDate - Last acceptable day (inclusive) in `YYYY-MM-DD`.
+ * @property {string} [note] - Note copied onto the appointment.
+ * @property {string} status - Active until the client books an offered slot or leaves the waitlist.
+ * @property {WaitlistOffer[]} offers - Slots offered to the client, oldest first.
+ * @property {mongoose.Schema.Types.ObjectId} [appointment] - The appointment booked from an offer.
+ */
+
+/**
+ * Mongoose schema for the Waitlist model.
+ * @type {mongoose.Schema<Waitlist>}
+ */
+const waitlistSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.CLIENT,
+      required: true,
+    },
+    clientId: { type: String, required: true },
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.SERVICES,
+      required: true,
+    },
+    preferredStylistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.EMPLOYEE,
+    },
+    fromDate: { type: String, required: true },
+    toDate: { type: String, required: true },
+    note: { type: String },
+    status: {
+      type: String,
+      enum: Object.values(WAITLIST_STATUS),
+      default: WAITLIST_STATUS.ACTIVE,
+    },
+    offers: [waitlistOfferSchema],
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.APPOINTMENT,
+    },
+  },
+  { timestamps: true }
+);
+
+waitlistSchema.index({ companyId: 1, status: 1, fromDate: 1, toDate: 1 });
+waitlistSchema.index({ "offers.token": 1 });
+
+/**
+ * Mongoose model for the Waitlist schema.
+ * @type {mongoose.Model<Waitlist>}
+ */
+const Waitlist = mongoose.model(MODELS.WAITLIST, waitlistSchema);
+
+export default Waitlist;
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import { MODELS } from "../constants.js";
+
+/**
+ * @typedef {Object} WaitlistClaim
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {mongoose.Schema.Types.ObjectId} stylistId - The stylist whose slot was freed.
+ * @property {Date} start - Start of the freed slot (UTC).
+ * @property {mongoose.Schema.Types.ObjectId} [freedBy] - The cancelled or deleted appointment that freed the slot.
+ * @property {mongoose.Schema.Types.ObjectId} waitlist - The waitlist entry that claimed the slot.
+ */
+
+/**
+ * Mongoose schema for the WaitlistClaim model. A freed slot is offered to several waitlisted
+ * clients at once; the one claim document per slot lets only the first of them book it.
+ * @type {mongoose.Schema<WaitlistClaim>}
+ */
+const waitlistClaimSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    stylistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.EMPLOYEE,
+      required: true,
+    },
+    start: { type: Date, required: true },
+    freedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.APPOINTMENT,
+    },
+    waitlist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.WAITLIST,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+waitlistClaimSchema.index(
+  { freedBy: 1, stylistId: 1, start: 1 },
+  { unique: true }
+);
+
+/**
+ * Mongoose model for the WaitlistClaim schema.
+ * @type {mongoose.Model<WaitlistClaim>}
+ */
+const WaitlistClaim = mongoose.model(MODELS.WAITLIST_CLAIM, waitlistClaimSchema);
+
+export { WaitlistClaim };
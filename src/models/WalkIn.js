@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import { MODELS, WALK_IN_STATUS } from "../constants.js";
+
+/**
+ * @typedef {Object} WalkIn
+ * @property {mongoose.Schema.Types.ObjectId} companyId - Reference to the Company model.
+ * @property {mongoose.Schema.Types.ObjectId} client - Reference to the Client model.
+ * @property {string} clientId - Identifier for the client.
+ * @property {mongoose.Schema.Types.ObjectId} service - Reference to the Services model.
+ * @property {mongoose.Schema.Types.ObjectId} [preferredStylistId] - Stylist the client asked for; any eligible stylist otherwise.
+ * @property {string} [note] - Note copied onto the appointment.
+ * @property {string} status - Waiting until the client is served or leaves.
+ * @property {Date} checkedInAt - When the client joined the queue; the queue is served in this order.
+ * @property {string} addedBy - Firebase UID of the staff member who added the client.
+ * @property {Date} [startedAt] - When the walk-in was converted into an appointment.
+ * @property {mongoose.Schema.Types.ObjectId} [appointment] - The appointment created on start.
+ * @property {Date} [leftAt] - When the client was removed from the queue.
+ */
+
+/**
+ * Mongoose schema for the WalkIn model.
+ * A walk-in waits in the company's queue until it is started as a regular Appointment.
+ * @type {mongoose.Schema<WalkIn>}
+ */
+const walkInSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.COMPANY,
+      required: true,
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.CLIENT,
+      required: true,
+    },
+    clientId: { type: String, required: true },
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.SERVICES,
+      required: true,
+    },
+    preferredStylistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.EMPLOYEE,
+    },
+    note: { type: String },
+    status: {
+      type: String,
+      enum: Object.values(WALK_IN_STATUS),
+      default: WALK_IN_STATUS.WAITING,
+    },
+    checkedInAt: { type: Date, default: Date.now },
+    addedBy: { type: String },
+    startedAt: { type: Date },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: MODELS.APPOINTMENT,
+    },
+    leftAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+walkInSchema.index({ companyId: 1, status: 1, checkedInAt: 1 });
+
+/**
+ * Mongoose model for the WalkIn schema.
+ * @type {mongoose.Model<WalkIn>}
+ */
+const WalkIn = mongoose.model(MODELS.WALK_IN, walkInSchema);
+
+export default WalkIn;
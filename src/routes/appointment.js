@@ -9,7 +9,26 @@ import {
   getAppointmentsByClient,
   scheduleAppointment,
   getAppointmentStats,
+  getAvailability,
 } from "../controllers/appointment.js";
+import {
+  createSeries,
+  getSeries,
+  updateSeries,
+} from "../controllers/appointmentSeries.js";
+import {
+  cancelAppointmentController,
+  markNoShowController,
+  rescheduleAppointmentController,
+} from "../controllers/appointmentPolicy.js";
+import {
+  checkInAppointmentController,
+  completeAppointmentController,
+  getAppointmentHistoryController,
+} from "../controllers/appointmentStatus.js";
+import { getAppointmentCalendarController } from "../controllers/calendar.js";
+import { payDepositController } from "../controllers/deposit.js";
+import { checkCompanyStaff } from "../middleware/checkCompanyStaff.js";
 import { APPOINTMENT_ROUTES } from "../constants.js";
 
 // Import the APPOINTMENT_ROUTES constant from the constants file
@@ -33,9 +52,97 @@ router
  */
 router.get(APPOINTMENT_ROUTES.STATS, getAppointmentStats);
 
+/**
+ * @route GET /appointments/availability?serviceId&date
+ * @description Get open slots per eligible stylist for a service on a given day.
+ */
+router.get(APPOINTMENT_ROUTES.AVAILABILITY, getAvailability);
+
+/**
+ * @route GET /appointments/calendar?from&to&stylistId
+ * @description Get each stylist's appointments, blocked time and gaps per day over a date range.
+ */
+router.get(APPOINTMENT_ROUTES.CALENDAR, getAppointmentCalendarController);
+
+/**
+ * @route POST /appointments/series
+ * @description Create a recurring series and book its occurrences.
+ */
+router.post(APPOINTMENT_ROUTES.SERIES, createSeries);
+
+/**
+ * @route GET /appointments/series/:seriesId
+ * @description Get a series with all of its appointments.
+ */
+router.get(APPOINTMENT_ROUTES.SERIES_BY_ID, getSeries);
+
+/**
+ * @route PATCH /appointments/series/:seriesId/appointments/:appointmentId
+ * @description Edit this, this and following, or all upcoming occurrences of a series.
+ */
+router.patch(APPOINTMENT_ROUTES.SERIES_OCCURRENCE, updateSeries);
+
+/**
+ * @route PATCH /appointments/:id/cancel
+ * @description Cancel an upcoming appointment, recording who cancelled it and why.
+ */
+router.patch(APPOINTMENT_ROUTES.CANCEL, cancelAppointmentController);
+
+/**
+ * @route PATCH /appointments/:id/reschedule
+ * @description Move an upcoming appointment to a new date and time.
+ */
+router.patch(APPOINTMENT_ROUTES.RESCHEDULE, rescheduleAppointmentController);
+
+/**
+ * @route PATCH /appointments/:id/no-show
+ * @description Mark an appointment as a no-show. Company staff only.
+ */
+router.patch(
+  APPOINTMENT_ROUTES.NO_SHOW,
+  checkCompanyStaff,
+  markNoShowController
+);
+
+/**
+ * @route PATCH /appointments/:id/check-in
+ * @description Check a client in for today's appointment. Company staff only.
+ */
+router.patch(
+  APPOINTMENT_ROUTES.CHECK_IN,
+  checkCompanyStaff,
+  checkInAppointmentController
+);
+
+/**
+ * @route PATCH /appointments/:id/complete
+ * @description Mark an appointment as completed. Company staff only.
+ */
+router.patch(
+  APPOINTMENT_ROUTES.COMPLETE,
+  checkCompanyStaff,
+  completeAppointmentController
+);
+
+/**
+ * @route PATCH /appointments/:id/deposit/pay
+ * @description Record the deposit of an appointment as paid, confirming its slot. Company staff only.
+ */
+router.patch(
+  APPOINTMENT_ROUTES.PAY_DEPOSIT,
+  checkCompanyStaff,
+  payDepositController
+);
+
+/**
+ * @route GET /appointments/:id/history
+ * @description Get the status timeline of an appointment.
+ */
+router.get(APPOINTMENT_ROUTES.HISTORY, getAppointmentHistoryController);
+
 /**
  * @route PATCH /appointments/:id
- * @description Update a specific appointment by its ID.
+ * @description Hand an appointment to another stylist, or change its note.
  */
 router.route(APPOINTMENT_ROUTES.BY_ID).patch(updateAppointment);
 
@@ -0,0 +1,41 @@
+import express from "express";
+import {
+  createClientFeedController,
+  createEmployeeFeedController,
+  getCalendarFeedController,
+  revokeClientFeedController,
+  revokeEmployeeFeedController,
+} from "../controllers/calendarFeed.js";
+import { isAuthenticated } from "../middleware/auth.js";
+import { decodeCompanyToken } from "../middleware/decodeCompanyToken.js";
+import { CALENDAR_FEED_ROUTES } from "../constants.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /calendar-feeds/:token.ics
+ * @description Get an iCalendar feed. Public, calendar apps fetch it with the signed token.
+ */
+router.get(CALENDAR_FEED_ROUTES.FEED, getCalendarFeedController);
+
+/**
+ * @route POST /calendar-feeds/employees/:id
+ * @route DELETE /calendar-feeds/employees/:id
+ * @description Create (or replace) an employee's calendar feed, or revoke it.
+ */
+router
+  .route(CALENDAR_FEED_ROUTES.EMPLOYEE)
+  .post(isAuthenticated, decodeCompanyToken, createEmployeeFeedController)
+  .delete(isAuthenticated, decodeCompanyToken, revokeEmployeeFeedController);
+
+/**
+ * @route POST /calendar-feeds/clients/:id
+ * @route DELETE /calendar-feeds/clients/:id
+ * @description Create (or replace) a client's calendar feed, or revoke it.
+ */
+router
+  .route(CALENDAR_FEED_ROUTES.CLIENT)
+  .post(isAuthenticated, decodeCompanyToken, createClientFeedController)
+  .delete(isAuthenticated, decodeCompanyToken, revokeClientFeedController);
+
+export default router;
@@ -5,8 +5,13 @@ import {
   listAllCompanies,
   updateCompanyData,
   getCompanyByIdController,
+  getCompanySettingsController,
+  updateCompanySettingsController,
+  addClosureController,
+  removeClosureController,
 } from "../controllers/company.js";
 import { isAuthenticated } from "../middleware/auth.js";
+import { checkCompanyAdmin } from "../middleware/checkCompanyAdmin.js";
 import { decodeCompanyToken } from "../middleware/decodeCompanyToken.js";
 
 import { COMPANY_ROUTES } from "../constants.js";
@@ -51,6 +56,57 @@ router.patch(
  */
 router.get(COMPANY_ROUTES.LIST_ALL_COMPANIES, listAllCompanies);
 
+/**
+ * Protected route to get the company's timezone, business hours, closures, cancellation policy, reminder settings and online booking settings
+ * @route GET /api/company/settings
+ * @access Private
+ */
+router.get(
+  COMPANY_ROUTES.SETTINGS,
+  isAuthenticated,
+  decodeCompanyToken,
+  getCompanySettingsController
+);
+
+/**
+ * Protected route to update the company's timezone, business hours, cancellation policy, reminder settings and online booking settings
+ * @route PUT /api/company/settings
+ * @access Company admins
+ */
+router.put(
+  COMPANY_ROUTES.SETTINGS,
+  isAuthenticated,
+  decodeCompanyToken,
+  checkCompanyAdmin,
+  updateCompanySettingsController
+);
+
+/**
+ * Protected route to add a closure date
+ * @route POST /api/company/closures
+ * @access Company admins
+ */
+router.post(
+  COMPANY_ROUTES.CLOSURES,
+  isAuthenticated,
+  decodeCompanyToken,
+  checkCompanyAdmin,
+  addClosureController
+);
+
+/**
+ * Protected route to remove a closure date
+ * @route DELETE /api/company/closures/:date
+ * @access Company admins
+ */
+router.delete(
+  COMPANY_ROUTES.CLOSURE_BY_DATE,
+  isAuthenticated,
+  decodeCompanyToken,
+  checkCompanyAdmin,
+  removeClosureController
+);
+
 /**
  * Public route to get company details by ID
  * @route GET /api/company/:companyId
@@ -7,6 +7,19 @@ import {
   updateEmployee,
   listServiceBasedEmployeeSummary,
 } from "../controllers/employee.js";
+import {
+  cancelLeave,
+  deleteScheduleOverride,
+  getEmployeeLeaves,
+  getLeaves,
+  getSchedule,
+  requestLeave,
+  reviewLeave,
+  setScheduleOverride,
+  setWeeklySchedule,
+} from "../controllers/employeeSchedule.js";
+import { getPerformanceReport } from "../controllers/employeePerformance.js";
+import { checkCompanyAdmin } from "../middleware/checkCompanyAdmin.js";
 import upload from "../middleware/upload.js";
 import { EMPLOYEE_ROUTES, UPLOAD_IMAGE_FIELD } from "../constants.js";
 
@@ -63,4 +76,82 @@ router.get(EMPLOYEE_ROUTES.SUMMARY, listServiceBasedEmployeeSummary);
  */
 router.patch(EMPLOYEE_ROUTES.SOFT_DELETE_EMPLOYEE, softDeleteEmployee);
 
+/**
+ * Route to get an employee's resolved schedule for a date range.
+ * @route GET /api/employees/:id/schedule?from&to
+ * @access Public
+ */
+router.get(EMPLOYEE_ROUTES.SCHEDULE, getSchedule);
+
+/**
+ * Route to replace an employee's weekly shift template.
+ * @route PUT /api/employees/:id/schedule
+ * @access Company admins
+ */
+router.put(EMPLOYEE_ROUTES.SCHEDULE, checkCompanyAdmin, setWeeklySchedule);
+
+/**
+ * Route to add or replace a one-off schedule override (extra shift, day off or holiday).
+ * @route PUT /api/employees/:id/overrides
+ * @access Company admins
+ */
+router.put(EMPLOYEE_ROUTES.OVERRIDES, checkCompanyAdmin, setScheduleOverride);
+
+/**
+ * Route to remove an employee's schedule override for a day.
+ * @route DELETE /api/employees/:id/overrides/:date
+ * @access Company admins
+ */
+router.delete(
+  EMPLOYEE_ROUTES.OVERRIDE_BY_DATE,
+  checkCompanyAdmin,
+  deleteScheduleOverride
+);
+
+/**
+ * Route to list the leave requests of the company.
+ * @route GET /api/employees/leaves?employeeId&status
+ * @access Public
+ */
+router.get(EMPLOYEE_ROUTES.LEAVES, getLeaves);
+
+/**
+ * Route to list an employee's leave requests.
+ * @route GET /api/employees/:id/leaves?status
+ * @access Public
+ */
+router.get(EMPLOYEE_ROUTES.EMPLOYEE_LEAVES, getEmployeeLeaves);
+
+/**
+ * Route to submit a leave request for an employee.
+ * @route POST /api/employees/:id/leaves
+ * @access Public
+ */
+router.post(EMPLOYEE_ROUTES.EMPLOYEE_LEAVES, requestLeave);
+
+/**
+ * Route to approve or reject a pending leave request.
+ * @route PATCH /api/employees/leaves/:leaveId/review
+ * @access Company admins
+ */
+router.patch(EMPLOYEE_ROUTES.REVIEW_LEAVE, checkCompanyAdmin, reviewLeave);
+
+/**
+ * Route to withdraw a pending leave request.
+ * @route PATCH /api/employees/leaves/:leaveId/cancel
+ * @access Public
+ */
+router.patch(EMPLOYEE_ROUTES.CANCEL_LEAVE, cancelLeave);
+
+/**
+ * Route to fetch the performance of the employees over a range of days, as JSON or CSV.
+ * @route GET /api/employees/performance?from&to&employeeId&format
+ * @access Company admins
+ */
+router.get(
+  EMPLOYEE_ROUTES.PERFORMANCE,
+  checkCompanyAdmin,
+  getPerformanceReport
+);
+
 export default router;
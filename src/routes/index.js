@@ -13,13 +13,20 @@ import { authMiddleware, isAuthenticated } from "../middleware/auth.js";
 import { decodeCompanyToken } from "../middleware/decodeCompanyToken.js";
 import categoryRoutes from "./category.js";
 import notificationRoutes from "./notification.js";
-// import stripeRoutes from "./stripe.js";
 import moduleRoutes from "./module.js";
 import roleRoutes from "./role.js";
 import paymentRoutes from "../routes/payment.js";
 import { BASE_ROUTES } from "../constants.js";
 import revenueRoutes from "../routes/revenue.js";
 import grotechAdminRoutes from "./grotechAdmin.js";
+import walkInRoutes from "./walkIn.js";
+import waitlistRoutes from "./waitlist.js";
+import calendarFeedRoutes from "./calendarFeed.js";
+import resourceRoutes from "./resource.js";
+import publicBookingRoutes from "./publicBooking.js";
+import saleRoutes from "./sale.js";
+import webhookRoutes from "./webhook.js";
+import payrollRoutes from "./payroll.js";
 
 const router = express.Router();
 
@@ -38,6 +45,18 @@ router.use("/grotech-admin", grotechAdminRoutes);
 // Public route to add a company (no authentication required)
 router.use(BASE_ROUTES.COMPANY, companyRoutes);
 
+// Claim links are public; the other waitlist routes authenticate themselves
+router.use(BASE_ROUTES.WAITLIST, waitlistRoutes);
+
+// Feeds are fetched by calendar apps; managing them authenticates per route
+router.use(BASE_ROUTES.CALENDAR_FEEDS, calendarFeedRoutes);
+
+// Guests browse and book without an account; the routes are rate limited instead
+router.use(BASE_ROUTES.BOOKING, publicBookingRoutes);
+
+// Payment gateways sign their webhooks instead of authenticating
+router.use(BASE_ROUTES.WEBHOOKS, webhookRoutes);
+
 router.use(
   BASE_ROUTES.APPOINTMENTS,
   isAuthenticated,
@@ -93,27 +112,46 @@ router.use(
   decodeCompanyToken,
   notificationRoutes
 );
-/*
 router.use(
   BASE_ROUTES.PAYMENT,
   isAuthenticated,
   decodeCompanyToken,
-  stripeRoutes
+  paymentRoutes
 );
-*/
 
 router.use(
-  BASE_ROUTES.PAYMENT,
+  BASE_ROUTES.REVENUE,
   isAuthenticated,
   decodeCompanyToken,
-  paymentRoutes
+  revenueRoutes
 );
 
 router.use(
-  BASE_ROUTES.REVENUE,
+  BASE_ROUTES.WALK_INS,
   isAuthenticated,
   decodeCompanyToken,
-  revenueRoutes
+  walkInRoutes
+);
+
+router.use(
+  BASE_ROUTES.RESOURCES,
+  isAuthenticated,
+  decodeCompanyToken,
+  resourceRoutes
+);
+
+router.use(
+  BASE_ROUTES.SALES,
+  isAuthenticated,
+  decodeCompanyToken,
+  saleRoutes
+);
+
+router.use(
+  BASE_ROUTES.PAYROLL,
+  isAuthenticated,
+  decodeCompanyToken,
+  payrollRoutes
 );
 
 router.use(BASE_ROUTES.MODULES, isAuthenticated, authMiddleware, moduleRoutes);
@@ -1,10 +1,160 @@
 import express from "express";
 import { PAYMENT_ROUTES } from "../constants.js";
+import {
+  downloadInvoiceController,
+  emailInvoiceController,
+} from "../controllers/invoice.js";
 import { listPayments } from "../controllers/payment.js";
+import {
+  confirmPaymentController,
+  createOrderPaymentIntentController,
+  createPaymentIntentController,
+} from "../controllers/paymentGateway.js";
+import {
+  listWebhookEventsController,
+  replayWebhookEventController,
+} from "../controllers/paymentWebhook.js";
+import {
+  approveRefundController,
+  listPaymentRefundsController,
+  listRefundsController,
+  rejectRefundController,
+  requestRefundController,
+} from "../controllers/refund.js";
+import { checkCompanyAdmin } from "../middleware/checkCompanyAdmin.js";
+import { checkCompanyStaff } from "../middleware/checkCompanyStaff.js";
 
 const router = express.Router();
 
 // router.route(PAYMENT_ROUTES.CREATE_PAYMENT).post(createPayment);
 router.route(PAYMENT_ROUTES.LIST_PAYMENTS).get(listPayments);
 
+/**
+ * Route to download the PDF invoice of a payment, a receipt once it is paid.
+ * @route GET /api/payment/:id/invoice
+ * @access Company staff
+ */
+router.get(
+  PAYMENT_ROUTES.INVOICE,
+  checkCompanyStaff,
+  downloadInvoiceController
+);
+
+/**
+ * Route to email the PDF invoice of a payment again, to the client or another address.
+ * @route POST /api/payment/:id/invoice/email
+ * @access Company staff
+ */
+router.post(
+  PAYMENT_ROUTES.EMAIL_INVOICE,
+  checkCompanyStaff,
+  emailInvoiceController
+);
+
+/**
+ * Route to list the company's refunds, by default those waiting for approval.
+ * @route GET /api/payment/refunds
+ * @access Company admin
+ */
+router.get(PAYMENT_ROUTES.REFUNDS, checkCompanyAdmin, listRefundsController);
+
+/**
+ * Route to approve a pending refund and record it against its payment.
+ * @route POST /api/payment/refunds/:refundId/approve
+ * @access Company admin
+ */
+router.post(
+  PAYMENT_ROUTES.APPROVE_REFUND,
+  checkCompanyAdmin,
+  approveRefundController
+);
+
+/**
+ * Route to reject a pending refund.
+ * @route POST /api/payment/refunds/:refundId/reject
+ * @access Company admin
+ */
+router.post(
+  PAYMENT_ROUTES.REJECT_REFUND,
+  checkCompanyAdmin,
+  rejectRefundController
+);
+
+/**
+ * Route to list the company's payment webhook events, by default those that failed.
+ * @route GET /api/payment/webhook-events
+ * @access Company admin
+ */
+router.get(
+  PAYMENT_ROUTES.WEBHOOK_EVENTS,
+  checkCompanyAdmin,
+  listWebhookEventsController
+);
+
+/**
+ * Route to apply a failed payment webhook event again.
+ * @route POST /api/payment/webhook-events/:eventId/replay
+ * @access Company admin
+ */
+router.post(
+  PAYMENT_ROUTES.REPLAY_WEBHOOK_EVENT,
+  checkCompanyAdmin,
+  replayWebhookEventController
+);
+
+/**
+ * Route to ask for part or all of a payment to be refunded.
+ * @route POST /api/payment/:id/refunds
+ * @access Company staff
+ */
+router.post(
+  PAYMENT_ROUTES.PAYMENT_REFUNDS,
+  checkCompanyStaff,
+  requestRefundController
+);
+
+/**
+ * Route to list the refunds of a payment.
+ * @route GET /api/payment/:id/refunds
+ * @access Company staff
+ */
+router.get(
+  PAYMENT_ROUTES.PAYMENT_REFUNDS,
+  checkCompanyStaff,
+  listPaymentRefundsController
+);
+
+/**
+ * Route to start the online payment of a stock order at the payment gateway.
+ * @route POST /api/payment/orders/:orderId/intent
+ * @access Company staff
+ */
+router.post(
+  PAYMENT_ROUTES.ORDER_PAYMENT_INTENT,
+  checkCompanyStaff,
+  createOrderPaymentIntentController
+);
+
+/**
+ * Route to start the online payment of an appointment, deposit or fee payment.
+ * @route POST /api/payment/:id/intent
+ * @access Company staff
+ */
+router.post(
+  PAYMENT_ROUTES.PAYMENT_INTENT,
+  checkCompanyStaff,
+  createPaymentIntentController
+);
+
+/**
+ * Route to confirm an online payment with its gateway.
+ * @route POST /api/payment/:id/confirm
+ * @access Company staff
+ */
+router.post(
+  PAYMENT_ROUTES.CONFIRM_PAYMENT,
+  checkCompanyStaff,
+  confirmPaymentController
+);
+
 export default router;
@@ -0,0 +1,84 @@
+import express from "express";
+import {
+  createCompensationPlanController,
+  createPayrollRunController,
+  deletePayrollRunController,
+  getPayrollRunController,
+  listCompensationPlansController,
+  listPayrollRunsController,
+  lockPayrollRunController,
+  recalculatePayrollRunController,
+  updateCompensationPlanController,
+} from "../controllers/payroll.js";
+import { checkCompanyAdmin } from "../middleware/checkCompanyAdmin.js";
+import { PAYROLL_ROUTES } from "../constants.js";
+
+const router = express.Router();
+
+/**
+ * Route to list the company's compensation plans, or add one for an employee or a role.
+ * @route GET /api/payroll/plans?isActive
+ * @route POST /api/payroll/plans
+ * @access Company admins
+ */
+router
+  .route(PAYROLL_ROUTES.PLANS)
+  .get(checkCompanyAdmin, listCompensationPlansController)
+  .post(checkCompanyAdmin, createCompensationPlanController);
+
+/**
+ * Route to change a compensation plan, or deactivate it.
+ * @route PATCH /api/payroll/plans/:id
+ * @access Company admins
+ */
+router.patch(
+  PAYROLL_ROUTES.PLAN_BY_ID,
+  checkCompanyAdmin,
+  updateCompensationPlanController
+);
+
+/**
+ * Route to list payroll runs, or calculate pay for a period as a draft run.
+ * @route GET /api/payroll/runs
+ * @route POST /api/payroll/runs
+ * @access Company admins
+ */
+router
+  .route(PAYROLL_ROUTES.RUNS)
+  .get(checkCompanyAdmin, listPayrollRunsController)
+  .post(checkCompanyAdmin, createPayrollRunController);
+
+/**
+ * Route to view a payroll run with each employee's pay, or delete a draft run.
+ * @route GET /api/payroll/runs/:id
+ * @route DELETE /api/payroll/runs/:id
+ * @access Company admins
+ */
+router
+  .route(PAYROLL_ROUTES.RUN_BY_ID)
+  .get(checkCompanyAdmin, getPayrollRunController)
+  .delete(checkCompanyAdmin, deletePayrollRunController);
+
+/**
+ * Route to calculate a draft payroll run again.
+ * @route POST /api/payroll/runs/:id/recalculate
+ * @access Company admins
+ */
+router.post(
+  PAYROLL_ROUTES.RECALCULATE_RUN,
+  checkCompanyAdmin,
+  recalculatePayrollRunController
+);
+
+/**
+ * Route to lock a payroll run. Locked runs cannot be recalculated or deleted.
+ * @route POST /api/payroll/runs/:id/lock
+ * @access Company admins
+ */
+router.post(
+  PAYROLL_ROUTES.LOCK_RUN,
+  checkCompanyAdmin,
+  lockPayrollRunController
+);
+
+export default router;
@@ -0,0 +1,115 @@
+import express from "express";
+import {
+  bookOnlineController,
+  getBookingAvailabilityController,
+  getBookingPageController,
+  listBookingCategoriesController,
+  listBookingServicesController,
+  listBookingStylistsController,
+  requestBookingOtpController,
+} from "../controllers/publicBooking.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { resolveBookingCompany } from "../middleware/resolveBookingCompany.js";
+import { ONLINE_BOOKING, PUBLIC_BOOKING_ROUTES } from "../constants.js";
+
+const router = express.Router();
+
+const windowMinutes = ONLINE_BOOKING.RATE_LIMIT_WINDOW_MINUTES;
+const browseLimit = rateLimit({
+  windowMinutes,
+  max: ONLINE_BOOKING.MAX_REQUESTS,
+});
+const otpLimit = rateLimit({
+  windowMinutes,
+  max: ONLINE_BOOKING.MAX_OTP_REQUESTS,
+});
+const bookingLimit = rateLimit({
+  windowMinutes,
+  max: ONLINE_BOOKING.MAX_BOOKING_REQUESTS,
+});
+
+/**
+ * @route GET /booking/:slug
+ * @description Get the salon's name, address and opening hours.
+ * @access Public, rate limited
+ */
+router.get(
+  PUBLIC_BOOKING_ROUTES.COMPANY,
+  browseLimit,
+  resolveBookingCompany,
+  getBookingPageController
+);
+
+/**
+ * @route GET /booking/:slug/categories
+ * @description List the salon's active categories.
+ * @access Public, rate limited
+ */
+router.get(
+  PUBLIC_BOOKING_ROUTES.CATEGORIES,
+  browseLimit,
+  resolveBookingCompany,
+  listBookingCategoriesController
+);
+
+/**
+ * @route GET /booking/:slug/services?categoryId
+ * @description List the services guests can book.
+ * @access Public, rate limited
+ */
+router.get(
+  PUBLIC_BOOKING_ROUTES.SERVICES,
+  browseLimit,
+  resolveBookingCompany,
+  listBookingServicesController
+);
+
+/**
+ * @route GET /booking/:slug/stylists?serviceId
+ * @description List the stylists guests can book.
+ * @access Public, rate limited
+ */
+router.get(
+  PUBLIC_BOOKING_ROUTES.STYLISTS,
+  browseLimit,
+  resolveBookingCompany,
+  listBookingStylistsController
+);
+
+/**
+ * @route GET /booking/:slug/availability?serviceId&date&stylistId
+ * @description List the open slots of a service on a day.
+ * @access Public, rate limited
+ */
+router.get(
+  PUBLIC_BOOKING_ROUTES.AVAILABILITY,
+  browseLimit,
+  resolveBookingCompany,
+  getBookingAvailabilityController
+);
+
+/**
+ * @route POST /booking/:slug/otp
+ * @description Email a guest the OTP that confirms their booking.
+ * @access Public, rate limited
+ */
+router.post(
+  PUBLIC_BOOKING_ROUTES.OTP,
+  otpLimit,
+  resolveBookingCompany,
+  requestBookingOtpController
+);
+
+/**
+ * @route POST /booking/:slug/appointments
+ * @description Book an appointment as a guest with the OTP sent to their email.
+ * @access Public, rate limited
+ */
+router.post(
+  PUBLIC_BOOKING_ROUTES.APPOINTMENTS,
+  bookingLimit,
+  resolveBookingCompany,
+  bookOnlineController
+);
+
+export default router;
@@ -0,0 +1,46 @@
+import express from "express";
+import {
+  createResourceController,
+  deleteResourceController,
+  listResourcesController,
+  updateResourceController,
+} from "../controllers/resource.js";
+import { checkCompanyAdmin } from "../middleware/checkCompanyAdmin.js";
+import { RESOURCE_ROUTES } from "../constants.js";
+
+const router = express.Router();
+
+/**
+ * Route to list the company's chairs, rooms and equipment, or add one.
+ * @route GET /api/resources?type
+ * @route POST /api/resources
+ * @access Company staff (listing), company admins (adding)
+ */
+router
+  .route(RESOURCE_ROUTES.BASE)
+  .get(listResourcesController)
+  .post(checkCompanyAdmin, createResourceController);
+
+/**
+ * Route to update a resource's name, type, capacity or description.
+ * @route PATCH /api/resources/:id
+ * @access Company admins
+ */
+router.patch(
+  RESOURCE_ROUTES.UPDATE,
+  checkCompanyAdmin,
+  updateResourceController
+);
+
+/**
+ * Route to soft delete a resource. Services stop requiring it.
+ * @route PATCH /api/resources/soft-delete/:id
+ * @access Company admins
+ */
+router.patch(
+  RESOURCE_ROUTES.SOFT_DELETE,
+  checkCompanyAdmin,
+  deleteResourceController
+);
+
+export default router;
@@ -1,9 +1,37 @@
 import express from "express";
 import { REVENUE_ROUTES } from "../constants.js";
-import { getRevenueStats } from "../controllers/revenue.js";
+import {
+  getRevenueReportController,
+  getRevenueStats,
+  getTaxLiabilityReportController,
+} from "../controllers/revenue.js";
+import { checkCompanyStaff } from "../middleware/checkCompanyStaff.js";
 
 const router = express.Router();
 
 router.route(REVENUE_ROUTES.BASE).get(getRevenueStats);
 
+/**
+ * Route to fetch the tax collected per period and tax category.
+ * @route GET /api/revenue/tax-liability?from&to&interval
+ * @access Company staff
+ */
+router.get(
+  REVENUE_ROUTES.TAX_LIABILITY,
+  checkCompanyStaff,
+  getTaxLiabilityReportController
+);
+
+/**
+ * Route to fetch the revenue collected per period, optionally grouped and compared with the
+ * prior period.
+ * @route GET /api/revenue/report?from&to&interval&groupBy&compare
+ * @access Company staff
+ */
+router.get(
+  REVENUE_ROUTES.REPORT,
+  checkCompanyStaff,
+  getRevenueReportController
+);
+
 export default router;
@@ -0,0 +1,25 @@
+import express from "express";
+import {
+  checkoutSaleController,
+  getSaleReceiptController,
+} from "../controllers/sale.js";
+import { checkCompanyStaff } from "../middleware/checkCompanyStaff.js";
+import { SALE_ROUTES } from "../constants.js";
+
+const router = express.Router();
+
+/**
+ * Route to check out appointments and retail products at the counter.
+ * @route POST /api/sales
+ * @access Company staff
+ */
+router.post(SALE_ROUTES.BASE, checkCompanyStaff, checkoutSaleController);
+
+/**
+ * Route to fetch the receipt of a sale.
+ * @route GET /api/sales/:id/receipt
+ * @access Company staff
+ */
+router.get(SALE_ROUTES.RECEIPT, checkCompanyStaff, getSaleReceiptController);
+
+export default router;
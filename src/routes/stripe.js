@@ -1,17 +0,0 @@
-// import express from "express";
-// import { createPaymentIntentController } from "../controllers/stripe.js";
-// import { STRIPE_ROUTES } from "../constants.js";
-
-// const router = express.Router();
-
-// /**
-//  * Route to create a payment intent.
-//  * @route POST /api/stripe/create-payment-intent
-//  * @access Public
-//  */
-// router.post(STRIPE_ROUTES.CREATE_PAYMENT_INTENT, createPaymentIntentController);
-
-// // Uncomment the following line to add the webhook route
-// // router.post(STRIPE_ROUTES.WEBHOOK, stripeWebhookController);
-
-// export default router;
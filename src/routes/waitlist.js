@@ -0,0 +1,48 @@
+import express from "express";
+import {
+  addToWaitlistController,
+  cancelWaitlistEntryController,
+  claimWaitlistOfferController,
+  getWaitlistOfferController,
+  listWaitlistController,
+} from "../controllers/waitlist.js";
+import { isAuthenticated } from "../middleware/auth.js";
+import { decodeCompanyToken } from "../middleware/decodeCompanyToken.js";
+import { WAITLIST_ROUTES } from "../constants.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /waitlist/offers/:token
+ * @description Get the slot offered by a claim link. Public, the token identifies the client.
+ */
+router.get(WAITLIST_ROUTES.OFFER, getWaitlistOfferController);
+
+/**
+ * @route POST /waitlist/offers/:token/claim
+ * @description Claim an offered slot and book it. Public, the token identifies the client.
+ */
+router.post(WAITLIST_ROUTES.CLAIM_OFFER, claimWaitlistOfferController);
+
+/**
+ * @route GET /waitlist
+ * @route POST /waitlist
+ * @description List the company's waitlist, or add a client to it.
+ */
+router
+  .route(WAITLIST_ROUTES.BASE)
+  .get(isAuthenticated, decodeCompanyToken, listWaitlistController)
+  .post(isAuthenticated, decodeCompanyToken, addToWaitlistController);
+
+/**
+ * @route PATCH /waitlist/:id/cancel
+ * @description Take a client off the waitlist.
+ */
+router.patch(
+  WAITLIST_ROUTES.CANCEL,
+  isAuthenticated,
+  decodeCompanyToken,
+  cancelWaitlistEntryController
+);
+
+export default router;
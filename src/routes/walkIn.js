@@ -0,0 +1,38 @@
+import express from "express";
+import {
+  addWalkInController,
+  getWalkInQueueController,
+  removeWalkInController,
+  startWalkInController,
+} from "../controllers/walkIn.js";
+import { checkCompanyStaff } from "../middleware/checkCompanyStaff.js";
+import { WALK_IN_ROUTES } from "../constants.js";
+
+const router = express.Router();
+
+// The walk-in queue is run by the front desk
+router.use(checkCompanyStaff);
+
+/**
+ * @route GET /walk-ins
+ * @route POST /walk-ins
+ * @description Get the live walk-in queue with estimated waits, or add a client to it.
+ */
+router
+  .route(WALK_IN_ROUTES.BASE)
+  .get(getWalkInQueueController)
+  .post(addWalkInController);
+
+/**
+ * @route PATCH /walk-ins/:id/start
+ * @description Start serving a walk-in as an appointment beginning now.
+ */
+router.patch(WALK_IN_ROUTES.START, startWalkInController);
+
+/**
+ * @route PATCH /walk-ins/:id/remove
+ * @description Remove a client who left from the queue.
+ */
+router.patch(WALK_IN_ROUTES.REMOVE, removeWalkInController);
+
+export default router;
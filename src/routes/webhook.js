@@ -0,0 +1,15 @@
+import express from "express";
+import { WEBHOOK_ROUTES } from "../constants.js";
+import { paymentWebhookController } from "../controllers/paymentWebhook.js";
+
+const router = express.Router();
+
+/**
+ * Route for payment gateways to deliver webhook events. The body arrives unparsed so that
+ * its signature can be checked.
+ * @route POST /api/webhooks/payments/:provider
+ * @access Public, signed by the gateway
+ */
+router.post(WEBHOOK_ROUTES.PAYMENT, paymentWebhookController);
+
+export default router;
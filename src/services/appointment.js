@@ -1,21 +1,23 @@
-import moment from "moment";
+import moment from "moment-timezone";
 import {
   ERROR_MESSAGES,
   DATE_AND_TIME_FORMAT,
-  IST_OFFSET,
+  APPOINTMENT_EMAIL_TYPES,
   APPOINTMENT_STATUS,
-  DATE_FORMAT,
+  MOMENT_DATE_FORMAT,
   NOTIFICATION_MESSAGES,
   NOTIFICATION_TYPES,
+  PAYMENT_STATUS,
+  PAYMENT_TYPES,
   FILTER_BY,
   CLIENT,
   GENERAL_CONSTANTS,
+  LINE_ITEM,
   SERVICE,
   STYLIST,
   TIME_FORMAT,
-  TIME_CONSTANTS,
 } from "../constants.js";
-import parseDurationToMinutes from "../utils/duration.js";
+import { getServiceTiming } from "../utils/duration.js";
 import { Employee } from "../models/Employee.js";
 import { Client } from "../models/Client.js";
 import { Services } from "../models/Services.js";
@@ -25,13 +27,220 @@ import {
 } from "../utils/idGenerator.js";
 import { Appointment } from "../models/Appointments.js";
 import { saveNotification } from "./notification.js";
+import { assertLineItemsAvailable } from "./availability.js";
+import { buildStatusChange } from "./appointmentStatus.js";
+import { getCompanySettings } from "./company.js";
+import { computeDeposit } from "./deposit.js";
+import { sendAppointmentInvite } from "./icalendar.js";
+import { allocateTax, computeTax } from "./tax.js";
 import mongoose from "mongoose";
-import { format } from "date-fns";
 import { Payment } from "../models/Payment.js";
+import {
+  getAppointmentLineItems,
+  getLineItemsEnd,
+  hasStylistOverlap,
+} from "../utils/lineItems.js";
+
+/**
+ * Loads the service and stylist of each requested line item and lays the items out in time.
+ * A line item without `startOffset` starts when the previous one ends, and one without
+ * `duration` takes the service's own duration. Each line item copies the buffers and
+ * processing time of its service and reserves the resources the service requires.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<Object>} items - `{service, stylistId, startOffset?, duration?}` in booking order.
+ * @returns {Promise<Array<Object>>} - Line items `{service, stylistId, startOffset, duration, bufferBefore, bufferAfter, processingStart, processingDuration, price, resources}`, `service` being the service document.
+ * @throws {Error} - Throws SERVICE_NOT_FOUND, STYLIST_NOT_FOUND or LINE_ITEMS_OVERLAP.
+ */
+export const buildLineItems = async (companyId, items) => {
+  const lineItems = [];
+  let nextOffset = GENERAL_CONSTANTS.ZERO;
+
+  for (const item of items) {
+    const service = mongoose.Types.ObjectId.isValid(item.service)
+      ? await Services.findOne({
+          _id: item.service,
+          companyId,
+          isTrashed: false,
+        })
+      : null;
+    if (!service) {
+      throw new Error(ERROR_MESSAGES.SERVICE_NOT_FOUND);
+    }
+
+    const employee = mongoose.Types.ObjectId.isValid(item.stylistId)
+      ? await Employee.findOne({
+          _id: item.stylistId,
+          companyId,
+          isTrashed: false,
+        })
+      : null;
+    if (!employee) {
+      throw new Error(ERROR_MESSAGES.STYLIST_NOT_FOUND);
+    }
+
+    const timing = getServiceTiming(service);
+    const startOffset = item.startOffset ?? nextOffset;
+    const duration = item.duration ?? timing.duration;
+    // A shortened service only keeps its processing time if it still fits
+    const hasProcessing =
+      timing.processingStart + timing.processingDuration <= duration;
+    lineItems.push({
+      service,
+      stylistId: employee._id,
+      startOffset,
+      duration,
+      bufferBefore: timing.bufferBefore,
+      bufferAfter: timing.bufferAfter,
+      processingStart: hasProcessing ? timing.processingStart : 0,
+      processingDuration: hasProcessing ? timing.processingDuration : 0,
+      price: Number(service.price) || GENERAL_CONSTANTS.ZERO,
+      resources: service.requiredResources || [],
+    });
+    nextOffset = startOffset + duration;
+  }
+
+  if (hasStylistOverlap(lineItems)) {
+    throw new Error(ERROR_MESSAGES.LINE_ITEMS_OVERLAP);
+  }
+
+  return lineItems;
+};
+
+/**
+ * Creates an appointment with the next sequential `appointmentId`, plus one payment
+ * for all of its line items when the total is priced.
+ * Tax is worked out from the tax categories of the services and the company's pricing
+ * mode; each payment carries its share of it.
+ * With a deposit, a pending deposit payment holds the slot and the appointment payment
+ * only covers the balance left once the deposit is applied.
+ * Availability must already have been checked by the caller.
+ *
+ * @param {Object} params - The appointment details.
+ * @param {string} params.companyId - The ID of the company.
+ * @param {Object} params.client - The client document.
+ * @param {Array<Object>} params.lineItems - Line items as returned by `buildLineItems`.
+ * @param {Date} params.start - Appointment start (UTC).
+ * @param {string} params.time - Local start time in `HH:mm`.
+ * @param {string} [params.note] - Optional note for the appointment.
+ * @param {string} [params.paidStatus] - Payment status of the appointment.
+ * @param {string} [params.seriesId] - The recurring series the appointment belongs to.
+ * @param {Object} [params.deposit] - The `amount` and `holdExpiresAt` returned by `computeDeposit`.
+ * @param {string} params.actor - Firebase UID of the user booking the appointment.
+ * @returns {Promise<{appointment: Object, payment: Object|null, depositPayment: Object|null}>} - The saved appointment and payments.
+ */
+export const createAppointmentRecord = async ({
+  companyId,
+  client,
+  lineItems,
+  start,
+  time,
+  note,
+  paidStatus,
+  seriesId,
+  deposit,
+  actor,
+}) => {
+  const expiresAt = getLineItemsEnd(start, lineItems);
+  const totalPrice = lineItems.reduce((sum, item) => sum + item.price, 0);
+  const { taxSettings } = await getCompanySettings(companyId);
+  const taxes = computeTax(
+    lineItems.map((item) => ({
+      amount: item.price,
+      taxCategory: item.service.taxCategory,
+    })),
+    taxSettings
+  );
+
+  // Determine appointment status
+  const nowUTC = new Date();
+  let appointmentStatus;
+  if (nowUTC < start) {
+    appointmentStatus = APPOINTMENT_STATUS.UPCOMING;
+  } else if (nowUTC >= start && nowUTC <= expiresAt) {
+    appointmentStatus = APPOINTMENT_STATUS.ONGOING;
+  } else {
+    appointmentStatus = APPOINTMENT_STATUS.COMPLETED;
+  }
+
+  // Generate appointment ID
+  const appointmentId = await generateNextAptId(companyId);
+
+  // Create appointment document
+  const appointment = new Appointment({
+    appointmentId,
+    clientId: client.clientId,
+    client: client._id,
+    clientName: client.name,
+    service: lineItems[0].service._id,
+    stylistId: lineItems[0].stylistId,
+    lineItems: lineItems.map((item, index) => ({
+      ...item,
+      ...taxes.items[index],
+      service: item.service._id,
+    })),
+    totalPrice,
+    taxPricingMode: taxSettings.pricingMode,
+    taxAmount: taxes.tax,
+    taxBreakdown: taxes.breakdown,
+    date: start,
+    time,
+    note,
+    expiresAt,
+    status: paidStatus,
+    appointmentStatus,
+    statusHistory: [buildStatusChange(undefined, appointmentStatus, actor)],
+    companyId,
+    seriesId,
+  });
+
+  let depositPayment = null;
+  if (deposit) {
+    depositPayment = new Payment({
+      companyId,
+      appointmentId: appointment._id,
+      type: PAYMENT_TYPES.DEPOSIT,
+      amount: deposit.amount,
+      ...allocateTax(taxes.breakdown, deposit.amount, taxes.total),
+      status: PAYMENT_STATUS.PENDING,
+    });
+    appointment.deposit = { ...deposit, payment: depositPayment._id };
+  }
+
+  await appointment.save();
+
+  if (depositPayment) {
+    depositPayment.transactionId = await generateNextTransactionId(companyId);
+    await depositPayment.save();
+  }
+
+  // The deposit is applied against the final bill, tax included
+  const balance =
+    Math.round((taxes.total - (deposit?.amount || 0)) * 100) / 100;
+  let payment = null;
+  if (balance > 0) {
+    payment = new Payment({
+      companyId,
+      clientId: client.clientId,
+      appointmentId: appointment._id,
+      amount: balance,
+      ...allocateTax(taxes.breakdown, balance, taxes.total),
+      status: paidStatus,
+    });
+    payment.transactionId = await generateNextTransactionId(companyId);
+    await payment.save();
+  }
+
+  return { appointment, payment, depositPayment };
+};
 
 /**
  * Service function to handle the business logic of scheduling an appointment.
  * It validates, processes, and stores appointment details, along with sending a notification.
+ * Several services can be booked at once through `lineItems`; a single `service` and
+ * `stylistId` book a one-item appointment.
+ * When the booked services require a deposit, the slot is only held until the deposit
+ * hold expires; unpaid holds are released by the deposit hold cron.
  *
  * @param {Object} req - The request object containing the appointment details.
  * @returns {Promise<Object>} - Returns the newly created appointment details and notification response.
@@ -40,16 +249,21 @@ import { Payment } from "../models/Payment.js";
 
 export const scheduleAppointments = async (req) => {
   const { clientId, service, note, stylistId, paidStatus } = req.body;
+  const requestedItems = req.body.lineItems || [{ service, stylistId }];
   const { companyId } = req;
 
   // Extract date and time inputs
   const { appointmentDateTime, date, time } = req.body;
 
+  // Date and time inputs are local to the salon
+  const company = await getCompanySettings(companyId);
+  const { timeZone } = company;
+
   let appointmentMoment;
 
   // Handle Mobile input: `appointmentDateTime`
   if (appointmentDateTime) {
-    appointmentMoment = moment.tz(appointmentDateTime, "Asia/Kolkata");
+    appointmentMoment = moment.tz(appointmentDateTime, timeZone);
   }
   // Handle Web/Dashboard input: separate `date` and `time`
   else if (date && time) {
@@ -57,8 +271,8 @@ export const scheduleAppointments = async (req) => {
 
     appointmentMoment = moment.tz(
       combinedDateTime,
-      "YYYY-MM-DD HH:mm",
-      "Asia/Kolkata"
+      DATE_AND_TIME_FORMAT,
+      timeZone
     );
   } else {
     throw new Error(ERROR_MESSAGES.INVALID_APPOINTMENT_DATE_TIME);
@@ -70,15 +284,9 @@ export const scheduleAppointments = async (req) => {
   }
 
   // Extract formatted date and time
-  const formattedDate = appointmentMoment.format(DATE_FORMAT);
+  const formattedDate = appointmentMoment.format(MOMENT_DATE_FORMAT);
   const formattedTime = appointmentMoment.format(TIME_FORMAT);
 
-  // Validate stylist
-  const employee = await Employee.findById(stylistId);
-  if (!employee) {
-    throw new Error(ERROR_MESSAGES.STYLIST_NOT_FOUND);
-  }
-
   const formattedClientId = clientId.toUpperCase();
 
   // Validate client
@@ -90,13 +298,8 @@ export const scheduleAppointments = async (req) => {
     throw new Error(ERROR_MESSAGES.CLIENT_NOT_FOUND);
   }
 
-  // Validate service and get duration
-  const serviceDetails = await Services.findById(service);
-  if (!serviceDetails) {
-    throw new Error(ERROR_MESSAGES.SERVICE_NOT_FOUND);
-  }
-  const { duration, price } = serviceDetails;
-  const durationInMinutes = parseDurationToMinutes(duration);
+  // Validate services and stylists, and lay the line items out in time
+  const lineItems = await buildLineItems(companyId, requestedItems);
 
   // Convert date-time to UTC
   const appointmentDateTimeUTC = appointmentMoment.utc().toDate();
@@ -106,71 +309,34 @@ export const scheduleAppointments = async (req) => {
   }
 
   // Calculate expiry time
-  const expiresAt = new Date(
-    appointmentDateTimeUTC.getTime() + durationInMinutes * 60 * 1000
-  );
+  const expiresAt = getLineItemsEnd(appointmentDateTimeUTC, lineItems);
   if (!expiresAt || isNaN(expiresAt.getTime())) {
     throw new Error(ERROR_MESSAGES.INVALID_EXPIRE_TIME_CALCULATION);
   }
 
-  // Determine appointment status
-  const nowUTC = new Date();
-  let appointmentStatus;
-  if (nowUTC < appointmentDateTimeUTC) {
-    appointmentStatus = APPOINTMENT_STATUS.UPCOMING;
-  } else if (nowUTC >= appointmentDateTimeUTC && nowUTC <= expiresAt) {
-    appointmentStatus = APPOINTMENT_STATUS.ONGOING;
-  } else {
-    appointmentStatus = APPOINTMENT_STATUS.COMPLETED;
-  }
-
-  // Generate appointment ID
-  const appointmentId = await generateNextAptId(companyId);
+  // Reject double bookings for any of the stylists
+  await assertLineItemsAvailable({
+    company,
+    start: appointmentDateTimeUTC,
+    lineItems,
+  });
 
-  // Create appointment document
-  const newAppointment = new Appointment({
-    appointmentId,
-    clientId,
-    client: client._id,
-    clientName: client.name,
-    service,
-    date: appointmentDateTimeUTC,
+  const { appointment: newAppointment } = await createAppointmentRecord({
+    companyId,
+    client,
+    lineItems,
+    start: appointmentDateTimeUTC,
     time: formattedTime,
     note,
-    expiresAt,
-    stylistName: employee.employeeName,
-    stylistId,
-    status: paidStatus,
-    appointmentStatus,
-    companyId,
+    paidStatus,
+    // Appointments paid in full up front need no deposit
+    deposit:
+      paidStatus === PAYMENT_STATUS.PAID
+        ? null
+        : computeDeposit(lineItems, appointmentDateTimeUTC),
+    actor: req.userId,
   });
-
-  await newAppointment.save();
-
-  let payment = "";
-  if (price && price > 0) {
-    payment = new Payment({
-      companyId,
-      clientId,
-      appointmentId: newAppointment._id,
-      amount: price,
-      status: paidStatus,
-    });
-    // Step 3: Generate transactionId
-    const transactionId = await generateNextTransactionId(companyId);
-    payment.transactionId = transactionId;
-    await payment.save();
-  }
-
-  // Step 3: Generate transactionId
-  const transactionId = await generateNextTransactionId(companyId);
-  payment.transactionId = transactionId;
-
-  // Format date for notification
-  const formattedDateUTC = format(
-    new Date(appointmentDateTimeUTC),
-    DATE_FORMAT
-  );
+  const { appointmentStatus } = newAppointment;
 
   // Create and save notification
   const notification = {
@@ -181,7 +347,7 @@ export const scheduleAppointments = async (req) => {
       appointmentId: newAppointment._id,
       clientName: client.name,
       status: appointmentStatus,
-      appointmentDate: formattedDateUTC,
+      appointmentDate: formattedDate,
       time: formattedTime,
       paidStatus: newAppointment.paidStatus,
     },
@@ -190,11 +356,15 @@ export const scheduleAppointments = async (req) => {
   };
 
   await saveNotification(notification);
+  await sendAppointmentInvite(
+    [newAppointment._id],
+    APPOINTMENT_EMAIL_TYPES.BOOKED
+  );
 
   return {
     appointment: newAppointment,
     selectedTime: appointmentDateTime || `${date} ${time}`,
-    appointmentDateTimeUTC: formattedDateUTC,
+    appointmentDateTimeUTC: formattedDate,
   };
 };
 
@@ -210,38 +380,33 @@ export const listAppointmentCountByGender = async (req) => {
   const { filter } = req.query;
   let dateFilter = {};
 
-  // Get the current date and calculate the start of the day
-  const now = new Date();
-  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  // Windows follow the salon's calendar, not the server's
+  const { timeZone } = await getCompanySettings(req.companyId);
+  const now = moment.tz(timeZone);
 
   // Apply the filter based on the provided query (day, week, or month)
   switch (filter) {
     case FILTER_BY.DAY:
       dateFilter = {
         date: {
-          $gte: startOfDay,
-          $lt: new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000),
+          $gte: now.clone().startOf("day").toDate(),
+          $lte: now.clone().endOf("day").toDate(),
         },
       };
       break;
     case FILTER_BY.WEEK:
-      const startOfWeek = new Date(
-        startOfDay.getTime() - startOfDay.getDay() * 24 * 60 * 60 * 1000
-      );
       dateFilter = {
         date: {
-          $gte: startOfWeek,
-          $lt: new Date(startOfWeek.getTime() + 7 * 24 * 60 * 60 * 1000),
+          $gte: now.clone().startOf("week").toDate(),
+          $lte: now.clone().endOf("week").toDate(),
         },
       };
       break;
     case FILTER_BY.MONTH:
-      const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-      const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
       dateFilter = {
         date: {
-          $gte: startOfMonth,
-          $lte: endOfMonth,
+          $gte: now.clone().startOf("month").toDate(),
+          $lte: now.clone().endOf("month").toDate(),
         },
       };
       break;
@@ -282,7 +447,7 @@ export const listAppointmentCountByGender = async (req) => {
 
 /**
  * Service function to fetch a list of appointments with optional filters (date, status, pagination).
- * It builds the query based on the provided parameters, fetches the appointments, and formats the `expiresAt` date to IST.
+ * It builds the query based on the provided parameters, fetches the appointments, and formats the `expiresAt` date in the company's timezone.
  *
  * @param {Object} req - The request object containing query parameters (selectedDate, status, page, limit).
  * @returns {Promise<Object>} - Returns the appointment data, including pagination metadata if applicable.
@@ -312,17 +477,18 @@ export const getAppointments = async (req) => {
     return { data: [], pagination: {} };
   }
 
-  // Filter by selected date
+  const { timeZone } = await getCompanySettings(req.companyId);
+
+  // Filter by selected date, taken as a day in the salon's timezone
   if (selectedDate) {
-    const date = new Date(selectedDate);
-    if (isNaN(date.getTime())) {
+    const date = moment.tz(selectedDate, MOMENT_DATE_FORMAT, timeZone);
+    if (!date.isValid()) {
       throw new Error(ERROR_MESSAGES.INVALID_DATE_FORMAT);
     }
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
-    const endDate = new Date(date);
-    endDate.setHours(23, 59, 59, 999);
-    query.date = { $gte: startDate, $lte: endDate };
+    query.date = {
+      $gte: date.clone().startOf("day").toDate(),
+      $lte: date.clone().endOf("day").toDate(),
+    };
   }
 
   // Fetch total count (for pagination metadata if needed)
@@ -339,7 +505,12 @@ export const getAppointments = async (req) => {
       STYLIST.COLLECTION,
       `${STYLIST.EMPLOYEE_NAME} ${STYLIST.EMPLOYEE_PHOTO}`
     )
-    .populate(SERVICE.COLLECTION, SERVICE.FIELD);
+    .populate(SERVICE.COLLECTION, SERVICE.FIELD)
+    .populate(LINE_ITEM.SERVICE, SERVICE.FIELD)
+    .populate(
+      LINE_ITEM.STYLIST,
+      `${STYLIST.EMPLOYEE_NAME} ${STYLIST.EMPLOYEE_PHOTO}`
+    );
 
   if (parsedPage && parsedLimit) {
     const skip = (parsedPage - 1) * parsedLimit;
@@ -348,15 +519,15 @@ export const getAppointments = async (req) => {
 
   const appointments = await appointmentQuery;
 
-  // Format the expiresAt date to include both date and time, and convert it to IST
+  // Format the expiresAt date to include both date and time in the salon's timezone
   const formattedAppointments = appointments.map((appointment) => {
-    const expiresAtIST = moment(appointment.expiresAt)
-      .utcOffset(IST_OFFSET) // Convert to IST
+    const expiresAtLocal = moment(appointment.expiresAt)
+      .tz(timeZone)
       .format(DATE_AND_TIME_FORMAT);
 
     return {
       ...appointment._doc,
-      expiresAt: expiresAtIST, // Set formatted expiresAt to IST
+      expiresAt: expiresAtLocal,
     };
   });
 
@@ -381,20 +552,36 @@ export const getAppointments = async (req) => {
 
 /**
  * Service function to update an appointment based on the provided data.
- * It validates the appointment ID, checks the appointment status, and updates the appointment.
- * It also handles status updates and saves a notification about the update.
+ * It validates the appointment ID, updates the appointment and saves a notification about the update.
+ * Changing `stylistId` hands every line item of the current primary stylist to the new one.
+ * The status, date and time are not changed here: cancelling, rescheduling, check-in, completion
+ * and no-shows have their own endpoints, which apply the company's policies.
  *
  * @param {string} id - The ID of the appointment to be updated.
- * @param {Object} updateData - The data to update the appointment with.
+ * @param {Object} updateData - The new `stylistId` or `note`; other fields are ignored.
  * @param {string} companyId - The ID of the company to which the appointment belongs.
+ * @param {string} actor - Firebase UID of the user making the change.
  * @returns {Promise<Object>} - Returns the updated appointment object after the update is successful.
  * @throws {Error} - Throws an error if the appointment is not found or if there is any issue with the update.
  */
-export const updateAppointmentService = async (id, updateData, companyId) => {
+export const updateAppointmentService = async (
+  id,
+  updateData,
+  companyId,
+  actor
+) => {
   // Validate ObjectId format
   if (!mongoose.Types.ObjectId.isValid(id)) {
     throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
   }
+  if (
+    updateData.appointmentStatus ||
+    updateData.date ||
+    updateData.time ||
+    updateData.appointmentDateTime
+  ) {
+    throw new Error(ERROR_MESSAGES.USE_APPOINTMENT_ACTION_ENDPOINTS);
+  }
 
   // Check if the appointment belongs to the user's company
   const appointment = await Appointment.findOne({
@@ -406,32 +593,45 @@ export const updateAppointmentService = async (id, updateData, companyId) => {
     throw new Error(ERROR_MESSAGES.APPOINTMENT_NOT_FOUND);
   }
 
-  // Handle status updates
-  const now = new Date();
-  if (updateData.appointmentStatus === APPOINTMENT_STATUS.CANCELLED) {
-    if (appointment.appointmentStatus !== APPOINTMENT_STATUS.UPCOMING) {
-      throw new Error(
-        ERROR_MESSAGES.ONLY_UPCOMING_APPOINTMENTS_CAN_BE_CANCELLED
-      );
-    }
-  } else if (updateData.date && updateData.time) {
-    const appointmentDateTime = new Date(
-      `${updateData.date}T${updateData.time}Z`
-    );
-    const expiresAt = new Date(
-      appointmentDateTime.getTime() + TIME_CONSTANTS.TWO_HOURS_IN_MS
-    );
+  const company = await getCompanySettings(companyId);
+  const { timeZone } = company;
+
+  // Only the stylist and the note change here; line items, prices and deposits are never
+  // taken from the request
+  const changes = {};
+  if (updateData.note !== undefined) {
+    changes.note = updateData.note;
+  }
+  if (updateData.stylistId) {
+    changes.stylistId = updateData.stylistId;
+  }
 
-    if (now >= appointmentDateTime && now <= expiresAt) {
-      updateData.appointmentStatus = APPOINTMENT_STATUS.ONGOING;
-    } else if (now > expiresAt) {
-      updateData.appointmentStatus = APPOINTMENT_STATUS.COMPLETED;
-    } else {
-      updateData.appointmentStatus = APPOINTMENT_STATUS.UPCOMING;
+  // Line items follow the primary stylist when the appointment is handed over
+  const lineItems = getAppointmentLineItems(appointment);
+  if (changes.stylistId) {
+    lineItems
+      .filter(
+        (item) => String(item.stylistId) === String(appointment.stylistId)
+      )
+      .forEach((item) => {
+        item.stylistId = changes.stylistId;
+      });
+    if (appointment.lineItems.length) {
+      changes.lineItems = lineItems;
     }
   }
 
-  await Appointment.findByIdAndUpdate(id, updateData, { runValidators: true });
+  // Reject handing the appointment to a stylist who is already booked
+  if (changes.stylistId) {
+    await assertLineItemsAvailable({
+      company,
+      start: appointment.date,
+      lineItems,
+      excludeAppointmentId: id,
+    });
+  }
+
+  await Appointment.findByIdAndUpdate(id, changes, { runValidators: true });
 
   const updatedAppointment = await Appointment.findOne({
     _id: id,
@@ -443,10 +643,10 @@ export const updateAppointmentService = async (id, updateData, companyId) => {
   }
 
   const formattedDate = updatedAppointment.date
-    ? format(new Date(updatedAppointment.date), DATE_FORMAT)
+    ? moment(updatedAppointment.date).tz(timeZone).format(MOMENT_DATE_FORMAT)
     : null;
-  const formattedTime = updatedAppointment.time
-    ? format(new Date(`1970-01-01T${updatedAppointment.time}Z`), TIME_FORMAT)
+  const formattedTime = updatedAppointment.date
+    ? moment(updatedAppointment.date).tz(timeZone).format(TIME_FORMAT)
     : null;
 
   const clientName = updatedAppointment.client?.name || "";
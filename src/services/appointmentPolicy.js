@@ -0,0 +1,351 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  APPOINTMENT_EMAIL_TYPES,
+  APPOINTMENT_STATUS,
+  CLIENT,
+  DATE_AND_TIME_FORMAT,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  NOTIFICATION_MESSAGES,
+  NOTIFICATION_TYPES,
+  PAYMENT_STATUS,
+  PAYMENT_TYPES,
+  TIME_FORMAT,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import { Payment } from "../models/Payment.js";
+import { generateNextTransactionId } from "../utils/idGenerator.js";
+import {
+  getAppointmentLineItems,
+  getLineItemsEnd,
+} from "../utils/lineItems.js";
+import { applyStatusChange, canTransition } from "./appointmentStatus.js";
+import { assertLineItemsAvailable } from "./availability.js";
+import { getCompanySettings } from "./company.js";
+import { sendAppointmentInvite } from "./icalendar.js";
+import { saveNotification } from "./notification.js";
+import { offerFreedSlot } from "./waitlist.js";
+
+/**
+ * Tells whether a change made now falls inside the company's cancellation window.
+ *
+ * @param {Date} start - Appointment start (UTC).
+ * @param {Object} policy - The company's cancellation policy.
+ * @param {Date} [now] - The time of the change.
+ * @returns {boolean} - True if the change is late.
+ */
+export const isLateChange = (start, policy, now = new Date()) =>
+  start.getTime() - now.getTime() < policy.windowHours * 60 * 60 * 1000;
+
+/**
+ * Finds an appointment of the company or throws.
+ *
+ * @param {string} appointmentId - The ID of the appointment.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The appointment document with the client's name.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or APPOINTMENT_NOT_FOUND.
+ */
+const findCompanyAppointment = async (appointmentId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const appointment = await Appointment.findOne({
+    _id: appointmentId,
+    companyId,
+    isTrashed: false,
+  }).populate(CLIENT.FIELD, CLIENT.NAME_FIELD);
+  if (!appointment) {
+    throw new Error(ERROR_MESSAGES.APPOINTMENT_NOT_FOUND);
+  }
+
+  return appointment;
+};
+
+/**
+ * Charges a late-cancellation or no-show fee as an unpaid payment of the appointment.
+ *
+ * @param {Object} appointment - The appointment document.
+ * @param {string} type - One of the fee `PAYMENT_TYPES`.
+ * @param {number} amount - The fee to charge.
+ * @returns {Promise<Object>} - The saved payment.
+ */
+const chargeFee = async (appointment, type, amount) => {
+  const payment = new Payment({
+    companyId: appointment.companyId,
+    appointmentId: appointment._id,
+    amount,
+    type,
+    status: PAYMENT_STATUS.UNPAID,
+  });
+  payment.transactionId = await generateNextTransactionId(
+    appointment.companyId
+  );
+  return payment.save();
+};
+
+/**
+ * Saves a notification about a change to an appointment.
+ *
+ * @param {Object} appointment - The updated appointment document.
+ * @param {string} message - One of `NOTIFICATION_MESSAGES`.
+ * @param {string} timeZone - The company's timezone, used to format the date.
+ * @returns {Promise<void>}
+ */
+const notifyAppointmentChange = async (appointment, message, timeZone) => {
+  const local = moment(appointment.date).tz(timeZone);
+
+  await saveNotification({
+    companyId: appointment.companyId,
+    message,
+    type: NOTIFICATION_TYPES.APPOINTMENT,
+    details: {
+      appointmentId: appointment._id,
+      clientName: appointment.client?.name || "",
+      status: appointment.appointmentStatus,
+      appointmentDate: local.format(MOMENT_DATE_FORMAT),
+      time: local.format(TIME_FORMAT),
+    },
+    timestamp: new Date(),
+    isRead: false,
+  });
+};
+
+/**
+ * Cancels a loaded appointment under the company's cancellation policy and records who
+ * cancelled it and why. Inside the cancellation window the cancellation is late: it is
+ * refused when the policy does not allow late changes, and charged the late-cancellation
+ * fee otherwise. Notifying the client and offering the freed slot are left to the caller.
+ *
+ * @param {Object} appointment - The appointment document.
+ * @param {string} userId - Firebase UID of the user cancelling.
+ * @param {string} [reason] - Why the appointment was cancelled.
+ * @param {Object} cancellationPolicy - The company's cancellation policy.
+ * @returns {Promise<Object|null>} - The fee charged, if any.
+ * @throws {Error} - Throws ONLY_UPCOMING_APPOINTMENTS_CAN_BE_CANCELLED or CANCELLATION_WINDOW_PASSED.
+ */
+export const applyCancellation = async (
+  appointment,
+  userId,
+  reason,
+  cancellationPolicy
+) => {
+  if (
+    !canTransition(appointment.appointmentStatus, APPOINTMENT_STATUS.CANCELLED)
+  ) {
+    throw new Error(ERROR_MESSAGES.ONLY_UPCOMING_APPOINTMENTS_CAN_BE_CANCELLED);
+  }
+
+  const now = new Date();
+  const isLate = isLateChange(appointment.date, cancellationPolicy, now);
+  if (isLate && !cancellationPolicy.allowLateChanges) {
+    throw new Error(ERROR_MESSAGES.CANCELLATION_WINDOW_PASSED);
+  }
+
+  const feePayment =
+    isLate && cancellationPolicy.lateCancellationFee > 0
+      ? await chargeFee(
+          appointment,
+          PAYMENT_TYPES.LATE_CANCELLATION_FEE,
+          cancellationPolicy.lateCancellationFee
+        )
+      : null;
+
+  applyStatusChange(appointment, APPOINTMENT_STATUS.CANCELLED, userId, reason);
+  appointment.cancellation = {
+    cancelledAt: now,
+    cancelledBy: userId,
+    reason,
+    isLate,
+    feePayment: feePayment?._id,
+  };
+  await appointment.save();
+
+  return feePayment;
+};
+
+/**
+ * Cancels an upcoming appointment under the company's cancellation policy, notifies the
+ * client and offers the freed slot to the waitlist.
+ *
+ * @param {string} appointmentId - The ID of the appointment.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - Firebase UID of the user cancelling.
+ * @param {Object} details - The validated `reason`.
+ * @returns {Promise<{appointment: Object, feePayment: Object|null}>} - The cancelled appointment and the fee charged.
+ * @throws {Error} - Throws if the appointment is not found, not upcoming, or the window has passed.
+ */
+export const cancelAppointment = async (
+  appointmentId,
+  companyId,
+  userId,
+  { reason }
+) => {
+  const appointment = await findCompanyAppointment(appointmentId, companyId);
+  const { timeZone, cancellationPolicy } = await getCompanySettings(companyId);
+  const feePayment = await applyCancellation(
+    appointment,
+    userId,
+    reason,
+    cancellationPolicy
+  );
+
+  await notifyAppointmentChange(
+    appointment,
+    NOTIFICATION_MESSAGES.APPOINTMENT_CANCELLED,
+    timeZone
+  );
+  await offerFreedSlot(appointment);
+  await sendAppointmentInvite(
+    [appointment._id],
+    APPOINTMENT_EMAIL_TYPES.CANCELLED
+  );
+
+  return { appointment, feePayment };
+};
+
+/**
+ * Moves an upcoming appointment to another date and time, keeping its length and line items,
+ * and records the change in its reschedule history.
+ * Inside the company's cancellation window the change is refused unless the policy allows late changes.
+ *
+ * @param {string} appointmentId - The ID of the appointment.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - Firebase UID of the user rescheduling.
+ * @param {Object} details - The validated local `date`, `time` and `reason`.
+ * @returns {Promise<Object>} - The rescheduled appointment.
+ * @throws {Error} - Throws if the appointment is not found or not upcoming, the window has passed,
+ * the new slot is in the past, or a stylist is not available.
+ */
+export const rescheduleAppointment = async (
+  appointmentId,
+  companyId,
+  userId,
+  { date, time, reason }
+) => {
+  const appointment = await findCompanyAppointment(appointmentId, companyId);
+  if (appointment.appointmentStatus !== APPOINTMENT_STATUS.UPCOMING) {
+    throw new Error(
+      ERROR_MESSAGES.ONLY_UPCOMING_APPOINTMENTS_CAN_BE_RESCHEDULED
+    );
+  }
+
+  const company = await getCompanySettings(companyId);
+  const { timeZone, cancellationPolicy } = company;
+  const now = new Date();
+  const isLate = isLateChange(appointment.date, cancellationPolicy, now);
+  if (isLate && !cancellationPolicy.allowLateChanges) {
+    throw new Error(ERROR_MESSAGES.CANCELLATION_WINDOW_PASSED);
+  }
+
+  const appointmentMoment = moment.tz(
+    `${date} ${time}`,
+    DATE_AND_TIME_FORMAT,
+    true,
+    timeZone
+  );
+  if (!appointmentMoment.isValid()) {
+    throw new Error(ERROR_MESSAGES.INVALID_APPOINTMENT_DATE_TIME);
+  }
+  const start = appointmentMoment.toDate();
+  if (start <= now) {
+    throw new Error(ERROR_MESSAGES.RESCHEDULE_DATE_IN_PAST);
+  }
+
+  const lineItems = getAppointmentLineItems(appointment);
+  await assertLineItemsAvailable({
+    company,
+    start,
+    lineItems,
+    excludeAppointmentId: appointment._id,
+  });
+
+  appointment.rescheduleHistory.push({
+    previousDate: appointment.date,
+    newDate: start,
+    rescheduledAt: now,
+    rescheduledBy: userId,
+    reason,
+    isLate,
+  });
+  appointment.date = start;
+  appointment.time = time;
+  appointment.expiresAt = getLineItemsEnd(start, lineItems);
+  // An unpaid deposit hold never outlasts the start of the appointment
+  const { deposit } = appointment;
+  if (deposit && !deposit.paidAt && deposit.holdExpiresAt > start) {
+    deposit.holdExpiresAt = start;
+  }
+  await appointment.save();
+
+  await notifyAppointmentChange(
+    appointment,
+    NOTIFICATION_MESSAGES.APPOINTMENT_RESCHEDULED,
+    timeZone
+  );
+  await sendAppointmentInvite(
+    [appointment._id],
+    APPOINTMENT_EMAIL_TYPES.UPDATED
+  );
+
+  return appointment;
+};
+
+/**
+ * Marks an appointment the client did not show up for, and charges the company's
+ * no-show fee when one is set.
+ *
+ * @param {string} appointmentId - The ID of the appointment.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - Firebase UID of the staff member.
+ * @param {Object} details - The validated `note`.
+ * @returns {Promise<{appointment: Object, feePayment: Object|null}>} - The appointment and the fee charged.
+ * @throws {Error} - Throws if the appointment is not found, has not started, or is cancelled or already a no-show.
+ */
+export const markNoShow = async (
+  appointmentId,
+  companyId,
+  userId,
+  { note }
+) => {
+  const appointment = await findCompanyAppointment(appointmentId, companyId);
+  // Completed is allowed because the status cron completes appointments once they end
+  if (
+    !canTransition(appointment.appointmentStatus, APPOINTMENT_STATUS.NO_SHOW)
+  ) {
+    throw new Error(ERROR_MESSAGES.APPOINTMENT_CANNOT_BE_MARKED_NO_SHOW);
+  }
+
+  const now = new Date();
+  if (appointment.date > now) {
+    throw new Error(ERROR_MESSAGES.NO_SHOW_BEFORE_START);
+  }
+
+  const { timeZone, cancellationPolicy } = await getCompanySettings(companyId);
+  const feePayment =
+    cancellationPolicy.noShowFee > 0
+      ? await chargeFee(
+          appointment,
+          PAYMENT_TYPES.NO_SHOW_FEE,
+          cancellationPolicy.noShowFee
+        )
+      : null;
+
+  applyStatusChange(appointment, APPOINTMENT_STATUS.NO_SHOW, userId, note);
+  appointment.noShow = {
+    markedAt: now,
+    markedBy: userId,
+    note,
+    feePayment: feePayment?._id,
+  };
+  await appointment.save();
+
+  await notifyAppointmentChange(
+    appointment,
+    NOTIFICATION_MESSAGES.APPOINTMENT_NO_SHOW,
+    timeZone
+  );
+
+  return { appointment, feePayment };
+};
@@ -0,0 +1,593 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  APPOINTMENT_EMAIL_TYPES,
+  APPOINTMENT_STATUS,
+  AVAILABILITY_ERRORS,
+  DATE_AND_TIME_FORMAT,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  NOTIFICATION_MESSAGES,
+  NOTIFICATION_TYPES,
+  PAYMENT_STATUS,
+  RECURRENCE_FREQUENCY,
+  SERIES_EDIT_SCOPE,
+  SERIES_MAX_OCCURRENCES,
+  SERVICE,
+  STYLIST,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import AppointmentSeries from "../models/AppointmentSeries.js";
+import { Client } from "../models/Client.js";
+import { Employee } from "../models/Employee.js";
+import { getAppointmentLineItems } from "../utils/lineItems.js";
+import {
+  buildLineItems,
+  createAppointmentRecord,
+  updateAppointmentService,
+} from "./appointment.js";
+import {
+  applyCancellation,
+  cancelAppointment,
+  rescheduleAppointment,
+} from "./appointmentPolicy.js";
+import { assertLineItemsAvailable } from "./availability.js";
+import { getCompanySettings } from "./company.js";
+import { computeDeposit } from "./deposit.js";
+import { sendAppointmentInvite } from "./icalendar.js";
+import { saveNotification } from "./notification.js";
+import { offerFreedSlot } from "./waitlist.js";
+
+/**
+ * Distance between two occurrences for each recurrence frequency.
+ */
+const FREQUENCY_STEPS = {
+  [RECURRENCE_FREQUENCY.WEEKLY]: { amount: 1, unit: "weeks" },
+  [RECURRENCE_FREQUENCY.BIWEEKLY]: { amount: 2, unit: "weeks" },
+  [RECURRENCE_FREQUENCY.MONTHLY]: { amount: 1, unit: "months" },
+};
+
+/**
+ * Lists the days a series falls on, capped at `SERIES_MAX_OCCURRENCES`.
+ * Each date is computed from the first one so monthly series keep their day of month
+ * (clamped to the last day of shorter months).
+ *
+ * @param {Object} recurrence - The recurrence rule.
+ * @param {string} recurrence.frequency - One of `RECURRENCE_FREQUENCY`.
+ * @param {string} recurrence.startDate - First day in `YYYY-MM-DD`.
+ * @param {string} [recurrence.endDate] - Last possible day in `YYYY-MM-DD`.
+ * @param {number} [recurrence.occurrenceCount] - Maximum number of occurrences.
+ * @returns {Array<string>} - The occurrence days in `YYYY-MM-DD`.
+ */
+export const generateOccurrenceDates = ({
+  frequency,
+  startDate,
+  endDate,
+  occurrenceCount,
+}) => {
+  const { amount, unit } = FREQUENCY_STEPS[frequency];
+  const first = moment(startDate, MOMENT_DATE_FORMAT, true);
+  const limit = Math.min(
+    occurrenceCount || SERIES_MAX_OCCURRENCES,
+    SERIES_MAX_OCCURRENCES
+  );
+
+  const dates = [];
+  for (let index = 0; dates.length < limit; index++) {
+    const date = first
+      .clone()
+      .add(index * amount, unit)
+      .format(MOMENT_DATE_FORMAT);
+    if (endDate && date > endDate) {
+      break;
+    }
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Books one appointment per date of a series, skipping dates in the past and dates
+ * on which the salon is closed or the stylist is off or already booked. Occurrences of
+ * services that require a deposit are held like any other booking until it is paid.
+ *
+ * @param {Object} params - The booking details.
+ * @param {Object} params.company - The company settings.
+ * @param {Object} params.series - The series document the appointments belong to.
+ * @param {Array<string>} params.dates - The days to book in `YYYY-MM-DD`.
+ * @param {Object} params.client - The client document.
+ * @param {Array<Object>} params.lineItems - Line items as returned by `buildLineItems`.
+ * @param {string} params.actor - Firebase UID of the user booking the series.
+ * @returns {Promise<{appointments: Array<Object>, skippedDates: Array<Object>}>}
+ */
+const bookOccurrences = async ({
+  company,
+  series,
+  dates,
+  client,
+  lineItems,
+  actor,
+}) => {
+  const now = new Date();
+  const appointments = [];
+  const skippedDates = [];
+
+  // Sequential so occurrences receive consecutive appointment IDs
+  for (const date of dates) {
+    const start = moment
+      .tz(`${date} ${series.time}`, DATE_AND_TIME_FORMAT, company.timeZone)
+      .toDate();
+
+    if (start <= now) {
+      skippedDates.push({ date, reason: ERROR_MESSAGES.SERIES_DATE_IN_PAST });
+      continue;
+    }
+
+    try {
+      await assertLineItemsAvailable({ company, start, lineItems });
+    } catch (error) {
+      if (!AVAILABILITY_ERRORS.includes(error.message)) {
+        throw error;
+      }
+      skippedDates.push({ date, reason: error.message });
+      continue;
+    }
+
+    const { appointment } = await createAppointmentRecord({
+      companyId: company._id,
+      client,
+      lineItems,
+      start,
+      time: series.time,
+      note: series.note,
+      paidStatus: series.paidStatus,
+      seriesId: series._id,
+      // Series paid in full up front need no deposit
+      deposit:
+        series.paidStatus === PAYMENT_STATUS.PAID
+          ? null
+          : computeDeposit(lineItems, start, now),
+      actor,
+    });
+    appointments.push(appointment);
+  }
+
+  return { appointments, skippedDates };
+};
+
+/**
+ * Finds an active stylist of the company or throws.
+ *
+ * @param {string} stylistId - The ID of the stylist.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The employee document.
+ * @throws {Error} - Throws STYLIST_NOT_FOUND.
+ */
+const findStylist = async (stylistId, companyId) => {
+  const employee = mongoose.Types.ObjectId.isValid(stylistId)
+    ? await Employee.findOne({ _id: stylistId, companyId, isTrashed: false })
+    : null;
+  if (!employee) {
+    throw new Error(ERROR_MESSAGES.STYLIST_NOT_FOUND);
+  }
+  return employee;
+};
+
+/**
+ * Creates a recurring series and books its occurrences as individual appointments.
+ * Dates on which the stylist cannot be booked are skipped and reported.
+ *
+ * @param {Object} req - The request object containing the series details in the body.
+ * @returns {Promise<Object>} - The series, the booked appointments and the skipped dates.
+ * @throws {Error} - Throws if the client, service or stylist is not found, or no date can be booked.
+ */
+export const createAppointmentSeries = async (req) => {
+  const {
+    clientId,
+    service,
+    stylistId,
+    frequency,
+    startDate,
+    time,
+    endDate,
+    occurrenceCount,
+    note,
+    paidStatus,
+  } = req.body;
+  const { companyId } = req;
+
+  const company = await getCompanySettings(companyId);
+
+  const client = await Client.findOne({
+    clientId: clientId.toUpperCase(),
+    companyId,
+  });
+  if (!client) {
+    throw new Error(ERROR_MESSAGES.CLIENT_NOT_FOUND);
+  }
+
+  const lineItems = await buildLineItems(companyId, [{ service, stylistId }]);
+
+  const dates = generateOccurrenceDates({
+    frequency,
+    startDate,
+    endDate,
+    occurrenceCount,
+  });
+  if (dates.length === 0) {
+    throw new Error(ERROR_MESSAGES.SERIES_HAS_NO_OCCURRENCES);
+  }
+
+  const series = new AppointmentSeries({
+    companyId,
+    client: client._id,
+    clientId: client.clientId,
+    service: lineItems[0].service._id,
+    stylistId: lineItems[0].stylistId,
+    frequency,
+    startDate,
+    time,
+    endDate,
+    occurrenceCount,
+    note,
+    paidStatus,
+  });
+
+  const { appointments, skippedDates } = await bookOccurrences({
+    company,
+    series,
+    dates,
+    client,
+    lineItems,
+    actor: req.userId,
+  });
+
+  if (appointments.length === 0) {
+    const error = new Error(ERROR_MESSAGES.SERIES_ALL_DATES_UNAVAILABLE);
+    error.skippedDates = skippedDates;
+    throw error;
+  }
+
+  series.skippedDates = skippedDates;
+  await series.save();
+
+  await saveNotification({
+    companyId,
+    message: NOTIFICATION_MESSAGES.NEW_APPOINTMENT_SERIES_SCHEDULED,
+    type: NOTIFICATION_TYPES.APPOINTMENT,
+    details: {
+      seriesId: series._id,
+      clientName: client.name,
+      frequency,
+      appointmentDate: moment(appointments[0].date)
+        .tz(company.timeZone)
+        .format(MOMENT_DATE_FORMAT),
+      time,
+      occurrences: appointments.length,
+    },
+    timestamp: new Date(),
+    isRead: false,
+  });
+  // One email for the whole series, with an event per occurrence
+  await sendAppointmentInvite(
+    appointments.map((appointment) => appointment._id),
+    APPOINTMENT_EMAIL_TYPES.BOOKED
+  );
+
+  return { series, appointments, skippedDates };
+};
+
+/**
+ * Finds a series of the company or throws.
+ *
+ * @param {string} seriesId - The ID of the series.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The series document.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or SERIES_NOT_FOUND.
+ */
+const findCompanySeries = async (seriesId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const series = await AppointmentSeries.findOne({ _id: seriesId, companyId });
+  if (!series) {
+    throw new Error(ERROR_MESSAGES.SERIES_NOT_FOUND);
+  }
+
+  return series;
+};
+
+/**
+ * Retrieves a series with all of its appointments in date order.
+ *
+ * @param {string} seriesId - The ID of the series.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The series and its appointments.
+ */
+export const getAppointmentSeries = async (seriesId, companyId) => {
+  const series = await findCompanySeries(seriesId, companyId);
+
+  const appointments = await Appointment.find({
+    seriesId: series._id,
+    companyId,
+    isTrashed: false,
+  })
+    .sort({ date: 1 })
+    .populate(
+      STYLIST.COLLECTION,
+      `${STYLIST.EMPLOYEE_NAME} ${STYLIST.EMPLOYEE_PHOTO}`
+    )
+    .populate(SERVICE.COLLECTION, SERVICE.FIELD);
+
+  return { series, appointments };
+};
+
+/**
+ * Splits a series at the given day: the original keeps the earlier occurrences and a new
+ * series, linked through `splitFrom`, takes over from that day on.
+ *
+ * @param {Object} series - The series document to split.
+ * @param {string} fromDate - The first day of the new series in `YYYY-MM-DD`.
+ * @param {Array<Object>} appointments - The appointments moving to the new series.
+ * @returns {Promise<Object>} - The new series document.
+ */
+const splitSeries = async (series, fromDate, appointments) => {
+  const {
+    _id,
+    createdAt,
+    updatedAt,
+    occurrenceCount,
+    skippedDates,
+    ...template
+  } = series.toObject();
+
+  const following = new AppointmentSeries({
+    ...template,
+    startDate: fromDate,
+    skippedDates: skippedDates.filter((item) => item.date >= fromDate),
+    splitFrom: series._id,
+  });
+  await following.save();
+
+  await Appointment.updateMany(
+    { _id: { $in: appointments.map((appointment) => appointment._id) } },
+    { $set: { seriesId: following._id } }
+  );
+
+  series.endDate = moment(fromDate, MOMENT_DATE_FORMAT)
+    .subtract(1, "day")
+    .format(MOMENT_DATE_FORMAT);
+  series.occurrenceCount = undefined;
+  series.skippedDates = skippedDates.filter((item) => item.date < fromDate);
+  await series.save();
+
+  return following;
+};
+
+/**
+ * Edits one, the following, or all upcoming occurrences of a series.
+ * A single occurrence is cancelled, rescheduled or updated like any other appointment. For
+ * several occurrences the new `time`, `stylistId` and `note` are applied to each one and
+ * become the series template; occurrences the stylist cannot take at the new slot are left
+ * unchanged and reported as skipped. Cancelling applies the cancellation policy to every
+ * occurrence in scope; those inside a window that allows no late changes are skipped.
+ *
+ * @param {string} seriesId - The ID of the series.
+ * @param {string} appointmentId - The ID of the selected occurrence.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - Firebase UID of the user making the change.
+ * @param {Object} update - The `scope` and the changes to apply.
+ * @returns {Promise<Object>} - The series now holding the occurrences, the updated and the skipped occurrences.
+ * @throws {Error} - Throws if the series, occurrence or new stylist is not found.
+ */
+export const updateSeriesOccurrences = async (
+  seriesId,
+  appointmentId,
+  companyId,
+  userId,
+  { scope, ...changes }
+) => {
+  const series = await findCompanySeries(seriesId, companyId);
+
+  const selected = mongoose.Types.ObjectId.isValid(appointmentId)
+    ? await Appointment.findOne({
+        _id: appointmentId,
+        seriesId: series._id,
+        companyId,
+        isTrashed: false,
+      })
+    : null;
+  if (!selected) {
+    throw new Error(ERROR_MESSAGES.SERIES_APPOINTMENT_NOT_FOUND);
+  }
+
+  if (scope === SERIES_EDIT_SCOPE.THIS) {
+    const { appointmentStatus, date, time, reason, ...details } = changes;
+    if (appointmentStatus === APPOINTMENT_STATUS.CANCELLED) {
+      const { appointment } = await cancelAppointment(
+        appointmentId,
+        companyId,
+        userId,
+        { reason }
+      );
+      return { series, updated: [appointment], skipped: [] };
+    }
+
+    let appointment = selected;
+    if (date && time) {
+      appointment = await rescheduleAppointment(
+        appointmentId,
+        companyId,
+        userId,
+        { date, time, reason }
+      );
+    }
+    if (details.stylistId || details.note !== undefined) {
+      appointment = await updateAppointmentService(
+        appointmentId,
+        details,
+        companyId,
+        userId
+      );
+      // A reschedule has already sent the updated invite
+      if (details.stylistId && !date) {
+        await sendAppointmentInvite(
+          [appointment._id],
+          APPOINTMENT_EMAIL_TYPES.UPDATED
+        );
+      }
+    }
+    return { series, updated: [appointment], skipped: [] };
+  }
+
+  const company = await getCompanySettings(companyId);
+  const { timeZone } = company;
+
+  const targets = await Appointment.find({
+    seriesId: series._id,
+    companyId,
+    isTrashed: false,
+    appointmentStatus: APPOINTMENT_STATUS.UPCOMING,
+    ...(scope === SERIES_EDIT_SCOPE.FOLLOWING && {
+      date: { $gte: selected.date },
+    }),
+  }).sort({ date: 1 });
+  if (targets.length === 0) {
+    throw new Error(ERROR_MESSAGES.SERIES_APPOINTMENT_NOT_FOUND);
+  }
+
+  const selectedDate = moment(selected.date)
+    .tz(timeZone)
+    .format(MOMENT_DATE_FORMAT);
+  const template =
+    scope === SERIES_EDIT_SCOPE.FOLLOWING && selectedDate > series.startDate
+      ? await splitSeries(series, selectedDate, targets)
+      : series;
+
+  const stylist = changes.stylistId
+    ? await findStylist(changes.stylistId, companyId)
+    : null;
+  const isCancellation =
+    changes.appointmentStatus === APPOINTMENT_STATUS.CANCELLED;
+
+  const updated = [];
+  const skipped = [];
+  for (const appointment of targets) {
+    appointment.seriesId = template._id;
+    const localDate = moment(appointment.date)
+      .tz(timeZone)
+      .format(MOMENT_DATE_FORMAT);
+
+    if (isCancellation) {
+      try {
+        await applyCancellation(
+          appointment,
+          userId,
+          changes.reason,
+          company.cancellationPolicy
+        );
+      } catch (error) {
+        if (error.message !== ERROR_MESSAGES.CANCELLATION_WINDOW_PASSED) {
+          throw error;
+        }
+        skipped.push({
+          appointmentId: appointment.appointmentId,
+          date: localDate,
+          reason: error.message,
+        });
+        continue;
+      }
+      updated.push(appointment);
+      await offerFreedSlot(appointment);
+      continue;
+    }
+    const start = changes.time
+      ? moment
+          .tz(`${localDate} ${changes.time}`, DATE_AND_TIME_FORMAT, timeZone)
+          .toDate()
+      : appointment.date;
+    const expiresAt = new Date(
+      start.getTime() +
+        (appointment.expiresAt.getTime() - appointment.date.getTime())
+    );
+    const lineItems = getAppointmentLineItems(appointment).map((item) =>
+      stylist && String(item.stylistId) === String(appointment.stylistId)
+        ? { ...item, stylistId: stylist._id }
+        : item
+    );
+
+    try {
+      await assertLineItemsAvailable({
+        company,
+        start,
+        lineItems,
+        excludeAppointmentId: appointment._id,
+      });
+    } catch (error) {
+      if (!AVAILABILITY_ERRORS.includes(error.message)) {
+        throw error;
+      }
+      skipped.push({
+        appointmentId: appointment.appointmentId,
+        date: localDate,
+        reason: error.message,
+      });
+      continue;
+    }
+
+    appointment.date = start;
+    appointment.expiresAt = expiresAt;
+    if (changes.time) {
+      appointment.time = changes.time;
+    }
+    if (stylist) {
+      appointment.stylistId = stylist._id;
+      if (appointment.lineItems.length) {
+        appointment.lineItems = lineItems;
+      }
+    }
+    if (changes.note !== undefined) {
+      appointment.note = changes.note;
+    }
+    updated.push(await appointment.save());
+  }
+
+  if (!isCancellation) {
+    if (changes.time) {
+      template.time = changes.time;
+    }
+    if (stylist) {
+      template.stylistId = stylist._id;
+    }
+    if (changes.note !== undefined) {
+      template.note = changes.note;
+    }
+    await template.save();
+  }
+
+  await saveNotification({
+    companyId,
+    message: NOTIFICATION_MESSAGES.APPOINTMENT_SERIES_UPDATED,
+    type: NOTIFICATION_TYPES.APPOINTMENT,
+    details: {
+      seriesId: template._id,
+      scope,
+      ...(isCancellation && { status: APPOINTMENT_STATUS.CANCELLED }),
+      occurrences: updated.length,
+    },
+    timestamp: new Date(),
+    isRead: false,
+  });
+  if (isCancellation || changes.time || stylist) {
+    await sendAppointmentInvite(
+      updated.map((appointment) => appointment._id),
+      isCancellation
+        ? APPOINTMENT_EMAIL_TYPES.CANCELLED
+        : APPOINTMENT_EMAIL_TYPES.UPDATED
+    );
+  }
+
+  return { series: template, updated, skipped };
+};
@@ -0,0 +1,193 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_STATUS_TRANSITIONS,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import { getCompanySettings } from "./company.js";
+
+/**
+ * Tells whether an appointment may move from one status to another.
+ *
+ * @param {string} from - The current status.
+ * @param {string} to - The requested status.
+ * @returns {boolean} - True if the transition is allowed.
+ */
+export const canTransition = (from, to) =>
+  APPOINTMENT_STATUS_TRANSITIONS[from]?.includes(to) ?? false;
+
+/**
+ * Lists the statuses from which an appointment may move to the given status.
+ *
+ * @param {string} to - The target status.
+ * @returns {Array<string>} - The statuses allowed to transition to `to`.
+ */
+const getStatusesLeadingTo = (to) =>
+  Object.keys(APPOINTMENT_STATUS_TRANSITIONS).filter((from) =>
+    canTransition(from, to)
+  );
+
+/**
+ * Builds an entry of an appointment's status timeline.
+ *
+ * @param {string|undefined} from - Status before the change; empty when the appointment is booked.
+ * @param {string} to - Status after the change.
+ * @param {string} actor - Firebase UID of the user making the change, or `STATUS_CHANGE_ACTORS.SYSTEM`.
+ * @param {string} [note] - Optional note about the change.
+ * @returns {Object} - The timeline entry.
+ */
+export const buildStatusChange = (from, to, actor, note) => ({
+  from,
+  to,
+  changedAt: new Date(),
+  changedBy: actor,
+  note,
+});
+
+/**
+ * Moves an appointment document to a new status and records the change in its timeline.
+ * The caller is responsible for saving the document.
+ *
+ * @param {Object} appointment - The appointment document.
+ * @param {string} to - The new status.
+ * @param {string} actor - Firebase UID of the user making the change, or `STATUS_CHANGE_ACTORS.SYSTEM`.
+ * @param {string} [note] - Optional note about the change.
+ * @throws {Error} - Throws INVALID_STATUS_TRANSITION if the state machine does not allow the change.
+ */
+export const applyStatusChange = (appointment, to, actor, note) => {
+  if (!canTransition(appointment.appointmentStatus, to)) {
+    throw new Error(ERROR_MESSAGES.INVALID_STATUS_TRANSITION);
+  }
+
+  appointment.statusHistory.push(
+    buildStatusChange(appointment.appointmentStatus, to, actor, note)
+  );
+  appointment.appointmentStatus = to;
+};
+
+/**
+ * Moves every matching appointment that is allowed to reach `to` to that status in one
+ * update, appending the change to each appointment's timeline.
+ *
+ * @param {Object} filter - The appointments to consider.
+ * @param {string} to - The new status.
+ * @param {string} actor - Who makes the change, usually `STATUS_CHANGE_ACTORS.SYSTEM`.
+ * @returns {Promise<Object>} - The result of the update.
+ */
+export const transitionAppointments = (filter, to, actor) =>
+  Appointment.updateMany(
+    { ...filter, appointmentStatus: { $in: getStatusesLeadingTo(to) } },
+    [
+      {
+        $set: {
+          // Expressions in a stage read the document as it was, so `from` is the old status
+          statusHistory: {
+            $concatArrays: [
+              { $ifNull: ["$statusHistory", []] },
+              [
+                {
+                  from: "$appointmentStatus",
+                  to,
+                  changedAt: new Date(),
+                  changedBy: actor,
+                },
+              ],
+            ],
+          },
+          appointmentStatus: to,
+        },
+      },
+    ]
+  );
+
+/**
+ * Finds an appointment of the company or throws.
+ *
+ * @param {string} appointmentId - The ID of the appointment.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The appointment document.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or APPOINTMENT_NOT_FOUND.
+ */
+const findCompanyAppointment = async (appointmentId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const appointment = await Appointment.findOne({
+    _id: appointmentId,
+    companyId,
+    isTrashed: false,
+  });
+  if (!appointment) {
+    throw new Error(ERROR_MESSAGES.APPOINTMENT_NOT_FOUND);
+  }
+
+  return appointment;
+};
+
+/**
+ * Checks a client in for an upcoming appointment on the day of the appointment.
+ *
+ * @param {string} appointmentId - The ID of the appointment.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - Firebase UID of the staff member.
+ * @returns {Promise<Object>} - The updated appointment.
+ * @throws {Error} - Throws if the appointment is not found, is not today or cannot be checked in.
+ */
+export const checkInAppointment = async (appointmentId, companyId, userId) => {
+  const appointment = await findCompanyAppointment(appointmentId, companyId);
+
+  const { timeZone } = await getCompanySettings(companyId);
+  const appointmentDay = moment(appointment.date)
+    .tz(timeZone)
+    .format(MOMENT_DATE_FORMAT);
+  if (appointmentDay > moment.tz(timeZone).format(MOMENT_DATE_FORMAT)) {
+    throw new Error(ERROR_MESSAGES.CHECK_IN_TOO_EARLY);
+  }
+
+  applyStatusChange(appointment, APPOINTMENT_STATUS.CHECKED_IN, userId);
+  return appointment.save();
+};
+
+/**
+ * Marks an appointment as completed before the status cron would.
+ *
+ * @param {string} appointmentId - The ID of the appointment.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - Firebase UID of the staff member.
+ * @param {Object} details - The validated optional `note`.
+ * @returns {Promise<Object>} - The updated appointment.
+ * @throws {Error} - Throws if the appointment is not found or cannot be completed.
+ */
+export const completeAppointment = async (
+  appointmentId,
+  companyId,
+  userId,
+  { note }
+) => {
+  const appointment = await findCompanyAppointment(appointmentId, companyId);
+
+  applyStatusChange(appointment, APPOINTMENT_STATUS.COMPLETED, userId, note);
+  return appointment.save();
+};
+
+/**
+ * Retrieves the status timeline of an appointment.
+ *
+ * @param {string} appointmentId - The ID of the appointment.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The appointment's current status and its status changes, oldest first.
+ * @throws {Error} - Throws if the appointment is not found.
+ */
+export const getAppointmentHistory = async (appointmentId, companyId) => {
+  const appointment = await findCompanyAppointment(appointmentId, companyId);
+
+  return {
+    appointmentId: appointment.appointmentId,
+    appointmentStatus: appointment.appointmentStatus,
+    history: appointment.statusHistory,
+  };
+};
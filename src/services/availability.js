@@ -0,0 +1,546 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  APPOINTMENT_STATUS,
+  AVAILABILITY,
+  DATE_AND_TIME_FORMAT,
+  ERROR_MESSAGES,
+  LINE_ITEM,
+  MOMENT_DATE_FORMAT,
+  SERVICE_TIMING,
+  TIME_FORMAT,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import { Employee } from "../models/Employee.js";
+import Resource from "../models/Resource.js";
+import { Services } from "../models/Services.js";
+import { getServiceTiming } from "../utils/duration.js";
+import {
+  getAppointmentLineItems,
+  getLineItemBlocks,
+  getLineItemSpan,
+  getLineItemWindow,
+  getTimingBlocks,
+  getTimingSpan,
+} from "../utils/lineItems.js";
+import { getCompanySettings } from "./company.js";
+import { getServiceEmployees } from "./employee.js";
+import {
+  getWorkingIntervals,
+  isWithinWorkingHours,
+  resolveOpeningHours,
+  shiftsToIntervals,
+} from "./schedule.js";
+
+/**
+ * Builds the filter matching appointments that may overlap a range once their buffers are
+ * added. Buffers are not part of `date`..`expiresAt`, so the range is widened by the longest one.
+ *
+ * @param {Date} rangeStart - Start of the range (UTC).
+ * @param {Date} rangeEnd - End of the range (UTC).
+ * @returns {Object} - The `date` and `expiresAt` conditions.
+ */
+const overlapsRange = (rangeStart, rangeEnd) => {
+  const margin = SERVICE_TIMING.MAX_BUFFER_MINUTES * 60 * 1000;
+  return {
+    date: { $lt: new Date(rangeEnd.getTime() + margin) },
+    expiresAt: { $gt: new Date(rangeStart.getTime() - margin) },
+  };
+};
+
+/**
+ * Fetches the time intervals already booked for the given stylists within a range.
+ * A stylist is only busy during their own line items of a multi-service appointment, from
+ * the setup buffer to the cleanup buffer, and is free while a service is processing.
+ * Cancelled, no-show and trashed appointments do not block a stylist.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<string>} stylistIds - The IDs of the stylists to check.
+ * @param {Date} rangeStart - Start of the range (UTC).
+ * @param {Date} rangeEnd - End of the range (UTC).
+ * @param {string} [excludeAppointmentId] - Appointment to ignore, e.g. when rescheduling it.
+ * @returns {Promise<Map<string, Array<{start: Date, end: Date}>>>} - Busy intervals keyed by stylist ID.
+ */
+export const getBusyIntervals = async (
+  companyId,
+  stylistIds,
+  rangeStart,
+  rangeEnd,
+  excludeAppointmentId
+) => {
+  const query = {
+    companyId,
+    isTrashed: false,
+    $or: [
+      { stylistId: { $in: stylistIds } },
+      { [LINE_ITEM.STYLIST]: { $in: stylistIds } },
+    ],
+    appointmentStatus: {
+      $nin: [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW],
+    },
+    ...overlapsRange(rangeStart, rangeEnd),
+  };
+
+  if (excludeAppointmentId) {
+    query._id = { $ne: new mongoose.Types.ObjectId(excludeAppointmentId) };
+  }
+
+  const appointments = await Appointment.find(query, {
+    service: 1,
+    stylistId: 1,
+    lineItems: 1,
+    date: 1,
+    expiresAt: 1,
+  }).lean();
+
+  const busy = new Map(stylistIds.map((id) => [String(id), []]));
+  appointments.forEach((appointment) => {
+    getAppointmentLineItems(appointment).forEach((item) => {
+      busy
+        .get(String(item.stylistId))
+        ?.push(...getLineItemBlocks(appointment.date, item));
+    });
+  });
+
+  return busy;
+};
+
+/**
+ * Loads the capacity of the given resources and the line items already reserving them
+ * within a range, buffers included. Trashed resources are left out, they no longer limit
+ * bookings.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<string>} resourceIds - The IDs of the resources to check.
+ * @param {Date} rangeStart - Start of the range (UTC).
+ * @param {Date} rangeEnd - End of the range (UTC).
+ * @param {string} [excludeAppointmentId] - Appointment to ignore, e.g. when rescheduling it.
+ * @returns {Promise<Map<string, {capacity: number, reserved: Array<{start: Date, end: Date}>}>>} - Usage keyed by resource ID.
+ */
+const getResourceUsage = async (
+  companyId,
+  resourceIds,
+  rangeStart,
+  rangeEnd,
+  excludeAppointmentId
+) => {
+  if (!resourceIds?.length) {
+    return new Map();
+  }
+
+  const resources = await Resource.find(
+    { _id: { $in: resourceIds }, companyId, isTrashed: false },
+    { capacity: 1 }
+  ).lean();
+  const usage = new Map(
+    resources.map((resource) => [
+      String(resource._id),
+      { capacity: resource.capacity, reserved: [] },
+    ])
+  );
+  if (usage.size === 0) {
+    return usage;
+  }
+
+  const query = {
+    companyId,
+    isTrashed: false,
+    [LINE_ITEM.RESOURCES]: { $in: resources.map((resource) => resource._id) },
+    appointmentStatus: {
+      $nin: [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW],
+    },
+    ...overlapsRange(rangeStart, rangeEnd),
+  };
+
+  if (excludeAppointmentId) {
+    query._id = { $ne: new mongoose.Types.ObjectId(excludeAppointmentId) };
+  }
+
+  const appointments = await Appointment.find(query, {
+    lineItems: 1,
+    date: 1,
+  }).lean();
+
+  appointments.forEach((appointment) => {
+    appointment.lineItems.forEach((item) => {
+      const window = getLineItemSpan(appointment.date, item);
+      (item.resources || []).forEach((resourceId) => {
+        usage.get(String(resourceId))?.reserved.push(window);
+      });
+    });
+  });
+
+  return usage;
+};
+
+/**
+ * Checks whether the interval [start, end) overlaps any of the busy intervals.
+ *
+ * @param {Array<{start: Date, end: Date}>} busy - Busy intervals of a stylist.
+ * @param {Date} start - Start of the candidate interval.
+ * @param {Date} end - End of the candidate interval.
+ * @returns {boolean} - True if the interval is free.
+ */
+export const isIntervalFree = (busy, start, end) =>
+  busy.every((interval) => end <= interval.start || start >= interval.end);
+
+/**
+ * Checks whether a stylist can take a service starting at `start`, setup and cleanup
+ * included. Bookings may fall inside the service's processing time.
+ *
+ * @param {Array<{start: Date, end: Date}>} busy - Busy intervals of a stylist.
+ * @param {Date} start - Start of the service.
+ * @param {Object} timing - The service timing (`duration`, buffers and processing), in minutes.
+ * @returns {boolean} - True if the stylist is free.
+ */
+export const isTimingFree = (busy, start, timing) =>
+  getTimingBlocks(start, timing).every((block) =>
+    isIntervalFree(busy, block.start, block.end)
+  );
+
+/**
+ * Counts the most reservations in use at the same moment within [start, end).
+ *
+ * @param {Array<{start: Date, end: Date}>} reserved - Reservations of a resource.
+ * @param {Date} start - Start of the interval.
+ * @param {Date} end - End of the interval.
+ * @returns {number} - The peak number of overlapping reservations.
+ */
+const getPeakUsage = (reserved, start, end) => {
+  const overlapping = reserved.filter(
+    (interval) => interval.start < end && interval.end > start
+  );
+  // Usage only goes up when a reservation starts, so the peak is at one of these moments
+  const instants = [
+    start,
+    ...overlapping
+      .map((interval) => interval.start)
+      .filter((instant) => instant > start),
+  ];
+  return Math.max(
+    0,
+    ...instants.map(
+      (instant) =>
+        overlapping.filter(
+          (interval) => interval.start <= instant && interval.end > instant
+        ).length
+    )
+  );
+};
+
+/**
+ * Finds a resource that is used to capacity at some moment of [start, end).
+ *
+ * @param {Map} usage - Resource usage as returned by `getResourceUsage`.
+ * @param {Array<string>} resourceIds - The resources the interval needs.
+ * @param {Date} start - Start of the interval.
+ * @param {Date} end - End of the interval.
+ * @param {Array<{resources: Array, start: Date, end: Date}>} [others] - Other line items of the same booking.
+ * @returns {string|undefined} - The ID of the full resource, if any.
+ */
+const findFullResource = (usage, resourceIds, start, end, others = []) =>
+  resourceIds.map(String).find((resourceId) => {
+    const resource = usage.get(resourceId);
+    if (!resource) {
+      return false;
+    }
+    const reserved = [
+      ...resource.reserved,
+      ...others.filter((other) =>
+        other.resources.map(String).includes(resourceId)
+      ),
+    ];
+    return getPeakUsage(reserved, start, end) >= resource.capacity;
+  });
+
+/**
+ * Computes the open start times of a stylist for a given day.
+ * Candidate slots are laid out from the start of each working interval, and the service
+ * must fit in the interval buffers included.
+ *
+ * @param {Object} timing - The service timing (`duration`, buffers and processing), in minutes.
+ * @param {Array<{start: Date, end: Date}>} busy - Busy intervals of the stylist.
+ * @param {Array<{start: Date, end: Date}>} working - Working intervals of the stylist that day.
+ * @param {string} timeZone - The company's timezone, used to format the slots.
+ * @returns {Array<string>} - Open start times in `HH:mm` format.
+ */
+export const computeOpenSlots = (timing, busy, working, timeZone) => {
+  const now = new Date();
+  const slots = [];
+
+  working.forEach((interval) => {
+    for (
+      const slot = moment(interval.start).tz(timeZone);
+      slot.toDate() < interval.end;
+      slot.add(AVAILABILITY.SLOT_INTERVAL_MINUTES, "minutes")
+    ) {
+      const start = slot.toDate();
+      const span = getTimingSpan(start, timing);
+
+      if (
+        start > now &&
+        span.start >= interval.start &&
+        span.end <= interval.end &&
+        isTimingFree(busy, start, timing)
+      ) {
+        slots.push(slot.format(TIME_FORMAT));
+      }
+    }
+  });
+
+  return slots;
+};
+
+/**
+ * Ensures the salon is open during the service, the stylist is on shift buffers included
+ * and has no overlapping booking. When the slot cannot be booked, the thrown error carries
+ * the nearest open start times of the same day in `error.alternatives`.
+ *
+ * @param {Object} params - The booking to check.
+ * @param {Object} params.company - The company settings (`_id`, `timeZone`, `businessHours`, `closures`).
+ * @param {string} params.stylistId - The ID of the stylist.
+ * @param {Date} params.start - Service start (UTC).
+ * @param {Object} params.timing - The service timing (`duration`, buffers and processing), in minutes.
+ * @param {string} [params.excludeAppointmentId] - Appointment to ignore, e.g. when rescheduling it.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws STYLIST_NOT_FOUND, SALON_CLOSED, STYLIST_NOT_WORKING or STYLIST_NOT_AVAILABLE.
+ */
+export const assertStylistAvailable = async ({
+  company,
+  stylistId,
+  start,
+  timing,
+  excludeAppointmentId,
+}) => {
+  const { timeZone } = company;
+  const stylist = await Employee.findOne(
+    { _id: stylistId, companyId: company._id },
+    { weeklySchedule: 1, scheduleOverrides: 1 }
+  );
+  if (!stylist) {
+    throw new Error(ERROR_MESSAGES.STYLIST_NOT_FOUND);
+  }
+
+  const date = moment(start).tz(timeZone).format(MOMENT_DATE_FORMAT);
+  const dayStart = moment.tz(date, MOMENT_DATE_FORMAT, timeZone);
+
+  const busy = await getBusyIntervals(
+    company._id,
+    [stylist._id],
+    dayStart.toDate(),
+    dayStart.clone().add(1, "day").toDate(),
+    excludeAppointmentId
+  );
+  const stylistBusy = busy.get(String(stylist._id));
+  const working = await getWorkingIntervals(company, [stylist], date);
+  const stylistWorking = working.get(String(stylist._id));
+
+  const opening = resolveOpeningHours(company, date);
+  const openingIntervals = opening.isClosed
+    ? []
+    : shiftsToIntervals(
+        date,
+        [{ startTime: opening.openTime, endTime: opening.closeTime }],
+        timeZone
+      );
+
+  const end = new Date(start.getTime() + timing.duration * 60000);
+  const span = getTimingSpan(start, timing);
+
+  let message;
+  if (!isWithinWorkingHours(openingIntervals, start, end)) {
+    message = ERROR_MESSAGES.SALON_CLOSED;
+  } else if (!isWithinWorkingHours(stylistWorking, span.start, span.end)) {
+    message = ERROR_MESSAGES.STYLIST_NOT_WORKING;
+  } else if (!isTimingFree(stylistBusy, start, timing)) {
+    message = ERROR_MESSAGES.STYLIST_NOT_AVAILABLE;
+  } else {
+    return;
+  }
+
+  const error = new Error(message);
+  error.alternatives = computeOpenSlots(
+    timing,
+    stylistBusy,
+    stylistWorking,
+    timeZone
+  ).slice(0, AVAILABILITY.MAX_ALTERNATIVES);
+  throw error;
+};
+
+/**
+ * Ensures the rooms and equipment reserved by a booking's line items are free. A resource
+ * can be shared by as many overlapping line items as its capacity, the booking's own
+ * line items included. The index of the failing line item is set in `error.lineItem`.
+ *
+ * @param {Object} params - The booking to check.
+ * @param {Object} params.company - The company settings.
+ * @param {Date} params.start - Appointment start (UTC).
+ * @param {Array<{resources: Array, startOffset: number, duration: number}>} params.lineItems - The line items.
+ * @param {string} [params.excludeAppointmentId] - Appointment to ignore, e.g. when rescheduling it.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws RESOURCE_NOT_AVAILABLE.
+ */
+export const assertResourcesAvailable = async ({
+  company,
+  start,
+  lineItems,
+  excludeAppointmentId,
+}) => {
+  const items = lineItems.map((item) => ({
+    ...getLineItemSpan(start, item),
+    resources: item.resources || [],
+  }));
+  const resourceIds = [
+    ...new Set(items.flatMap((item) => item.resources.map(String))),
+  ];
+
+  const usage = await getResourceUsage(
+    company._id,
+    resourceIds,
+    new Date(Math.min(...items.map((item) => item.start))),
+    new Date(Math.max(...items.map((item) => item.end))),
+    excludeAppointmentId
+  );
+
+  items.forEach((item, index) => {
+    const others = items.filter((_, otherIndex) => otherIndex !== index);
+    if (findFullResource(usage, item.resources, item.start, item.end, others)) {
+      const error = new Error(ERROR_MESSAGES.RESOURCE_NOT_AVAILABLE);
+      error.lineItem = index;
+      error.alternatives = [];
+      throw error;
+    }
+  });
+};
+
+/**
+ * Ensures every line item of a booking can be performed by its stylist, and that the
+ * resources it needs are free.
+ * When one cannot, the error thrown by `assertStylistAvailable` is rethrown with the index
+ * of the failing line item in `error.lineItem`; its alternatives are start times for that line item.
+ *
+ * @param {Object} params - The booking to check.
+ * @param {Object} params.company - The company settings.
+ * @param {Date} params.start - Appointment start (UTC).
+ * @param {Array<{stylistId: *, startOffset: number, duration: number}>} params.lineItems - The line items.
+ * @param {string} [params.excludeAppointmentId] - Appointment to ignore, e.g. when rescheduling it.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws STYLIST_NOT_FOUND, SALON_CLOSED, STYLIST_NOT_WORKING, STYLIST_NOT_AVAILABLE
+ * or RESOURCE_NOT_AVAILABLE.
+ */
+export const assertLineItemsAvailable = async ({
+  company,
+  start,
+  lineItems,
+  excludeAppointmentId,
+}) => {
+  for (const [index, item] of lineItems.entries()) {
+    const window = getLineItemWindow(start, item);
+    try {
+      await assertStylistAvailable({
+        company,
+        stylistId: item.stylistId,
+        start: window.start,
+        timing: item,
+        excludeAppointmentId,
+      });
+    } catch (error) {
+      error.lineItem = index;
+      throw error;
+    }
+  }
+
+  await assertResourcesAvailable({
+    company,
+    start,
+    lineItems,
+    excludeAppointmentId,
+  });
+};
+
+/**
+ * Lists the open slots of every stylist eligible for a service on a given day.
+ * Slots where a room or machine the service needs is fully booked are left out.
+ *
+ * @param {Object} req - The request object containing `serviceId` and `date` query parameters.
+ * @returns {Promise<Object>} - The service duration and open slots per stylist.
+ * @throws {Error} - Throws an error if the service is not found or the date is invalid.
+ */
+export const listAvailability = async (req) => {
+  const { serviceId, date } = req.query;
+  const { companyId } = req;
+  const company = await getCompanySettings(companyId);
+
+  if (!moment(date, MOMENT_DATE_FORMAT, true).isValid()) {
+    throw new Error(ERROR_MESSAGES.INVALID_DATE_FORMAT);
+  }
+
+  const service = await Services.findOne({
+    _id: serviceId,
+    companyId,
+    isTrashed: false,
+  });
+  if (!service) {
+    throw new Error(ERROR_MESSAGES.SERVICE_NOT_FOUND);
+  }
+  const timing = getServiceTiming(service);
+
+  const employees =
+    (await getServiceEmployees(serviceId, companyId, {
+      employeeName: 1,
+      employeePhoto: 1,
+      weeklySchedule: 1,
+      scheduleOverrides: 1,
+    })) || [];
+
+  const dayStart = moment.tz(date, MOMENT_DATE_FORMAT, company.timeZone);
+  const dayEnd = dayStart.clone().add(1, "day").toDate();
+  const busy = await getBusyIntervals(
+    companyId,
+    employees.map((employee) => employee._id),
+    dayStart.toDate(),
+    dayEnd
+  );
+  const working = await getWorkingIntervals(company, employees, date);
+  const resourceUsage = await getResourceUsage(
+    companyId,
+    service.requiredResources,
+    dayStart.toDate(),
+    dayEnd
+  );
+  const hasFreeResources = (slot) => {
+    const start = moment.tz(
+      `${date} ${slot}`,
+      DATE_AND_TIME_FORMAT,
+      company.timeZone
+    );
+    const span = getTimingSpan(start.toDate(), timing);
+    return !findFullResource(
+      resourceUsage,
+      service.requiredResources,
+      span.start,
+      span.end
+    );
+  };
+
+  const stylists = employees.map((employee) => ({
+    stylistId: employee._id,
+    stylistName: employee.employeeName,
+    employeePhoto: employee.employeePhoto,
+    slots: computeOpenSlots(
+      timing,
+      busy.get(String(employee._id)),
+      working.get(String(employee._id)),
+      company.timeZone
+    ).filter(hasFreeResources),
+  }));
+
+  return {
+    serviceId,
+    date,
+    timeZone: company.timeZone,
+    duration: timing.duration,
+    stylists,
+  };
+};
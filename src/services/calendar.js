@@ -0,0 +1,308 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  APPOINTMENT_STATUS,
+  CALENDAR_MAX_RANGE_DAYS,
+  COLLECTION_NAMES,
+  ERROR_MESSAGES,
+  LINE_ITEM,
+  MOMENT_DATE_FORMAT,
+  TIME_FORMAT,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import { Employee } from "../models/Employee.js";
+import {
+  getAppointmentLineItems,
+  getLineItemBlocks,
+  getLineItemProcessing,
+  getLineItemWindow,
+} from "../utils/lineItems.js";
+import { getCompanySettings } from "./company.js";
+import {
+  getApprovedLeaves,
+  resolveDayShifts,
+  resolveOpeningHours,
+  shiftsToIntervals,
+} from "./schedule.js";
+
+// Shown on the calendar, but the stylist's time is free again
+const NON_BLOCKING_STATUSES = [
+  APPOINTMENT_STATUS.CANCELLED,
+  APPOINTMENT_STATUS.NO_SHOW,
+];
+
+/**
+ * Removes the parts of the intervals covered by any of the cuts.
+ *
+ * @param {Array<{start: Date, end: Date}>} intervals - Intervals to cut, not overlapping each other.
+ * @param {Array<{start: Date, end: Date}>} cuts - Intervals to remove; may overlap.
+ * @returns {Array<{start: Date, end: Date}>} - What is left of the intervals, in order.
+ */
+export const subtractIntervals = (intervals, cuts) =>
+  intervals.flatMap((interval) => {
+    const pieces = [];
+    let cursor = interval.start;
+    cuts
+      .filter((cut) => cut.start < interval.end && cut.end > interval.start)
+      .sort((a, b) => a.start - b.start)
+      .forEach((cut) => {
+        if (cut.start > cursor) {
+          pieces.push({ start: cursor, end: cut.start });
+        }
+        if (cut.end > cursor) {
+          cursor = cut.end;
+        }
+      });
+    if (cursor < interval.end) {
+      pieces.push({ start: cursor, end: interval.end });
+    }
+    return pieces;
+  });
+
+/**
+ * Adds the local `HH:mm` start and end times to a UTC interval.
+ *
+ * @param {{start: Date, end: Date}} interval - The interval.
+ * @param {string} timeZone - The company's timezone.
+ * @returns {{start: Date, end: Date, startTime: string, endTime: string}}
+ */
+const withLocalTimes = (interval, timeZone) => ({
+  ...interval,
+  startTime: moment(interval.start).tz(timeZone).format(TIME_FORMAT),
+  endTime: moment(interval.end).tz(timeZone).format(TIME_FORMAT),
+});
+
+/**
+ * Fetches the appointments of the given stylists overlapping a range, with their client
+ * and service names, in a single aggregation.
+ *
+ * @param {mongoose.Types.ObjectId} companyId - The ID of the company.
+ * @param {Array<mongoose.Types.ObjectId>} stylistIds - The IDs of the stylists.
+ * @param {Date} rangeStart - Start of the range (UTC).
+ * @param {Date} rangeEnd - End of the range (UTC).
+ * @returns {Promise<Array<Object>>} - The appointments, each with `client` and `services` looked up.
+ */
+const fetchCalendarAppointments = (
+  companyId,
+  stylistIds,
+  rangeStart,
+  rangeEnd
+) =>
+  Appointment.aggregate([
+    {
+      $match: {
+        companyId: new mongoose.Types.ObjectId(companyId),
+        isTrashed: false,
+        $or: [
+          { stylistId: { $in: stylistIds } },
+          { [LINE_ITEM.STYLIST]: { $in: stylistIds } },
+        ],
+        date: { $lt: rangeEnd },
+        expiresAt: { $gt: rangeStart },
+      },
+    },
+    {
+      $lookup: {
+        from: COLLECTION_NAMES.CLIENTS,
+        localField: "client",
+        foreignField: "_id",
+        as: "client",
+      },
+    },
+    { $unwind: { path: "$client", preserveNullAndEmptyArrays: true } },
+    // Every service of the appointment, line items and appointments booked before them alike
+    {
+      $addFields: {
+        serviceIds: {
+          $concatArrays: [
+            ["$service"],
+            { $ifNull: [`$${LINE_ITEM.SERVICE}`, []] },
+          ],
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: COLLECTION_NAMES.SERVICES,
+        localField: "serviceIds",
+        foreignField: "_id",
+        as: "services",
+      },
+    },
+    {
+      $project: {
+        appointmentId: 1,
+        clientId: 1,
+        client: { name: 1, phone: 1 },
+        service: 1,
+        stylistId: 1,
+        lineItems: 1,
+        date: 1,
+        expiresAt: 1,
+        note: 1,
+        appointmentStatus: 1,
+        status: 1,
+        totalPrice: 1,
+        services: { _id: 1, serviceName: 1 },
+      },
+    },
+    { $sort: { date: 1 } },
+  ]);
+
+/**
+ * Builds the calendar of the company's stylists over a range of days.
+ * For each stylist and day it lists the appointments with their computed start and end,
+ * the time blocked within opening hours (leave, days off, breaks), and the gaps left
+ * between appointments while the stylist is on shift. Setup and cleanup buffers are not
+ * gaps, processing time is. Each stylist of a multi-service appointment only sees their
+ * own line items.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} params - The range and filter.
+ * @param {string} params.from - First day in `YYYY-MM-DD`.
+ * @param {string} params.to - Last day (inclusive) in `YYYY-MM-DD`.
+ * @param {string} [params.stylistId] - Only show this stylist.
+ * @returns {Promise<Object>} - The range, the company's timezone and the days of each stylist.
+ * @throws {Error} - Throws INVALID_DATE_FORMAT, CALENDAR_RANGE_TOO_LONG, INVALID_EMPLOYEE_ID or EMPLOYEE_NOT_FOUND.
+ */
+export const getAppointmentCalendar = async (
+  companyId,
+  { from, to, stylistId }
+) => {
+  const fromDay = moment(from, MOMENT_DATE_FORMAT, true);
+  const toDay = moment(to, MOMENT_DATE_FORMAT, true);
+
+  if (!fromDay.isValid() || !toDay.isValid() || toDay.isBefore(fromDay)) {
+    throw new Error(ERROR_MESSAGES.INVALID_DATE_FORMAT);
+  }
+  if (toDay.diff(fromDay, "days") >= CALENDAR_MAX_RANGE_DAYS) {
+    throw new Error(ERROR_MESSAGES.CALENDAR_RANGE_TOO_LONG);
+  }
+  if (stylistId && !mongoose.Types.ObjectId.isValid(stylistId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_EMPLOYEE_ID);
+  }
+
+  const employees = await Employee.find(
+    { companyId, isTrashed: false, ...(stylistId && { _id: stylistId }) },
+    {
+      employeeName: 1,
+      employeePhoto: 1,
+      weeklySchedule: 1,
+      scheduleOverrides: 1,
+    }
+  )
+    .sort({ employeeName: 1 })
+    .lean();
+  if (stylistId && employees.length === 0) {
+    throw new Error(ERROR_MESSAGES.EMPLOYEE_NOT_FOUND);
+  }
+
+  const company = await getCompanySettings(companyId);
+  const { timeZone } = company;
+  const stylistIds = employees.map((employee) => employee._id);
+  const dates = [];
+  for (const day = fromDay.clone(); day.isSameOrBefore(toDay); day.add(1, "day")) {
+    dates.push(day.format(MOMENT_DATE_FORMAT));
+  }
+
+  const [appointments, leaves] = await Promise.all([
+    fetchCalendarAppointments(
+      companyId,
+      stylistIds,
+      moment.tz(from, MOMENT_DATE_FORMAT, timeZone).toDate(),
+      moment.tz(to, MOMENT_DATE_FORMAT, timeZone).add(1, "day").toDate()
+    ),
+    getApprovedLeaves(companyId, stylistIds, from, to),
+  ]);
+
+  // Appointment line items keyed by stylist, then by local day
+  const events = new Map(
+    stylistIds.map((id) => [
+      String(id),
+      new Map(dates.map((date) => [date, []])),
+    ])
+  );
+  appointments.forEach((appointment) => {
+    const serviceNames = new Map(
+      appointment.services.map((service) => [
+        String(service._id),
+        service.serviceName,
+      ])
+    );
+    getAppointmentLineItems(appointment).forEach((item) => {
+      const window = getLineItemWindow(appointment.date, item);
+      const date = moment(window.start).tz(timeZone).format(MOMENT_DATE_FORMAT);
+      const processing = getLineItemProcessing(appointment.date, item);
+      events
+        .get(String(item.stylistId))
+        ?.get(date)
+        ?.push({
+          _id: appointment._id,
+          appointmentId: appointment.appointmentId,
+          clientId: appointment.clientId,
+          client: appointment.client,
+          serviceId: item.service,
+          serviceName: serviceNames.get(String(item.service)),
+          appointmentStatus: appointment.appointmentStatus,
+          paymentStatus: appointment.status,
+          note: appointment.note,
+          ...withLocalTimes(window, timeZone),
+          bufferBefore: item.bufferBefore,
+          bufferAfter: item.bufferAfter,
+          // The stylist is free for other clients meanwhile
+          processing: processing && withLocalTimes(processing, timeZone),
+          blocks: getLineItemBlocks(appointment.date, item),
+        });
+    });
+  });
+
+  const stylists = employees.map((employee) => ({
+    stylistId: employee._id,
+    stylistName: employee.employeeName,
+    employeePhoto: employee.employeePhoto,
+    days: dates.map((date) => {
+      const opening = resolveOpeningHours(company, date);
+      const { source, shifts, reason } = resolveDayShifts(
+        employee,
+        date,
+        leaves.get(String(employee._id)),
+        company
+      );
+      const open = opening.isClosed
+        ? []
+        : shiftsToIntervals(
+            date,
+            [{ startTime: opening.openTime, endTime: opening.closeTime }],
+            timeZone
+          );
+      const working = shiftsToIntervals(date, shifts, timeZone);
+      const dayAppointments = events
+        .get(String(employee._id))
+        .get(date)
+        .sort((a, b) => a.start - b.start);
+      const busy = dayAppointments
+        .filter(
+          (event) => !NON_BLOCKING_STATUSES.includes(event.appointmentStatus)
+        )
+        .flatMap((event) => event.blocks);
+
+      return {
+        date,
+        source,
+        reason,
+        openTime: opening.openTime,
+        closeTime: opening.closeTime,
+        shifts,
+        appointments: dayAppointments.map(({ blocks, ...event }) => event),
+        blocked: subtractIntervals(open, working).map((interval) =>
+          withLocalTimes(interval, timeZone)
+        ),
+        gaps: subtractIntervals(working, busy).map((interval) =>
+          withLocalTimes(interval, timeZone)
+        ),
+      };
+    }),
+  }));
+
+  return { from, to, timeZone, stylists };
+};
@@ -1,4 +1,7 @@
+import { USER_ROLES } from "../constants.js";
 import { Client } from "../models/Client.js";
+import Role from "../models/Role.js";
+import { generateNextClientId } from "../utils/idGenerator.js";
 
 /**
  * Service to get clients with last appointment and stylist info.
@@ -125,3 +128,32 @@ export const getClients = async (companyId, page, limit) => {
   const clients = await Client.aggregate(baseStages);
   return { data: clients };
 };
+
+/**
+ * Creates a client of the company with the company's user role and the next `clientId`.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} details - The client's `name`, `phone` and optional `email`, `dob`, `photo`, `gender`, `notes` and `address`.
+ * @returns {Promise<Object>} - The saved client.
+ */
+export const createClient = async (companyId, details) => {
+  let role = await Role.findOne({ roleName: USER_ROLES.USER, companyId });
+
+  if (!role) {
+    // If the role doesn't exist, create a new one
+    role = new Role({
+      roleName: USER_ROLES.USER,
+      companyId,
+    });
+
+    await role.save();
+  }
+
+  const client = new Client({ ...details, companyId, role: role._id });
+  await client.save();
+
+  // Now, generate and assign the clientId after the client has been successfully saved
+  client.clientId = await generateNextClientId(companyId);
+
+  return client.save();
+};
@@ -1,11 +1,20 @@
 import Joi from "joi";
+import moment from "moment-timezone";
 import Company from "../models/Company.js";
+import { Services } from "../models/Services.js";
+import { Stocks } from "../models/Stocks.js";
 import { generateToken } from "../utils/auth.js";
 import mongoose from "mongoose";
 import {
   COMPANY_FIELDS,
+  DEFAULT_CANCELLATION_POLICY,
+  DEFAULT_ONLINE_BOOKING,
+  DEFAULT_REMINDER_SETTINGS,
+  DEFAULT_TAX_SETTINGS,
   ERROR_MESSAGES,
+  ONLINE_BOOKING,
   SUCCESS_MESSAGES,
+  TIME_ZONE,
 } from "../constants.js";
 
 // Joi schema for validation
@@ -15,6 +24,11 @@ const companySchema = Joi.object({
   city: Joi.string().required(),
   address: Joi.string().required(),
   logo: Joi.string().uri().allow("").optional(),
+  timeZone: Joi.string()
+    .custom((value, helpers) =>
+      moment.tz.zone(value) ? value : helpers.message(ERROR_MESSAGES.INVALID_TIME_ZONE)
+    )
+    .optional(),
 });
 
 /**
@@ -109,7 +123,7 @@ export const updateCompanyDetails = async (companyId, updatedData) => {
   const updatedCompany = await Company.findByIdAndUpdate(
     { _id: companyObjID },
     updatedData,
-    { new: true }
+    { new: true, runValidators: true }
   );
   return updatedCompany;
 };
@@ -127,3 +141,241 @@ export const listCompanies = async () => {
   );
   return companies;
 };
+
+/**
+ * Retrieves the timezone, opening hours, closures, cancellation policy, reminder settings,
+ * online booking settings and tax settings of a company.
+ * Companies created before these settings existed fall back to the defaults.
+ * @async
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} The company's `_id`, `timeZone`, `businessHours`, `closures`, `cancellationPolicy`,
+ * `reminderSettings`, `onlineBooking` and `taxSettings`.
+ * @throws {Error} Throws an error if the company is not found.
+ */
+export const getCompanySettings = async (companyId) => {
+  const company = await Company.findById(companyId, {
+    timeZone: 1,
+    businessHours: 1,
+    closures: 1,
+    cancellationPolicy: 1,
+    reminderSettings: 1,
+    onlineBooking: 1,
+    taxSettings: 1,
+  }).lean();
+
+  if (!company) {
+    throw new Error(ERROR_MESSAGES.COMPANY_NOT_FOUND);
+  }
+
+  return {
+    ...company,
+    timeZone: company.timeZone || TIME_ZONE,
+    businessHours: company.businessHours || [],
+    closures: company.closures || [],
+    cancellationPolicy: {
+      ...DEFAULT_CANCELLATION_POLICY,
+      ...company.cancellationPolicy,
+    },
+    reminderSettings: {
+      ...DEFAULT_REMINDER_SETTINGS,
+      ...company.reminderSettings,
+    },
+    onlineBooking: {
+      ...DEFAULT_ONLINE_BOOKING,
+      ...company.onlineBooking,
+    },
+    taxSettings: {
+      ...DEFAULT_TAX_SETTINGS,
+      ...company.taxSettings,
+    },
+  };
+};
+
+/**
+ * Ensures no other company uses a booking page slug.
+ *
+ * @param {string} slug - The slug to check.
+ * @param {string} companyId - The company that wants it.
+ * @returns {Promise<boolean>} - True if the slug is free.
+ */
+const isSlugAvailable = async (slug, companyId) =>
+  !(await Company.exists({
+    "onlineBooking.slug": slug,
+    _id: { $ne: companyId },
+  }));
+
+/**
+ * Builds a free booking page slug from the company's name, e.g. "Hair & Co" becomes
+ * "hair-co", or "hair-co-2" when another salon already has it.
+ *
+ * @param {string} name - The company's name.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<string>} - The slug.
+ */
+const generateBookingSlug = async (name, companyId) => {
+  const base =
+    name
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, ONLINE_BOOKING.SLUG_MAX_LENGTH - 4)
+      .replace(/-+$/, "") || "salon";
+
+  let slug = base;
+  for (let suffix = 2; !(await isSlugAvailable(slug, companyId)); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
+
+/**
+ * Checks new tax settings against the current ones: the default category must be one of the
+ * categories, and categories still used by services or stock items cannot be removed.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} taxSettings - The tax settings being changed.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws COMPANY_NOT_FOUND, TAX_CATEGORY_NOT_FOUND or TAX_CATEGORY_IN_USE.
+ */
+const checkTaxSettings = async (companyId, taxSettings) => {
+  const { taxSettings: current } = await getCompanySettings(companyId);
+  const categories = taxSettings.categories || current.categories;
+  const codes = categories.map((category) => category.code);
+
+  const defaultCategory =
+    taxSettings.defaultCategory !== undefined
+      ? taxSettings.defaultCategory
+      : current.defaultCategory;
+  if (defaultCategory && !codes.includes(defaultCategory)) {
+    throw new Error(ERROR_MESSAGES.TAX_CATEGORY_NOT_FOUND);
+  }
+
+  const removed = current.categories
+    .map((category) => category.code)
+    .filter((code) => !codes.includes(code));
+  if (removed.length) {
+    const filter = {
+      companyId,
+      isTrashed: false,
+      taxCategory: { $in: removed },
+    };
+    if ((await Services.exists(filter)) || (await Stocks.exists(filter))) {
+      throw new Error(ERROR_MESSAGES.TAX_CATEGORY_IN_USE);
+    }
+  }
+};
+
+/**
+ * Updates the timezone, weekly opening hours, cancellation policy, reminder settings, online
+ * booking settings and/or tax settings of a company.
+ * Cancellation policy, reminder, online booking and tax fields that are not given keep their
+ * current value; a given list of reminders or tax categories replaces the current one. Enabling
+ * online booking without a slug gives the company one built from its name.
+ * @async
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} settings - The validated `timeZone`, `businessHours`, `cancellationPolicy`, `reminderSettings`,
+ * `onlineBooking` and `taxSettings`.
+ * @returns {Promise<Object>} The updated settings.
+ * @throws {Error} Throws an error if the company is not found, the slug is taken, the default tax
+ * category is unknown or a removed tax category is still in use.
+ */
+export const updateCompanySettings = async (companyId, settings) => {
+  const {
+    cancellationPolicy = {},
+    reminderSettings = {},
+    onlineBooking = {},
+    taxSettings = {},
+    ...update
+  } = settings;
+
+  if (taxSettings.categories || taxSettings.defaultCategory) {
+    await checkTaxSettings(companyId, taxSettings);
+  }
+
+  if (onlineBooking.slug) {
+    if (!(await isSlugAvailable(onlineBooking.slug, companyId))) {
+      throw new Error(ERROR_MESSAGES.BOOKING_SLUG_TAKEN);
+    }
+  } else if (onlineBooking.isEnabled) {
+    const company = await Company.findById(companyId, {
+      name: 1,
+      onlineBooking: 1,
+    }).lean();
+    if (!company) {
+      throw new Error(ERROR_MESSAGES.COMPANY_NOT_FOUND);
+    }
+    if (!company.onlineBooking?.slug) {
+      onlineBooking.slug = await generateBookingSlug(company.name, companyId);
+    }
+  }
+
+  const groups = {
+    cancellationPolicy,
+    reminderSettings,
+    onlineBooking,
+    taxSettings,
+  };
+  Object.entries(groups).forEach(([group, fields]) => {
+    Object.entries(fields).forEach(([field, value]) => {
+      update[`${group}.${field}`] = value;
+    });
+  });
+
+  const company = await Company.findByIdAndUpdate(companyId, update, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!company) {
+    throw new Error(ERROR_MESSAGES.COMPANY_NOT_FOUND);
+  }
+
+  return getCompanySettings(companyId);
+};
+
+/**
+ * Marks a day as closed for the company, replacing any closure already set for that day.
+ * @async
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} closure - The closure (`date` in YYYY-MM-DD and optional `reason`).
+ * @returns {Promise<Array>} The company's closures.
+ * @throws {Error} Throws an error if the company is not found.
+ */
+export const addCompanyClosure = async (companyId, closure) => {
+  const company = await Company.findById(companyId);
+
+  if (!company) {
+    throw new Error(ERROR_MESSAGES.COMPANY_NOT_FOUND);
+  }
+
+  company.closures = [
+    ...company.closures.filter((item) => item.date !== closure.date),
+    closure,
+  ].sort((a, b) => a.date.localeCompare(b.date));
+  await company.save();
+
+  return company.closures;
+};
+
+/**
+ * Removes the closure of a company for a given day.
+ * @async
+ * @param {string} companyId - The ID of the company.
+ * @param {string} date - The day to reopen, in YYYY-MM-DD.
+ * @returns {Promise<Array>} The company's remaining closures.
+ * @throws {Error} Throws an error if the company is not found.
+ */
+export const removeCompanyClosure = async (companyId, date) => {
+  const company = await Company.findByIdAndUpdate(
+    companyId,
+    { $pull: { closures: { date } } },
+    { new: true }
+  );
+
+  if (!company) {
+    throw new Error(ERROR_MESSAGES.COMPANY_NOT_FOUND);
+  }
+
+  return company.closures;
+};
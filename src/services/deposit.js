@@ -0,0 +1,236 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  APPOINTMENT_EMAIL_TYPES,
+  APPOINTMENT_STATUS,
+  CLIENT,
+  DEPOSIT_TYPES,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  NOTIFICATION_MESSAGES,
+  NOTIFICATION_TYPES,
+  PAYMENT_STATUS,
+  STATUS_CHANGE_ACTORS,
+  TIME_FORMAT,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import { Payment } from "../models/Payment.js";
+import { buildStatusChange } from "./appointmentStatus.js";
+import { getCompanySettings } from "./company.js";
+import { sendAppointmentInvite } from "./icalendar.js";
+import { cancelGatewayIntent } from "./paymentGateway.js";
+import { saveNotification } from "./notification.js";
+import { offerFreedSlot } from "./waitlist.js";
+
+/**
+ * Works out the deposit a line item's service asks for.
+ *
+ * @param {Object} item - A line item as returned by `buildLineItems`.
+ * @returns {number} - The deposit, never more than the price of the line item.
+ */
+const getLineItemDeposit = ({ service, price }) => {
+  const value = Number(service.depositValue) || 0;
+  if (service.depositType === DEPOSIT_TYPES.PERCENTAGE) {
+    return (price * value) / 100;
+  }
+  if (service.depositType === DEPOSIT_TYPES.FIXED) {
+    return Math.min(value, price);
+  }
+  return 0;
+};
+
+/**
+ * Works out the deposit needed to hold an appointment's slot. Each service that requires a
+ * deposit adds its own, and the slot is held for the shortest hold of those services, at most
+ * until the appointment starts.
+ *
+ * @param {Array<Object>} lineItems - Line items as returned by `buildLineItems`.
+ * @param {Date} start - Appointment start (UTC).
+ * @param {Date} [now] - The time of the booking.
+ * @returns {{amount: number, holdExpiresAt: Date}|null} - The deposit, or null if none is needed.
+ */
+export const computeDeposit = (lineItems, start, now = new Date()) => {
+  // Appointments booked once they have started are settled at the counter
+  if (start <= now) {
+    return null;
+  }
+
+  const depositItems = lineItems.filter(
+    (item) => getLineItemDeposit(item) > 0
+  );
+  if (depositItems.length === 0) {
+    return null;
+  }
+
+  const amount = depositItems.reduce(
+    (sum, item) => sum + getLineItemDeposit(item),
+    0
+  );
+  const holdMinutes = Math.min(
+    ...depositItems.map((item) => item.service.depositHoldMinutes)
+  );
+  const holdExpiresAt = new Date(
+    Math.min(now.getTime() + holdMinutes * 60000, start.getTime())
+  );
+
+  return { amount: Math.round(amount * 100) / 100, holdExpiresAt };
+};
+
+/**
+ * Records the deposit of an appointment as paid, which confirms its slot. A hold that has
+ * expired can still be paid until the slot is released.
+ *
+ * @param {string} appointmentId - The ID of the appointment.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<{appointment: Object, payment: Object}>} - The appointment and the paid deposit payment.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, APPOINTMENT_NOT_FOUND, NO_DEPOSIT_DUE,
+ * DEPOSIT_ALREADY_PAID or DEPOSIT_HOLD_EXPIRED.
+ */
+export const payDeposit = async (appointmentId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const filter = { _id: appointmentId, companyId, isTrashed: false };
+  const existing = await Appointment.findOne(filter);
+  if (!existing) {
+    throw new Error(ERROR_MESSAGES.APPOINTMENT_NOT_FOUND);
+  }
+  if (!existing.deposit) {
+    throw new Error(ERROR_MESSAGES.NO_DEPOSIT_DUE);
+  }
+  if (existing.deposit.paidAt) {
+    throw new Error(ERROR_MESSAGES.DEPOSIT_ALREADY_PAID);
+  }
+
+  // Conditional so that a release running at the same time wins or loses as a whole
+  const now = new Date();
+  const appointment = await Appointment.findOneAndUpdate(
+    {
+      ...filter,
+      appointmentStatus: APPOINTMENT_STATUS.UPCOMING,
+      "deposit.paidAt": null,
+    },
+    { $set: { "deposit.paidAt": now } },
+    { new: true }
+  );
+  if (!appointment) {
+    throw new Error(ERROR_MESSAGES.DEPOSIT_HOLD_EXPIRED);
+  }
+
+  const payment = await Payment.findByIdAndUpdate(
+    appointment.deposit.payment,
+    { status: PAYMENT_STATUS.PAID, dateAndTime: now },
+    { new: true }
+  );
+
+  return { appointment, payment };
+};
+
+/**
+ * Cancels an appointment whose deposit is still unpaid, unless it was paid in the meantime.
+ *
+ * @param {Object} appointment - The appointment, with its client's name.
+ * @param {Date} now - The current time.
+ * @returns {Promise<boolean>} - True if this run released the appointment.
+ */
+const releaseHold = async (appointment, now) => {
+  const { modifiedCount } = await Appointment.updateOne(
+    {
+      _id: appointment._id,
+      appointmentStatus: APPOINTMENT_STATUS.UPCOMING,
+      "deposit.paidAt": null,
+    },
+    {
+      $set: {
+        appointmentStatus: APPOINTMENT_STATUS.CANCELLED,
+        cancellation: {
+          cancelledAt: now,
+          cancelledBy: STATUS_CHANGE_ACTORS.SYSTEM,
+          reason: ERROR_MESSAGES.DEPOSIT_HOLD_EXPIRED,
+          isLate: false,
+        },
+      },
+      $push: {
+        statusHistory: buildStatusChange(
+          appointment.appointmentStatus,
+          APPOINTMENT_STATUS.CANCELLED,
+          STATUS_CHANGE_ACTORS.SYSTEM,
+          ERROR_MESSAGES.DEPOSIT_HOLD_EXPIRED
+        ),
+      },
+    }
+  );
+  if (modifiedCount !== 1) {
+    return false;
+  }
+
+  const payment = await Payment.findOneAndUpdate(
+    { _id: appointment.deposit.payment, status: PAYMENT_STATUS.PENDING },
+    { status: PAYMENT_STATUS.FAILED },
+    { new: true }
+  );
+  if (payment) {
+    // The slot is released either way; a deposit paid after all is recorded and refundable
+    try {
+      await cancelGatewayIntent(payment);
+    } catch (error) {
+      console.error(ERROR_MESSAGES.FAILED_CANCELLING_PAYMENT_INTENT, error);
+    }
+  }
+  return true;
+};
+
+/**
+ * Releases the slots of upcoming appointments whose deposit hold has expired unpaid: the
+ * appointment is cancelled by the system, its deposit payment fails and its gateway intent
+ * is cancelled, the salon is notified, the client is emailed the cancellation and the slot
+ * is offered to the waitlist.
+ * Errors are logged per appointment so that one failure does not keep the others held.
+ *
+ * @returns {Promise<number>} - The number of appointments released.
+ */
+export const releaseExpiredDepositHolds = async () => {
+  const now = new Date();
+  const appointments = await Appointment.find({
+    isTrashed: false,
+    appointmentStatus: APPOINTMENT_STATUS.UPCOMING,
+    "deposit.paidAt": null,
+    "deposit.holdExpiresAt": { $lte: now },
+  }).populate(CLIENT.FIELD, CLIENT.NAME_FIELD);
+
+  let released = 0;
+  for (const appointment of appointments) {
+    try {
+      if (!(await releaseHold(appointment, now))) {
+        continue;
+      }
+      released += 1;
+
+      const { timeZone } = await getCompanySettings(appointment.companyId);
+      const local = moment(appointment.date).tz(timeZone);
+      await saveNotification({
+        companyId: appointment.companyId,
+        message: NOTIFICATION_MESSAGES.DEPOSIT_HOLD_RELEASED,
+        type: NOTIFICATION_TYPES.APPOINTMENT,
+        details: {
+          appointmentId: appointment._id,
+          clientName: appointment.client?.name || "",
+          status: APPOINTMENT_STATUS.CANCELLED,
+          appointmentDate: local.format(MOMENT_DATE_FORMAT),
+          time: local.format(TIME_FORMAT),
+        },
+        timestamp: now,
+        isRead: false,
+      });
+      await offerFreedSlot(appointment);
+      await sendAppointmentInvite(
+        [appointment._id],
+        APPOINTMENT_EMAIL_TYPES.CANCELLED
+      );
+    } catch (error) {
+      console.error(ERROR_MESSAGES.FAILED_RELEASING_DEPOSIT_HOLDS, error);
+    }
+  }
+  return released;
+};
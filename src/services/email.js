@@ -2,11 +2,17 @@ import transporter from "../config/nodemailer.js";
 import {
   COMPANY_NAME,
   ERROR_MESSAGES,
+  ICALENDAR,
+  PDF,
   SUCCESS_MESSAGES,
 } from "../constants.js";
 import {
+  appointmentInviteTemplate,
+  appointmentReminderTemplate,
   generateOtpEmailContent,
+  invoiceEmailTemplate,
   paymentConfirmationTemplate,
+  waitlistOfferTemplate,
 } from "../utils/emailTemplates.js";
 
 /**
@@ -16,17 +22,19 @@ import {
  * @param {string} subject - The subject of the email.
  * @param {string} text - The plain text content of the email.
  * @param {string} html - The HTML content of the email.
+ * @param {Array<Object>} [attachments] - Optional nodemailer attachments.
  *
  * @returns {Promise<Object>} - The information about the email sent.
  * @throws {Error} - Throws an error if email sending fails.
  */
-export const sendEmail = async (to, subject, text, html) => {
+export const sendEmail = async (to, subject, text, html, attachments) => {
   const mailOptions = {
     from: `${COMPANY_NAME}<${process.env.EMAIL}>`,
     to,
     subject,
     text,
     html,
+    attachments,
   };
 
   try {
@@ -73,3 +81,97 @@ export const sendPaymentConfirmationEmail = async (email, order) => {
 
   return await sendEmail(email, subject, text, html);
 };
+
+/**
+ * Function to send a freed slot to a waitlisted client.
+ *
+ * @param {string} email - The recipient's email address.
+ * @param {Object} offer - The offer details.
+ * @param {string} offer.clientName - The client's name.
+ * @param {string} offer.serviceName - The service the client is waiting for.
+ * @param {string} offer.date - The local date of the slot.
+ * @param {string} offer.time - The local start time of the slot.
+ * @param {string} offer.expiresAt - The local time the claim link expires.
+ * @param {string} offer.claimLink - The link to claim the slot.
+ *
+ * @returns {Promise<Object>} - The result of sending the offer email.
+ */
+export const sendWaitlistOfferEmail = async (email, offer) => {
+  const { subject, text, html } = waitlistOfferTemplate(offer);
+
+  return await sendEmail(email, subject, text, html);
+};
+
+/**
+ * Function to remind a client of an upcoming appointment.
+ *
+ * @param {string} email - The recipient's email address.
+ * @param {Object} reminder - The company's reminder, with its optional `subject` and `body` templates.
+ * @param {Object} values - The values of the template placeholders, e.g. `clientName` and `date`.
+ *
+ * @returns {Promise<Object>} - The result of sending the reminder email.
+ */
+export const sendAppointmentReminderEmail = async (email, reminder, values) => {
+  const { subject, text, html } = appointmentReminderTemplate(reminder, values);
+
+  return await sendEmail(email, subject, text, html);
+};
+
+/**
+ * Function to tell a client their appointment was booked, changed or cancelled,
+ * with a calendar file attached.
+ *
+ * @param {string} email - The recipient's email address.
+ * @param {string} type - One of APPOINTMENT_EMAIL_TYPES.
+ * @param {Object} details - The email details.
+ * @param {string} details.clientName - The client's name.
+ * @param {string} details.companyName - The salon's name.
+ * @param {Array<Object>} details.appointments - The local `date`, `time` and `summary` of each appointment.
+ * @param {Object} calendar - The calendar file.
+ * @param {string} calendar.method - The iTIP method, e.g. `REQUEST` or `CANCEL`.
+ * @param {string} calendar.content - The `.ics` content.
+ *
+ * @returns {Promise<Object>} - The result of sending the email.
+ */
+export const sendAppointmentInviteEmail = async (
+  email,
+  type,
+  details,
+  calendar
+) => {
+  const { subject, text, html } = appointmentInviteTemplate(type, details);
+
+  return await sendEmail(email, subject, text, html, [
+    {
+      filename: ICALENDAR.FILE_NAME,
+      content: calendar.content,
+      contentType: `${ICALENDAR.CONTENT_TYPE}; method=${calendar.method}`,
+    },
+  ]);
+};
+
+/**
+ * Function to email a client the PDF invoice or receipt of a payment.
+ *
+ * @param {string} email - The recipient's email address.
+ * @param {Object} details - The invoice details.
+ * @param {string} details.title - `Invoice` or `Receipt`.
+ * @param {string} details.number - The invoice number.
+ * @param {string} details.amount - The formatted amount of the payment.
+ * @param {string} details.clientName - The client's name.
+ * @param {string} details.companyName - The salon's name.
+ * @param {Buffer} pdf - The PDF file.
+ *
+ * @returns {Promise<Object>} - The result of sending the email.
+ */
+export const sendInvoiceEmail = async (email, details, pdf) => {
+  const { subject, text, html } = invoiceEmailTemplate(details);
+
+  return await sendEmail(email, subject, text, html, [
+    {
+      filename: `${details.number.replace("#", "")}.pdf`,
+      content: pdf,
+      contentType: PDF.CONTENT_TYPE,
+    },
+  ]);
+};
@@ -0,0 +1,54 @@
+import { EMPLOYEE_STATUS } from "../constants.js";
+import { Employee } from "../models/Employee.js";
+import { ServiceRoleMapping } from "../models/Services.js";
+
+/**
+ * Retrieves the active employees whose role is mapped to the given service.
+ *
+ * @param {string} serviceID - The ID of the service.
+ * @param {string} companyId - The ID of the company the service belongs to.
+ * @param {Object} [projection] - Optional projection for the employee documents.
+ * @returns {Promise<Array|null>} - The matching employees, or `null` if the service has no roles mapped.
+ */
+export const getServiceEmployees = async (serviceID, companyId, projection) => {
+  // Step 1: Get the roles associated with the service
+  const serviceRoleMapping = await ServiceRoleMapping.findOne({
+    serviceID,
+    companyId,
+  });
+
+  if (
+    !serviceRoleMapping ||
+    !serviceRoleMapping.roles ||
+    serviceRoleMapping.roles.length === 0
+  ) {
+    return null;
+  }
+
+  // Step 2: Find employees with the roles for the service
+  return Employee.find(
+    {
+      employeeRole: { $in: serviceRoleMapping.roles },
+      isTrashed: false, // Exclude employees marked as trashed
+      employeeStatus: EMPLOYEE_STATUS.ACTIVE, // Include only active employees
+      companyId,
+    },
+    projection
+  );
+};
+
+/**
+ * Tells whether an active employee of the company performs the given service.
+ *
+ * @param {string} serviceID - The ID of the service.
+ * @param {string} employeeId - The ID of the employee.
+ * @param {string} companyId - The ID of the company the service belongs to.
+ * @returns {Promise<boolean>} - True if the employee's role is mapped to the service.
+ */
+export const performsService = async (serviceID, employeeId, companyId) => {
+  const employees =
+    (await getServiceEmployees(serviceID, companyId, { _id: 1 })) || [];
+  return employees.some(
+    (employee) => String(employee._id) === String(employeeId)
+  );
+};
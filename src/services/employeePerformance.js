@@ -0,0 +1,350 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  APPOINTMENT_STATUS,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  PERFORMANCE_REPORT,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import { Employee } from "../models/Employee.js";
+import Review from "../models/Reviews.js";
+import {
+  getAppointmentLineItems,
+  getLineItemBlocks,
+} from "../utils/lineItems.js";
+import { roundAmount } from "../utils/money.js";
+import { getCompanySettings } from "./company.js";
+import { sumRevenueByStylist } from "./revenue.js";
+import {
+  getApprovedLeaves,
+  resolveDayShifts,
+  shiftsToIntervals,
+} from "./schedule.js";
+
+/**
+ * Works out a rate in percent, to one decimal.
+ *
+ * @param {number} part - The count or amount.
+ * @param {number} whole - What it is a share of.
+ * @returns {number|null} - The rate, or null when there is nothing to measure.
+ */
+const toPercent = (part, whole) =>
+  whole ? Math.round((part / whole) * 1000) / 10 : null;
+
+/**
+ * Adds up the length of intervals in hours.
+ *
+ * @param {Array<{start: Date, end: Date}>} intervals - The intervals.
+ * @returns {number} - The hours.
+ */
+const sumHours = (intervals) =>
+  intervals.reduce((sum, { start, end }) => sum + (end - start), 0) /
+  (60 * 60 * 1000);
+
+/**
+ * Finds the stylists who performed the services of an appointment.
+ *
+ * @param {Object} appointment - The appointment.
+ * @returns {Array<string>} - The employee `_id`s, once each.
+ */
+const getStylistIds = (appointment) => [
+  ...new Set(
+    getAppointmentLineItems(appointment).map((item) => String(item.stylistId))
+  ),
+];
+
+/**
+ * Adds up the hours each employee was on shift over a range of days, leave and salon
+ * closures excluded.
+ *
+ * @param {Object} company - The company settings.
+ * @param {Array<Object>} employees - Employee documents with their schedule fields.
+ * @param {moment.Moment} fromDay - The first day.
+ * @param {moment.Moment} toDay - The last day.
+ * @returns {Promise<Map<string, number>>} - The shift hours per employee `_id`.
+ */
+const sumShiftHours = async (company, employees, fromDay, toDay) => {
+  const leaves = await getApprovedLeaves(
+    company._id,
+    employees.map((employee) => employee._id),
+    fromDay.format(MOMENT_DATE_FORMAT),
+    toDay.format(MOMENT_DATE_FORMAT)
+  );
+
+  const hours = new Map(employees.map((employee) => [String(employee._id), 0]));
+  for (const day = fromDay.clone(); day.isSameOrBefore(toDay); day.add(1, "day")) {
+    const date = day.format(MOMENT_DATE_FORMAT);
+    employees.forEach((employee) => {
+      const key = String(employee._id);
+      const { shifts } = resolveDayShifts(
+        employee,
+        date,
+        leaves.get(key),
+        company
+      );
+      const intervals = shiftsToIntervals(date, shifts, company.timeZone);
+      hours.set(key, hours.get(key) + sumHours(intervals));
+    });
+  }
+  return hours;
+};
+
+/**
+ * Finds which completed visits were rebooked: the client has another appointment that was
+ * not cancelled with the same stylist within the rebooking window after the visit.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<Object>} completed - The completed appointments.
+ * @returns {Promise<Set<string>>} - `<appointment _id>:<employee _id>` of each rebooked visit.
+ */
+const findRebookedVisits = async (companyId, completed) => {
+  if (!completed.length) {
+    return new Set();
+  }
+
+  const windowMs =
+    PERFORMANCE_REPORT.REBOOKING_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const dates = completed.map((appointment) => appointment.date.getTime());
+  const later = await Appointment.find(
+    {
+      companyId,
+      isTrashed: false,
+      client: {
+        $in: [...new Set(completed.map((item) => String(item.client)))],
+      },
+      appointmentStatus: { $ne: APPOINTMENT_STATUS.CANCELLED },
+      date: {
+        $gt: new Date(Math.min(...dates)),
+        $lte: new Date(Math.max(...dates) + windowMs),
+      },
+    },
+    { client: 1, service: 1, stylistId: 1, lineItems: 1, date: 1, expiresAt: 1 }
+  ).lean();
+
+  const rebooked = new Set();
+  completed.forEach((visit) => {
+    const visitTime = visit.date.getTime();
+    getStylistIds(visit).forEach((stylistId) => {
+      const isRebooked = later.some(
+        (next) =>
+          String(next.client) === String(visit.client) &&
+          next.date.getTime() > visitTime &&
+          next.date.getTime() <= visitTime + windowMs &&
+          getStylistIds(next).includes(stylistId)
+      );
+      if (isRebooked) {
+        rebooked.add(`${visit._id}:${stylistId}`);
+      }
+    });
+  });
+  return rebooked;
+};
+
+/**
+ * Builds the performance of a company's employees over a range of days: the appointments
+ * they completed and the no-shows, the revenue they brought in and the tips left for them,
+ * the average ticket, how often their clients rebooked with them, their reviews, and how
+ * much of their shift time was booked. Booked time covers every appointment that was not
+ * cancelled, no-shows included, without processing time.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} params - The range and filter.
+ * @param {string} params.from - First day in `YYYY-MM-DD`.
+ * @param {string} params.to - Last day (inclusive) in `YYYY-MM-DD`.
+ * @param {string} [params.employeeId] - Reports on one employee only.
+ * @returns {Promise<Object>} - The range, timezone, the figures of each employee, best
+ * earning first, and the totals. Rates are in percent.
+ * @throws {Error} - Throws INVALID_DATE_FORMAT, PERFORMANCE_REPORT_RANGE_TOO_LONG,
+ * INVALID_EMPLOYEE_ID or EMPLOYEE_NOT_FOUND.
+ */
+export const getEmployeePerformanceReport = async (
+  companyId,
+  { from, to, employeeId }
+) => {
+  const fromDay = moment(from, MOMENT_DATE_FORMAT, true);
+  const toDay = moment(to, MOMENT_DATE_FORMAT, true);
+
+  if (!fromDay.isValid() || !toDay.isValid() || toDay.isBefore(fromDay)) {
+    throw new Error(ERROR_MESSAGES.INVALID_DATE_FORMAT);
+  }
+  if (toDay.diff(fromDay, "days") >= PERFORMANCE_REPORT.MAX_RANGE_DAYS) {
+    throw new Error(ERROR_MESSAGES.PERFORMANCE_REPORT_RANGE_TOO_LONG);
+  }
+  if (employeeId && !mongoose.Types.ObjectId.isValid(employeeId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_EMPLOYEE_ID);
+  }
+
+  const employees = await Employee.find(
+    { companyId, isTrashed: false, ...(employeeId && { _id: employeeId }) },
+    {
+      employeeId: 1,
+      employeeName: 1,
+      weeklySchedule: 1,
+      scheduleOverrides: 1,
+    }
+  ).lean();
+  if (employeeId && !employees.length) {
+    throw new Error(ERROR_MESSAGES.EMPLOYEE_NOT_FOUND);
+  }
+
+  const company = await getCompanySettings(companyId);
+  const range = {
+    start: moment.tz(from, MOMENT_DATE_FORMAT, company.timeZone).toDate(),
+    end: moment
+      .tz(to, MOMENT_DATE_FORMAT, company.timeZone)
+      .endOf("day")
+      .toDate(),
+  };
+  const appointments = await Appointment.find(
+    {
+      companyId,
+      isTrashed: false,
+      appointmentStatus: { $ne: APPOINTMENT_STATUS.CANCELLED },
+      date: { $gte: range.start, $lte: range.end },
+    },
+    {
+      client: 1,
+      service: 1,
+      stylistId: 1,
+      lineItems: 1,
+      date: 1,
+      expiresAt: 1,
+      appointmentStatus: 1,
+    }
+  ).lean();
+  const completed = appointments.filter(
+    (item) => item.appointmentStatus === APPOINTMENT_STATUS.COMPLETED
+  );
+
+  const figures = new Map(
+    employees.map((employee) => [
+      String(employee._id),
+      {
+        employeeId: employee._id,
+        employeeCode: employee.employeeId,
+        employeeName: employee.employeeName,
+        appointmentsCompleted: 0,
+        rebooked: 0,
+        noShows: 0,
+        bookedHours: 0,
+        reviews: 0,
+        ratingTotal: 0,
+      },
+    ])
+  );
+
+  const rebooked = await findRebookedVisits(companyId, completed);
+  appointments.forEach((appointment) => {
+    getAppointmentLineItems(appointment).forEach((item) => {
+      const entry = figures.get(String(item.stylistId));
+      if (entry) {
+        entry.bookedHours += sumHours(
+          getLineItemBlocks(appointment.date, item)
+        );
+      }
+    });
+    getStylistIds(appointment).forEach((stylistId) => {
+      const entry = figures.get(stylistId);
+      if (!entry) {
+        return;
+      }
+      if (appointment.appointmentStatus === APPOINTMENT_STATUS.NO_SHOW) {
+        entry.noShows += 1;
+      } else if (
+        appointment.appointmentStatus === APPOINTMENT_STATUS.COMPLETED
+      ) {
+        entry.appointmentsCompleted += 1;
+        if (rebooked.has(`${appointment._id}:${stylistId}`)) {
+          entry.rebooked += 1;
+        }
+      }
+    });
+  });
+
+  // A review counts for the stylists who performed the reviewed service
+  const completedById = new Map(
+    completed.map((appointment) => [String(appointment._id), appointment])
+  );
+  const reviews = await Review.find(
+    {
+      companyId,
+      isTrashed: false,
+      appointmentId: { $in: completed.map((appointment) => appointment._id) },
+    },
+    { appointmentId: 1, serviceId: 1, rating: 1 }
+  ).lean();
+  reviews.forEach((review) => {
+    const appointment = completedById.get(String(review.appointmentId));
+    const items = getAppointmentLineItems(appointment);
+    const reviewed = items.filter(
+      (item) => String(item.service) === String(review.serviceId)
+    );
+    new Set(
+      (reviewed.length ? reviewed : items).map((item) => String(item.stylistId))
+    ).forEach((stylistId) => {
+      const entry = figures.get(stylistId);
+      if (entry) {
+        entry.reviews += 1;
+        entry.ratingTotal += review.rating;
+      }
+    });
+  });
+
+  const revenue = await sumRevenueByStylist(companyId, range);
+  const shiftHours = await sumShiftHours(company, employees, fromDay, toDay);
+
+  const rows = [...figures.entries()].map(([key, entry]) => {
+    const { rebooked: rebookedCount, ratingTotal, ...counts } = entry;
+    const earned = revenue.get(key) || { revenue: 0, tips: 0 };
+    const shift = shiftHours.get(key);
+    return {
+      ...counts,
+      revenue: earned.revenue,
+      tips: earned.tips,
+      averageTicket: counts.appointmentsCompleted
+        ? roundAmount(earned.revenue / counts.appointmentsCompleted)
+        : null,
+      rebookingRate: toPercent(rebookedCount, counts.appointmentsCompleted),
+      averageRating: counts.reviews
+        ? Math.round((ratingTotal / counts.reviews) * 100) / 100
+        : null,
+      bookedHours: roundAmount(counts.bookedHours),
+      shiftHours: roundAmount(shift),
+      utilisation: toPercent(counts.bookedHours, shift),
+    };
+  });
+  rows.sort(
+    (a, b) =>
+      b.revenue - a.revenue || a.employeeName.localeCompare(b.employeeName)
+  );
+
+  const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+  const totalRebooked = [...figures.values()].reduce(
+    (total, entry) => total + entry.rebooked,
+    0
+  );
+  const totalRatings = [...figures.values()].reduce(
+    (total, entry) => total + entry.ratingTotal,
+    0
+  );
+  const totals = {
+    appointmentsCompleted: sum("appointmentsCompleted"),
+    noShows: sum("noShows"),
+    revenue: roundAmount(sum("revenue")),
+    tips: roundAmount(sum("tips")),
+    averageTicket: sum("appointmentsCompleted")
+      ? roundAmount(sum("revenue") / sum("appointmentsCompleted"))
+      : null,
+    rebookingRate: toPercent(totalRebooked, sum("appointmentsCompleted")),
+    reviews: sum("reviews"),
+    averageRating: sum("reviews")
+      ? Math.round((totalRatings / sum("reviews")) * 100) / 100
+      : null,
+    bookedHours: roundAmount(sum("bookedHours")),
+    shiftHours: roundAmount(sum("shiftHours")),
+    utilisation: toPercent(sum("bookedHours"), sum("shiftHours")),
+  };
+
+  return { from, to, timeZone: company.timeZone, employees: rows, totals };
+};
@@ -1,4 +1,5 @@
 import { bucket } from "../config/firebase.js";
+import { ERROR_MESSAGES } from "../constants.js";
 
 /**
  * Uploads an image to Firebase Storage
@@ -33,3 +34,47 @@ export const uploadImageToFirebase = async (fileBuffer, fileName, folder = "imag
         throw new Error("Failed to upload image to Firebase Storage");
     }
 };
+
+/**
+ * Uploads a file, such as a generated document, to Firebase Storage
+ *
+ * @param {Buffer} fileBuffer - The buffer containing the file data to upload
+ * @param {string} path - Where to store the file, folders included
+ * @param {string} contentType - The MIME type of the file
+ * @returns {string} - A signed URL of the uploaded file
+ * @throws {Error} - Throws FAILED_UPLOADING_FILE if the upload fails
+ */
+export const uploadFileToFirebase = async (fileBuffer, path, contentType) => {
+    try {
+        const file = bucket.file(path);
+
+        await file.save(fileBuffer, { metadata: { contentType } });
+
+        const [signedUrl] = await file.getSignedUrl({
+            action: 'read',
+            expires: '03-01-2500',
+        });
+
+        return signedUrl;
+    } catch (error) {
+        console.error("Firebase upload error:", error);
+        throw new Error(ERROR_MESSAGES.FAILED_UPLOADING_FILE);
+    }
+};
+
+/**
+ * Downloads a file from Firebase Storage
+ *
+ * @param {string} path - Where the file is stored, folders included
+ * @returns {Buffer} - The file data
+ * @throws {Error} - Throws FAILED_DOWNLOADING_FILE if the download fails
+ */
+export const downloadFileFromFirebase = async (path) => {
+    try {
+        const [contents] = await bucket.file(path).download();
+        return contents;
+    } catch (error) {
+        console.error("Firebase download error:", error);
+        throw new Error(ERROR_MESSAGES.FAILED_DOWNLOADING_FILE);
+    }
+};
@@ -0,0 +1,338 @@
+import crypto from "crypto";
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import { CALENDAR_FEED_SECRET, CALENDAR_FEED_URL } from "../config/env.js";
+import {
+  APPOINTMENT_EMAIL_TYPES,
+  APPOINTMENT_STATUS,
+  CALENDAR_FEED_OWNERS,
+  CLIENT,
+  ERROR_MESSAGES,
+  ICALENDAR,
+  ICALENDAR_METHODS,
+  LINE_ITEM,
+  MOMENT_DATE_FORMAT,
+  SERVICE,
+  STYLIST,
+  TIME_FORMAT,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import { Client } from "../models/Client.js";
+import Company from "../models/Company.js";
+import { Employee } from "../models/Employee.js";
+import { buildICalendar, getAppointmentUid } from "../utils/icalendar.js";
+import {
+  getAppointmentLineItems,
+  getLineItemWindow,
+} from "../utils/lineItems.js";
+import { getCompanySettings } from "./company.js";
+import { sendAppointmentInviteEmail } from "./email.js";
+
+// The model holding the feed key of each kind of owner, and the errors when it is missing
+const FEED_OWNERS = {
+  [CALENDAR_FEED_OWNERS.EMPLOYEE]: {
+    model: Employee,
+    invalidId: ERROR_MESSAGES.INVALID_EMPLOYEE_ID,
+    notFound: ERROR_MESSAGES.EMPLOYEE_NOT_FOUND,
+  },
+  [CALENDAR_FEED_OWNERS.CLIENT]: {
+    model: Client,
+    invalidId: ERROR_MESSAGES.INVALID_CLIENT_ID,
+    notFound: ERROR_MESSAGES.CLIENT_NOT_FOUND,
+  },
+};
+
+/**
+ * Signs the public part of a feed token so that forged tokens are rejected before any lookup.
+ *
+ * @param {string} payload - The owner type, company, owner and key, dot separated.
+ * @returns {string} - The signature, hex encoded.
+ */
+const signFeedPayload = (payload) =>
+  crypto
+    .createHmac("sha256", CALENDAR_FEED_SECRET)
+    .update(payload)
+    .digest("hex");
+
+/**
+ * Reads a feed token back into its parts, checking its signature.
+ *
+ * @param {string} token - The feed token.
+ * @returns {{owner: string, companyId: string, ownerId: string, key: string}|null} - The parts, or null if forged.
+ */
+const parseFeedToken = (token) => {
+  const parts = token.split(".");
+  if (parts.length !== 5) {
+    return null;
+  }
+
+  const [owner, companyId, ownerId, key, signature] = parts;
+  const expected = signFeedPayload(parts.slice(0, 4).join("."));
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ||
+    !FEED_OWNERS[owner] ||
+    !mongoose.Types.ObjectId.isValid(companyId) ||
+    !mongoose.Types.ObjectId.isValid(ownerId)
+  ) {
+    return null;
+  }
+
+  return { owner, companyId, ownerId, key };
+};
+
+/**
+ * Loads the company details shown on calendar events.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The company's `name`, `address`, `city` and `timeZone`.
+ */
+const getEventCompany = async (companyId) => {
+  const { timeZone } = await getCompanySettings(companyId);
+  const company = await Company.findById(companyId, {
+    name: 1,
+    address: 1,
+    city: 1,
+  }).lean();
+  return { ...company, timeZone };
+};
+
+/**
+ * Finds appointments with the names shown on their events populated.
+ *
+ * @param {Object} filter - The appointment filter.
+ * @returns {Promise<Array<Object>>} - The appointments, oldest first.
+ */
+const findEventAppointments = (filter) =>
+  Appointment.find(filter)
+    .populate(CLIENT.FIELD, "name email")
+    .populate(SERVICE.COLLECTION, SERVICE.FIELD)
+    .populate(STYLIST.COLLECTION, STYLIST.EMPLOYEE_NAME)
+    .populate(LINE_ITEM.SERVICE, SERVICE.FIELD)
+    .populate(LINE_ITEM.STYLIST, STYLIST.EMPLOYEE_NAME)
+    .sort({ date: 1 })
+    .lean();
+
+/**
+ * Lists the distinct names of a populated line item field, e.g. the services.
+ *
+ * @param {Array<Object>} items - The line items.
+ * @param {string} field - The populated field.
+ * @param {string} name - The name property of the populated document.
+ * @returns {string} - The names, comma separated.
+ */
+const joinNames = (items, field, name) =>
+  [...new Set(items.map((item) => item[field]?.[name]).filter(Boolean))].join(
+    ", "
+  );
+
+/**
+ * Turns an appointment into a calendar event. A stylist's event only spans their own line items.
+ *
+ * @param {Object} appointment - The appointment, populated by `findEventAppointments`.
+ * @param {Object} company - The company's `name`, `address` and `city`.
+ * @param {string} [stylistId] - The stylist whose feed the event is for; the client's view otherwise.
+ * @returns {Object} - The event, as expected by `buildICalendar`.
+ */
+const toCalendarEvent = (appointment, company, stylistId) => {
+  const items = getAppointmentLineItems(appointment).filter(
+    (item) =>
+      !stylistId || String(item.stylistId?._id ?? item.stylistId) === stylistId
+  );
+  const windows = items.map((item) =>
+    getLineItemWindow(appointment.date, item)
+  );
+  const serviceNames = joinNames(items, SERVICE.COLLECTION, SERVICE.FIELD);
+  const stylistNames = joinNames(
+    items,
+    STYLIST.COLLECTION,
+    STYLIST.EMPLOYEE_NAME
+  );
+
+  return {
+    uid: getAppointmentUid(appointment),
+    start: new Date(Math.min(...windows.map((window) => window.start))),
+    end: new Date(Math.max(...windows.map((window) => window.end))),
+    summary: stylistId
+      ? `${serviceNames} - ${appointment.client?.name}`
+      : `${serviceNames} at ${company.name}`,
+    description: [
+      `Appointment ${appointment.appointmentId}`,
+      stylistNames && `With ${stylistNames}`,
+      appointment.note,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    location: [company.address, company.city].filter(Boolean).join(", "),
+    isCancelled:
+      appointment.isTrashed ||
+      appointment.appointmentStatus === APPOINTMENT_STATUS.CANCELLED,
+    // Seconds since the booking: grows with every change, as calendars expect
+    sequence: appointment.createdAt
+      ? Math.floor((appointment.updatedAt - appointment.createdAt) / 1000)
+      : 0,
+    lastModified: appointment.updatedAt || appointment.date,
+  };
+};
+
+/**
+ * Creates a calendar feed for an employee or a client, replacing the previous one.
+ * The old feed URL stops working.
+ *
+ * @param {string} owner - One of CALENDAR_FEED_OWNERS.
+ * @param {string} ownerId - The ID of the employee or client.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<{token: string, url: string}>} - The feed token and the URL to subscribe to.
+ * @throws {Error} - Throws an invalid ID or not found error for the owner.
+ */
+export const createCalendarFeed = async (owner, ownerId, companyId) => {
+  const { model, invalidId, notFound } = FEED_OWNERS[owner];
+  if (!mongoose.Types.ObjectId.isValid(ownerId)) {
+    throw new Error(invalidId);
+  }
+
+  const key = crypto.randomBytes(ICALENDAR.KEY_BYTES).toString("hex");
+  const updated = await model.findOneAndUpdate(
+    { _id: ownerId, companyId, isTrashed: false },
+    { calendarFeedKey: key }
+  );
+  if (!updated) {
+    throw new Error(notFound);
+  }
+
+  const payload = [owner, companyId, ownerId, key].join(".");
+  const token = `${payload}.${signFeedPayload(payload)}`;
+  return { token, url: `${CALENDAR_FEED_URL}/${token}.ics` };
+};
+
+/**
+ * Revokes the calendar feed of an employee or a client.
+ *
+ * @param {string} owner - One of CALENDAR_FEED_OWNERS.
+ * @param {string} ownerId - The ID of the employee or client.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an invalid ID or not found error for the owner.
+ */
+export const revokeCalendarFeed = async (owner, ownerId, companyId) => {
+  const { model, invalidId, notFound } = FEED_OWNERS[owner];
+  if (!mongoose.Types.ObjectId.isValid(ownerId)) {
+    throw new Error(invalidId);
+  }
+
+  const updated = await model.findOneAndUpdate(
+    { _id: ownerId, companyId, isTrashed: false },
+    { $unset: { calendarFeedKey: 1 } }
+  );
+  if (!updated) {
+    throw new Error(notFound);
+  }
+};
+
+/**
+ * Builds the `.ics` content of a calendar feed. Public: the signed token is the credential.
+ * Lists the owner's appointments from `ICALENDAR.FEED_PAST_DAYS` ago to `ICALENDAR.FEED_FUTURE_DAYS`
+ * ahead; cancelled ones stay in the feed marked as cancelled so that calendars remove them.
+ *
+ * @param {string} token - The feed token.
+ * @returns {Promise<string>} - The iCalendar document.
+ * @throws {Error} - Throws CALENDAR_FEED_NOT_FOUND if the token is forged or revoked.
+ */
+export const getCalendarFeed = async (token) => {
+  const parsed = parseFeedToken(token);
+  const holder =
+    parsed &&
+    (await FEED_OWNERS[parsed.owner].model.findOne(
+      {
+        _id: parsed.ownerId,
+        companyId: parsed.companyId,
+        isTrashed: false,
+        calendarFeedKey: parsed.key,
+      },
+      { employeeName: 1, name: 1 }
+    ));
+  if (!holder) {
+    throw new Error(ERROR_MESSAGES.CALENDAR_FEED_NOT_FOUND);
+  }
+
+  const { owner, companyId, ownerId } = parsed;
+  const isEmployee = owner === CALENDAR_FEED_OWNERS.EMPLOYEE;
+  const now = moment();
+  const appointments = await findEventAppointments({
+    companyId,
+    isTrashed: false,
+    ...(isEmployee
+      ? {
+          $or: [{ stylistId: ownerId }, { [LINE_ITEM.STYLIST]: ownerId }],
+        }
+      : { client: ownerId }),
+    date: {
+      $gte: now.clone().subtract(ICALENDAR.FEED_PAST_DAYS, "days").toDate(),
+      $lte: now.clone().add(ICALENDAR.FEED_FUTURE_DAYS, "days").toDate(),
+    },
+  });
+  const company = await getEventCompany(companyId);
+
+  return buildICalendar({
+    name: `${company.name} - ${isEmployee ? holder.employeeName : holder.name}`,
+    method: ICALENDAR_METHODS.PUBLISH,
+    events: appointments.map((appointment) =>
+      toCalendarEvent(appointment, company, isEmployee ? ownerId : undefined)
+    ),
+  });
+};
+
+/**
+ * Emails the client about booked, changed or cancelled appointments, with an `.ics` attachment
+ * that adds, updates or removes the events in their calendar.
+ * Appointments are expected to belong to the same client; a series is sent as one email.
+ * Clients without an email address are skipped, and errors are logged so that the booking
+ * or change itself never fails because of the email.
+ *
+ * @param {Array<string>} appointmentIds - The IDs of the appointments.
+ * @param {string} type - One of APPOINTMENT_EMAIL_TYPES.
+ * @returns {Promise<void>}
+ */
+export const sendAppointmentInvite = async (appointmentIds, type) => {
+  try {
+    const appointments = await findEventAppointments({
+      _id: { $in: appointmentIds },
+    });
+    const client = appointments[0]?.client;
+    if (!client?.email) {
+      return;
+    }
+
+    const company = await getEventCompany(appointments[0].companyId);
+    const isCancellation = type === APPOINTMENT_EMAIL_TYPES.CANCELLED;
+    const method = isCancellation
+      ? ICALENDAR_METHODS.CANCEL
+      : ICALENDAR_METHODS.REQUEST;
+    const events = appointments.map((appointment) => ({
+      ...toCalendarEvent(appointment, company),
+      isCancelled: isCancellation,
+    }));
+
+    await sendAppointmentInviteEmail(
+      client.email,
+      type,
+      {
+        clientName: client.name,
+        companyName: company.name,
+        appointments: events.map((event) => ({
+          date: moment(event.start)
+            .tz(company.timeZone)
+            .format(MOMENT_DATE_FORMAT),
+          time: moment(event.start).tz(company.timeZone).format(TIME_FORMAT),
+          summary: event.summary,
+        })),
+      },
+      {
+        method,
+        content: buildICalendar({ name: company.name, method, events }),
+      }
+    );
+  } catch (error) {
+    console.error(ERROR_MESSAGES.FAILED_SENDING_APPOINTMENT_EMAIL, error);
+  }
+};
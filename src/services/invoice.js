@@ -0,0 +1,373 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  COLLECTED_PAYMENT_STATUSES,
+  DATE_AND_TIME_FORMAT,
+  ERROR_MESSAGES,
+  INVOICE,
+  PAYMENT_TYPES,
+  PDF,
+  TAX_PRICING_MODES,
+  TIME_ZONE,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import Company from "../models/Company.js";
+import { Invoice } from "../models/Invoice.js";
+import { Payment } from "../models/Payment.js";
+import { Sale } from "../models/Sale.js";
+import { generateNextInvoiceId } from "../utils/idGenerator.js";
+import { formatAmount, renderInvoicePdf } from "../utils/invoicePdf.js";
+import { getAppointmentLineItems } from "../utils/lineItems.js";
+import { sendInvoiceEmail } from "./email.js";
+import {
+  downloadFileFromFirebase,
+  uploadFileToFirebase,
+} from "./firebaseStorage.js";
+
+const CLIENT_CONTACT_FIELDS = "name email phone";
+
+// What the single line of a payment that is not for services says
+const PAYMENT_DESCRIPTIONS = {
+  [PAYMENT_TYPES.DEPOSIT]: "Deposit",
+  [PAYMENT_TYPES.LATE_CANCELLATION_FEE]: "Late cancellation fee",
+  [PAYMENT_TYPES.NO_SHOW_FEE]: "No-show fee",
+};
+
+/**
+ * Finds a payment of the company.
+ *
+ * @param {string} paymentId - The ID of the payment.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The payment.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or PAYMENT_NOT_FOUND.
+ */
+const findCompanyPayment = async (paymentId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const payment = await Payment.findOne({ _id: paymentId, companyId });
+  if (!payment) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_NOT_FOUND);
+  }
+  return payment;
+};
+
+/**
+ * Picks the contact details of a client printed on an invoice.
+ *
+ * @param {Object} [client] - The populated client.
+ * @returns {Object} - The client's `name`, `email` and `phone`.
+ */
+const getBillTo = (client) => ({
+  name: client?.name || "",
+  email: client?.email || "",
+  phone: client?.phone || "",
+});
+
+/**
+ * Builds one total row per tax category. Tax included in the prices is shown for
+ * information and does not add to the total.
+ *
+ * @param {Array<Object>} breakdown - The tax per category.
+ * @param {string} pricingMode - One of TAX_PRICING_MODES.
+ * @returns {Array<Object>} - The summary rows.
+ */
+const buildTaxRows = (breakdown, pricingMode) =>
+  breakdown.map(({ name, rate, tax }) => ({
+    label:
+      pricingMode === TAX_PRICING_MODES.INCLUSIVE
+        ? `Incl. ${name} (${rate}%)`
+        : `${name} (${rate}%)`,
+    amount: tax,
+  }));
+
+/**
+ * Builds the lines and totals of a sale's payment.
+ *
+ * @param {Object} payment - The payment.
+ * @returns {Promise<Object>} - The `reference`, `billTo`, `lines`, `summary` and `notes`.
+ */
+const buildSaleContent = async (payment) => {
+  const sale = await Sale.findById(payment.saleId)
+    .populate("client", CLIENT_CONTACT_FIELDS)
+    .populate("lines.stylistId", "employeeName");
+
+  const summary = [{ label: "Subtotal", amount: sale.subtotal }];
+  if (sale.discount?.amount) {
+    const { reason } = sale.discount;
+    summary.push({
+      label: reason ? `Discount (${reason})` : "Discount",
+      amount: -sale.discount.amount,
+    });
+  }
+  summary.push(...buildTaxRows(sale.taxBreakdown, sale.taxPricingMode));
+  if (sale.tipTotal) {
+    summary.push({ label: "Tips", amount: sale.tipTotal });
+  }
+  summary.push({ label: "Total", amount: sale.total, bold: true });
+  if (sale.depositApplied) {
+    summary.push({ label: "Deposit paid", amount: -sale.depositApplied });
+  }
+
+  const notes = [];
+  if (sale.tenders.length) {
+    const tenders = sale.tenders.map(
+      (tender) => `${tender.method} ${formatAmount(tender.amount)}`
+    );
+    notes.push(`Paid by ${tenders.join(", ")}`);
+  }
+  if (sale.change) {
+    notes.push(`Change given ${formatAmount(sale.change)}`);
+  }
+
+  return {
+    reference: sale.saleId,
+    billTo: getBillTo(sale.client),
+    lines: sale.lines.map((line) => ({
+      description: line.name,
+      detail: line.stylistId?.employeeName,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      amount: line.amount,
+    })),
+    summary,
+    notes,
+  };
+};
+
+/**
+ * Builds the lines and totals of an appointment's payment: its services for the appointment
+ * itself, or a single line for a deposit or fee. A deposit shows the tax it includes.
+ *
+ * @param {Object} payment - The payment.
+ * @param {string} timeZone - The company's timezone.
+ * @returns {Promise<Object>} - The `reference`, `billTo`, `lines` and `summary`.
+ */
+const buildAppointmentContent = async (payment, timeZone) => {
+  const appointment = await Appointment.findById(payment.appointmentId)
+    .populate("client", CLIENT_CONTACT_FIELDS)
+    .populate("service lineItems.service", "serviceName")
+    .populate("stylistId lineItems.stylistId", "employeeName");
+  const items = getAppointmentLineItems(appointment);
+  const reference = appointment.appointmentId;
+  const billTo = getBillTo(appointment.client);
+
+  if (payment.type !== PAYMENT_TYPES.APPOINTMENT) {
+    const services = items.map((item) => item.service?.serviceName);
+    const start = moment(appointment.date).tz(timeZone);
+    return {
+      reference,
+      billTo,
+      lines: [
+        {
+          description: PAYMENT_DESCRIPTIONS[payment.type] || payment.type,
+          detail: `${services.filter(Boolean).join(", ")} on ${start.format(
+            DATE_AND_TIME_FORMAT
+          )}`,
+          quantity: 1,
+          unitPrice: payment.amount,
+          amount: payment.amount,
+        },
+      ],
+      summary: buildTaxRows(payment.taxBreakdown, TAX_PRICING_MODES.INCLUSIVE),
+    };
+  }
+
+  const lines = items.map((item) => {
+    const price = Number(item.price ?? appointment.totalPrice) || 0;
+    return {
+      description: item.service?.serviceName || "",
+      detail: item.stylistId?.employeeName,
+      quantity: 1,
+      unitPrice: price,
+      amount: price,
+    };
+  });
+  const summary = [
+    {
+      label: "Subtotal",
+      amount: lines.reduce((sum, line) => sum + line.amount, 0),
+    },
+    ...buildTaxRows(appointment.taxBreakdown, appointment.taxPricingMode),
+  ];
+  // The deposit is billed on its own payment
+  if (appointment.deposit) {
+    summary.push({
+      label: "Less deposit",
+      amount: -appointment.deposit.amount,
+    });
+  }
+
+  return { reference, billTo, lines, summary };
+};
+
+/**
+ * Renders the PDF of a payment's invoice: a receipt once the payment is paid.
+ *
+ * @param {Object} payment - The payment.
+ * @param {string} invoiceNumber - The invoice number.
+ * @returns {Promise<{pdf: Buffer, billTo: Object}>} - The PDF and the client it is for.
+ */
+const renderPaymentInvoice = async (payment, invoiceNumber) => {
+  const company = await Company.findById(payment.companyId, {
+    name: 1,
+    address: 1,
+    city: 1,
+    country: 1,
+    timeZone: 1,
+  }).lean();
+  const timeZone = company?.timeZone || TIME_ZONE;
+
+  const content =
+    payment.type === PAYMENT_TYPES.SALE
+      ? await buildSaleContent(payment)
+      : await buildAppointmentContent(payment, timeZone);
+  const isPaid = COLLECTED_PAYMENT_STATUSES.includes(payment.status);
+  const refundedAmount = payment.refundedAmount || 0;
+
+  const pdf = renderInvoicePdf({
+    ...content,
+    title: isPaid ? INVOICE.PAID_TITLE : INVOICE.TITLE,
+    number: invoiceNumber,
+    issuedAt: moment(payment.dateAndTime).tz(timeZone).format(
+      DATE_AND_TIME_FORMAT
+    ),
+    transactionId: payment.transactionId,
+    status: payment.status,
+    company: {
+      name: company?.name || "",
+      address: company?.address || "",
+      city: company?.city || "",
+      country: company?.country || "",
+    },
+    summary: [
+      ...content.summary,
+      {
+        label: isPaid ? "Amount paid" : "Amount due",
+        amount: payment.amount,
+        bold: true,
+      },
+      ...(refundedAmount > 0
+        ? [
+            { label: "Refunded", amount: -refundedAmount },
+            {
+              label: "Net paid",
+              amount: payment.amount - refundedAmount,
+              bold: true,
+            },
+          ]
+        : []),
+    ],
+  });
+  return { pdf, billTo: content.billTo };
+};
+
+/**
+ * Issues the invoice of a payment, numbering it the first time. The PDF is rendered again,
+ * under the same number, when the payment status or its refunds changed since it was
+ * stored, so that a paid invoice becomes a receipt and a receipt shows its refunds.
+ *
+ * @param {Object} payment - The payment.
+ * @returns {Promise<{invoice: Object, pdf: Buffer|null}>} - The invoice, and its PDF if it was
+ * rendered now.
+ */
+const issueInvoice = async (payment) => {
+  const existing = await Invoice.findOne({ payment: payment._id });
+  const refundedAmount = payment.refundedAmount || 0;
+  if (
+    existing?.paymentStatus === payment.status &&
+    (existing.refundedAmount || 0) === refundedAmount
+  ) {
+    return { invoice: existing, pdf: null };
+  }
+
+  const invoiceNumber =
+    existing?.invoiceNumber || (await generateNextInvoiceId(payment.companyId));
+  const { pdf, billTo } = await renderPaymentInvoice(payment, invoiceNumber);
+  const storagePath = `${INVOICE.STORAGE_FOLDER}/${
+    payment.companyId
+  }/${invoiceNumber.replace("#", "")}.pdf`;
+  const fileUrl = await uploadFileToFirebase(
+    pdf,
+    storagePath,
+    PDF.CONTENT_TYPE
+  );
+
+  const invoice = existing || new Invoice({ payment: payment._id });
+  invoice.set({
+    invoiceNumber,
+    companyId: payment.companyId,
+    paymentStatus: payment.status,
+    refundedAmount,
+    storagePath,
+    fileUrl,
+    billTo,
+  });
+  try {
+    await invoice.save();
+  } catch (error) {
+    // Another request issued the invoice first; its number stands
+    if (error.code === 11000) {
+      const issued = await Invoice.findOne({ payment: payment._id });
+      return { invoice: issued, pdf: null };
+    }
+    throw error;
+  }
+  return { invoice, pdf };
+};
+
+/**
+ * Fetches the PDF invoice or receipt of a payment, issuing it if needed.
+ *
+ * @param {string} paymentId - The ID of the payment.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<{invoice: Object, pdf: Buffer}>} - The invoice and its PDF.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or PAYMENT_NOT_FOUND.
+ */
+export const getPaymentInvoice = async (paymentId, companyId) => {
+  const payment = await findCompanyPayment(paymentId, companyId);
+  const { invoice, pdf } = await issueInvoice(payment);
+
+  return {
+    invoice,
+    pdf: pdf || (await downloadFileFromFirebase(invoice.storagePath)),
+  };
+};
+
+/**
+ * Emails the PDF invoice or receipt of a payment, by default to the client it is for.
+ *
+ * @param {string} paymentId - The ID of the payment.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} [email] - Where to send it instead of the client's email address.
+ * @returns {Promise<Object>} - The invoice, with the email recorded.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, PAYMENT_NOT_FOUND or INVOICE_EMAIL_REQUIRED.
+ */
+export const emailPaymentInvoice = async (paymentId, companyId, email) => {
+  const payment = await findCompanyPayment(paymentId, companyId);
+  const { invoice, pdf } = await issueInvoice(payment);
+
+  const recipient = email || invoice.billTo?.email;
+  if (!recipient) {
+    throw new Error(ERROR_MESSAGES.INVOICE_EMAIL_REQUIRED);
+  }
+
+  const company = await Company.findById(companyId, { name: 1 }).lean();
+  await sendInvoiceEmail(
+    recipient,
+    {
+      title: COLLECTED_PAYMENT_STATUSES.includes(invoice.paymentStatus)
+        ? INVOICE.PAID_TITLE
+        : INVOICE.TITLE,
+      number: invoice.invoiceNumber,
+      amount: formatAmount(payment.amount),
+      clientName: invoice.billTo?.name || "",
+      companyName: company?.name || "",
+    },
+    pdf || (await downloadFileFromFirebase(invoice.storagePath))
+  );
+
+  invoice.emails.push({ email: recipient, sentAt: new Date() });
+  return invoice.save();
+};
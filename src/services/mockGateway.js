@@ -0,0 +1,200 @@
+import crypto from "crypto";
+import { MOCK_GATEWAY_SECRET } from "../config/env.js";
+import {
+  ERROR_MESSAGES,
+  GATEWAY_EVENT_TYPES,
+  GATEWAY_INTENT_STATUS,
+  MOCK_GATEWAY_SIGNATURE_HEADER,
+} from "../constants.js";
+import { isSignatureValid, signHmac } from "../utils/hmac.js";
+
+// Intents live in memory and are lost on restart
+const intents = new Map();
+// Results of earlier calls per idempotency key, as a real gateway keeps them
+const idempotentResults = new Map();
+
+/**
+ * Runs a call once per idempotency key, returning the first result on repeats.
+ *
+ * @param {string} key - The idempotency key.
+ * @param {Function} call - Makes the result.
+ * @returns {Object} - A copy of the result.
+ */
+const once = (key, call) => {
+  if (!idempotentResults.has(key)) {
+    idempotentResults.set(key, call());
+  }
+  return { ...idempotentResults.get(key) };
+};
+
+/**
+ * Creates a mock payment intent, waiting for the client to pay.
+ *
+ * @param {Object} params - See `PaymentGateway.createIntent`.
+ * @returns {Promise<Object>} - The intent.
+ */
+const createIntent = async ({ amount, currency, idempotencyKey, metadata }) =>
+  once(`intent:${idempotencyKey}`, () => {
+    const intentId = `mock_pi_${crypto.randomUUID()}`;
+    const intent = {
+      intentId,
+      clientSecret: `${intentId}_secret`,
+      status: GATEWAY_INTENT_STATUS.REQUIRES_ACTION,
+      chargeId: null,
+      amount,
+      currency,
+      metadata,
+      refunded: 0,
+      // Confirming succeeds unless a test says otherwise
+      outcome: GATEWAY_INTENT_STATUS.SUCCEEDED,
+    };
+    intents.set(intentId, intent);
+    return {
+      intentId,
+      clientSecret: intent.clientSecret,
+      status: intent.status,
+      chargeId: null,
+    };
+  });
+
+/**
+ * Confirms a mock payment intent with the outcome set for it.
+ *
+ * @param {string} intentId - The intent ID.
+ * @returns {Promise<Object>} - The intent.
+ * @throws {Error} - Throws PAYMENT_GATEWAY_ERROR for unknown intents.
+ */
+const confirmIntent = async (intentId) => {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_ERROR);
+  }
+  if (intent.status === GATEWAY_INTENT_STATUS.REQUIRES_ACTION) {
+    intent.status = intent.outcome;
+    if (intent.status === GATEWAY_INTENT_STATUS.SUCCEEDED) {
+      intent.chargeId = `mock_ch_${crypto.randomUUID()}`;
+    }
+  }
+  return {
+    intentId,
+    clientSecret: intent.clientSecret,
+    status: intent.status,
+    chargeId: intent.chargeId,
+  };
+};
+
+/**
+ * Cancels a mock payment intent that was not paid yet.
+ *
+ * @param {string} intentId - The intent ID.
+ * @returns {Promise<Object>} - The intent.
+ * @throws {Error} - Throws PAYMENT_GATEWAY_ERROR for unknown intents.
+ */
+const cancelIntent = async (intentId) => {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_ERROR);
+  }
+  if (intent.status === GATEWAY_INTENT_STATUS.REQUIRES_ACTION) {
+    intent.status = GATEWAY_INTENT_STATUS.FAILED;
+  }
+  return {
+    intentId,
+    clientSecret: intent.clientSecret,
+    status: intent.status,
+    chargeId: intent.chargeId,
+  };
+};
+
+/**
+ * Refunds part or all of a succeeded mock payment intent.
+ *
+ * @param {Object} params - See `PaymentGateway.refund`.
+ * @returns {Promise<Object>} - The `refundId` and `status`.
+ * @throws {Error} - Throws PAYMENT_GATEWAY_ERROR for unknown, unpaid or over-refunded intents.
+ */
+const refund = async ({ intentId, amount, idempotencyKey }) =>
+  once(`refund:${idempotencyKey}`, () => {
+    const intent = intents.get(intentId);
+    if (
+      intent?.status !== GATEWAY_INTENT_STATUS.SUCCEEDED ||
+      intent.refunded + amount > intent.amount
+    ) {
+      throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_ERROR);
+    }
+    intent.refunded += amount;
+    return {
+      refundId: `mock_re_${crypto.randomUUID()}`,
+      status: GATEWAY_INTENT_STATUS.SUCCEEDED,
+    };
+  });
+
+/**
+ * Checks the `X-Mock-Signature` header of a webhook, an HMAC of the raw body, and reads its
+ * event. Mock events are already in the gateway-neutral shape.
+ *
+ * @param {Buffer|string} rawBody - The body exactly as received.
+ * @param {Object} headers - The request headers, lower-cased.
+ * @returns {Object} - The event, see `PaymentGateway.verifyWebhook`.
+ * @throws {Error} - Throws PAYMENT_GATEWAY_NOT_CONFIGURED or INVALID_WEBHOOK_SIGNATURE.
+ */
+const verifyWebhook = (rawBody, headers) => {
+  if (!MOCK_GATEWAY_SECRET) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_NOT_CONFIGURED);
+  }
+  if (
+    !isSignatureValid(
+      headers[MOCK_GATEWAY_SIGNATURE_HEADER],
+      signHmac(MOCK_GATEWAY_SECRET, rawBody)
+    )
+  ) {
+    throw new Error(ERROR_MESSAGES.INVALID_WEBHOOK_SIGNATURE);
+  }
+
+  const event = JSON.parse(String(rawBody));
+  return {
+    id: event.id,
+    type: Object.values(GATEWAY_EVENT_TYPES).includes(event.type)
+      ? event.type
+      : GATEWAY_EVENT_TYPES.OTHER,
+    intentId: event.intentId || null,
+    chargeId: event.chargeId || null,
+    amount: event.amount ?? null,
+    currency: event.currency || null,
+  };
+};
+
+/**
+ * Sets how confirming a mock intent ends, e.g. to test declined payments.
+ *
+ * @param {string} intentId - The intent ID.
+ * @param {string} outcome - One of GATEWAY_INTENT_STATUS.
+ */
+export const setMockIntentOutcome = (intentId, outcome) => {
+  const intent = intents.get(intentId);
+  if (intent) {
+    intent.outcome = outcome;
+  }
+};
+
+/**
+ * Signs a mock webhook body the way the mock gateway would.
+ *
+ * @param {Buffer|string} rawBody - The body to send.
+ * @returns {string} - The `X-Mock-Signature` header value.
+ */
+export const signMockWebhook = (rawBody) =>
+  signHmac(MOCK_GATEWAY_SECRET, rawBody);
+
+/**
+ * In-process gateway for development and tests: payments succeed when confirmed, and no
+ * money moves.
+ * @type {import("./paymentGateway.js").PaymentGateway}
+ */
+export const mockGateway = {
+  createIntent,
+  confirmIntent,
+  cancelIntent,
+  refund,
+  verifyWebhook,
+};
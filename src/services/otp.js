@@ -0,0 +1,52 @@
+import { ERROR_MESSAGES, OTP_MAX_ATTEMPTS } from "../constants.js";
+import OTP from "../models/OTP.js";
+import { generateOtp } from "../utils/generateOtp.js";
+import { sendOtpEmail } from "./email.js";
+
+/**
+ * Emails a new OTP to an address, replacing any OTP it was sent before.
+ *
+ * @param {string} email - The email address.
+ * @returns {Promise<void>}
+ */
+export const issueOtp = async (email) => {
+  const otp = generateOtp();
+
+  await OTP.deleteMany({ email });
+  await OTP.create({ email, otp });
+  await sendOtpEmail(email, otp);
+};
+
+/**
+ * Checks the OTP sent to an address and clears it, so that it can only be used once.
+ * Each entry is counted before it is checked, whichever IP address it comes from; after
+ * `OTP_MAX_ATTEMPTS` the OTP is discarded.
+ *
+ * @param {string} email - The email address.
+ * @param {string} otp - The OTP entered by the user.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws OTP_NOT_FOUND, TOO_MANY_OTP_ATTEMPTS or INVALID_OTP.
+ */
+export const consumeOtp = async (email, otp) => {
+  const otpRecord = await OTP.findOneAndUpdate(
+    { email, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otpRecord) {
+    if (await OTP.exists({ email })) {
+      await OTP.deleteMany({ email });
+      throw new Error(ERROR_MESSAGES.TOO_MANY_OTP_ATTEMPTS);
+    }
+    throw new Error(ERROR_MESSAGES.OTP_NOT_FOUND);
+  }
+  if (otpRecord.otp !== otp) {
+    if (otpRecord.attempts >= OTP_MAX_ATTEMPTS) {
+      await OTP.deleteOne({ _id: otpRecord._id });
+      throw new Error(ERROR_MESSAGES.TOO_MANY_OTP_ATTEMPTS);
+    }
+    throw new Error(ERROR_MESSAGES.INVALID_OTP);
+  }
+
+  await OTP.deleteOne({ _id: otpRecord._id });
+};
@@ -0,0 +1,505 @@
+import mongoose from "mongoose";
+import {
+  ALLOW_MOCK_GATEWAY,
+  PAYMENT_CURRENCY,
+  PAYMENT_GATEWAY_PROVIDER,
+} from "../config/env.js";
+import {
+  COLLECTED_PAYMENT_STATUSES,
+  CURRENCY,
+  DEV_ENV,
+  ERROR_MESSAGES,
+  GATEWAY_INTENT_STATUS,
+  PAYMENT_GATEWAYS,
+  PAYMENT_STATUS,
+  PAYMENT_TYPES,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import { Order } from "../models/Orders.js";
+import { Payment } from "../models/Payment.js";
+import { generateNextTransactionId } from "../utils/idGenerator.js";
+import { mockGateway } from "./mockGateway.js";
+import { razorpayGateway } from "./razorpay.js";
+import { stripeGateway } from "./stripe.js";
+
+/**
+ * @typedef {Object} GatewayIntentResult
+ * @property {string} intentId - The intent at the gateway.
+ * @property {string} clientSecret - What the client needs to pay the intent.
+ * @property {string} status - One of GATEWAY_INTENT_STATUS.
+ * @property {string|null} chargeId - The charge that settled the intent, once paid.
+ */
+
+/**
+ * @typedef {Object} GatewayEvent
+ * @property {string} id - The event ID, the same on every delivery of the event.
+ * @property {string} type - One of GATEWAY_EVENT_TYPES.
+ * @property {string|null} intentId - The intent the event is about.
+ * @property {string|null} chargeId - The charge the event is about.
+ * @property {number|null} amount - The amount, in minor units (cents, paise).
+ * @property {string|null} currency - The currency of the amount, in lower case.
+ */
+
+/**
+ * What every payment gateway adapter provides. Amounts are in minor units.
+ *
+ * @typedef {Object} PaymentGateway
+ * @property {function(Object): Promise<GatewayIntentResult>} createIntent - Starts a payment of
+ * `{amount, currency, idempotencyKey, description, receipt, metadata}`.
+ * @property {function(string, Object): Promise<GatewayIntentResult>} confirmIntent - Confirms
+ * an intent, or fetches its outcome, with `{idempotencyKey}`.
+ * @property {function(string, Object): Promise<GatewayIntentResult>} cancelIntent - Stops
+ * an intent from being paid, with `{idempotencyKey}`; returns it as it is if already paid.
+ * @property {function(Object): Promise<{refundId: string, status: string}>} refund - Gives
+ * back `{intentId, chargeId, amount, idempotencyKey, metadata}`.
+ * @property {function((Buffer|string), Object): GatewayEvent} verifyWebhook - Checks the
+ * signature of a raw webhook body against its headers and reads the event.
+ */
+
+const GATEWAYS = {
+  [PAYMENT_GATEWAYS.STRIPE]: stripeGateway,
+  [PAYMENT_GATEWAYS.RAZORPAY]: razorpayGateway,
+  [PAYMENT_GATEWAYS.MOCK]: mockGateway,
+};
+
+// Payments that can still be paid online. A declined attempt leaves the payment as it was;
+// failed payments are deposits whose hold lapsed, and can no longer be paid.
+const PAYABLE_STATUSES = [PAYMENT_STATUS.UNPAID, PAYMENT_STATUS.PENDING];
+
+// Payments a succeeded intent settles: a deposit paid after its hold lapsed is recorded
+// as paid all the same, so that the money shows in revenue and staff can refund it
+const SETTLEABLE_STATUSES = [...PAYABLE_STATUSES, PAYMENT_STATUS.FAILED];
+
+// Intents that may still be paid, so a new one would risk charging twice
+const OPEN_INTENT_STATUSES = [
+  GATEWAY_INTENT_STATUS.REQUIRES_ACTION,
+  GATEWAY_INTENT_STATUS.PROCESSING,
+];
+
+/**
+ * Whether the mock gateway may be used: only when turned on, and never in production, so
+ * that nobody can pay with, or sign webhooks for, a gateway that moves no money.
+ *
+ * @returns {boolean}
+ */
+const isMockGatewayAllowed = () =>
+  ALLOW_MOCK_GATEWAY && process.env.NODE_ENV !== DEV_ENV.PRODUCTION;
+
+/**
+ * Picks a payment gateway adapter.
+ *
+ * @param {string} [provider] - One of PAYMENT_GATEWAYS; defaults to the configured gateway.
+ * @returns {PaymentGateway} - The adapter.
+ * @throws {Error} - Throws PAYMENT_GATEWAY_NOT_CONFIGURED or UNKNOWN_PAYMENT_GATEWAY.
+ */
+export const getPaymentGateway = (provider = PAYMENT_GATEWAY_PROVIDER) => {
+  if (!provider) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_NOT_CONFIGURED);
+  }
+  const gateway = GATEWAYS[provider];
+  if (
+    !gateway ||
+    (provider === PAYMENT_GATEWAYS.MOCK && !isMockGatewayAllowed())
+  ) {
+    throw new Error(ERROR_MESSAGES.UNKNOWN_PAYMENT_GATEWAY);
+  }
+  return gateway;
+};
+
+/**
+ * Checks at startup that production runs with a real payment gateway.
+ *
+ * @throws {Error} - Throws PAYMENT_GATEWAY_NOT_CONFIGURED or UNKNOWN_PAYMENT_GATEWAY.
+ */
+export const checkPaymentGatewayConfig = () => {
+  if (process.env.NODE_ENV === DEV_ENV.PRODUCTION) {
+    getPaymentGateway();
+  }
+};
+
+/**
+ * Converts an amount of money to the minor units gateways charge in.
+ *
+ * @param {number} amount - The amount.
+ * @returns {number} - The amount in cents or paise.
+ */
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+/**
+ * Whether the gateway reports exactly the payment's amount, in the currency its intent was
+ * started in.
+ *
+ * @param {Object} payment - The payment.
+ * @param {Object} paid - What the gateway reports.
+ * @param {number} paid.amount - The amount, in minor units.
+ * @param {string} paid.currency - The currency, in lower case.
+ * @returns {boolean}
+ */
+export const isPaidInFull = (payment, { amount, currency }) =>
+  amount === toMinorUnits(payment.amount) &&
+  currency === (PAYMENT_CURRENCY || CURRENCY).toLowerCase();
+
+/**
+ * Describes the online payment of a payment for the client paying it.
+ *
+ * @param {Object} payment - The payment, with its gateway intent.
+ * @returns {Object} - The payment's ID, transaction ID, amount and status, and the intent.
+ */
+const describeIntent = (payment) => ({
+  paymentId: payment._id,
+  transactionId: payment.transactionId,
+  amount: payment.amount,
+  currency: PAYMENT_CURRENCY || CURRENCY,
+  paymentStatus: payment.status,
+  provider: payment.gateway?.provider || null,
+  intentId: payment.gateway?.intentId || null,
+  clientSecret: payment.clientSecret || null,
+  status: payment.gateway?.status || null,
+});
+
+/**
+ * Finds a payment of the company.
+ *
+ * @param {string} paymentId - The `_id` of the payment.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The payment.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or PAYMENT_NOT_FOUND.
+ */
+const findCompanyPayment = async (paymentId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const payment = await Payment.findOne({ _id: paymentId, companyId });
+  if (!payment) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_NOT_FOUND);
+  }
+  return payment;
+};
+
+/**
+ * Starts the online payment of a payment at the configured gateway. An intent that may still
+ * be paid is returned as it is, so that a client retrying cannot be charged twice. New
+ * intents are created with an idempotency key, so that a retry after a lost response gets
+ * the same intent from the gateway.
+ *
+ * @param {Object} payment - The payment.
+ * @param {string} [idempotencyKey] - The client's key; defaults to the payment and attempt.
+ * @returns {Promise<Object>} - The intent, see `describeIntent`.
+ * @throws {Error} - Throws PAYMENT_NOT_PAYABLE, UNKNOWN_PAYMENT_GATEWAY,
+ * PAYMENT_GATEWAY_NOT_CONFIGURED or PAYMENT_GATEWAY_ERROR.
+ */
+const startIntent = async (payment, idempotencyKey) => {
+  if (!PAYABLE_STATUSES.includes(payment.status)) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_NOT_PAYABLE);
+  }
+  if (OPEN_INTENT_STATUSES.includes(payment.gateway?.status)) {
+    return describeIntent(payment);
+  }
+
+  const provider = PAYMENT_GATEWAY_PROVIDER;
+  const attempts = (payment.gateway?.attempts || 0) + 1;
+  const key = idempotencyKey || `${payment._id}:${attempts}`;
+  const intent = await getPaymentGateway(provider).createIntent({
+    amount: toMinorUnits(payment.amount),
+    currency: PAYMENT_CURRENCY || CURRENCY,
+    idempotencyKey: key,
+    description: payment.transactionId,
+    receipt: payment.transactionId,
+    metadata: {
+      companyId: String(payment.companyId),
+      paymentId: String(payment._id),
+      transactionId: payment.transactionId,
+    },
+  });
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: PAYABLE_STATUSES } },
+    {
+      $set: {
+        clientSecret: intent.clientSecret,
+        gateway: {
+          provider,
+          intentId: intent.intentId,
+          chargeId: intent.chargeId,
+          status: intent.status,
+          idempotencyKey: key,
+          attempts,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_NOT_PAYABLE);
+  }
+  return describeIntent(updated);
+};
+
+/**
+ * Starts the online payment of an appointment, deposit or fee payment.
+ *
+ * @param {string} paymentId - The `_id` of the payment.
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} [params] - The request.
+ * @param {string} [params.idempotencyKey] - The client's idempotency key.
+ * @returns {Promise<Object>} - The intent, see `describeIntent`.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, PAYMENT_NOT_FOUND, PAYMENT_NOT_PAYABLE or a
+ * gateway error.
+ */
+export const createPaymentIntent = async (
+  paymentId,
+  companyId,
+  { idempotencyKey } = {}
+) => {
+  const payment = await findCompanyPayment(paymentId, companyId);
+  return startIntent(payment, idempotencyKey);
+};
+
+/**
+ * Starts the online payment of a stock order. The order gets one open payment, created the
+ * first time and reused by later attempts.
+ *
+ * @param {string} orderId - The `_id` of the order.
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} [params] - The request.
+ * @param {string} [params.idempotencyKey] - The client's idempotency key.
+ * @returns {Promise<Object>} - The intent, see `describeIntent`.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, ORDER_NOT_FOUND, ORDER_ALREADY_PAID or a
+ * gateway error.
+ */
+export const createOrderPaymentIntent = async (
+  orderId,
+  companyId,
+  { idempotencyKey } = {}
+) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const order = await Order.findOne({
+    _id: orderId,
+    companyId,
+    isTrashed: false,
+  });
+  if (!order) {
+    throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
+  }
+  if (order.paymentStatus === PAYMENT_STATUS.PAID) {
+    throw new Error(ERROR_MESSAGES.ORDER_ALREADY_PAID);
+  }
+
+  const filter = {
+    companyId,
+    orderId: order._id,
+    type: PAYMENT_TYPES.ORDER,
+    status: { $in: PAYABLE_STATUSES },
+  };
+  let payment = await Payment.findOne(filter);
+  if (!payment) {
+    // Upserted so that two first attempts share one payment
+    payment = await Payment.findOneAndUpdate(
+      filter,
+      {
+        $setOnInsert: {
+          amount: order.totalPrice,
+          status: PAYMENT_STATUS.UNPAID,
+          dateAndTime: new Date(),
+          transactionId: await generateNextTransactionId(companyId),
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+  return startIntent(payment, idempotencyKey);
+};
+
+/**
+ * Marks a payment paid and settles what it was for, within a transaction.
+ *
+ * @param {Object} payment - The payment.
+ * @param {string|null} chargeId - The charge that settled the intent.
+ * @param {mongoose.ClientSession} session - The transaction.
+ * @returns {Promise<Object>} - The payment.
+ */
+const recordSettlement = async (payment, chargeId, session) => {
+  const now = new Date();
+  const paid =
+    (await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: SETTLEABLE_STATUSES } },
+      {
+        $set: {
+          status: PAYMENT_STATUS.PAID,
+          dateAndTime: now,
+          "gateway.status": GATEWAY_INTENT_STATUS.SUCCEEDED,
+          "gateway.chargeId": chargeId,
+        },
+      },
+      { new: true, session }
+    )) || (await Payment.findById(payment._id).session(session));
+
+  if (payment.type === PAYMENT_TYPES.DEPOSIT) {
+    // Also recorded when the hold lapsed and the appointment was released; the payment is
+    // then paid and can be refunded
+    await Appointment.updateOne(
+      { _id: payment.appointmentId, "deposit.paidAt": null },
+      { $set: { "deposit.paidAt": now } },
+      { session }
+    );
+  } else if (payment.type === PAYMENT_TYPES.APPOINTMENT) {
+    await Appointment.updateOne(
+      { _id: payment.appointmentId, status: { $ne: PAYMENT_STATUS.PAID } },
+      { $set: { status: PAYMENT_STATUS.PAID } },
+      { session }
+    );
+  } else if (payment.type === PAYMENT_TYPES.ORDER) {
+    await Order.updateOne(
+      { _id: payment.orderId, paymentStatus: { $ne: PAYMENT_STATUS.PAID } },
+      {
+        $set: {
+          paymentStatus: PAYMENT_STATUS.PAID,
+          paymentDetails: {
+            paymentId: paid._id,
+            transactionId: paid.transactionId,
+            provider: paid.gateway?.provider,
+            chargeId,
+            paidAt: now,
+          },
+        },
+      },
+      { session }
+    );
+  }
+  return paid;
+};
+
+/**
+ * Records a payment as paid once its gateway intent succeeded, and settles what it was for:
+ * the appointment, its deposit or the stock order. Safe to run again for the same payment,
+ * e.g. when a webhook arrives after the client confirmed.
+ *
+ * @param {Object} payment - The payment.
+ * @param {Object} intent - The intent's `chargeId` at the gateway.
+ * @param {mongoose.ClientSession} [session] - A transaction to join; one is started if not given.
+ * @returns {Promise<Object>} - The payment.
+ */
+export const settleGatewayPayment = async (payment, { chargeId }, session) => {
+  if (session) {
+    return recordSettlement(payment, chargeId, session);
+  }
+
+  const ownSession = await mongoose.startSession();
+  try {
+    ownSession.startTransaction();
+    const paid = await recordSettlement(payment, chargeId, ownSession);
+    await ownSession.commitTransaction();
+    return paid;
+  } catch (error) {
+    await ownSession.abortTransaction();
+    throw error;
+  } finally {
+    ownSession.endSession();
+  }
+};
+
+/**
+ * Records the outcome of a payment's gateway intent: paid when it succeeded, otherwise its
+ * status at the gateway.
+ *
+ * @param {Object} payment - The payment.
+ * @param {GatewayIntentResult} intent - The intent at the gateway.
+ * @param {mongoose.ClientSession} [session] - A transaction to join.
+ * @returns {Promise<Object>} - The payment.
+ */
+export const applyIntentResult = async (payment, intent, session) => {
+  if (intent.status === GATEWAY_INTENT_STATUS.SUCCEEDED) {
+    return settleGatewayPayment(payment, intent, session);
+  }
+  const updated = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: SETTLEABLE_STATUSES },
+      "gateway.intentId": intent.intentId,
+    },
+    { $set: { "gateway.status": intent.status } },
+    { new: true, session }
+  );
+  return updated || payment;
+};
+
+/**
+ * Stops the open gateway intent of a payment that can no longer be paid, e.g. a deposit
+ * whose hold lapsed. An intent the client paid in the meantime is recorded as paid.
+ *
+ * @param {Object} payment - The payment.
+ * @returns {Promise<Object>} - The payment.
+ * @throws {Error} - Throws a gateway error.
+ */
+export const cancelGatewayIntent = async (payment) => {
+  if (!OPEN_INTENT_STATUSES.includes(payment.gateway?.status)) {
+    return payment;
+  }
+  const { provider, intentId, idempotencyKey } = payment.gateway;
+  const intent = await getPaymentGateway(provider).cancelIntent(intentId, {
+    idempotencyKey: `${idempotencyKey}:cancel`,
+  });
+  return applyIntentResult(payment, intent);
+};
+
+/**
+ * Confirms the online payment of a payment with its gateway, and records the outcome.
+ * A payment already paid is returned as it is.
+ *
+ * @param {string} paymentId - The `_id` of the payment.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The intent, see `describeIntent`.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, PAYMENT_NOT_FOUND, NO_PAYMENT_INTENT or a
+ * gateway error.
+ */
+export const confirmPayment = async (paymentId, companyId) => {
+  const payment = await findCompanyPayment(paymentId, companyId);
+  if (!payment.gateway?.intentId) {
+    throw new Error(ERROR_MESSAGES.NO_PAYMENT_INTENT);
+  }
+  if (COLLECTED_PAYMENT_STATUSES.includes(payment.status)) {
+    return describeIntent(payment);
+  }
+
+  const { provider, intentId, idempotencyKey } = payment.gateway;
+  const intent = await getPaymentGateway(provider).confirmIntent(intentId, {
+    idempotencyKey: `${idempotencyKey}:confirm`,
+  });
+  return describeIntent(await applyIntentResult(payment, intent));
+};
+
+/**
+ * Gives money back through the gateway a payment was paid with. Payments taken in person
+ * are refunded at the counter, so nothing is sent for them. The refund's ID is the
+ * idempotency key, so that approving again after a failure cannot refund twice.
+ *
+ * @param {Object} payment - The payment.
+ * @param {Object} refund - The refund's `_id` and `amount`.
+ * @returns {Promise<string|null>} - The refund ID at the gateway, or null.
+ * @throws {Error} - Throws PAYMENT_GATEWAY_ERROR when the gateway declines the refund.
+ */
+export const refundGatewayPayment = async (payment, refund) => {
+  if (payment.gateway?.status !== GATEWAY_INTENT_STATUS.SUCCEEDED) {
+    return null;
+  }
+
+  const { provider, intentId, chargeId } = payment.gateway;
+  const result = await getPaymentGateway(provider).refund({
+    intentId,
+    chargeId,
+    amount: toMinorUnits(refund.amount),
+    idempotencyKey: `refund:${refund._id}`,
+    metadata: {
+      refundId: String(refund._id),
+      transactionId: payment.transactionId,
+    },
+  });
+  if (result.status === GATEWAY_INTENT_STATUS.FAILED) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_ERROR);
+  }
+  return result.refundId;
+};
@@ -0,0 +1,256 @@
+import mongoose from "mongoose";
+import {
+  ERROR_MESSAGES,
+  GATEWAY_EVENT_TYPES,
+  GATEWAY_INTENT_STATUS,
+  WEBHOOK_EVENT_STATUS,
+  WEBHOOK_NOTES,
+} from "../constants.js";
+import { Payment } from "../models/Payment.js";
+import { PaymentEvent } from "../models/PaymentEvent.js";
+import {
+  applyIntentResult,
+  getPaymentGateway,
+  isPaidInFull,
+} from "./paymentGateway.js";
+
+// Event types that change a payment; refunds are recorded when they are approved
+const APPLIED_EVENT_TYPES = {
+  [GATEWAY_EVENT_TYPES.PAYMENT_SUCCEEDED]: GATEWAY_INTENT_STATUS.SUCCEEDED,
+  [GATEWAY_EVENT_TYPES.PAYMENT_FAILED]: GATEWAY_INTENT_STATUS.FAILED,
+};
+
+/**
+ * Finds the payment a webhook event is about, by its intent or charge at the gateway.
+ *
+ * @param {Object} event - The stored event.
+ * @returns {Promise<Object|null>} - The payment, if one matches.
+ */
+const findEventPayment = async (event) => {
+  const matches = [
+    event.intentId && { "gateway.intentId": event.intentId },
+    event.chargeId && { "gateway.chargeId": event.chargeId },
+  ].filter(Boolean);
+  if (!matches.length) {
+    return null;
+  }
+  return Payment.findOne({ "gateway.provider": event.provider, $or: matches });
+};
+
+/**
+ * Marks a webhook event as ignored, leaving payments as they are.
+ *
+ * @param {Object} event - The stored event.
+ * @param {string} note - Why it was ignored.
+ * @returns {Promise<Object>} - The event.
+ */
+const ignoreEvent = (event, note) =>
+  PaymentEvent.findByIdAndUpdate(
+    event._id,
+    {
+      $set: { status: WEBHOOK_EVENT_STATUS.IGNORED, note },
+      $unset: { lastError: 1 },
+    },
+    { new: true }
+  );
+
+/**
+ * Applies a stored webhook event to its payment. The payment, what it was for and the event's
+ * own status are updated in one transaction, so an event is either fully applied or left
+ * failed for a replay. Applying the same event again changes nothing. A payment reported
+ * with another amount or currency than it asked for is left as it is, and the event failed
+ * for an admin to look into.
+ *
+ * @param {Object} event - The stored event.
+ * @returns {Promise<Object>} - The event.
+ * @throws {Error} - Throws FAILED_PROCESSING_WEBHOOK, after marking the event failed.
+ */
+const processEvent = async (event) => {
+  const status = APPLIED_EVENT_TYPES[event.type];
+  if (!status) {
+    return ignoreEvent(
+      event,
+      event.type === GATEWAY_EVENT_TYPES.REFUNDED
+        ? WEBHOOK_NOTES.REFUND_RECORDED_ON_APPROVAL
+        : WEBHOOK_NOTES.UNHANDLED_EVENT
+    );
+  }
+
+  const session = await mongoose.startSession();
+  let payment = null;
+  try {
+    payment = await findEventPayment(event);
+    if (!payment) {
+      return ignoreEvent(event, ERROR_MESSAGES.WEBHOOK_PAYMENT_NOT_FOUND);
+    }
+    if (
+      status === GATEWAY_INTENT_STATUS.SUCCEEDED &&
+      !isPaidInFull(payment, event)
+    ) {
+      console.error(ERROR_MESSAGES.WEBHOOK_AMOUNT_MISMATCH, event.eventId);
+      return PaymentEvent.findByIdAndUpdate(
+        event._id,
+        {
+          $set: {
+            status: WEBHOOK_EVENT_STATUS.FAILED,
+            lastError: ERROR_MESSAGES.WEBHOOK_AMOUNT_MISMATCH,
+            companyId: payment.companyId,
+            payment: payment._id,
+          },
+          $inc: { attempts: 1 },
+        },
+        { new: true }
+      );
+    }
+
+    session.startTransaction();
+    await applyIntentResult(
+      payment,
+      {
+        intentId: event.intentId || payment.gateway.intentId,
+        chargeId: event.chargeId,
+        status,
+      },
+      session
+    );
+    const processed = await PaymentEvent.findByIdAndUpdate(
+      event._id,
+      {
+        $set: {
+          status: WEBHOOK_EVENT_STATUS.PROCESSED,
+          companyId: payment.companyId,
+          payment: payment._id,
+          processedAt: new Date(),
+        },
+        $unset: { lastError: 1, note: 1 },
+        $inc: { attempts: 1 },
+      },
+      { new: true, session }
+    );
+    await session.commitTransaction();
+    return processed;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error(ERROR_MESSAGES.FAILED_PROCESSING_WEBHOOK, error);
+    await PaymentEvent.updateOne(
+      { _id: event._id },
+      {
+        $set: {
+          status: WEBHOOK_EVENT_STATUS.FAILED,
+          lastError: error.message,
+          ...(payment && {
+            companyId: payment.companyId,
+            payment: payment._id,
+          }),
+        },
+        $inc: { attempts: 1 },
+      }
+    );
+    throw new Error(ERROR_MESSAGES.FAILED_PROCESSING_WEBHOOK);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Receives a payment gateway webhook: checks its signature against the raw body, stores the
+ * event and applies it. An event delivered again is not applied twice; one that failed
+ * before is tried again, since the gateway is retrying it.
+ *
+ * @param {string} provider - One of PAYMENT_GATEWAYS, from the webhook URL.
+ * @param {Buffer} rawBody - The body exactly as received.
+ * @param {Object} headers - The request headers, lower-cased.
+ * @returns {Promise<{event: Object, duplicate: boolean}>} - The stored event, and whether it
+ * had already been handled.
+ * @throws {Error} - Throws UNKNOWN_PAYMENT_GATEWAY, PAYMENT_GATEWAY_NOT_CONFIGURED,
+ * INVALID_WEBHOOK_SIGNATURE, INVALID_WEBHOOK_PAYLOAD or FAILED_PROCESSING_WEBHOOK.
+ */
+export const receivePaymentWebhook = async (provider, rawBody, headers) => {
+  const gateway = getPaymentGateway(provider);
+  if (!Buffer.isBuffer(rawBody) || !rawBody.length) {
+    throw new Error(ERROR_MESSAGES.INVALID_WEBHOOK_PAYLOAD);
+  }
+
+  let received;
+  try {
+    received = gateway.verifyWebhook(rawBody, headers);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error(ERROR_MESSAGES.INVALID_WEBHOOK_PAYLOAD);
+    }
+    throw error;
+  }
+  if (!received.id) {
+    throw new Error(ERROR_MESSAGES.INVALID_WEBHOOK_PAYLOAD);
+  }
+
+  let event;
+  try {
+    event = await PaymentEvent.create({
+      provider,
+      eventId: received.id,
+      type: received.type,
+      intentId: received.intentId,
+      chargeId: received.chargeId,
+      amount: received.amount,
+      currency: received.currency,
+      payload: rawBody.toString("utf8"),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    event = await PaymentEvent.findOne({ provider, eventId: received.id });
+    if (
+      event.status === WEBHOOK_EVENT_STATUS.PROCESSED ||
+      event.status === WEBHOOK_EVENT_STATUS.IGNORED
+    ) {
+      return { event, duplicate: true };
+    }
+  }
+
+  return { event: await processEvent(event), duplicate: false };
+};
+
+/**
+ * Lists a company's webhook events, failed ones by default, newest first.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} [filters] - The filters.
+ * @param {string} [filters.status] - One of WEBHOOK_EVENT_STATUS; defaults to failed.
+ * @returns {Promise<Array<Object>>} - The events, without their payloads.
+ */
+export const listWebhookEvents = async (
+  companyId,
+  { status = WEBHOOK_EVENT_STATUS.FAILED } = {}
+) =>
+  PaymentEvent.find({ companyId, status })
+    .select("-payload")
+    .sort({ createdAt: -1 })
+    .lean();
+
+/**
+ * Applies a failed webhook event of the company again, e.g. once the cause was fixed.
+ *
+ * @param {string} eventId - The `_id` of the stored event.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The event.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, WEBHOOK_EVENT_NOT_FOUND,
+ * WEBHOOK_EVENT_NOT_REPLAYABLE or FAILED_PROCESSING_WEBHOOK.
+ */
+export const replayWebhookEvent = async (eventId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(eventId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const event = await PaymentEvent.findOne({ _id: eventId, companyId });
+  if (!event) {
+    throw new Error(ERROR_MESSAGES.WEBHOOK_EVENT_NOT_FOUND);
+  }
+  if (event.status !== WEBHOOK_EVENT_STATUS.FAILED) {
+    throw new Error(ERROR_MESSAGES.WEBHOOK_EVENT_NOT_REPLAYABLE);
+  }
+  return processEvent(event);
+};
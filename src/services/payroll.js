@@ -0,0 +1,764 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  APPOINTMENT_STATUS,
+  COMMISSION_TYPES,
+  COMPENSATION_PLAN_SOURCES,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  PAYROLL,
+  PAYROLL_AUDIT_ACTIONS,
+  PAYMENT_TYPES,
+  PAYROLL_RUN_STATUS,
+  REFUND_STATUS,
+  SALARY_PERIODS,
+  SALE_LINE_TYPES,
+  TAX_PRICING_MODES,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import { CompensationPlan } from "../models/CompensationPlan.js";
+import { Employee } from "../models/Employee.js";
+import { Payment } from "../models/Payment.js";
+import { PayrollRun } from "../models/PayrollRun.js";
+import { Refund } from "../models/Refund.js";
+import Role from "../models/Role.js";
+import { Sale } from "../models/Sale.js";
+import { Services } from "../models/Services.js";
+import { getLineItemPrice } from "../utils/lineItems.js";
+import { roundAmount } from "../utils/money.js";
+import { getCompanySettings } from "./company.js";
+
+/**
+ * Ensures the employee or role a plan is for belongs to the company.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} target - The `employee` or `role` ID.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws EMPLOYEE_NOT_FOUND or ROLE_NOT_FOUND.
+ */
+const assertPlanTarget = async (companyId, { employee, role }) => {
+  if (employee) {
+    const exists = await Employee.exists({
+      _id: employee,
+      companyId,
+      isTrashed: false,
+    });
+    if (!exists) {
+      throw new Error(ERROR_MESSAGES.EMPLOYEE_NOT_FOUND);
+    }
+  }
+  if (role) {
+    const exists = await Role.exists({
+      _id: role,
+      companyId,
+      isTrashed: false,
+    });
+    if (!exists) {
+      throw new Error(ERROR_MESSAGES.ROLE_NOT_FOUND);
+    }
+  }
+};
+
+/**
+ * Saves a compensation plan, reporting a clash with another active plan for the same
+ * employee or role.
+ *
+ * @param {Object} plan - The plan document.
+ * @returns {Promise<Object>} - The saved plan.
+ * @throws {Error} - Throws COMPENSATION_PLAN_EXISTS.
+ */
+const savePlan = async (plan) => {
+  try {
+    return await plan.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error(ERROR_MESSAGES.COMPENSATION_PLAN_EXISTS);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lists the company's compensation plans, with the employee or role each is for.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} filters - The optional `isActive` filter.
+ * @returns {Promise<Array<Object>>} - The plans, by name.
+ */
+export const listCompensationPlans = (companyId, { isActive }) =>
+  CompensationPlan.find({
+    companyId,
+    ...(isActive !== undefined && { isActive }),
+  })
+    .populate("employee", "employeeId employeeName")
+    .populate("role", "roleName")
+    .sort({ name: 1 });
+
+/**
+ * Creates a compensation plan for an employee or a role. An employee or role has at most
+ * one active plan.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - The `_id` of the user creating the plan.
+ * @param {Object} details - The validated plan.
+ * @returns {Promise<Object>} - The new plan.
+ * @throws {Error} - Throws EMPLOYEE_NOT_FOUND, ROLE_NOT_FOUND or COMPENSATION_PLAN_EXISTS.
+ */
+export const createCompensationPlan = async (companyId, userId, details) => {
+  await assertPlanTarget(companyId, details);
+  return savePlan(
+    new CompensationPlan({ ...details, companyId, createdBy: userId })
+  );
+};
+
+/**
+ * Updates a compensation plan, or deactivates it. The employee or role it is for stays the
+ * same. Payroll runs already calculated keep the plan as it was.
+ *
+ * @param {string} planId - The ID of the plan.
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} changes - The validated fields to change.
+ * @returns {Promise<Object>} - The updated plan.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, COMPENSATION_PLAN_NOT_FOUND or
+ * COMPENSATION_PLAN_EXISTS.
+ */
+export const updateCompensationPlan = async (planId, companyId, changes) => {
+  if (!mongoose.Types.ObjectId.isValid(planId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const plan = await CompensationPlan.findOne({ _id: planId, companyId });
+  if (!plan) {
+    throw new Error(ERROR_MESSAGES.COMPENSATION_PLAN_NOT_FOUND);
+  }
+  plan.set(changes);
+  return savePlan(plan);
+};
+
+/**
+ * Works out the commission on an amount of sales. With tiers, each rate applies only to the
+ * part of the sales between its threshold and the next one; sales below the first
+ * threshold earn nothing.
+ *
+ * @param {number} sales - The sales in the period.
+ * @param {Object} [commission] - The plan's commission.
+ * @returns {number} - The commission.
+ */
+const calculateCommission = (sales, commission) => {
+  if (commission?.type === COMMISSION_TYPES.PERCENTAGE) {
+    return roundAmount((sales * (commission.rate || 0)) / 100);
+  }
+  if (commission?.type !== COMMISSION_TYPES.TIERED) {
+    return 0;
+  }
+
+  const tiers = [...commission.tiers].sort((a, b) => a.threshold - b.threshold);
+  return roundAmount(
+    tiers.reduce((total, tier, index) => {
+      const upper = tiers[index + 1]?.threshold ?? Infinity;
+      const inTier = Math.max(0, Math.min(sales, upper) - tier.threshold);
+      return total + (inTier * tier.rate) / 100;
+    }, 0)
+  );
+};
+
+/**
+ * Works out the fixed pay for a range of days: a monthly salary is paid per day of the
+ * month each day falls in, a weekly salary per seventh of a week.
+ *
+ * @param {Object} plan - The plan's `salary` and `salaryPeriod`.
+ * @param {moment.Moment} fromDay - The first day.
+ * @param {moment.Moment} toDay - The last day.
+ * @returns {number} - The salary for the days.
+ */
+const prorateSalary = ({ salary, salaryPeriod }, fromDay, toDay) => {
+  if (!salary) {
+    return 0;
+  }
+  if (salaryPeriod === SALARY_PERIODS.WEEKLY) {
+    return roundAmount((salary * (toDay.diff(fromDay, "days") + 1)) / 7);
+  }
+
+  let total = 0;
+  for (const day = fromDay.clone(); day.isSameOrBefore(toDay); day.add(1, "day")) {
+    total += salary / day.daysInMonth();
+  }
+  return roundAmount(total);
+};
+
+/**
+ * Picks the plan an employee is paid with: their own, else their role's, else their
+ * monthly `employeeSalary` with tips passed on.
+ *
+ * @param {Object} employee - The employee.
+ * @param {Array<Object>} plans - The company's active plans.
+ * @returns {Object} - The plan, with where it came from.
+ */
+const resolvePlan = (employee, plans) => {
+  const own = plans.find(
+    (plan) => String(plan.employee) === String(employee._id)
+  );
+  const byRole = plans.find(
+    (plan) => plan.role && String(plan.role) === String(employee.employeeRole)
+  );
+  const plan = own || byRole;
+  if (!plan) {
+    return {
+      source: COMPENSATION_PLAN_SOURCES.DEFAULT,
+      salary: employee.employeeSalary || 0,
+      salaryPeriod: SALARY_PERIODS.MONTHLY,
+      serviceCommission: { type: COMMISSION_TYPES.NONE },
+      retailCommission: { type: COMMISSION_TYPES.NONE },
+      tipShare: 100,
+    };
+  }
+
+  return {
+    source: own
+      ? COMPENSATION_PLAN_SOURCES.EMPLOYEE
+      : COMPENSATION_PLAN_SOURCES.ROLE,
+    planId: plan._id,
+    name: plan.name,
+    salary: plan.salary,
+    salaryPeriod: plan.salaryPeriod,
+    serviceCommission: plan.serviceCommission,
+    retailCommission: plan.retailCommission,
+    tipShare: plan.tipShare,
+  };
+};
+
+/**
+ * Checks a payroll period.
+ *
+ * @param {string} from - First day in `YYYY-MM-DD`.
+ * @param {string} to - Last day (inclusive) in `YYYY-MM-DD`.
+ * @returns {{fromDay: moment.Moment, toDay: moment.Moment}} - The days.
+ * @throws {Error} - Throws INVALID_DATE_FORMAT or PAYROLL_PERIOD_TOO_LONG.
+ */
+const parsePeriod = (from, to) => {
+  const fromDay = moment(from, MOMENT_DATE_FORMAT, true);
+  const toDay = moment(to, MOMENT_DATE_FORMAT, true);
+
+  if (!fromDay.isValid() || !toDay.isValid() || toDay.isBefore(fromDay)) {
+    throw new Error(ERROR_MESSAGES.INVALID_DATE_FORMAT);
+  }
+  if (toDay.diff(fromDay, "days") >= PAYROLL.MAX_PERIOD_DAYS) {
+    throw new Error(ERROR_MESSAGES.PAYROLL_PERIOD_TOO_LONG);
+  }
+  return { fromDay, toDay };
+};
+
+// What the earnings of appointments and sales are worked out from
+const APPOINTMENT_EARNINGS_FIELDS = {
+  service: 1,
+  stylistId: 1,
+  lineItems: 1,
+  totalPrice: 1,
+  taxAmount: 1,
+  taxPricingMode: 1,
+};
+const SALE_EARNINGS_FIELDS = {
+  lines: 1,
+  subtotal: 1,
+  discount: 1,
+  taxPricingMode: 1,
+  tips: 1,
+  total: 1,
+};
+
+/**
+ * Works out what each stylist earned on the services of a completed appointment, before
+ * tax. Lines without a price of their own are priced as they are at checkout.
+ *
+ * @param {Object} appointment - The appointment.
+ * @param {Map<string, number>} servicePrices - The catalogue price of each service, by ID.
+ * @returns {Array<{stylistId: string, amount: number}>} - The earnings of each line.
+ */
+const getServiceEarnings = (appointment, servicePrices) => {
+  const isInclusive =
+    appointment.taxPricingMode === TAX_PRICING_MODES.INCLUSIVE;
+  const items = appointment.lineItems?.length
+    ? appointment.lineItems
+    : [
+        {
+          service: appointment.service,
+          stylistId: appointment.stylistId,
+          tax: appointment.taxAmount,
+        },
+      ];
+  return items.map((item) => ({
+    stylistId: item.stylistId,
+    amount:
+      getLineItemPrice(
+        appointment,
+        item,
+        servicePrices.get(String(item.service))
+      ) - (isInclusive ? item.tax || 0 : 0),
+  }));
+};
+
+/**
+ * Works out what each stylist earned on a sale: services and products after their share of
+ * the sale discount and before tax, and tips.
+ *
+ * @param {Object} sale - The sale.
+ * @returns {{services: Array<Object>, products: Array<Object>, tips: Array<Object>}} - The
+ * `{stylistId, amount}` of each line and tip.
+ */
+const getSaleEarnings = (sale) => {
+  const isInclusive = sale.taxPricingMode === TAX_PRICING_MODES.INCLUSIVE;
+  const kept = sale.subtotal
+    ? (sale.subtotal - (sale.discount?.amount || 0)) / sale.subtotal
+    : 1;
+  const earnings = (type) =>
+    sale.lines
+      .filter((line) => line.type === type && line.stylistId)
+      .map((line) => ({
+        stylistId: line.stylistId,
+        amount: line.amount * kept - (isInclusive ? line.tax || 0 : 0),
+      }));
+  return {
+    services: earnings(SALE_LINE_TYPES.SERVICE),
+    products: earnings(SALE_LINE_TYPES.PRODUCT),
+    tips: sale.tips,
+  };
+};
+
+/**
+ * Loads the catalogue price of the services of appointments.
+ *
+ * @param {Array<Object>} appointments - The appointments.
+ * @returns {Promise<Map<string, number>>} - The price of each service, by ID.
+ */
+const loadServicePrices = async (appointments) => {
+  const ids = appointments.flatMap((appointment) =>
+    appointment.lineItems?.length
+      ? appointment.lineItems.map((item) => item.service)
+      : [appointment.service]
+  );
+  const services = await Services.find(
+    { _id: { $in: ids.filter(Boolean) } },
+    { price: 1 }
+  ).lean();
+  return new Map(
+    services.map((service) => [String(service._id), service.price])
+  );
+};
+
+/**
+ * Loads the refunds completed in a period on payments that earned commission or tips:
+ * payments for an appointment that was completed, and checkout sales.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} range - The period, as a date range.
+ * @returns {Promise<Array<Object>>} - Each `refund` with the `appointment` or `sale` it
+ * refunded, and the `share` of it that was refunded.
+ */
+const loadPeriodRefunds = async (companyId, range) => {
+  const refunds = await Refund.find(
+    { companyId, status: REFUND_STATUS.COMPLETED, refundedAt: range },
+    { payment: 1, amount: 1 }
+  ).lean();
+  const payments = await Payment.find(
+    {
+      _id: { $in: refunds.map((refund) => refund.payment) },
+      type: { $in: [PAYMENT_TYPES.APPOINTMENT, PAYMENT_TYPES.SALE] },
+    },
+    { type: 1, amount: 1, appointmentId: 1, saleId: 1 }
+  ).lean();
+  const appointments = await Appointment.find(
+    {
+      _id: {
+        $in: payments.map((payment) => payment.appointmentId).filter(Boolean),
+      },
+      companyId,
+      appointmentStatus: APPOINTMENT_STATUS.COMPLETED,
+    },
+    APPOINTMENT_EARNINGS_FIELDS
+  ).lean();
+  const sales = await Sale.find(
+    {
+      _id: { $in: payments.map((payment) => payment.saleId).filter(Boolean) },
+      companyId,
+    },
+    SALE_EARNINGS_FIELDS
+  ).lean();
+
+  const byId = (documents) =>
+    new Map(documents.map((document) => [String(document._id), document]));
+  const paymentsById = byId(payments);
+  const appointmentsById = byId(appointments);
+  const salesById = byId(sales);
+  return refunds
+    .map((refund) => {
+      const payment = paymentsById.get(String(refund.payment));
+      const appointment = appointmentsById.get(String(payment?.appointmentId));
+      const sale = salesById.get(String(payment?.saleId));
+      // A sale refund takes back its share of everything the client paid for the ticket
+      const paid = sale ? sale.total : payment?.amount;
+      return {
+        refund,
+        appointment,
+        sale,
+        share: paid ? Math.min(1, refund.amount / paid) : 0,
+      };
+    })
+    .filter(({ appointment, sale }) => appointment || sale);
+};
+
+/**
+ * Calculates the pay of each employee of the company for a period. Services count when
+ * their appointment was completed on a day of the period, at their booked price before
+ * tax, or their checkout price for lines booked without one; appointments completed before
+ * status changes were recorded count on the day they were booked for. Products and tips
+ * count when their sale was checked out in the period, products after their share of the
+ * sale discount and before tax. Refunds completed in the period take back their share of
+ * the services, products and tips of the appointment or sale they refunded.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {string} from - First day in `YYYY-MM-DD`.
+ * @param {string} to - Last day (inclusive) in `YYYY-MM-DD`.
+ * @returns {Promise<{timeZone: string, lines: Array<Object>, totals: Object}>} - The pay
+ * of each employee, by name, and the totals.
+ * @throws {Error} - Throws INVALID_DATE_FORMAT or PAYROLL_PERIOD_TOO_LONG.
+ */
+const calculatePayroll = async (companyId, from, to) => {
+  const { fromDay, toDay } = parsePeriod(from, to);
+  const { timeZone } = await getCompanySettings(companyId);
+  const range = {
+    $gte: moment.tz(from, MOMENT_DATE_FORMAT, timeZone).toDate(),
+    $lte: moment.tz(to, MOMENT_DATE_FORMAT, timeZone).endOf("day").toDate(),
+  };
+
+  const employees = await Employee.find(
+    { companyId, isTrashed: false },
+    { employeeId: 1, employeeName: 1, employeeRole: 1, employeeSalary: 1 }
+  ).lean();
+  const plans = await CompensationPlan.find({
+    companyId,
+    isActive: true,
+  }).lean();
+
+  const figures = new Map(
+    employees.map((employee) => [
+      String(employee._id),
+      {
+        serviceSales: 0,
+        retailSales: 0,
+        tipsReceived: 0,
+        appointments: new Set(),
+        sales: new Set(),
+        refunds: new Set(),
+      },
+    ])
+  );
+
+  const appointments = await Appointment.find(
+    {
+      companyId,
+      isTrashed: false,
+      appointmentStatus: APPOINTMENT_STATUS.COMPLETED,
+      $or: [
+        {
+          statusHistory: {
+            $elemMatch: {
+              to: APPOINTMENT_STATUS.COMPLETED,
+              changedAt: range,
+            },
+          },
+        },
+        {
+          "statusHistory.to": { $ne: APPOINTMENT_STATUS.COMPLETED },
+          date: range,
+        },
+      ],
+    },
+    APPOINTMENT_EARNINGS_FIELDS
+  ).lean();
+  const refunds = await loadPeriodRefunds(companyId, range);
+  const servicePrices = await loadServicePrices([
+    ...appointments,
+    ...refunds.map(({ appointment }) => appointment).filter(Boolean),
+  ]);
+
+  appointments.forEach((appointment) => {
+    getServiceEarnings(appointment, servicePrices).forEach((earning) => {
+      const entry = figures.get(String(earning.stylistId));
+      if (entry) {
+        entry.serviceSales += earning.amount;
+        entry.appointments.add(String(appointment._id));
+      }
+    });
+  });
+
+  const sales = await Sale.find(
+    {
+      companyId,
+      createdAt: range,
+      $or: [
+        { "tips.0": { $exists: true } },
+        { "lines.type": SALE_LINE_TYPES.PRODUCT },
+      ],
+    },
+    SALE_EARNINGS_FIELDS
+  ).lean();
+  sales.forEach((sale) => {
+    const { products, tips } = getSaleEarnings(sale);
+    products.forEach((earning) => {
+      const entry = figures.get(String(earning.stylistId));
+      if (entry) {
+        entry.retailSales += earning.amount;
+        entry.sales.add(String(sale._id));
+      }
+    });
+    tips.forEach((tip) => {
+      const entry = figures.get(String(tip.stylistId));
+      if (entry) {
+        entry.tipsReceived += tip.amount;
+        entry.sales.add(String(sale._id));
+      }
+    });
+  });
+
+  refunds.forEach(({ refund, appointment, sale, share }) => {
+    const { services, products, tips } = sale
+      ? getSaleEarnings(sale)
+      : {
+          services: getServiceEarnings(appointment, servicePrices),
+          products: [],
+          tips: [],
+        };
+    const takeBack = (earnings, field) =>
+      earnings.forEach((earning) => {
+        const entry = figures.get(String(earning.stylistId));
+        if (entry) {
+          entry[field] -= earning.amount * share;
+          entry.refunds.add(String(refund._id));
+        }
+      });
+    takeBack(services, "serviceSales");
+    takeBack(products, "retailSales");
+    takeBack(tips, "tipsReceived");
+  });
+
+  const lines = employees.map((employee) => {
+    const entry = figures.get(String(employee._id));
+    const plan = resolvePlan(employee, plans);
+    // Refunds of earlier work never take a period below nothing
+    const serviceSales = roundAmount(Math.max(0, entry.serviceSales));
+    const retailSales = roundAmount(Math.max(0, entry.retailSales));
+    const tipsReceived = roundAmount(Math.max(0, entry.tipsReceived));
+    const pay = {
+      salary: prorateSalary(plan, fromDay, toDay),
+      serviceCommission: calculateCommission(
+        serviceSales,
+        plan.serviceCommission
+      ),
+      retailCommission: calculateCommission(retailSales, plan.retailCommission),
+      tips: roundAmount((tipsReceived * plan.tipShare) / 100),
+    };
+    return {
+      employee: employee._id,
+      employeeCode: employee.employeeId,
+      employeeName: employee.employeeName,
+      plan,
+      appointmentsCompleted: entry.appointments.size,
+      serviceSales,
+      retailSales,
+      tipsReceived,
+      ...pay,
+      gross: roundAmount(
+        pay.salary + pay.serviceCommission + pay.retailCommission + pay.tips
+      ),
+      appointments: [...entry.appointments],
+      sales: [...entry.sales],
+      refunds: [...entry.refunds],
+    };
+  });
+  lines.sort((a, b) => a.employeeName.localeCompare(b.employeeName));
+
+  const sum = (field) =>
+    roundAmount(lines.reduce((total, line) => total + line[field], 0));
+  const totals = {
+    salary: sum("salary"),
+    serviceCommission: sum("serviceCommission"),
+    retailCommission: sum("retailCommission"),
+    tips: sum("tips"),
+    gross: sum("gross"),
+  };
+
+  return { timeZone, lines, totals };
+};
+
+/**
+ * Finds a payroll run of the company.
+ *
+ * @param {string} runId - The ID of the run.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The run.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or PAYROLL_RUN_NOT_FOUND.
+ */
+const findCompanyRun = async (runId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(runId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const run = await PayrollRun.findOne({ _id: runId, companyId });
+  if (!run) {
+    throw new Error(ERROR_MESSAGES.PAYROLL_RUN_NOT_FOUND);
+  }
+  return run;
+};
+
+/**
+ * Finds a payroll run of the company that can still be changed.
+ *
+ * @param {string} runId - The ID of the run.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The run.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, PAYROLL_RUN_NOT_FOUND or PAYROLL_RUN_LOCKED.
+ */
+const findDraftRun = async (runId, companyId) => {
+  const run = await findCompanyRun(runId, companyId);
+  if (run.status !== PAYROLL_RUN_STATUS.DRAFT) {
+    throw new Error(ERROR_MESSAGES.PAYROLL_RUN_LOCKED);
+  }
+  return run;
+};
+
+/**
+ * Applies a change to a draft payroll run, unless it was locked in the meantime.
+ *
+ * @param {Object} run - The draft run.
+ * @param {Object} update - The update.
+ * @returns {Promise<Object>} - The updated run.
+ * @throws {Error} - Throws PAYROLL_RUN_LOCKED.
+ */
+const updateDraftRun = async (run, update) => {
+  const updated = await PayrollRun.findOneAndUpdate(
+    { _id: run._id, status: PAYROLL_RUN_STATUS.DRAFT },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    throw new Error(ERROR_MESSAGES.PAYROLL_RUN_LOCKED);
+  }
+  return updated;
+};
+
+/**
+ * Lists the company's payroll runs, latest period first, without their lines.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Array<Object>>} - The runs.
+ */
+export const listPayrollRuns = (companyId) =>
+  PayrollRun.find({ companyId }).select("-lines").sort({ from: -1 }).lean();
+
+/**
+ * Retrieves a payroll run with the pay of each employee.
+ *
+ * @param {string} runId - The ID of the run.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The run.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or PAYROLL_RUN_NOT_FOUND.
+ */
+export const getPayrollRun = (runId, companyId) =>
+  findCompanyRun(runId, companyId);
+
+/**
+ * Calculates the pay of the company's employees for a period and keeps it as a draft run.
+ * Periods of runs cannot overlap, so nothing is paid twice.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - The `_id` of the user running payroll.
+ * @param {Object} period - The `from` and `to` days in `YYYY-MM-DD`.
+ * @returns {Promise<Object>} - The new run.
+ * @throws {Error} - Throws INVALID_DATE_FORMAT, PAYROLL_PERIOD_TOO_LONG or
+ * PAYROLL_PERIOD_OVERLAPS.
+ */
+export const createPayrollRun = async (companyId, userId, { from, to }) => {
+  parsePeriod(from, to);
+  const overlapping = await PayrollRun.exists({
+    companyId,
+    from: { $lte: to },
+    to: { $gte: from },
+  });
+  if (overlapping) {
+    throw new Error(ERROR_MESSAGES.PAYROLL_PERIOD_OVERLAPS);
+  }
+
+  const payroll = await calculatePayroll(companyId, from, to);
+  return PayrollRun.create({
+    companyId,
+    from,
+    to,
+    ...payroll,
+    createdBy: userId,
+    history: [{ action: PAYROLL_AUDIT_ACTIONS.CREATED, by: userId }],
+  });
+};
+
+/**
+ * Calculates a draft payroll run again, e.g. after late checkouts or plan changes.
+ *
+ * @param {string} runId - The ID of the run.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - The `_id` of the user recalculating the run.
+ * @returns {Promise<Object>} - The updated run.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, PAYROLL_RUN_NOT_FOUND or PAYROLL_RUN_LOCKED.
+ */
+export const recalculatePayrollRun = async (runId, companyId, userId) => {
+  const run = await findDraftRun(runId, companyId);
+  const payroll = await calculatePayroll(companyId, run.from, run.to);
+  return updateDraftRun(run, {
+    $set: payroll,
+    $push: {
+      history: { action: PAYROLL_AUDIT_ACTIONS.RECALCULATED, by: userId },
+    },
+  });
+};
+
+/**
+ * Locks a payroll run. A locked run cannot be recalculated or deleted, and stays as the
+ * record of what was paid.
+ *
+ * @param {string} runId - The ID of the run.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - The `_id` of the user locking the run.
+ * @returns {Promise<Object>} - The locked run.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, PAYROLL_RUN_NOT_FOUND or PAYROLL_RUN_LOCKED.
+ */
+export const lockPayrollRun = async (runId, companyId, userId) => {
+  const run = await findDraftRun(runId, companyId);
+  const now = new Date();
+  return updateDraftRun(run, {
+    $set: {
+      status: PAYROLL_RUN_STATUS.LOCKED,
+      lockedBy: userId,
+      lockedAt: now,
+    },
+    $push: {
+      history: { action: PAYROLL_AUDIT_ACTIONS.LOCKED, by: userId, at: now },
+    },
+  });
+};
+
+/**
+ * Deletes a draft payroll run, freeing its period.
+ *
+ * @param {string} runId - The ID of the run.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws INVALID_ID_FORMAT, PAYROLL_RUN_NOT_FOUND or PAYROLL_RUN_LOCKED.
+ */
+export const deletePayrollRun = async (runId, companyId) => {
+  const run = await findDraftRun(runId, companyId);
+  const { deletedCount } = await PayrollRun.deleteOne({
+    _id: run._id,
+    status: PAYROLL_RUN_STATUS.DRAFT,
+  });
+  if (!deletedCount) {
+    throw new Error(ERROR_MESSAGES.PAYROLL_RUN_LOCKED);
+  }
+};
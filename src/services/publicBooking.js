@@ -0,0 +1,326 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  CATEGORY_STATUS,
+  DATE_AND_TIME_FORMAT,
+  DEFAULT_PROFILE_IMAGE_URL,
+  EMPLOYEE_STATUS,
+  ERROR_MESSAGES,
+  SERVICE_STATUS,
+  STATUS_CHANGE_ACTORS,
+  TIME_ZONE,
+} from "../constants.js";
+import Category from "../models/Category.js";
+import { Client } from "../models/Client.js";
+import Company from "../models/Company.js";
+import { Employee } from "../models/Employee.js";
+import { ServiceRoleMapping, Services } from "../models/Services.js";
+import { scheduleAppointments } from "./appointment.js";
+import { listAvailability } from "./availability.js";
+import { createClient } from "./client.js";
+import { getServiceEmployees, performsService } from "./employee.js";
+import { consumeOtp, issueOtp } from "./otp.js";
+
+// What guests see of a service and of a stylist
+const PUBLIC_SERVICE_FIELDS = {
+  serviceName: 1,
+  serviceImage: 1,
+  category: 1,
+  description: 1,
+  duration: 1,
+  durationMinutes: 1,
+  price: 1,
+  depositType: 1,
+  depositValue: 1,
+};
+const PUBLIC_STYLIST_FIELDS = { employeeName: 1, employeePhoto: 1 };
+
+/**
+ * Finds the salon behind a booking page slug, if it takes online bookings.
+ *
+ * @param {string} slug - The slug of the booking page.
+ * @returns {Promise<Object|null>} - The company's `_id`, `name`, address, `timeZone` and `businessHours`.
+ */
+export const findBookableCompany = async (slug) => {
+  const company = await Company.findOne(
+    {
+      "onlineBooking.slug": String(slug).toLowerCase(),
+      "onlineBooking.isEnabled": true,
+    },
+    {
+      name: 1,
+      country: 1,
+      city: 1,
+      address: 1,
+      timeZone: 1,
+      businessHours: 1,
+    }
+  ).lean();
+
+  return company && { ...company, timeZone: company.timeZone || TIME_ZONE };
+};
+
+/**
+ * Lists the categories a salon shows on its booking page.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Array<Object>>} - The active categories, by name.
+ */
+export const listBookableCategories = (companyId) =>
+  Category.find(
+    { companyId, isTrashed: false, status: CATEGORY_STATUS.ACTIVE },
+    { name: 1, image: 1 }
+  ).sort({ name: 1 });
+
+/**
+ * Lists the services guests can book: active services of active categories.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} filters - The optional `categoryId`.
+ * @returns {Promise<Array<Object>>} - The services, by name.
+ */
+export const listBookableServices = async (companyId, { categoryId }) => {
+  const categories = await listBookableCategories(companyId);
+  const categoryIds = categories
+    .map((category) => category._id)
+    .filter((id) => !categoryId || String(id) === categoryId);
+
+  return Services.find(
+    {
+      companyId,
+      isTrashed: false,
+      serviceStatus: SERVICE_STATUS.ACTIVE,
+      category: { $in: categoryIds },
+    },
+    PUBLIC_SERVICE_FIELDS
+  ).sort({ serviceName: 1 });
+};
+
+/**
+ * Finds a service guests can book.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {string} serviceId - The ID of the service.
+ * @returns {Promise<Object>} - The service.
+ * @throws {Error} - Throws SERVICE_NOT_FOUND if the service is unknown, inactive or in an inactive category.
+ */
+const findBookableService = async (companyId, serviceId) => {
+  const service = mongoose.Types.ObjectId.isValid(serviceId)
+    ? await Services.findOne(
+        {
+          _id: serviceId,
+          companyId,
+          isTrashed: false,
+          serviceStatus: SERVICE_STATUS.ACTIVE,
+        },
+        PUBLIC_SERVICE_FIELDS
+      )
+    : null;
+  const isCategoryActive =
+    service &&
+    (await Category.exists({
+      _id: service.category,
+      companyId,
+      isTrashed: false,
+      status: CATEGORY_STATUS.ACTIVE,
+    }));
+  if (!isCategoryActive) {
+    throw new Error(ERROR_MESSAGES.SERVICE_NOT_FOUND);
+  }
+  return service;
+};
+
+/**
+ * Lists the stylists guests can book, optionally only those performing a service.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} filters - The optional `serviceId`.
+ * @returns {Promise<Array<Object>>} - The stylists' names and photos.
+ * @throws {Error} - Throws SERVICE_NOT_FOUND.
+ */
+export const listBookableStylists = async (companyId, { serviceId }) => {
+  if (serviceId) {
+    await findBookableService(companyId, serviceId);
+    return (
+      (await getServiceEmployees(
+        serviceId,
+        companyId,
+        PUBLIC_STYLIST_FIELDS
+      )) || []
+    );
+  }
+
+  // Staff whose role performs no service, e.g. receptionists, are left out
+  const roles = await ServiceRoleMapping.distinct("roles", { companyId });
+  return Employee.find(
+    {
+      companyId,
+      employeeRole: { $in: roles },
+      isTrashed: false,
+      employeeStatus: EMPLOYEE_STATUS.ACTIVE,
+    },
+    PUBLIC_STYLIST_FIELDS
+  ).sort({ employeeName: 1 });
+};
+
+/**
+ * Lists the open slots of a bookable service on a day, optionally for one stylist.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} query - The validated `serviceId`, `date` and optional `stylistId`.
+ * @returns {Promise<Object>} - The service duration and open slots per stylist.
+ * @throws {Error} - Throws SERVICE_NOT_FOUND or INVALID_DATE_FORMAT.
+ */
+export const listBookableAvailability = async (companyId, query) => {
+  const { serviceId, date, stylistId } = query;
+  await findBookableService(companyId, serviceId);
+
+  const availability = await listAvailability({
+    query: { serviceId, date },
+    companyId,
+  });
+  return {
+    ...availability,
+    stylists: availability.stylists.filter(
+      (stylist) => !stylistId || String(stylist.stylistId) === stylistId
+    ),
+  };
+};
+
+/**
+ * Emails a guest the OTP that confirms their booking.
+ *
+ * @param {string} email - The guest's email address.
+ * @returns {Promise<void>}
+ */
+export const requestBookingOtp = (email) => issueOtp(email);
+
+/**
+ * Picks the first stylist performing the service who is free at the requested time.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} slot - The `serviceId`, local `date` and local `time`.
+ * @returns {Promise<string>} - The ID of the stylist.
+ * @throws {Error} - Throws NO_STYLIST_AVAILABLE_AT_TIME.
+ */
+const pickAvailableStylist = async (companyId, { serviceId, date, time }) => {
+  const { stylists } = await listAvailability({
+    query: { serviceId, date },
+    companyId,
+  });
+  const stylist = stylists.find((item) => item.slots.includes(time));
+  if (!stylist) {
+    throw new Error(ERROR_MESSAGES.NO_STYLIST_AVAILABLE_AT_TIME);
+  }
+  return String(stylist.stylistId);
+};
+
+/**
+ * Finds the client booking as a guest by phone number, registering a new client when the
+ * number is not known to the salon. The OTP only proves the guest owns the email, so a
+ * known client is only booked for when their email on file is the verified one; their
+ * record is never changed.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} guest - The guest's `name`, `phone` and verified `email`.
+ * @returns {Promise<Object>} - The client document.
+ * @throws {Error} - Throws GUEST_PHONE_REGISTERED.
+ */
+const matchGuestClient = async (companyId, { name, phone, email }) => {
+  const existing = await Client.findOne({
+    phone,
+    companyId,
+    isTrashed: false,
+  });
+  if (!existing) {
+    return createClient(companyId, {
+      name,
+      phone,
+      email,
+      photo: DEFAULT_PROFILE_IMAGE_URL,
+    });
+  }
+
+  if (existing.email?.trim().toLowerCase() !== email) {
+    throw new Error(ERROR_MESSAGES.GUEST_PHONE_REGISTERED);
+  }
+  return existing;
+};
+
+/**
+ * Books an appointment for a guest who verified their email with an OTP.
+ * Without a stylist, the first stylist free at that time is booked. The booking goes through
+ * `scheduleAppointments`, so deposits, notifications and calendar invites apply as they do
+ * for staff bookings.
+ *
+ * @param {Object} company - The salon, as found by `findBookableCompany`.
+ * @param {Object} details - The validated guest details, OTP and slot.
+ * @returns {Promise<Object>} - A summary of the booked appointment.
+ * @throws {Error} - Throws if the slot is invalid or in the past, the service or stylist cannot
+ * be booked, the OTP is wrong, the phone number belongs to a client with another email, or the
+ * slot is taken.
+ */
+export const bookOnline = async (company, details) => {
+  const { name, phone, email, otp, serviceId, date, time, note } = details;
+  const companyId = company._id;
+
+  const start = moment.tz(
+    `${date} ${time}`,
+    DATE_AND_TIME_FORMAT,
+    true,
+    company.timeZone
+  );
+  if (!start.isValid()) {
+    throw new Error(ERROR_MESSAGES.INVALID_APPOINTMENT_DATE_TIME);
+  }
+  if (start.toDate() <= new Date()) {
+    throw new Error(ERROR_MESSAGES.SCHEDULED_DATE_TIME_SHOULD_NOT_BE_IN_PAST);
+  }
+
+  await findBookableService(companyId, serviceId);
+  let { stylistId } = details;
+  if (!stylistId) {
+    stylistId = await pickAvailableStylist(companyId, {
+      serviceId,
+      date,
+      time,
+    });
+  } else if (!(await performsService(serviceId, stylistId, companyId))) {
+    throw new Error(ERROR_MESSAGES.STYLIST_NOT_ELIGIBLE_FOR_SERVICE);
+  }
+
+  // Checked last so that a mistyped slot does not cost the guest their OTP
+  await consumeOtp(email, otp);
+  const client = await matchGuestClient(companyId, { name, phone, email });
+
+  const { appointment } = await scheduleAppointments({
+    companyId,
+    userId: STATUS_CHANGE_ACTORS.ONLINE_BOOKING,
+    body: {
+      clientId: client.clientId,
+      service: serviceId,
+      stylistId,
+      date,
+      time,
+      note,
+    },
+  });
+
+  return {
+    appointmentId: appointment.appointmentId,
+    date,
+    time,
+    timeZone: company.timeZone,
+    serviceId,
+    stylistId,
+    totalPrice: appointment.totalPrice,
+    taxPricingMode: appointment.taxPricingMode,
+    taxAmount: appointment.taxAmount,
+    deposit: appointment.deposit
+      ? {
+          amount: appointment.deposit.amount,
+          holdExpiresAt: appointment.deposit.holdExpiresAt,
+        }
+      : null,
+  };
+};
@@ -0,0 +1,205 @@
+import {
+  RAZORPAY_KEY_ID,
+  RAZORPAY_KEY_SECRET,
+  RAZORPAY_WEBHOOK_SECRET,
+} from "../config/env.js";
+import {
+  ERROR_MESSAGES,
+  GATEWAY_EVENT_TYPES,
+  GATEWAY_INTENT_STATUS,
+  PAYMENT_GATEWAY,
+  RAZORPAY_EVENT_ID_HEADER,
+  RAZORPAY_SIGNATURE_HEADER,
+} from "../constants.js";
+import { isSignatureValid, signHmac } from "../utils/hmac.js";
+
+/**
+ * Calls the Razorpay API with a JSON body.
+ *
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path under the API URL.
+ * @param {Object} [body] - The request body.
+ * @returns {Promise<Object>} - The response body.
+ * @throws {Error} - Throws PAYMENT_GATEWAY_NOT_CONFIGURED or PAYMENT_GATEWAY_ERROR.
+ */
+const callRazorpay = async (method, path, body) => {
+  if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_NOT_CONFIGURED);
+  }
+
+  const credentials = Buffer.from(
+    `${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`
+  ).toString("base64");
+  const response = await fetch(`${PAYMENT_GATEWAY.RAZORPAY_API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      "Content-Type": "application/json",
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    console.error(ERROR_MESSAGES.PAYMENT_GATEWAY_ERROR, result.error);
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_ERROR);
+  }
+  return result;
+};
+
+/**
+ * Creates a Razorpay order, which the client pays through Razorpay Checkout. Razorpay has no
+ * idempotency header, so the key goes in the order's notes; the order ID doubles as the
+ * client secret.
+ *
+ * @param {Object} params - See `PaymentGateway.createIntent`.
+ * @returns {Promise<Object>} - The intent.
+ */
+const createIntent = async ({
+  amount,
+  currency,
+  idempotencyKey,
+  receipt,
+  metadata,
+}) => {
+  const order = await callRazorpay("POST", "/orders", {
+    amount,
+    currency: currency.toUpperCase(),
+    receipt: receipt?.slice(0, PAYMENT_GATEWAY.RAZORPAY_RECEIPT_MAX_LENGTH),
+    notes: { ...metadata, idempotencyKey },
+  });
+  return {
+    intentId: order.id,
+    clientSecret: order.id,
+    status: GATEWAY_INTENT_STATUS.REQUIRES_ACTION,
+    chargeId: null,
+  };
+};
+
+/**
+ * Looks up the payments made against a Razorpay order, capturing one that was only
+ * authorized.
+ *
+ * @param {string} intentId - The order ID.
+ * @returns {Promise<Object>} - The intent.
+ */
+const confirmIntent = async (intentId) => {
+  const { items = [] } = await callRazorpay(
+    "GET",
+    `/orders/${intentId}/payments`
+  );
+  const toIntent = (status, chargeId = null) => ({
+    intentId,
+    clientSecret: intentId,
+    status,
+    chargeId,
+  });
+
+  const captured = items.find((item) => item.status === "captured");
+  if (captured) {
+    return toIntent(GATEWAY_INTENT_STATUS.SUCCEEDED, captured.id);
+  }
+  const authorized = items.find((item) => item.status === "authorized");
+  if (authorized) {
+    await callRazorpay("POST", `/payments/${authorized.id}/capture`, {
+      amount: authorized.amount,
+      currency: authorized.currency,
+    });
+    return toIntent(GATEWAY_INTENT_STATUS.SUCCEEDED, authorized.id);
+  }
+  return toIntent(
+    items.length && items.every((item) => item.status === "failed")
+      ? GATEWAY_INTENT_STATUS.FAILED
+      : GATEWAY_INTENT_STATUS.REQUIRES_ACTION
+  );
+};
+
+/**
+ * Razorpay orders cannot be cancelled; they stay payable until they expire. Returns what was
+ * paid against the order, so that a payment made just before is still recorded.
+ *
+ * @param {string} intentId - The order ID.
+ * @returns {Promise<Object>} - The intent.
+ */
+const cancelIntent = (intentId) => confirmIntent(intentId);
+
+/**
+ * Refunds part or all of a captured Razorpay payment.
+ *
+ * @param {Object} params - See `PaymentGateway.refund`.
+ * @returns {Promise<Object>} - The `refundId` and `status`.
+ */
+const refund = async ({ chargeId, amount, idempotencyKey, metadata }) => {
+  const result = await callRazorpay("POST", `/payments/${chargeId}/refund`, {
+    amount,
+    receipt: idempotencyKey.slice(
+      0,
+      PAYMENT_GATEWAY.RAZORPAY_RECEIPT_MAX_LENGTH
+    ),
+    notes: metadata,
+  });
+  return {
+    refundId: result.id,
+    status:
+      result.status === "processed"
+        ? GATEWAY_INTENT_STATUS.SUCCEEDED
+        : result.status === "failed"
+        ? GATEWAY_INTENT_STATUS.FAILED
+        : GATEWAY_INTENT_STATUS.PROCESSING,
+  };
+};
+
+/**
+ * Checks the `X-Razorpay-Signature` header of a webhook, an HMAC of the raw body, and reads
+ * its event.
+ *
+ * @param {Buffer|string} rawBody - The body exactly as received.
+ * @param {Object} headers - The request headers, lower-cased.
+ * @returns {Object} - The event, see `PaymentGateway.verifyWebhook`.
+ * @throws {Error} - Throws PAYMENT_GATEWAY_NOT_CONFIGURED or INVALID_WEBHOOK_SIGNATURE.
+ */
+const verifyWebhook = (rawBody, headers) => {
+  if (!RAZORPAY_WEBHOOK_SECRET) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_NOT_CONFIGURED);
+  }
+  if (
+    !isSignatureValid(
+      headers[RAZORPAY_SIGNATURE_HEADER],
+      signHmac(RAZORPAY_WEBHOOK_SECRET, rawBody)
+    )
+  ) {
+    throw new Error(ERROR_MESSAGES.INVALID_WEBHOOK_SIGNATURE);
+  }
+
+  const event = JSON.parse(String(rawBody));
+  const payment = event.payload?.payment?.entity || {};
+  const refundEntity = event.payload?.refund?.entity;
+  const types = {
+    "payment.captured": GATEWAY_EVENT_TYPES.PAYMENT_SUCCEEDED,
+    "payment.failed": GATEWAY_EVENT_TYPES.PAYMENT_FAILED,
+    "refund.processed": GATEWAY_EVENT_TYPES.REFUNDED,
+  };
+  return {
+    // Razorpay sends the same event ID on every retry
+    id:
+      headers[RAZORPAY_EVENT_ID_HEADER] ||
+      `${event.event}:${event.created_at}`,
+    type: types[event.event] || GATEWAY_EVENT_TYPES.OTHER,
+    intentId: payment.order_id || null,
+    chargeId: refundEntity?.payment_id || payment.id || null,
+    amount: refundEntity ? refundEntity.amount : payment.amount ?? null,
+    // Razorpay sends codes in upper case, other gateways in lower case
+    currency: (refundEntity || payment).currency?.toLowerCase() || null,
+  };
+};
+
+/**
+ * Razorpay orders, refunds and webhooks.
+ * @type {import("./paymentGateway.js").PaymentGateway}
+ */
+export const razorpayGateway = {
+  createIntent,
+  confirmIntent,
+  cancelIntent,
+  refund,
+  verifyWebhook,
+};
@@ -0,0 +1,407 @@
+import mongoose from "mongoose";
+import {
+  ERROR_MESSAGES,
+  NOTIFICATION_MESSAGES,
+  NOTIFICATION_TYPES,
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+} from "../constants.js";
+import { Payment } from "../models/Payment.js";
+import { Refund } from "../models/Refund.js";
+import { generateNextTransactionId } from "../utils/idGenerator.js";
+import { roundAmount } from "../utils/money.js";
+import { saveNotification } from "./notification.js";
+import { refundGatewayPayment } from "./paymentGateway.js";
+import { allocateTax } from "./tax.js";
+
+// Payments that still hold money that can be given back
+const REFUNDABLE_STATUSES = [
+  PAYMENT_STATUS.PAID,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+];
+
+/**
+ * Finds a refund of the company that is still waiting for approval.
+ *
+ * @param {string} refundId - The `_id` of the refund.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The refund.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, REFUND_NOT_FOUND or REFUND_ALREADY_REVIEWED.
+ */
+const findPendingRefund = async (refundId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(refundId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const refund = await Refund.findOne({ _id: refundId, companyId });
+  if (!refund) {
+    throw new Error(ERROR_MESSAGES.REFUND_NOT_FOUND);
+  }
+  if (refund.status !== REFUND_STATUS.PENDING) {
+    throw new Error(ERROR_MESSAGES.REFUND_ALREADY_REVIEWED);
+  }
+  return refund;
+};
+
+/**
+ * Asks for part or all of a paid payment to be given back. The refund waits for a company
+ * admin to approve it, and the admins are notified. Refunds already waiting count against
+ * what is left to refund.
+ *
+ * @param {string} paymentId - The `_id` of the payment.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - Firebase UID of the staff member asking for it.
+ * @param {Object} params - The refund.
+ * @param {number} [params.amount] - The amount to give back; defaults to all that is left.
+ * @param {string} params.reason - One of REFUND_REASONS.
+ * @param {string} [params.note] - Why the refund is asked for.
+ * @returns {Promise<Object>} - The pending refund.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, PAYMENT_NOT_FOUND, PAYMENT_NOT_REFUNDABLE or
+ * REFUND_EXCEEDS_PAYMENT.
+ */
+export const requestRefund = async (
+  paymentId,
+  companyId,
+  userId,
+  { amount, reason, note }
+) => {
+  if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const payment = await Payment.findOne({ _id: paymentId, companyId });
+  if (!payment) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_NOT_FOUND);
+  }
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_NOT_REFUNDABLE);
+  }
+
+  const pending = await Refund.find(
+    {
+      payment: payment._id,
+      status: { $in: [REFUND_STATUS.PENDING, REFUND_STATUS.PROCESSING] },
+    },
+    { amount: 1 }
+  ).lean();
+  const refundable = roundAmount(
+    payment.amount -
+      (payment.refundedAmount || 0) -
+      pending.reduce((sum, refund) => sum + refund.amount, 0)
+  );
+  const refundAmount = roundAmount(amount ?? refundable);
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw new Error(ERROR_MESSAGES.REFUND_EXCEEDS_PAYMENT);
+  }
+
+  const refund = await Refund.create({
+    companyId,
+    payment: payment._id,
+    originalTransactionId: payment.transactionId,
+    amount: refundAmount,
+    // The refund gives back the same share of the payment's tax
+    ...allocateTax(payment.taxBreakdown, refundAmount, payment.amount),
+    reason,
+    note,
+    requestedBy: userId,
+  });
+
+  try {
+    await saveNotification({
+      companyId,
+      message: NOTIFICATION_MESSAGES.REFUND_REQUESTED,
+      type: NOTIFICATION_TYPES.PAYMENT,
+      details: {
+        refundId: refund._id,
+        paymentId: payment._id,
+        transactionId: payment.transactionId,
+        amount: refundAmount,
+        reason,
+      },
+      timestamp: new Date(),
+      isRead: false,
+    });
+  } catch (error) {
+    // The refund stays in the approval queue either way
+    console.error(ERROR_MESSAGES.FAILED_TO_SAVE_NOTIFICATION, error);
+  }
+
+  return refund;
+};
+
+/**
+ * Puts a refund that was claimed for approval back in the approval queue.
+ *
+ * @param {Object} refund - The claimed refund.
+ * @returns {Promise<void>}
+ */
+const releaseRefund = (refund) =>
+  Refund.updateOne(
+    { _id: refund._id, status: REFUND_STATUS.PROCESSING },
+    {
+      $set: { status: REFUND_STATUS.PENDING },
+      $unset: { reviewedBy: 1, reviewedAt: 1, reviewNote: 1 },
+    }
+  );
+
+/**
+ * Claims a pending refund for approval and gives the money back through the payment's
+ * gateway. The claim comes first, so that two admins cannot both send it; the refund goes
+ * back to pending when it no longer fits the payment or the gateway declines it.
+ *
+ * @param {Object} pending - The pending refund.
+ * @param {string} adminUserId - The `_id` of the approving admin.
+ * @param {string} [note] - The admin's note.
+ * @returns {Promise<Object>} - The claimed refund, with its gateway refund ID.
+ * @throws {Error} - Throws REFUND_ALREADY_REVIEWED, REFUND_EXCEEDS_PAYMENT or
+ * PAYMENT_GATEWAY_ERROR.
+ */
+const claimAndSendRefund = async (pending, adminUserId, note) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: pending._id, status: REFUND_STATUS.PENDING },
+    {
+      $set: {
+        status: REFUND_STATUS.PROCESSING,
+        reviewedBy: adminUserId,
+        reviewedAt: new Date(),
+        reviewNote: note,
+      },
+    },
+    { new: true }
+  );
+  if (!refund) {
+    throw new Error(ERROR_MESSAGES.REFUND_ALREADY_REVIEWED);
+  }
+
+  try {
+    const original = await Payment.findById(refund.payment);
+    if (
+      !REFUNDABLE_STATUSES.includes(original.status) ||
+      roundAmount((original.refundedAmount || 0) + refund.amount) >
+        original.amount
+    ) {
+      throw new Error(ERROR_MESSAGES.REFUND_EXCEEDS_PAYMENT);
+    }
+    refund.gatewayRefundId = await refundGatewayPayment(original, refund);
+  } catch (error) {
+    await releaseRefund(refund);
+    throw error;
+  }
+
+  if (!refund.gatewayRefundId) {
+    return refund;
+  }
+  // Kept straight away: from here on the money has left and the refund is never sent again
+  return Refund.findByIdAndUpdate(
+    refund._id,
+    { $set: { gatewayRefundId: refund.gatewayRefundId } },
+    { new: true }
+  );
+};
+
+/**
+ * Approves a pending refund and records it against its payment, which becomes partially
+ * refunded, or refunded once nothing is left. The refund gets its own transaction ID and
+ * keeps the payment's as `originalTransactionId`. Payments made online are refunded through
+ * their gateway first; if the gateway declines, the refund stays pending. A refund the
+ * gateway already paid out but that could not be recorded stays processing, and approving
+ * it again only records it.
+ *
+ * @param {string} refundId - The `_id` of the refund.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} adminUserId - The `_id` of the approving admin.
+ * @param {Object} [params] - The review.
+ * @param {string} [params.note] - The admin's note.
+ * @returns {Promise<{refund: Object, payment: Object}>} - The completed refund and the payment.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, REFUND_NOT_FOUND, REFUND_ALREADY_REVIEWED,
+ * REFUND_EXCEEDS_PAYMENT or PAYMENT_GATEWAY_ERROR.
+ */
+export const approveRefund = async (
+  refundId,
+  companyId,
+  adminUserId,
+  { note } = {}
+) => {
+  if (!mongoose.Types.ObjectId.isValid(refundId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+  const found = await Refund.findOne({ _id: refundId, companyId });
+  if (!found) {
+    throw new Error(ERROR_MESSAGES.REFUND_NOT_FOUND);
+  }
+
+  let claimed;
+  if (found.status === REFUND_STATUS.PENDING) {
+    claimed = await claimAndSendRefund(found, adminUserId, note);
+  } else if (
+    found.status === REFUND_STATUS.PROCESSING &&
+    found.gatewayRefundId
+  ) {
+    claimed = found;
+  } else {
+    throw new Error(ERROR_MESSAGES.REFUND_ALREADY_REVIEWED);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    const transactionId = await generateNextTransactionId(companyId);
+    const now = new Date();
+    session.startTransaction();
+
+    // Only one approval records the refund
+    const refund = await Refund.findOneAndUpdate(
+      { _id: claimed._id, status: REFUND_STATUS.PROCESSING },
+      {
+        $set: {
+          status: REFUND_STATUS.COMPLETED,
+          transactionId,
+          refundedAt: now,
+        },
+      },
+      { new: true, session }
+    );
+    if (!refund) {
+      throw new Error(ERROR_MESSAGES.REFUND_ALREADY_REVIEWED);
+    }
+
+    // Only records the refund while it fits what is left on the payment
+    const refunded = {
+      $round: [
+        { $add: [{ $ifNull: ["$refundedAmount", 0] }, refund.amount] },
+        2,
+      ],
+    };
+    const payment = await Payment.findOneAndUpdate(
+      {
+        _id: refund.payment,
+        companyId,
+        status: { $in: REFUNDABLE_STATUSES },
+        $expr: { $lte: [refunded, "$amount"] },
+      },
+      [
+        { $set: { refundedAmount: refunded } },
+        {
+          $set: {
+            status: {
+              $cond: [
+                { $gte: ["$refundedAmount", "$amount"] },
+                PAYMENT_STATUS.REFUNDED,
+                PAYMENT_STATUS.PARTIALLY_REFUNDED,
+              ],
+            },
+          },
+        },
+      ],
+      { new: true, session }
+    );
+    if (!payment) {
+      throw new Error(ERROR_MESSAGES.REFUND_EXCEEDS_PAYMENT);
+    }
+
+    await session.commitTransaction();
+    return { refund, payment };
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    // Nothing left the salon yet, so the refund can be reviewed again
+    if (!claimed.gatewayRefundId) {
+      await releaseRefund(claimed);
+    } else {
+      console.error(ERROR_MESSAGES.FAILED_RECORDING_REFUND, error);
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Rejects a pending refund; its payment is left as it is.
+ *
+ * @param {string} refundId - The `_id` of the refund.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} adminUserId - The `_id` of the rejecting admin.
+ * @param {Object} [params] - The review.
+ * @param {string} [params.note] - Why the refund was rejected.
+ * @returns {Promise<Object>} - The rejected refund.
+ * @throws {Error} - Throws INVALID_ID_FORMAT, REFUND_NOT_FOUND or REFUND_ALREADY_REVIEWED.
+ */
+export const rejectRefund = async (
+  refundId,
+  companyId,
+  adminUserId,
+  { note } = {}
+) => {
+  const pending = await findPendingRefund(refundId, companyId);
+  const refund = await Refund.findOneAndUpdate(
+    { _id: pending._id, status: REFUND_STATUS.PENDING },
+    {
+      $set: {
+        status: REFUND_STATUS.REJECTED,
+        reviewedBy: adminUserId,
+        reviewedAt: new Date(),
+        reviewNote: note,
+      },
+    },
+    { new: true }
+  );
+  if (!refund) {
+    throw new Error(ERROR_MESSAGES.REFUND_ALREADY_REVIEWED);
+  }
+  return refund;
+};
+
+/**
+ * Lists the refunds of a payment, newest first, with what is left to refund.
+ *
+ * @param {string} paymentId - The `_id` of the payment.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The payment's `transactionId`, `amount`, `refundedAmount`,
+ * `netAmount` and `refunds`.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or PAYMENT_NOT_FOUND.
+ */
+export const listPaymentRefunds = async (paymentId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const payment = await Payment.findOne(
+    { _id: paymentId, companyId },
+    { transactionId: 1, amount: 1, refundedAmount: 1, status: 1 }
+  ).lean();
+  if (!payment) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_NOT_FOUND);
+  }
+
+  const refunds = await Refund.find({ payment: payment._id })
+    .sort({ createdAt: -1 })
+    .lean();
+  const refundedAmount = payment.refundedAmount || 0;
+  return {
+    transactionId: payment.transactionId,
+    status: payment.status,
+    amount: payment.amount,
+    refundedAmount,
+    netAmount: roundAmount(payment.amount - refundedAmount),
+    refunds,
+  };
+};
+
+/**
+ * Lists the refunds of a company in one status, newest first; by default the refunds
+ * waiting for approval.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} [params] - The filter.
+ * @param {string} [params.status] - One of REFUND_STATUS.
+ * @returns {Promise<Array<Object>>} - The refunds with their payment's type and amounts.
+ */
+export const listRefunds = async (
+  companyId,
+  { status = REFUND_STATUS.PENDING } = {}
+) =>
+  Refund.find({ companyId, status })
+    .populate("payment", "transactionId type amount refundedAmount status")
+    .sort({ createdAt: -1 })
+    .lean();
@@ -0,0 +1,224 @@
+import moment from "moment-timezone";
+import {
+  APPOINTMENT_STATUS,
+  CLIENT,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  NOTIFICATION_MESSAGES,
+  NOTIFICATION_TYPES,
+  SERVICE,
+  STYLIST,
+  TIME_FORMAT,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import Company from "../models/Company.js";
+import { getAppointmentLineItems } from "../utils/lineItems.js";
+import { getCompanySettings } from "./company.js";
+import { sendAppointmentReminderEmail } from "./email.js";
+import { saveNotification } from "./notification.js";
+
+/**
+ * Picks the reminder to send now for an appointment: the due reminder closest to its start.
+ * Reminders further from the start are skipped once a closer one is due, so an appointment
+ * booked at short notice gets a single reminder rather than all of them at once.
+ *
+ * @param {Object} appointment - The appointment, with its `date` and `remindersSent`.
+ * @param {Array<Object>} reminders - The company's reminders.
+ * @param {Date} now - The current time.
+ * @returns {Object|null} - The reminder to send, or null if none is due or it was already sent.
+ */
+export const pickDueReminder = (appointment, reminders, now) => {
+  const minutesLeft = (appointment.date - now) / 60000;
+  if (minutesLeft <= 0) {
+    return null;
+  }
+
+  const [reminder] = reminders
+    .filter((item) => item.minutesBefore >= minutesLeft)
+    .sort((a, b) => a.minutesBefore - b.minutesBefore);
+  if (!reminder) {
+    return null;
+  }
+
+  // Sent for another start time means the appointment was rescheduled since
+  const alreadySent = (appointment.remindersSent || []).some(
+    (sent) =>
+      sent.minutesBefore === reminder.minutesBefore &&
+      sent.appointmentDate.getTime() === appointment.date.getTime()
+  );
+  return alreadySent ? null : reminder;
+};
+
+/**
+ * Records a reminder as sent, unless another run already did.
+ * Done before sending so that a restart or a second server never sends it twice.
+ *
+ * @param {Object} appointment - The appointment.
+ * @param {Object} reminder - The reminder about to be sent.
+ * @param {Date} now - The current time.
+ * @returns {Promise<boolean>} - True if this run should send the reminder.
+ */
+const claimReminder = async (appointment, reminder, now) => {
+  const { modifiedCount } = await Appointment.updateOne(
+    {
+      _id: appointment._id,
+      date: appointment.date,
+      appointmentStatus: APPOINTMENT_STATUS.UPCOMING,
+      remindersSent: {
+        $not: {
+          $elemMatch: {
+            minutesBefore: reminder.minutesBefore,
+            appointmentDate: appointment.date,
+          },
+        },
+      },
+    },
+    {
+      $push: {
+        remindersSent: {
+          minutesBefore: reminder.minutesBefore,
+          appointmentDate: appointment.date,
+          sentAt: now,
+        },
+      },
+    }
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * Lists the distinct names found on an appointment's line items, e.g. its services.
+ *
+ * @param {Array<Object>} lineItems - The line items with the field populated.
+ * @param {string} field - The populated field, e.g. `service`.
+ * @param {string} name - The name property of the populated document.
+ * @returns {string} - The names, comma separated.
+ */
+const joinNames = (lineItems, field, name) => {
+  const names = lineItems.map((item) => item[field]?.[name]).filter(Boolean);
+  return [...new Set(names)].join(", ");
+};
+
+/**
+ * Emails the client and notifies the salon's staff, as the reminder asks.
+ * Errors are logged so that one failed reminder does not stop the others.
+ *
+ * @param {Object} appointment - The appointment with its client, services and stylists populated.
+ * @param {Object} reminder - The reminder to send.
+ * @param {Object} company - The company's `_id`, `name` and `timeZone`.
+ * @returns {Promise<void>}
+ */
+const sendReminder = async (appointment, reminder, company) => {
+  const lineItems = getAppointmentLineItems(appointment);
+  const start = moment(appointment.date).tz(company.timeZone);
+  const values = {
+    clientName: appointment.client?.name,
+    companyName: company.name,
+    serviceName: joinNames(lineItems, SERVICE.COLLECTION, SERVICE.FIELD),
+    stylistName: joinNames(
+      lineItems,
+      STYLIST.COLLECTION,
+      STYLIST.EMPLOYEE_NAME
+    ),
+    date: start.format(MOMENT_DATE_FORMAT),
+    time: start.format(TIME_FORMAT),
+  };
+
+  try {
+    if (reminder.sendEmail && appointment.client?.email) {
+      await sendAppointmentReminderEmail(
+        appointment.client.email,
+        reminder,
+        values
+      );
+    }
+
+    if (reminder.sendInApp) {
+      await saveNotification({
+        companyId: company._id,
+        message: NOTIFICATION_MESSAGES.APPOINTMENT_REMINDER_SENT,
+        type: NOTIFICATION_TYPES.APPOINTMENT,
+        details: {
+          appointmentId: appointment._id,
+          clientName: values.clientName,
+          appointmentDate: values.date,
+          time: values.time,
+          minutesBefore: reminder.minutesBefore,
+        },
+        timestamp: new Date(),
+        isRead: false,
+      });
+    }
+  } catch (error) {
+    console.error(ERROR_MESSAGES.FAILED_SENDING_APPOINTMENT_REMINDER, error);
+  }
+};
+
+/**
+ * Sends the reminders due for the upcoming appointments of one company.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Date} now - The current time.
+ * @returns {Promise<number>} - The number of reminders sent.
+ */
+const sendCompanyReminders = async (companyId, now) => {
+  const { timeZone, reminderSettings } = await getCompanySettings(companyId);
+  const { isEnabled, reminders } = reminderSettings;
+  if (!isEnabled || reminders.length === 0) {
+    return 0;
+  }
+
+  const { name } = await Company.findById(companyId, { name: 1 }).lean();
+  const furthest = Math.max(...reminders.map((item) => item.minutesBefore));
+  const appointments = await Appointment.find({
+    companyId,
+    isTrashed: false,
+    appointmentStatus: APPOINTMENT_STATUS.UPCOMING,
+    date: { $gt: now, $lte: new Date(now.getTime() + furthest * 60000) },
+  })
+    .populate(CLIENT.FIELD, "name email")
+    .populate(SERVICE.COLLECTION, SERVICE.FIELD)
+    .populate(STYLIST.COLLECTION, STYLIST.EMPLOYEE_NAME)
+    .populate("lineItems.service", SERVICE.FIELD)
+    .populate("lineItems.stylistId", STYLIST.EMPLOYEE_NAME)
+    .lean();
+
+  let sent = 0;
+  for (const appointment of appointments) {
+    const reminder = pickDueReminder(appointment, reminders, now);
+    if (reminder && (await claimReminder(appointment, reminder, now))) {
+      await sendReminder(appointment, reminder, {
+        _id: companyId,
+        name,
+        timeZone,
+      });
+      sent += 1;
+    }
+  }
+  return sent;
+};
+
+/**
+ * Sends every appointment reminder that is due, for all companies.
+ * A company whose reminders fail is logged and skipped.
+ *
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<number>} - The number of reminders sent.
+ */
+export const sendDueReminders = async (now = new Date()) => {
+  const companyIds = await Appointment.distinct("companyId", {
+    isTrashed: false,
+    appointmentStatus: APPOINTMENT_STATUS.UPCOMING,
+    date: { $gt: now },
+  });
+
+  let sent = 0;
+  for (const companyId of companyIds) {
+    try {
+      sent += await sendCompanyReminders(companyId, now);
+    } catch (error) {
+      console.error(ERROR_MESSAGES.FAILED_SENDING_APPOINTMENT_REMINDERS, error);
+    }
+  }
+  return sent;
+};
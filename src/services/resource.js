@@ -0,0 +1,146 @@
+import mongoose from "mongoose";
+import { ERROR_MESSAGES } from "../constants.js";
+import Resource from "../models/Resource.js";
+import { Services } from "../models/Services.js";
+
+// Names are compared case-insensitively, "Laser" and "laser" are the same machine
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+/**
+ * Ensures no other active resource of the company has the given name.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {string} name - The name to check.
+ * @param {string} [resourceId] - The resource being renamed.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws RESOURCE_NAME_EXISTS.
+ */
+const assertNameAvailable = async (companyId, name, resourceId) => {
+  const existing = await Resource.findOne({
+    companyId,
+    name: name.trim(),
+    isTrashed: false,
+    ...(resourceId && { _id: { $ne: resourceId } }),
+  }).collation(NAME_COLLATION);
+  if (existing) {
+    throw new Error(ERROR_MESSAGES.RESOURCE_NAME_EXISTS);
+  }
+};
+
+/**
+ * Lists the company's resources, optionally of one type.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} filters - The optional `type` filter.
+ * @returns {Promise<Array<Object>>} - The resources, by name.
+ */
+export const listResources = (companyId, { type }) =>
+  Resource.find({ companyId, isTrashed: false, ...(type && { type }) })
+    .collation(NAME_COLLATION)
+    .sort({ name: 1 });
+
+/**
+ * Creates a resource.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} details - The validated `name`, `type`, `capacity` and `description`.
+ * @returns {Promise<Object>} - The new resource.
+ * @throws {Error} - Throws RESOURCE_NAME_EXISTS.
+ */
+export const createResource = async (companyId, details) => {
+  await assertNameAvailable(companyId, details.name);
+  return Resource.create({ ...details, companyId });
+};
+
+/**
+ * Finds an active resource of the company.
+ *
+ * @param {string} resourceId - The ID of the resource.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The resource.
+ * @throws {Error} - Throws INVALID_RESOURCE_ID or RESOURCE_NOT_FOUND.
+ */
+const findCompanyResource = async (resourceId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(resourceId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_RESOURCE_ID);
+  }
+
+  const resource = await Resource.findOne({
+    _id: resourceId,
+    companyId,
+    isTrashed: false,
+  });
+  if (!resource) {
+    throw new Error(ERROR_MESSAGES.RESOURCE_NOT_FOUND);
+  }
+  return resource;
+};
+
+/**
+ * Updates a resource. Lowering the capacity does not affect appointments already booked.
+ *
+ * @param {string} resourceId - The ID of the resource.
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} changes - The validated fields to change.
+ * @returns {Promise<Object>} - The updated resource.
+ * @throws {Error} - Throws INVALID_RESOURCE_ID, RESOURCE_NOT_FOUND or RESOURCE_NAME_EXISTS.
+ */
+export const updateResource = async (resourceId, companyId, changes) => {
+  const resource = await findCompanyResource(resourceId, companyId);
+  if (changes.name) {
+    await assertNameAvailable(companyId, changes.name, resource._id);
+  }
+
+  resource.set(changes);
+  return resource.save();
+};
+
+/**
+ * Soft deletes a resource and stops services from requiring it.
+ *
+ * @param {string} resourceId - The ID of the resource.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws INVALID_RESOURCE_ID or RESOURCE_NOT_FOUND.
+ */
+export const deleteResource = async (resourceId, companyId) => {
+  const resource = await findCompanyResource(resourceId, companyId);
+
+  resource.isTrashed = true;
+  await resource.save();
+  await Services.updateMany(
+    { companyId, requiredResources: resource._id },
+    { $pull: { requiredResources: resource._id } }
+  );
+};
+
+/**
+ * Checks the resources a service requires. Accepts an array of IDs or, from multipart
+ * forms, a comma separated string; an empty value clears the requirement.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<string>|string} resourceIds - The IDs of the resources.
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} - The IDs of the resources, without duplicates.
+ * @throws {Error} - Throws INVALID_RESOURCE_ID or RESOURCE_NOT_FOUND.
+ */
+export const resolveRequiredResources = async (companyId, resourceIds) => {
+  const values = Array.isArray(resourceIds)
+    ? resourceIds
+    : String(resourceIds).split(",");
+  const ids = [
+    ...new Set(values.map((id) => String(id).trim()).filter(Boolean)),
+  ];
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new Error(ERROR_MESSAGES.INVALID_RESOURCE_ID);
+  }
+
+  const count = await Resource.countDocuments({
+    _id: { $in: ids },
+    companyId,
+    isTrashed: false,
+  });
+  if (count !== ids.length) {
+    throw new Error(ERROR_MESSAGES.RESOURCE_NOT_FOUND);
+  }
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
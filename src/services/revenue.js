@@ -0,0 +1,764 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  COLLECTED_PAYMENT_STATUSES,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  PAYMENT_TYPES,
+  REPORT_INTERVALS,
+  REVENUE_GROUPS,
+  REVENUE_REPORT,
+  SALE_LINE_TYPES,
+  TENDER_METHODS,
+} from "../constants.js";
+import { Payment } from "../models/Payment.js";
+import { roundAmount } from "../utils/money.js";
+import { getCompanySettings } from "./company.js";
+
+// Kinds of revenue lines that are not services
+const LINE_KINDS = {
+  PRODUCT: SALE_LINE_TYPES.PRODUCT,
+  TIP: "tip",
+  FEE: "fee",
+};
+
+/**
+ * Works out how much a figure changed against the prior period.
+ *
+ * @param {number} current - The figure for the range.
+ * @param {number} previous - The figure for the prior period.
+ * @returns {number|null} - The change in percent, or null when there is nothing to compare to.
+ */
+const percentChange = (current, previous) =>
+  previous
+    ? roundAmount(((current - previous) / Math.abs(previous)) * 100)
+    : null;
+
+/**
+ * Sums the money of the payments in a group, each scaled by the share of it the group gets.
+ *
+ * @param {number|string} share - 1, or the field holding the share.
+ * @returns {Object} - The `$group` accumulators.
+ */
+const sumAmounts = (share) => ({
+  collected: { $sum: { $multiply: ["$amount", share] } },
+  refunded: { $sum: { $multiply: ["$refunded", share] } },
+  tax: { $sum: { $multiply: ["$tax", share] } },
+});
+
+/**
+ * Lists what each payment paid for, with `service`, `stylistId`, `name`, `category` and
+ * `kind` where known, and a `weight` to share the payment by: the lines and tips of a
+ * checkout sale, the items of a stock order, the services of an appointment, or the
+ * appointment a fee was charged on.
+ * @type {Array<Object>}
+ */
+const PAID_FOR_STAGES = [
+  {
+    $lookup: {
+      from: "appointments",
+      localField: "appointmentId",
+      foreignField: "_id",
+      as: "appointment",
+    },
+  },
+  {
+    $lookup: {
+      from: "sales",
+      localField: "saleId",
+      foreignField: "_id",
+      as: "sale",
+    },
+  },
+  {
+    $lookup: {
+      from: "orders",
+      localField: "orderId",
+      foreignField: "_id",
+      as: "order",
+    },
+  },
+  {
+    $set: {
+      appointment: { $first: "$appointment" },
+      sale: { $first: "$sale" },
+      order: { $first: "$order" },
+    },
+  },
+  {
+    $set: {
+      lines: {
+        $switch: {
+          branches: [
+            {
+              case: { $eq: ["$type", PAYMENT_TYPES.SALE] },
+              then: {
+                $concatArrays: [
+                  {
+                    $map: {
+                      input: { $ifNull: ["$sale.lines", []] },
+                      as: "line",
+                      in: {
+                        service: "$$line.service",
+                        stylistId: "$$line.stylistId",
+                        name: "$$line.name",
+                        kind: "$$line.type",
+                        weight: "$$line.amount",
+                      },
+                    },
+                  },
+                  {
+                    $map: {
+                      input: { $ifNull: ["$sale.tips", []] },
+                      as: "tip",
+                      in: {
+                        stylistId: "$$tip.stylistId",
+                        name: REVENUE_REPORT.TIPS_LABEL,
+                        kind: LINE_KINDS.TIP,
+                        weight: "$$tip.amount",
+                      },
+                    },
+                  },
+                ],
+              },
+            },
+            {
+              case: { $eq: ["$type", PAYMENT_TYPES.ORDER] },
+              then: {
+                $map: {
+                  input: { $ifNull: ["$order.items", []] },
+                  as: "item",
+                  in: {
+                    name: "$$item.productName",
+                    category: "$$item.category",
+                    kind: LINE_KINDS.PRODUCT,
+                    weight: "$$item.totalPrice",
+                  },
+                },
+              },
+            },
+            {
+              case: {
+                $in: [
+                  "$type",
+                  [PAYMENT_TYPES.APPOINTMENT, PAYMENT_TYPES.DEPOSIT],
+                ],
+              },
+              then: {
+                // Appointments booked before line items have a single service
+                $cond: [
+                  {
+                    $gt: [
+                      { $size: { $ifNull: ["$appointment.lineItems", []] } },
+                      0,
+                    ],
+                  },
+                  {
+                    $map: {
+                      input: "$appointment.lineItems",
+                      as: "item",
+                      in: {
+                        service: "$$item.service",
+                        stylistId: "$$item.stylistId",
+                        weight: "$$item.price",
+                      },
+                    },
+                  },
+                  [
+                    {
+                      service: "$appointment.service",
+                      stylistId: "$appointment.stylistId",
+                    },
+                  ],
+                ],
+              },
+            },
+          ],
+          // Late cancellation and no-show fees
+          default: [
+            {
+              stylistId: "$appointment.stylistId",
+              name: "$type",
+              kind: LINE_KINDS.FEE,
+            },
+          ],
+        },
+      },
+    },
+  },
+];
+
+/**
+ * Lists how each payment was paid, with a `weight` to share the payment by: the tenders of
+ * a checkout sale less the change handed back, or the gateway for online payments.
+ * @type {Array<Object>}
+ */
+const PAID_BY_STAGES = [
+  {
+    $lookup: {
+      from: "sales",
+      localField: "saleId",
+      foreignField: "_id",
+      as: "sale",
+    },
+  },
+  { $set: { sale: { $first: "$sale" } } },
+  {
+    $set: {
+      lines: {
+        $cond: [
+          { $eq: ["$type", PAYMENT_TYPES.SALE] },
+          {
+            $concatArrays: [
+              {
+                $map: {
+                  input: { $ifNull: ["$sale.tenders", []] },
+                  as: "tender",
+                  in: { key: "$$tender.method", weight: "$$tender.amount" },
+                },
+              },
+              {
+                $cond: [
+                  { $gt: ["$sale.change", 0] },
+                  [
+                    {
+                      key: TENDER_METHODS.CASH,
+                      weight: { $multiply: ["$sale.change", -1] },
+                    },
+                  ],
+                  [],
+                ],
+              },
+            ],
+          },
+          [
+            {
+              key: {
+                $cond: [
+                  { $ifNull: ["$gateway.provider", false] },
+                  REVENUE_REPORT.ONLINE_METHOD,
+                  REVENUE_REPORT.UNRECORDED_METHOD,
+                ],
+              },
+            },
+          ],
+        ],
+      },
+    },
+  },
+];
+
+/**
+ * Splits each payment into one document per line, with the `share` of the payment the line
+ * gets by its weight; lines without weights share the payment equally.
+ * @type {Array<Object>}
+ */
+const SHARE_STAGES = [
+  {
+    $set: {
+      lines: {
+        $cond: [
+          { $gt: [{ $size: "$lines" }, 0] },
+          "$lines",
+          { $literal: [{}] },
+        ],
+      },
+    },
+  },
+  {
+    $set: {
+      weightTotal: { $sum: "$lines.weight" },
+      lineCount: { $size: "$lines" },
+    },
+  },
+  { $unwind: "$lines" },
+  {
+    $set: {
+      share: {
+        $cond: [
+          { $gt: ["$weightTotal", 0] },
+          { $divide: [{ $ifNull: ["$lines.weight", 0] }, "$weightTotal"] },
+          { $divide: [1, "$lineCount"] },
+        ],
+      },
+    },
+  },
+];
+
+/**
+ * Finds a document's name in another collection by the group's key.
+ *
+ * @param {string} from - The collection.
+ * @returns {Object} - The `$lookup` stage, into `match`.
+ */
+const lookupByKey = (from) => ({
+  $lookup: { from, localField: "_id.key", foreignField: "_id", as: "match" },
+});
+
+// Per grouping: the stages that key each line, and those that name each group
+const GROUPINGS = {
+  [REVENUE_GROUPS.SERVICE]: {
+    keyStages: [
+      ...PAID_FOR_STAGES,
+      ...SHARE_STAGES,
+      {
+        $set: {
+          key: { $ifNull: ["$lines.service", "$lines.name"] },
+          name: "$lines.name",
+        },
+      },
+    ],
+    nameStages: [
+      lookupByKey("services"),
+      {
+        $set: {
+          name: {
+            $ifNull: [
+              "$name",
+              { $first: "$match.serviceName" },
+              { $toString: "$_id.key" },
+            ],
+          },
+        },
+      },
+    ],
+  },
+  [REVENUE_GROUPS.CATEGORY]: {
+    keyStages: [
+      ...PAID_FOR_STAGES,
+      ...SHARE_STAGES,
+      {
+        $lookup: {
+          from: "services",
+          localField: "lines.service",
+          foreignField: "_id",
+          as: "service",
+        },
+      },
+      {
+        $set: {
+          key: {
+            $ifNull: [
+              { $first: "$service.category" },
+              "$lines.category",
+              {
+                $switch: {
+                  branches: [
+                    {
+                      case: { $eq: ["$lines.kind", LINE_KINDS.PRODUCT] },
+                      then: REVENUE_REPORT.RETAIL_LABEL,
+                    },
+                    {
+                      case: { $eq: ["$lines.kind", LINE_KINDS.TIP] },
+                      then: REVENUE_REPORT.TIPS_LABEL,
+                    },
+                    {
+                      case: { $eq: ["$lines.kind", LINE_KINDS.FEE] },
+                      then: REVENUE_REPORT.FEES_LABEL,
+                    },
+                  ],
+                  default: REVENUE_REPORT.UNCATEGORIZED_LABEL,
+                },
+              },
+            ],
+          },
+        },
+      },
+    ],
+    nameStages: [
+      lookupByKey("categories"),
+      {
+        $set: {
+          name: { $ifNull: [{ $first: "$match.name" }, "$_id.key"] },
+        },
+      },
+    ],
+  },
+  [REVENUE_GROUPS.STYLIST]: {
+    keyStages: [
+      ...PAID_FOR_STAGES,
+      ...SHARE_STAGES,
+      { $set: { key: { $ifNull: ["$lines.stylistId", null] } } },
+    ],
+    nameStages: [
+      lookupByKey("employees"),
+      {
+        $set: {
+          name: {
+            $ifNull: [
+              { $first: "$match.employeeName" },
+              REVENUE_REPORT.UNASSIGNED_LABEL,
+            ],
+          },
+        },
+      },
+    ],
+  },
+  [REVENUE_GROUPS.PAYMENT_METHOD]: {
+    keyStages: [
+      ...PAID_BY_STAGES,
+      ...SHARE_STAGES,
+      { $set: { key: "$lines.key" } },
+    ],
+    nameStages: [{ $set: { name: "$_id.key" } }],
+  },
+};
+
+/**
+ * Turns summed money into the figures of the report. Revenue is what was collected, less
+ * refunds and the tax collected for the authorities.
+ *
+ * @param {Object} sums - The summed `collected`, `refunded` and `tax`.
+ * @returns {Object} - The `collected`, `refunded`, `net`, `tax` and `revenue`.
+ */
+const toFigures = ({ collected, refunded, tax }) => ({
+  collected: roundAmount(collected),
+  refunded: roundAmount(refunded),
+  net: roundAmount(collected - refunded),
+  tax: roundAmount(tax),
+  revenue: roundAmount(collected - refunded - tax),
+});
+
+/**
+ * Picks the payments a company collected over a range of time, with the `refunded` amount
+ * and the `tax` kept of each.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} range - The `start` and `end` dates.
+ * @returns {Array<Object>} - The pipeline stages.
+ */
+const collectedPaymentStages = (companyId, { start, end }) => [
+  {
+    $match: {
+      companyId: new mongoose.Types.ObjectId(companyId),
+      status: { $in: COLLECTED_PAYMENT_STATUSES },
+      dateAndTime: { $gte: start, $lte: end },
+    },
+  },
+  {
+    $set: {
+      refunded: { $ifNull: ["$refundedAmount", 0] },
+      // Refunds give back their share of the tax
+      tax: {
+        $cond: [
+          { $gt: ["$amount", 0] },
+          {
+            $multiply: [
+              { $ifNull: ["$taxAmount", 0] },
+              {
+                $divide: [
+                  {
+                    $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }],
+                  },
+                  "$amount",
+                ],
+              },
+            ],
+          },
+          0,
+        ],
+      },
+    },
+  },
+];
+
+/**
+ * Sums the collected payments of a company over a range of time per period, and per
+ * period and group when grouped.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} range - The `start` and `end` dates.
+ * @param {Object} params - The breakdown.
+ * @param {string} params.interval - One of REPORT_INTERVALS.
+ * @param {string} params.timeZone - The company's timezone.
+ * @param {string} [params.groupBy] - One of REVENUE_GROUPS.
+ * @returns {Promise<{periods: Array<Object>, groups: Array<Object>}>} - The sums.
+ */
+const sumRevenue = async (
+  companyId,
+  range,
+  { interval, timeZone, groupBy }
+) => {
+  const grouping = GROUPINGS[groupBy];
+  const [result] = await Payment.aggregate([
+    ...collectedPaymentStages(companyId, range),
+    {
+      $set: {
+        period: {
+          $dateTrunc: {
+            date: "$dateAndTime",
+            unit: interval,
+            timezone: timeZone,
+            startOfWeek: "monday",
+          },
+        },
+      },
+    },
+    {
+      $facet: {
+        periods: [
+          {
+            $group: {
+              _id: "$period",
+              ...sumAmounts(1),
+              payments: { $sum: 1 },
+            },
+          },
+        ],
+        ...(grouping && {
+          groups: [
+            ...grouping.keyStages,
+            {
+              $group: {
+                _id: { period: "$period", key: "$key" },
+                name: { $first: "$name" },
+                ...sumAmounts("$share"),
+                payments: { $addToSet: "$_id" },
+              },
+            },
+            ...grouping.nameStages,
+            { $project: { match: 0 } },
+          ],
+        }),
+      },
+    },
+  ]);
+  return { periods: result.periods, groups: result.groups || [] };
+};
+
+/**
+ * Sums the revenue each stylist brought in over a range of time, from the payments the
+ * company collected: their share of the services they performed and of fees, and the tips
+ * left for them, apart.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} range - The `start` and `end` dates.
+ * @returns {Promise<Map<string, {revenue: number, tips: number}>>} - The revenue and tips
+ * per employee `_id`.
+ */
+export const sumRevenueByStylist = async (companyId, range) => {
+  const sums = await Payment.aggregate([
+    ...collectedPaymentStages(companyId, range),
+    ...PAID_FOR_STAGES,
+    ...SHARE_STAGES,
+    { $match: { "lines.stylistId": { $ne: null } } },
+    {
+      $group: {
+        _id: {
+          stylistId: "$lines.stylistId",
+          isTip: { $eq: ["$lines.kind", LINE_KINDS.TIP] },
+        },
+        ...sumAmounts("$share"),
+      },
+    },
+  ]);
+
+  const byStylist = new Map();
+  sums.forEach(({ _id, ...amounts }) => {
+    const key = String(_id.stylistId);
+    const entry = byStylist.get(key) || { revenue: 0, tips: 0 };
+    entry[_id.isTip ? "tips" : "revenue"] = toFigures(amounts).revenue;
+    byStylist.set(key, entry);
+  });
+  return byStylist;
+};
+
+/**
+ * Adds up the groups of every period, keyed by group.
+ *
+ * @param {Array<Object>} groups - The sums per period and group.
+ * @returns {Map<string, Object>} - The `key`, `name`, sums and payment IDs of each group.
+ */
+const mergeGroups = (groups) => {
+  const merged = new Map();
+  groups.forEach(({ _id, name, collected, refunded, tax, payments }) => {
+    const key = String(_id.key);
+    const entry = merged.get(key) || {
+      key: _id.key === null ? null : key,
+      name,
+      collected: 0,
+      refunded: 0,
+      tax: 0,
+      payments: new Set(),
+    };
+    entry.collected += collected;
+    entry.refunded += refunded;
+    entry.tax += tax;
+    payments.forEach((id) => entry.payments.add(String(id)));
+    merged.set(key, entry);
+  });
+  return merged;
+};
+
+/**
+ * Orders groups by revenue, highest first, then by name.
+ *
+ * @param {Object} a - A group.
+ * @param {Object} b - Another group.
+ * @returns {number} - The sort order.
+ */
+const byRevenue = (a, b) =>
+  b.revenue - a.revenue || String(a.name).localeCompare(String(b.name));
+
+/**
+ * Builds the revenue of a company over a range of days from the payments it collected:
+ * per period, and per service, category, stylist or payment method when grouped, with the
+ * same figures for the prior period of the same length to compare against. A payment for
+ * several things is shared between them by their prices. Periods follow the company's
+ * timezone.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} params - The range and breakdown.
+ * @param {string} params.from - First day in `YYYY-MM-DD`.
+ * @param {string} params.to - Last day (inclusive) in `YYYY-MM-DD`.
+ * @param {string} [params.interval] - One of REPORT_INTERVALS; defaults to days.
+ * @param {string} [params.groupBy] - One of REVENUE_GROUPS.
+ * @param {boolean} [params.compare=true] - Whether to compare with the prior period.
+ * @returns {Promise<Object>} - The range, timezone, interval, periods, groups and totals,
+ * and the prior period with the change against it in percent.
+ * @throws {Error} - Throws INVALID_DATE_FORMAT, REVENUE_REPORT_RANGE_TOO_LONG,
+ * INVALID_REPORT_INTERVAL or INVALID_REVENUE_GROUP.
+ */
+export const getRevenueReport = async (
+  companyId,
+  { from, to, interval = REPORT_INTERVALS.DAY, groupBy, compare = true }
+) => {
+  const fromDay = moment(from, MOMENT_DATE_FORMAT, true);
+  const toDay = moment(to, MOMENT_DATE_FORMAT, true);
+
+  if (!fromDay.isValid() || !toDay.isValid() || toDay.isBefore(fromDay)) {
+    throw new Error(ERROR_MESSAGES.INVALID_DATE_FORMAT);
+  }
+  const days = toDay.diff(fromDay, "days") + 1;
+  if (days > REVENUE_REPORT.MAX_RANGE_DAYS) {
+    throw new Error(ERROR_MESSAGES.REVENUE_REPORT_RANGE_TOO_LONG);
+  }
+  if (!Object.values(REPORT_INTERVALS).includes(interval)) {
+    throw new Error(ERROR_MESSAGES.INVALID_REPORT_INTERVAL);
+  }
+  if (groupBy && !Object.values(REVENUE_GROUPS).includes(groupBy)) {
+    throw new Error(ERROR_MESSAGES.INVALID_REVENUE_GROUP);
+  }
+
+  const { timeZone } = await getCompanySettings(companyId);
+  const toRange = (first, last) => ({
+    start: moment.tz(first, MOMENT_DATE_FORMAT, timeZone).toDate(),
+    end: moment.tz(last, MOMENT_DATE_FORMAT, timeZone).endOf("day").toDate(),
+  });
+  const breakdown = { interval, timeZone, groupBy };
+  const current = await sumRevenue(companyId, toRange(from, to), breakdown);
+
+  const periods = current.periods
+    .map(({ _id, payments, ...sums }) => ({
+      period: moment(_id).tz(timeZone).format(MOMENT_DATE_FORMAT),
+      ...toFigures(sums),
+      payments,
+      ...(groupBy && { groups: [] }),
+    }))
+    .sort((a, b) => a.period.localeCompare(b.period));
+  const periodsByKey = new Map(periods.map((item) => [item.period, item]));
+  current.groups.forEach(({ _id, name, payments, ...sums }) => {
+    const key = moment(_id.period).tz(timeZone).format(MOMENT_DATE_FORMAT);
+    periodsByKey.get(key)?.groups.push({
+      key: _id.key,
+      name,
+      ...toFigures(sums),
+      payments: payments.length,
+    });
+  });
+  periods.forEach((item) => item.groups?.sort(byRevenue));
+
+  const totals = {
+    ...toFigures({
+      collected: periods.reduce((sum, item) => sum + item.collected, 0),
+      refunded: periods.reduce((sum, item) => sum + item.refunded, 0),
+      tax: periods.reduce((sum, item) => sum + item.tax, 0),
+    }),
+    payments: periods.reduce((sum, item) => sum + item.payments, 0),
+  };
+  const report = { from, to, timeZone, interval, groupBy: groupBy || null };
+  const groups = [...mergeGroups(current.groups).values()].map(
+    ({ key, name, payments, ...sums }) => ({
+      key,
+      name,
+      ...toFigures(sums),
+      payments: payments.size,
+    })
+  );
+
+  if (!compare) {
+    return {
+      ...report,
+      periods,
+      ...(groupBy && { groups: groups.sort(byRevenue) }),
+      totals,
+    };
+  }
+
+  // The prior period has as many days, and ends the day before the range starts
+  const previousTo = fromDay.clone().subtract(1, "day");
+  const previousFrom = previousTo.clone().subtract(days - 1, "days");
+  const previous = await sumRevenue(
+    companyId,
+    toRange(
+      previousFrom.format(MOMENT_DATE_FORMAT),
+      previousTo.format(MOMENT_DATE_FORMAT)
+    ),
+    breakdown
+  );
+  const previousTotals = {
+    ...toFigures(
+      previous.periods.reduce(
+        (sum, item) => ({
+          collected: sum.collected + item.collected,
+          refunded: sum.refunded + item.refunded,
+          tax: sum.tax + item.tax,
+        }),
+        { collected: 0, refunded: 0, tax: 0 }
+      )
+    ),
+    payments: previous.periods.reduce((sum, item) => sum + item.payments, 0),
+  };
+
+  // Groups that only earned in the prior period are kept, to show what dropped off
+  const previousGroups = mergeGroups(previous.groups);
+  const compared = groups.map((group) => {
+    const before = previousGroups.get(String(group.key));
+    previousGroups.delete(String(group.key));
+    const previousRevenue = before ? toFigures(before).revenue : 0;
+    return {
+      ...group,
+      previousRevenue,
+      change: percentChange(group.revenue, previousRevenue),
+    };
+  });
+  previousGroups.forEach(({ key, name, ...sums }) => {
+    const previousRevenue = toFigures(sums).revenue;
+    compared.push({
+      key,
+      name,
+      ...toFigures({ collected: 0, refunded: 0, tax: 0 }),
+      payments: 0,
+      previousRevenue,
+      change: percentChange(0, previousRevenue),
+    });
+  });
+
+  return {
+    ...report,
+    periods,
+    ...(groupBy && { groups: compared.sort(byRevenue) }),
+    totals,
+    previous: {
+      from: previousFrom.format(MOMENT_DATE_FORMAT),
+      to: previousTo.format(MOMENT_DATE_FORMAT),
+      totals: previousTotals,
+    },
+    change: {
+      collected: percentChange(totals.collected, previousTotals.collected),
+      net: percentChange(totals.net, previousTotals.net),
+      revenue: percentChange(totals.revenue, previousTotals.revenue),
+      payments: percentChange(totals.payments, previousTotals.payments),
+    },
+  };
+};
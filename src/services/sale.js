@@ -0,0 +1,586 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  APPOINTMENT_STATUS,
+  DISCOUNT_TYPES,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  PAYMENT_STATUS,
+  PAYMENT_TYPES,
+  SALE_LINE_TYPES,
+  STOCK_STATUSES,
+  TENDER_METHODS,
+  TIME_FORMAT,
+  TIME_ZONE,
+} from "../constants.js";
+import { Appointment } from "../models/Appointments.js";
+import { Client } from "../models/Client.js";
+import Company from "../models/Company.js";
+import { Employee } from "../models/Employee.js";
+import { Payment } from "../models/Payment.js";
+import { Sale } from "../models/Sale.js";
+import { Services } from "../models/Services.js";
+import { Stocks } from "../models/Stocks.js";
+import {
+  generateNextSaleId,
+  generateNextTransactionId,
+} from "../utils/idGenerator.js";
+import {
+  getAppointmentLineItems,
+  getLineItemPrice,
+} from "../utils/lineItems.js";
+import { roundAmount } from "../utils/money.js";
+import { getCompanySettings } from "./company.js";
+import { allocateTax, computeTax } from "./tax.js";
+
+// Appointments that did not take place have nothing to bill
+const UNBILLABLE_STATUSES = [
+  APPOINTMENT_STATUS.CANCELLED,
+  APPOINTMENT_STATUS.NO_SHOW,
+];
+
+// Payments created at booking for what the client still owed; a sale replaces them
+const OPEN_APPOINTMENT_PAYMENT_TYPES = [
+  PAYMENT_TYPES.APPOINTMENT,
+  PAYMENT_TYPES.DEPOSIT,
+];
+
+/**
+ * Sums the `amount` of each item.
+ *
+ * @param {Array<Object>} items - Lines, tips or tenders.
+ * @returns {number} - The rounded sum.
+ */
+const sumAmounts = (items) =>
+  roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+/**
+ * Works out the status of a stock item from its quantity and expiry date.
+ *
+ * @param {Object} stock - The stock document.
+ * @param {Date} now - The current time.
+ * @returns {string} - One of STOCK_STATUSES.
+ */
+const getStockStatus = (stock, now) => {
+  if (stock.stockEXPDate < now) {
+    return STOCK_STATUSES.EXPIRED_STOCK;
+  }
+  if (stock.stockQuantity <= 0) {
+    return STOCK_STATUSES.OUT_OF_STOCK;
+  }
+  if (stock.stockQuantity <= stock.reorderQuantity) {
+    return STOCK_STATUSES.LOW_STOCK;
+  }
+  return STOCK_STATUSES.IN_STOCK;
+};
+
+/**
+ * Prices a sale: the discount comes off the subtotal, tax is worked out on what is left
+ * under each line's tax category, tips are added on top, and paid deposits are credited
+ * against the total. Tips are not taxed.
+ *
+ * @param {Object} ticket - The `lines`, company `taxSettings`, optional `discount`, `tips` and
+ * `depositApplied`.
+ * @returns {Object} - The `lines` with their `taxCategory` and `tax`, `subtotal`, `discount` with
+ * its `amount`, `taxPricingMode`, `tax`, `taxBreakdown`, `tipTotal`, `total`, credited
+ * `depositApplied` and `amountDue`.
+ */
+export const priceSale = ({
+  lines,
+  taxSettings,
+  discount,
+  tips = [],
+  depositApplied = 0,
+}) => {
+  const subtotal = sumAmounts(lines);
+
+  let discountAmount = 0;
+  if (discount?.type === DISCOUNT_TYPES.PERCENTAGE) {
+    discountAmount = roundAmount((subtotal * discount.value) / 100);
+  } else if (discount?.type === DISCOUNT_TYPES.FIXED) {
+    discountAmount = Math.min(discount.value, subtotal);
+  }
+
+  const taxes = computeTax(lines, taxSettings, discountAmount);
+  const tipTotal = sumAmounts(tips);
+  const total = roundAmount(taxes.total + tipTotal);
+  const credited = Math.min(depositApplied, total);
+
+  return {
+    lines: lines.map((line, index) => ({ ...line, ...taxes.items[index] })),
+    subtotal,
+    discount: discount ? { ...discount, amount: discountAmount } : undefined,
+    taxPricingMode: taxSettings.pricingMode,
+    tax: taxes.tax,
+    taxBreakdown: taxes.breakdown,
+    tipTotal,
+    total,
+    depositApplied: credited,
+    amountDue: roundAmount(total - credited),
+  };
+};
+
+/**
+ * Checks that the tenders pay the amount due and works out the change. Only cash can be
+ * overpaid; cards and wallets are charged exactly.
+ *
+ * @param {Array<Object>} tenders - The `method` and `amount` of each tender.
+ * @param {number} amountDue - What is left to pay.
+ * @returns {number} - The cash to hand back.
+ * @throws {Error} - Throws TENDERS_DO_NOT_COVER_TOTAL or CHANGE_EXCEEDS_CASH.
+ */
+export const settleTenders = (tenders, amountDue) => {
+  const tendered = sumAmounts(tenders);
+  if (tendered < amountDue) {
+    throw new Error(ERROR_MESSAGES.TENDERS_DO_NOT_COVER_TOTAL);
+  }
+
+  const change = roundAmount(tendered - amountDue);
+  const cash = sumAmounts(
+    tenders.filter((tender) => tender.method === TENDER_METHODS.CASH)
+  );
+  if (change > cash) {
+    throw new Error(ERROR_MESSAGES.CHANGE_EXCEEDS_CASH);
+  }
+  return change;
+};
+
+/**
+ * Adds up the tips left for the same stylist.
+ *
+ * @param {Array<Object>} tips - The `stylistId` and `amount` of each tip.
+ * @returns {Array<Object>} - One tip per stylist, without empty tips.
+ */
+const mergeTips = (tips) => {
+  const byStylist = new Map();
+  tips.forEach(({ stylistId, amount }) => {
+    byStylist.set(stylistId, (byStylist.get(stylistId) || 0) + amount);
+  });
+  return [...byStylist]
+    .map(([stylistId, amount]) => ({ stylistId, amount: roundAmount(amount) }))
+    .filter((tip) => tip.amount > 0);
+};
+
+/**
+ * Loads the appointments being checked out and turns their services into sale lines.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<string>} appointmentIds - The IDs of the appointments.
+ * @returns {Promise<Object>} - The `appointments`, their service `lines` and the paid `deposits`.
+ * @throws {Error} - Throws APPOINTMENT_NOT_FOUND, APPOINTMENT_NOT_BILLABLE,
+ * APPOINTMENT_ALREADY_PAID or APPOINTMENTS_OF_DIFFERENT_CLIENTS.
+ */
+const loadServiceLines = async (companyId, appointmentIds) => {
+  const ids = [...new Set(appointmentIds)];
+  const appointments = await Appointment.find({
+    _id: { $in: ids },
+    companyId,
+    isTrashed: false,
+  });
+  if (appointments.length !== ids.length) {
+    throw new Error(ERROR_MESSAGES.APPOINTMENT_NOT_FOUND);
+  }
+
+  appointments.forEach((appointment) => {
+    if (UNBILLABLE_STATUSES.includes(appointment.appointmentStatus)) {
+      throw new Error(ERROR_MESSAGES.APPOINTMENT_NOT_BILLABLE);
+    }
+    if (appointment.status === PAYMENT_STATUS.PAID) {
+      throw new Error(ERROR_MESSAGES.APPOINTMENT_ALREADY_PAID);
+    }
+  });
+  const clients = new Set(appointments.map((item) => String(item.client)));
+  if (clients.size > 1) {
+    throw new Error(ERROR_MESSAGES.APPOINTMENTS_OF_DIFFERENT_CLIENTS);
+  }
+
+  const items = appointments.flatMap((appointment) =>
+    getAppointmentLineItems(appointment).map((item) => ({
+      ...item,
+      appointment,
+    }))
+  );
+  const services = await Services.find(
+    { _id: { $in: items.map((item) => item.service) } },
+    { serviceName: 1, taxCategory: 1, price: 1 }
+  );
+  const servicesById = new Map(
+    services.map((service) => [String(service._id), service])
+  );
+
+  const lines = items.map(({ appointment, ...item }) => {
+    const { service, stylistId } = item;
+    const details = servicesById.get(String(service));
+    const unitPrice = getLineItemPrice(appointment, item, details?.price);
+    return {
+      type: SALE_LINE_TYPES.SERVICE,
+      name: details?.serviceName || "",
+      appointment: appointment._id,
+      service,
+      stylistId,
+      unitPrice,
+      quantity: 1,
+      amount: unitPrice,
+      taxCategory: details?.taxCategory,
+    };
+  });
+  const deposits = appointments
+    .filter((appointment) => appointment.deposit?.paidAt)
+    .reduce((sum, appointment) => sum + appointment.deposit.amount, 0);
+
+  return { appointments, lines, deposits };
+};
+
+/**
+ * Loads the products being sold and turns them into sale lines. Quantities of the same
+ * product sold by the same stylist are added up.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<Object>} products - The `stock` ID, `quantity` and optional seller
+ * `stylistId` of each product.
+ * @param {Date} now - The current time.
+ * @returns {Promise<Array<Object>>} - The product lines.
+ * @throws {Error} - Throws STOCK_NOT_FOUND, STOCK_EXPIRED or INSUFFICIENT_STOCK.
+ */
+const loadProductLines = async (companyId, products, now) => {
+  const quantities = new Map();
+  const sold = new Map();
+  products.forEach(({ stock, quantity, stylistId }) => {
+    quantities.set(stock, (quantities.get(stock) || 0) + quantity);
+    const key = `${stock}:${stylistId || ""}`;
+    const entry = sold.get(key) || { stock, stylistId, quantity: 0 };
+    entry.quantity += quantity;
+    sold.set(key, entry);
+  });
+
+  const stocks = await Stocks.find({
+    _id: { $in: [...quantities.keys()] },
+    companyId,
+    isTrashed: false,
+  });
+  if (stocks.length !== quantities.size) {
+    throw new Error(ERROR_MESSAGES.STOCK_NOT_FOUND);
+  }
+
+  const stocksById = new Map(
+    stocks.map((stock) => {
+      if (getStockStatus(stock, now) === STOCK_STATUSES.EXPIRED_STOCK) {
+        throw new Error(ERROR_MESSAGES.STOCK_EXPIRED);
+      }
+      if (stock.stockQuantity < quantities.get(String(stock._id))) {
+        throw new Error(ERROR_MESSAGES.INSUFFICIENT_STOCK);
+      }
+      return [String(stock._id), stock];
+    })
+  );
+
+  return [...sold.values()].map(({ stock: stockId, stylistId, quantity }) => {
+    const stock = stocksById.get(stockId);
+    return {
+      type: SALE_LINE_TYPES.PRODUCT,
+      name: stock.stockName,
+      stock: stock._id,
+      stylistId,
+      unitPrice: stock.price,
+      quantity,
+      amount: roundAmount(stock.price * quantity),
+      taxCategory: stock.taxCategory,
+    };
+  });
+};
+
+/**
+ * Finds the client a sale is for: the client of its appointments, or the one given.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {string} [clientId] - The client's `clientId`, e.g. `CL001`.
+ * @param {Array<Object>} appointments - The appointments being checked out.
+ * @returns {Promise<Object|null>} - The client, or null for an anonymous retail sale.
+ * @throws {Error} - Throws CLIENT_NOT_FOUND or APPOINTMENTS_OF_DIFFERENT_CLIENTS.
+ */
+const resolveSaleClient = async (companyId, clientId, appointments) => {
+  const filter = clientId
+    ? { clientId: clientId.toUpperCase(), companyId }
+    : appointments.length && { _id: appointments[0].client, companyId };
+  if (!filter) {
+    return null;
+  }
+
+  const client = await Client.findOne(filter, { name: 1 });
+  if (!client) {
+    throw new Error(ERROR_MESSAGES.CLIENT_NOT_FOUND);
+  }
+  if (appointments.length && !client._id.equals(appointments[0].client)) {
+    throw new Error(ERROR_MESSAGES.APPOINTMENTS_OF_DIFFERENT_CLIENTS);
+  }
+  return client;
+};
+
+/**
+ * Ensures every tipped stylist, and every stylist credited with selling a product, is an
+ * employee of the company.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<string>} stylistIds - The stylists' IDs.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws STYLIST_NOT_FOUND.
+ */
+const assertSaleStylists = async (companyId, stylistIds) => {
+  const ids = [...new Set(stylistIds.map(String))];
+  const count = await Employee.countDocuments({
+    _id: { $in: ids },
+    companyId,
+    isTrashed: false,
+  });
+  if (count !== ids.length) {
+    throw new Error(ERROR_MESSAGES.STYLIST_NOT_FOUND);
+  }
+};
+
+/**
+ * Marks the appointments as paid by the sale. The open payments created when they were
+ * booked are replaced by the sale's payment, and an unpaid deposit no longer holds the slot.
+ * Conditional, so that the same appointment cannot be checked out twice.
+ *
+ * @param {Array<Object>} appointments - The appointments being checked out.
+ * @param {mongoose.Types.ObjectId} saleId - The ID of the sale.
+ * @param {mongoose.ClientSession} session - The checkout transaction.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws APPOINTMENT_ALREADY_PAID.
+ */
+const billAppointments = async (appointments, saleId, session) => {
+  for (const appointment of appointments) {
+    const { modifiedCount } = await Appointment.updateOne(
+      { _id: appointment._id, status: { $ne: PAYMENT_STATUS.PAID } },
+      {
+        $set: { status: PAYMENT_STATUS.PAID, sale: saleId },
+        ...(appointment.deposit &&
+          !appointment.deposit.paidAt && { $unset: { deposit: "" } }),
+      },
+      { session }
+    );
+    if (modifiedCount !== 1) {
+      throw new Error(ERROR_MESSAGES.APPOINTMENT_ALREADY_PAID);
+    }
+  }
+
+  await Payment.deleteMany(
+    {
+      appointmentId: { $in: appointments.map((item) => item._id) },
+      type: { $in: OPEN_APPOINTMENT_PAYMENT_TYPES },
+      status: { $in: [PAYMENT_STATUS.UNPAID, PAYMENT_STATUS.PENDING] },
+    },
+    { session }
+  );
+};
+
+/**
+ * Takes the sold products out of stock and recomputes their stock status.
+ * Conditional, so that stock sold at another till in the meantime is not oversold.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<Object>} lines - The product lines.
+ * @param {Date} now - The current time.
+ * @param {mongoose.ClientSession} session - The checkout transaction.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws INSUFFICIENT_STOCK.
+ */
+const takeFromStock = async (companyId, lines, now, session) => {
+  for (const line of lines) {
+    const stock = await Stocks.findOneAndUpdate(
+      {
+        _id: line.stock,
+        companyId,
+        isTrashed: false,
+        stockQuantity: { $gte: line.quantity },
+      },
+      { $inc: { stockQuantity: -line.quantity } },
+      { new: true, session }
+    );
+    if (!stock) {
+      throw new Error(ERROR_MESSAGES.INSUFFICIENT_STOCK);
+    }
+
+    stock.stockStatus = getStockStatus(stock, now);
+    await stock.save({ session });
+  }
+};
+
+/**
+ * Checks out a sale at the counter: the services of the given appointments and retail
+ * products, less a discount, taxed under the company's tax settings, plus tips for the
+ * stylists, paid with one or more tenders. Paid deposits are credited against the total.
+ * Stock, the appointments, the sale and its payment are updated in one transaction.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - Firebase UID of the staff member checking out.
+ * @param {Object} details - The validated `appointments`, `products`, `clientId`, `discount`,
+ * `tips` and `tenders`.
+ * @returns {Promise<{sale: Object, payment: Object|null, receipt: Object}>} - The sale, its
+ * paid payment (none when nothing was due) and the receipt.
+ * @throws {Error} - Throws EMPTY_SALE, or if an appointment, product, client or stylist cannot
+ * be billed, or the tenders do not settle the amount due.
+ */
+export const checkoutSale = async (companyId, userId, details) => {
+  const { appointments: appointmentIds, products, clientId, discount } =
+    details;
+  if (!appointmentIds.length && !products.length) {
+    throw new Error(ERROR_MESSAGES.EMPTY_SALE);
+  }
+
+  const now = new Date();
+  const { appointments, lines, deposits } = await loadServiceLines(
+    companyId,
+    appointmentIds
+  );
+  const productLines = await loadProductLines(companyId, products, now);
+  const client = await resolveSaleClient(companyId, clientId, appointments);
+  const tips = mergeTips(details.tips);
+  await assertSaleStylists(companyId, [
+    ...tips.map((tip) => tip.stylistId),
+    ...productLines
+      .filter((line) => line.stylistId)
+      .map((line) => line.stylistId),
+  ]);
+
+  const { taxSettings } = await getCompanySettings(companyId);
+  const pricing = priceSale({
+    lines: [...lines, ...productLines],
+    taxSettings,
+    discount,
+    tips,
+    depositApplied: deposits,
+  });
+  const tenders = details.tenders.filter((tender) => tender.amount > 0);
+  const change = settleTenders(tenders, pricing.amountDue);
+
+  const sale = new Sale({
+    ...pricing,
+    saleId: await generateNextSaleId(companyId),
+    companyId,
+    client: client?._id,
+    clientName: client?.name,
+    tips,
+    tenders,
+    change,
+    soldBy: userId,
+  });
+
+  let payment = null;
+  if (pricing.amountDue > 0) {
+    // Deposits carried their share of the tax; tips carry none
+    const billTotal = pricing.total - pricing.tipTotal;
+    payment = new Payment({
+      companyId,
+      saleId: sale._id,
+      type: PAYMENT_TYPES.SALE,
+      amount: pricing.amountDue,
+      ...allocateTax(
+        pricing.taxBreakdown,
+        pricing.amountDue - pricing.tipTotal,
+        billTotal
+      ),
+      status: PAYMENT_STATUS.PAID,
+      dateAndTime: now,
+      transactionId: await generateNextTransactionId(companyId),
+    });
+    sale.payment = payment._id;
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+
+    await billAppointments(appointments, sale._id, session);
+    await takeFromStock(companyId, productLines, now, session);
+    await sale.save({ session });
+    if (payment) {
+      await payment.save({ session });
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  const receipt = await getSaleReceipt(sale._id, companyId);
+  return { sale, payment, receipt };
+};
+
+/**
+ * Builds the receipt of a sale, dated in the company's timezone.
+ *
+ * @param {string} saleId - The `_id` of the sale.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The receipt.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or SALE_NOT_FOUND.
+ */
+export const getSaleReceipt = async (saleId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(saleId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const sale = await Sale.findOne({ _id: saleId, companyId })
+    .populate("lines.stylistId tips.stylistId", "employeeName")
+    .populate("payment", "transactionId");
+  if (!sale) {
+    throw new Error(ERROR_MESSAGES.SALE_NOT_FOUND);
+  }
+  const company = await Company.findById(companyId, {
+    name: 1,
+    address: 1,
+    city: 1,
+    country: 1,
+    timeZone: 1,
+  }).lean();
+
+  const timeZone = company?.timeZone || TIME_ZONE;
+  const soldAt = moment(sale.createdAt).tz(timeZone);
+  return {
+    receiptNumber: sale.saleId,
+    transactionId: sale.payment?.transactionId || "",
+    company: {
+      name: company?.name || "",
+      address: company?.address || "",
+      city: company?.city || "",
+      country: company?.country || "",
+    },
+    date: soldAt.format(MOMENT_DATE_FORMAT),
+    time: soldAt.format(TIME_FORMAT),
+    timeZone,
+    clientName: sale.clientName || "",
+    lines: sale.lines.map((line) => ({
+      type: line.type,
+      name: line.name,
+      stylistName: line.stylistId?.employeeName || "",
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      amount: line.amount,
+      tax: line.tax,
+    })),
+    subtotal: sale.subtotal,
+    discount: sale.discount
+      ? { amount: sale.discount.amount, reason: sale.discount.reason || "" }
+      : null,
+    taxPricingMode: sale.taxPricingMode,
+    tax: sale.tax,
+    taxes: sale.taxBreakdown.map(({ name, rate, taxable, tax }) => ({
+      name,
+      rate,
+      taxable,
+      tax,
+    })),
+    tips: sale.tips.map((tip) => ({
+      stylistName: tip.stylistId?.employeeName || "",
+      amount: tip.amount,
+    })),
+    total: sale.total,
+    depositApplied: sale.depositApplied,
+    amountDue: sale.amountDue,
+    tenders: sale.tenders.map(({ method, amount }) => ({ method, amount })),
+    change: sale.change,
+  };
+};
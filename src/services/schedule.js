@@ -0,0 +1,474 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  AVAILABILITY,
+  DATE_AND_TIME_FORMAT,
+  ERROR_MESSAGES,
+  LEAVE_STATUS,
+  MOMENT_DATE_FORMAT,
+  SCHEDULE_MAX_RANGE_DAYS,
+  SCHEDULE_SOURCES,
+} from "../constants.js";
+import { Employee } from "../models/Employee.js";
+import Leave from "../models/Leave.js";
+import { getCompanySettings } from "./company.js";
+
+/**
+ * Resolves the opening hours of the salon on a given day.
+ * Closure dates win over the weekly business hours; companies without business hours
+ * are open from `AVAILABILITY.DAY_START` to `AVAILABILITY.DAY_END` every day.
+ *
+ * @param {Object} company - The company settings (`businessHours`, `closures`).
+ * @param {string} date - The day in `YYYY-MM-DD` format.
+ * @returns {{isClosed: boolean, openTime?: string, closeTime?: string, reason?: string}}
+ */
+export const resolveOpeningHours = (company, date) => {
+  const closure = (company.closures || []).find((item) => item.date === date);
+  if (closure) {
+    return { isClosed: true, reason: closure.reason };
+  }
+
+  if (!company.businessHours?.length) {
+    return {
+      isClosed: false,
+      openTime: AVAILABILITY.DAY_START,
+      closeTime: AVAILABILITY.DAY_END,
+    };
+  }
+
+  const dayOfWeek = moment(date, MOMENT_DATE_FORMAT).day();
+  const hours = company.businessHours.find(
+    (item) => item.dayOfWeek === dayOfWeek
+  );
+  if (!hours || hours.isClosed) {
+    return { isClosed: true };
+  }
+
+  return {
+    isClosed: false,
+    openTime: hours.openTime,
+    closeTime: hours.closeTime,
+  };
+};
+
+/**
+ * Trims shifts to the opening hours of the day, dropping those entirely outside them.
+ *
+ * @param {Array<{startTime: string, endTime: string}>} shifts - Shifts in local time.
+ * @param {{openTime: string, closeTime: string}} opening - The opening hours of the day.
+ * @returns {Array<{startTime: string, endTime: string}>} - The shifts within opening hours.
+ */
+const clipToOpeningHours = (shifts, { openTime, closeTime }) =>
+  shifts
+    .map(({ startTime, endTime }) => ({
+      startTime: startTime > openTime ? startTime : openTime,
+      endTime: endTime < closeTime ? endTime : closeTime,
+    }))
+    .filter(({ startTime, endTime }) => startTime < endTime);
+
+/**
+ * Resolves the shifts an employee works on a given day.
+ * Salon closures win over approved leave, which wins over one-off overrides,
+ * which win over the weekly template. Employees without a weekly template work
+ * the salon's opening hours, and no shift extends past them.
+ *
+ * @param {Object} employee - The employee document (with `weeklySchedule` and `scheduleOverrides`).
+ * @param {string} date - The day in `YYYY-MM-DD` format.
+ * @param {Array<Object>} leaves - Approved leave of the employee overlapping the day.
+ * @param {Object} company - The company settings (`businessHours`, `closures`).
+ * @returns {{source: string, shifts: Array<{startTime: string, endTime: string}>, reason?: string}}
+ */
+export const resolveDayShifts = (employee, date, leaves = [], company = {}) => {
+  const opening = resolveOpeningHours(company, date);
+  if (opening.isClosed) {
+    return {
+      source: SCHEDULE_SOURCES.CLOSED,
+      shifts: [],
+      reason: opening.reason,
+    };
+  }
+
+  const leave = leaves.find(
+    (item) => item.startDate <= date && item.endDate >= date
+  );
+  if (leave) {
+    return { source: SCHEDULE_SOURCES.LEAVE, shifts: [], reason: leave.type };
+  }
+
+  const override = (employee.scheduleOverrides || []).find(
+    (item) => item.date === date
+  );
+  if (override) {
+    return {
+      source: SCHEDULE_SOURCES.OVERRIDE,
+      shifts: override.isDayOff
+        ? []
+        : clipToOpeningHours(override.shifts, opening),
+      reason: override.reason,
+    };
+  }
+
+  if (employee.weeklySchedule?.length) {
+    const dayOfWeek = moment(date, MOMENT_DATE_FORMAT).day();
+    return {
+      source: SCHEDULE_SOURCES.WEEKLY,
+      shifts: clipToOpeningHours(
+        employee.weeklySchedule.filter((item) => item.dayOfWeek === dayOfWeek),
+        opening
+      ),
+    };
+  }
+
+  return {
+    source: SCHEDULE_SOURCES.DEFAULT,
+    shifts: [{ startTime: opening.openTime, endTime: opening.closeTime }],
+  };
+};
+
+/**
+ * Converts local `HH:mm` shifts of a day into UTC intervals.
+ *
+ * @param {string} date - The day in `YYYY-MM-DD` format.
+ * @param {Array<{startTime: string, endTime: string}>} shifts - Shifts in local time.
+ * @param {string} timeZone - The timezone the shifts are expressed in.
+ * @returns {Array<{start: Date, end: Date}>} - The shifts as UTC intervals.
+ */
+export const shiftsToIntervals = (date, shifts, timeZone) =>
+  shifts.map(({ startTime, endTime }) => ({
+    start: moment
+      .tz(`${date} ${startTime}`, DATE_AND_TIME_FORMAT, timeZone)
+      .toDate(),
+    end: moment.tz(`${date} ${endTime}`, DATE_AND_TIME_FORMAT, timeZone).toDate(),
+  }));
+
+/**
+ * Fetches approved leave for the given employees overlapping a range of days.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<string>} employeeIds - The IDs of the employees.
+ * @param {string} from - First day in `YYYY-MM-DD`.
+ * @param {string} to - Last day (inclusive) in `YYYY-MM-DD`.
+ * @returns {Promise<Map<string, Array<Object>>>} - Approved leave keyed by employee ID.
+ */
+export const getApprovedLeaves = async (companyId, employeeIds, from, to) => {
+  const leaves = await Leave.find({
+    companyId,
+    employeeId: { $in: employeeIds },
+    status: LEAVE_STATUS.APPROVED,
+    startDate: { $lte: to },
+    endDate: { $gte: from },
+  }).lean();
+
+  const byEmployee = new Map(employeeIds.map((id) => [String(id), []]));
+  leaves.forEach((leave) => byEmployee.get(String(leave.employeeId))?.push(leave));
+  return byEmployee;
+};
+
+/**
+ * Computes the working intervals of several employees on one day.
+ *
+ * @param {Object} company - The company settings (`_id`, `timeZone`, `businessHours`, `closures`).
+ * @param {Array<Object>} employees - Employee documents with their schedule fields.
+ * @param {string} date - The day in `YYYY-MM-DD` format.
+ * @returns {Promise<Map<string, Array<{start: Date, end: Date}>>>} - Working intervals keyed by employee ID.
+ */
+export const getWorkingIntervals = async (company, employees, date) => {
+  const leaves = await getApprovedLeaves(
+    company._id,
+    employees.map((employee) => employee._id),
+    date,
+    date
+  );
+
+  return new Map(
+    employees.map((employee) => {
+      const { shifts } = resolveDayShifts(
+        employee,
+        date,
+        leaves.get(String(employee._id)),
+        company
+      );
+      return [
+        String(employee._id),
+        shiftsToIntervals(date, shifts, company.timeZone),
+      ];
+    })
+  );
+};
+
+/**
+ * Checks whether the interval [start, end) falls entirely inside one working interval.
+ *
+ * @param {Array<{start: Date, end: Date}>} working - Working intervals of the employee.
+ * @param {Date} start - Start of the interval.
+ * @param {Date} end - End of the interval.
+ * @returns {boolean} - True if the employee is on shift for the whole interval.
+ */
+export const isWithinWorkingHours = (working, start, end) =>
+  working.some((interval) => start >= interval.start && end <= interval.end);
+
+/**
+ * Keeps only the employees who are working on the given day, and at the given time if provided.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<Object>} employees - Employee documents with their schedule fields.
+ * @param {string} date - The day in `YYYY-MM-DD` format, in the company's timezone.
+ * @param {string} [time] - Optional time in `HH:mm` the employee must be on shift at.
+ * @returns {Promise<Array<Object>>} - The employees on shift.
+ */
+export const filterWorkingEmployees = async (
+  companyId,
+  employees,
+  date,
+  time
+) => {
+  const company = await getCompanySettings(companyId);
+  const working = await getWorkingIntervals(company, employees, date);
+
+  const at = time
+    ? moment
+        .tz(`${date} ${time}`, DATE_AND_TIME_FORMAT, company.timeZone)
+        .toDate()
+    : null;
+
+  return employees.filter((employee) => {
+    const intervals = working.get(String(employee._id));
+    return at
+      ? intervals.some((interval) => at >= interval.start && at < interval.end)
+      : intervals.length > 0;
+  });
+};
+
+/**
+ * Finds an employee of the company or throws.
+ *
+ * @param {string} employeeId - The ID of the employee.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The employee document.
+ * @throws {Error} - Throws an error if the ID is invalid or the employee is not found.
+ */
+const findCompanyEmployee = async (employeeId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_EMPLOYEE_ID);
+  }
+
+  const employee = await Employee.findOne({
+    _id: employeeId,
+    companyId,
+    isTrashed: false,
+  });
+  if (!employee) {
+    throw new Error(ERROR_MESSAGES.EMPLOYEE_NOT_FOUND);
+  }
+
+  return employee;
+};
+
+/**
+ * Builds the day-by-day schedule of an employee, including overrides and approved leave.
+ *
+ * @param {string} employeeId - The ID of the employee.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} from - First day in `YYYY-MM-DD`.
+ * @param {string} to - Last day (inclusive) in `YYYY-MM-DD`.
+ * @returns {Promise<Object>} - The weekly template and the resolved calendar.
+ * @throws {Error} - Throws an error if the range is invalid or the employee is not found.
+ */
+export const getEmployeeSchedule = async (employeeId, companyId, from, to) => {
+  const fromDay = moment(from, MOMENT_DATE_FORMAT, true);
+  const toDay = moment(to, MOMENT_DATE_FORMAT, true);
+
+  if (!fromDay.isValid() || !toDay.isValid() || toDay.isBefore(fromDay)) {
+    throw new Error(ERROR_MESSAGES.INVALID_DATE_FORMAT);
+  }
+  if (toDay.diff(fromDay, "days") >= SCHEDULE_MAX_RANGE_DAYS) {
+    throw new Error(ERROR_MESSAGES.SCHEDULE_RANGE_TOO_LONG);
+  }
+
+  const employee = await findCompanyEmployee(employeeId, companyId);
+  const company = await getCompanySettings(companyId);
+  const leaves = await getApprovedLeaves(companyId, [employee._id], from, to);
+
+  const calendar = [];
+  for (const day = fromDay.clone(); day.isSameOrBefore(toDay); day.add(1, "day")) {
+    const date = day.format(MOMENT_DATE_FORMAT);
+    calendar.push({
+      date,
+      ...resolveDayShifts(
+        employee,
+        date,
+        leaves.get(String(employee._id)),
+        company
+      ),
+    });
+  }
+
+  return {
+    employeeId: employee._id,
+    employeeName: employee.employeeName,
+    timeZone: company.timeZone,
+    weeklySchedule: employee.weeklySchedule,
+    calendar,
+  };
+};
+
+/**
+ * Replaces the weekly shift template of an employee.
+ *
+ * @param {string} employeeId - The ID of the employee.
+ * @param {string} companyId - The ID of the company.
+ * @param {Array<Object>} weeklySchedule - The new weekly shifts.
+ * @returns {Promise<Object>} - The updated employee.
+ */
+export const updateWeeklySchedule = async (
+  employeeId,
+  companyId,
+  weeklySchedule
+) => {
+  const employee = await findCompanyEmployee(employeeId, companyId);
+  employee.weeklySchedule = weeklySchedule;
+  await employee.save();
+  return employee;
+};
+
+/**
+ * Adds or replaces the one-off override of an employee for a given day.
+ *
+ * @param {string} employeeId - The ID of the employee.
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} override - The override (`date`, `isDayOff`, `shifts`, `reason`).
+ * @returns {Promise<Object>} - The updated employee.
+ */
+export const upsertScheduleOverride = async (employeeId, companyId, override) => {
+  const employee = await findCompanyEmployee(employeeId, companyId);
+  employee.scheduleOverrides = [
+    ...employee.scheduleOverrides.filter((item) => item.date !== override.date),
+    override,
+  ];
+  await employee.save();
+  return employee;
+};
+
+/**
+ * Removes the one-off override of an employee for a given day.
+ *
+ * @param {string} employeeId - The ID of the employee.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} date - The overridden day in `YYYY-MM-DD`.
+ * @returns {Promise<Object>} - The updated employee.
+ */
+export const removeScheduleOverride = async (employeeId, companyId, date) => {
+  const employee = await findCompanyEmployee(employeeId, companyId);
+  employee.scheduleOverrides = employee.scheduleOverrides.filter(
+    (item) => item.date !== date
+  );
+  await employee.save();
+  return employee;
+};
+
+/**
+ * Creates a pending leave request for an employee.
+ *
+ * @param {string} employeeId - The ID of the employee.
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} leaveData - The leave details (`type`, `startDate`, `endDate`, `reason`).
+ * @returns {Promise<Object>} - The created leave request.
+ */
+export const createLeaveRequest = async (employeeId, companyId, leaveData) => {
+  const employee = await findCompanyEmployee(employeeId, companyId);
+
+  const leave = new Leave({
+    ...leaveData,
+    employeeId: employee._id,
+    companyId,
+    status: LEAVE_STATUS.PENDING,
+  });
+  return leave.save();
+};
+
+/**
+ * Lists leave requests of a company, optionally filtered by employee and status.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} filters - Optional `employeeId` and `status` filters.
+ * @returns {Promise<Array<Object>>} - The leave requests, newest first.
+ */
+export const listLeaveRequests = async (companyId, { employeeId, status }) => {
+  const query = { companyId };
+
+  if (employeeId) {
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+      throw new Error(ERROR_MESSAGES.INVALID_EMPLOYEE_ID);
+    }
+    query.employeeId = employeeId;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  return Leave.find(query)
+    .populate("employeeId", "employeeName employeePhoto")
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Finds a leave request of the company that is still pending.
+ *
+ * @param {string} leaveId - The ID of the leave request.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The pending leave request.
+ * @throws {Error} - Throws an error if it is not found or was already reviewed.
+ */
+const findPendingLeave = async (leaveId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(leaveId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const leave = await Leave.findOne({ _id: leaveId, companyId });
+  if (!leave) {
+    throw new Error(ERROR_MESSAGES.LEAVE_NOT_FOUND);
+  }
+  if (leave.status !== LEAVE_STATUS.PENDING) {
+    throw new Error(ERROR_MESSAGES.LEAVE_ALREADY_REVIEWED);
+  }
+
+  return leave;
+};
+
+/**
+ * Approves or rejects a pending leave request.
+ *
+ * @param {string} leaveId - The ID of the leave request.
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} review - The decision (`status`, `reviewNote`).
+ * @param {string} reviewerId - The ID of the admin user reviewing the request.
+ * @returns {Promise<Object>} - The reviewed leave request.
+ */
+export const reviewLeaveRequest = async (
+  leaveId,
+  companyId,
+  { status, reviewNote },
+  reviewerId
+) => {
+  const leave = await findPendingLeave(leaveId, companyId);
+
+  leave.status = status;
+  leave.reviewNote = reviewNote;
+  leave.reviewedBy = reviewerId;
+  leave.reviewedAt = new Date();
+  return leave.save();
+};
+
+/**
+ * Withdraws a leave request that has not been reviewed yet.
+ *
+ * @param {string} leaveId - The ID of the leave request.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The cancelled leave request.
+ */
+export const cancelLeaveRequest = async (leaveId, companyId) => {
+  const leave = await findPendingLeave(leaveId, companyId);
+
+  leave.status = LEAVE_STATUS.CANCELLED;
+  return leave.save();
+};
@@ -1,224 +1,264 @@
-// import Stripe from "stripe";
-// import { Order } from "../models/Orders.js";
-// import { STRIPE_SECRET_KEY } from "../config/env.js";
-// import {
-//   ERROR_MESSAGES,
-//   PAYMENT_STATUSES,
-//   RESPONSE,
-//   STRIPE_PAYMENT_INTENT_TYPES,
-//   SUCCESS_MESSAGES,
-// } from "../constants.js";
+import {
+  STRIPE_SECRET_KEY,
+  STRIPE_WEBHOOK_SECRET,
+} from "../config/env.js";
+import {
+  ERROR_MESSAGES,
+  GATEWAY_EVENT_TYPES,
+  GATEWAY_INTENT_STATUS,
+  PAYMENT_GATEWAY,
+  STRIPE_PAYMENT_INTENT_TYPES,
+  STRIPE_SIGNATURE_HEADER,
+} from "../constants.js";
+import { isSignatureValid, signHmac } from "../utils/hmac.js";
 
-// const stripe = new Stripe(STRIPE_SECRET_KEY);
+// Stripe payment intent statuses that mean something other than waiting for the client
+const INTENT_STATUSES = {
+  succeeded: GATEWAY_INTENT_STATUS.SUCCEEDED,
+  processing: GATEWAY_INTENT_STATUS.PROCESSING,
+  canceled: GATEWAY_INTENT_STATUS.FAILED,
+};
 
-// // Utility function to clean and parse the price
-// /**
-//  * Cleans and parses the price to ensure it's a valid number.
-//  *
-//  * @param {number|string} price - The price to be cleaned and parsed.
-//  * @returns {number} - The cleaned price as a float.
-//  * @throws {Error} - Throws an error if the price is invalid.
-//  */
-// const cleanPrice = (price) => {
-//   // Ensure price is treated as a string, in case it's passed as a number
-//   const priceString = price.toString();
+/**
+ * Calls the Stripe API with a form-encoded body.
+ *
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path under the API URL.
+ * @param {Object} [params] - The form fields, nested objects as `key[field]`.
+ * @param {string} [idempotencyKey] - Makes retries of a POST return the first result.
+ * @returns {Promise<Object>} - The response body.
+ * @throws {Error} - Throws PAYMENT_GATEWAY_NOT_CONFIGURED or PAYMENT_GATEWAY_ERROR.
+ */
+const callStripe = async (method, path, params = {}, idempotencyKey) => {
+  if (!STRIPE_SECRET_KEY) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_NOT_CONFIGURED);
+  }
 
-//   const cleanedPrice = parseFloat(priceString.replace(/[^\d.-]/g, ""));
-//   if (isNaN(cleanedPrice) || cleanedPrice <= 0) {
-//     throw new Error(ERROR_MESSAGES.INVALID_PRICE);
-//   }
-//   return cleanedPrice;
-// };
+  const body = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value && typeof value === "object") {
+      Object.entries(value).forEach(([field, item]) =>
+        body.append(`${key}[${field}]`, String(item))
+      );
+    } else if (value !== undefined) {
+      body.append(key, String(value));
+    }
+  });
 
-// /**
-//  * Creates a payment intent for the given items and company.
-//  *
-//  * @param {string} companyId - The ID of the company making the payment.
-//  * @param {Array} items - The items to be purchased, each containing a price and quantity.
-//  * @returns {Promise<string>} - The client secret for the payment intent to be used in the frontend.
-//  * @throws {Error} - Throws an error if the payment intent creation fails.
-//  */
-// // export const createPaymentIntent = async (companyId, items) => {
-// //   // Validate that items is a non-empty array
-// //   if (!Array.isArray(items) || items.length === 0) {
-// //     throw new Error(ERROR_MESSAGES.ITEMS_MUST_BE_A_NON_EMPTY_ARRAY);
-// //   }
+  const response = await fetch(`${PAYMENT_GATEWAY.STRIPE_API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${STRIPE_SECRET_KEY}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+      ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }),
+    },
+    ...(method !== "GET" && { body }),
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    console.error(ERROR_MESSAGES.PAYMENT_GATEWAY_ERROR, result.error);
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_ERROR);
+  }
+  return result;
+};
 
-// //   // Calculate total amount based on items array
-// //   let totalAmount = 0;
-// //   for (const item of items) {
-// //     const price = cleanPrice(item.totalPrice);
-// //     totalAmount += price * (item.quantity || 1); // Use quantity if provided, otherwise default to 1
-// //   }
+/**
+ * Maps a Stripe payment intent to the gateway-neutral shape.
+ *
+ * @param {Object} intent - The Stripe payment intent.
+ * @returns {Object} - The `intentId`, `clientSecret`, `status` and `chargeId`.
+ */
+const toIntent = (intent) => ({
+  intentId: intent.id,
+  clientSecret: intent.client_secret,
+  // A declined payment method leaves the intent waiting for another one
+  status:
+    INTENT_STATUSES[intent.status] ||
+    (intent.last_payment_error
+      ? GATEWAY_INTENT_STATUS.FAILED
+      : GATEWAY_INTENT_STATUS.REQUIRES_ACTION),
+  chargeId: intent.latest_charge || null,
+});
 
-// //   if (totalAmount <= 0) {
-// //     throw new Error(ERROR_MESSAGES.TOTAL_AMOUNT_MUST_BE_GREATER_THAN_ZERO);
-// //   }
+/**
+ * Creates a Stripe payment intent.
+ *
+ * @param {Object} params - See `PaymentGateway.createIntent`.
+ * @returns {Promise<Object>} - The intent.
+ */
+const createIntent = async ({
+  amount,
+  currency,
+  idempotencyKey,
+  description,
+  metadata,
+}) =>
+  toIntent(
+    await callStripe(
+      "POST",
+      "/payment_intents",
+      {
+        amount,
+        currency,
+        description,
+        metadata,
+        "automatic_payment_methods[enabled]": true,
+      },
+      idempotencyKey
+    )
+  );
 
-// //   // Create the payment intent using USD as the currency (default)
-// //   try {
-// //     const paymentIntent = await stripe.paymentIntents.create({
-// //       amount: Math.round(totalAmount * 100), // Convert to cents
-// //       currency: CURRENCY, // Default to USD
-// //       metadata: {
-// //         order_details: JSON.stringify(items),
-// //         companyId: String(companyId),
-// //       },
-// //     });
+/**
+ * Fetches a Stripe payment intent, confirming it when the client attached a payment method
+ * without confirming.
+ *
+ * @param {string} intentId - The payment intent ID.
+ * @param {Object} params - See `PaymentGateway.confirmIntent`.
+ * @returns {Promise<Object>} - The intent.
+ */
+const confirmIntent = async (intentId, { idempotencyKey }) => {
+  const intent = await callStripe("GET", `/payment_intents/${intentId}`);
+  if (intent.status !== "requires_confirmation") {
+    return toIntent(intent);
+  }
+  return toIntent(
+    await callStripe(
+      "POST",
+      `/payment_intents/${intentId}/confirm`,
+      {},
+      idempotencyKey
+    )
+  );
+};
 
-// //     return paymentIntent.client_secret; // Return the client secret for frontend to process payment
-// //   } catch (error) {
-// //     // Error handling in case something goes wrong with Stripe's API
-// //     console.error(ERROR_MESSAGES.FAILED_CREATING_PAYMENT_INTENT, error);
-// //     throw new Error(ERROR_MESSAGES.FAILED_CREATING_PAYMENT_INTENT);
-// //   }
-// // };
+/**
+ * Cancels a Stripe payment intent so that it can no longer be paid. An intent that was paid
+ * in the meantime cannot be cancelled and is returned as it is.
+ *
+ * @param {string} intentId - The payment intent ID.
+ * @param {Object} params - See `PaymentGateway.cancelIntent`.
+ * @returns {Promise<Object>} - The intent.
+ */
+const cancelIntent = async (intentId, { idempotencyKey }) => {
+  const intent = await callStripe("GET", `/payment_intents/${intentId}`);
+  if (intent.status === "succeeded" || intent.status === "canceled") {
+    return toIntent(intent);
+  }
+  return toIntent(
+    await callStripe(
+      "POST",
+      `/payment_intents/${intentId}/cancel`,
+      {},
+      idempotencyKey
+    )
+  );
+};
 
-// /**
-//  * Handles Stripe webhooks for payment intent updates.
-//  *
-//  * @param {Object} event - The Stripe event object.
-//  * @returns {Promise<Object>} - The status of the event handling.
-//  */
-// export const handleStripeWebhook = async (event) => {
-//   switch (event.type) {
-//     case STRIPE_PAYMENT_INTENT_TYPES.PAYMENT_INTENT_SUCCEEDED:
-//       return await handlePaymentSucceeded(event.data.object);
+/**
+ * Refunds part or all of a Stripe payment intent.
+ *
+ * @param {Object} params - See `PaymentGateway.refund`.
+ * @returns {Promise<Object>} - The `refundId` and `status`.
+ */
+const refund = async ({ intentId, amount, idempotencyKey, metadata }) => {
+  const result = await callStripe(
+    "POST",
+    "/refunds",
+    { payment_intent: intentId, amount, metadata },
+    idempotencyKey
+  );
+  return {
+    refundId: result.id,
+    status:
+      result.status === "succeeded"
+        ? GATEWAY_INTENT_STATUS.SUCCEEDED
+        : result.status === "failed" || result.status === "canceled"
+        ? GATEWAY_INTENT_STATUS.FAILED
+        : GATEWAY_INTENT_STATUS.PROCESSING,
+  };
+};
 
-//     case STRIPE_PAYMENT_INTENT_TYPES.PAYMENT_INTENT_FAILED:
-//       return await handlePaymentFailed(event.data.object);
+/**
+ * Checks the `Stripe-Signature` header of a webhook and reads its event. The signature covers
+ * the timestamp and the raw body; old timestamps are rejected so that events cannot be replayed.
+ *
+ * @param {Buffer|string} rawBody - The body exactly as received.
+ * @param {Object} headers - The request headers, lower-cased.
+ * @returns {Object} - The event, see `PaymentGateway.verifyWebhook`.
+ * @throws {Error} - Throws PAYMENT_GATEWAY_NOT_CONFIGURED or INVALID_WEBHOOK_SIGNATURE.
+ */
+const verifyWebhook = (rawBody, headers) => {
+  if (!STRIPE_WEBHOOK_SECRET) {
+    throw new Error(ERROR_MESSAGES.PAYMENT_GATEWAY_NOT_CONFIGURED);
+  }
 
-//     case STRIPE_PAYMENT_INTENT_TYPES.CHARGE_REFUNDED:
-//       return await handleRefund(event.data.object);
+  const parts = String(headers[STRIPE_SIGNATURE_HEADER] || "")
+    .split(",")
+    .map((part) => part.split("="));
+  const timestamp = Number(parts.find(([key]) => key === "t")?.[1]);
+  const expected = signHmac(STRIPE_WEBHOOK_SECRET, `${timestamp}.${rawBody}`);
+  const isFresh =
+    Math.abs(Date.now() / 1000 - timestamp) <=
+    PAYMENT_GATEWAY.WEBHOOK_TOLERANCE_SECONDS;
+  if (
+    !isFresh ||
+    !parts.some(
+      ([key, value]) => key === "v1" && isSignatureValid(value, expected)
+    )
+  ) {
+    throw new Error(ERROR_MESSAGES.INVALID_WEBHOOK_SIGNATURE);
+  }
 
-//     default:
-//       console.log(`${ERROR_MESSAGES.UNHANDLED_EVENT_TYPE} ${event.type}`);
-//       return { status: ERROR_MESSAGES.UNHANDLED_ERROR, eventType: event.type };
-//   }
-// };
+  const event = JSON.parse(String(rawBody));
+  const object = event.data?.object || {};
+  switch (event.type) {
+    case STRIPE_PAYMENT_INTENT_TYPES.PAYMENT_INTENT_SUCCEEDED:
+      return {
+        id: event.id,
+        type: GATEWAY_EVENT_TYPES.PAYMENT_SUCCEEDED,
+        intentId: object.id,
+        chargeId: object.latest_charge || null,
+        amount: object.amount_received,
+        currency: object.currency || null,
+      };
+    case STRIPE_PAYMENT_INTENT_TYPES.PAYMENT_INTENT_FAILED:
+      return {
+        id: event.id,
+        type: GATEWAY_EVENT_TYPES.PAYMENT_FAILED,
+        intentId: object.id,
+        chargeId: null,
+        amount: object.amount,
+        currency: object.currency || null,
+      };
+    case STRIPE_PAYMENT_INTENT_TYPES.CHARGE_REFUNDED:
+      return {
+        id: event.id,
+        type: GATEWAY_EVENT_TYPES.REFUNDED,
+        intentId: object.payment_intent,
+        chargeId: object.id,
+        amount: object.amount_refunded,
+        currency: object.currency || null,
+      };
+    default:
+      return {
+        id: event.id,
+        type: GATEWAY_EVENT_TYPES.OTHER,
+        intentId: null,
+        chargeId: null,
+        amount: null,
+        currency: null,
+      };
+  }
+};
 
-// /**
-//  * Handles a successful payment intent and updates the order status.
-//  *
-//  * @param {Object} paymentIntent - The payment intent object from Stripe.
-//  * @returns {Object} - The result of the payment handling.
-//  * @throws {Error} - Throws an error if the order is not found or any other issue occurs.
-//  */
-// const handlePaymentSucceeded = async (paymentIntent) => {
-//   try {
-//     const companyId = paymentIntent.metadata.companyId;
-//     // Update order status in your database
-//     const order = await Order.findOneAndUpdate(
-//       { paymentIntentId: paymentIntent.id },
-//       {
-//         status: PAYMENT_STATUSES.PAID,
-//         paymentStatus: PAYMENT_STATUSES.COMPLETED,
-//         companyId: companyId,
-//         updatedAt: new Date(),
-//       },
-//       { new: true }
-//     );
-
-//     if (!order) {
-//       throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
-//     }
-
-//     // Optional: Send confirmation email
-//     await sendPaymentConfirmationEmail(order.customerEmail, order);
-
-//     return {
-//       status: RESPONSE.SUCCESS,
-//       orderId: order._id,
-//       message: SUCCESS_MESSAGES.PAYMENT_PROCESSED_SUCCESSFULLY,
-//     };
-//   } catch (error) {
-//     throw error;
-//   }
-// };
-
-// /**
-//  * Handles a failed payment intent and updates the order status.
-//  *
-//  * @param {Object} paymentIntent - The payment intent object from Stripe.
-//  * @returns {Object} - The result of the payment handling.
-//  * @throws {Error} - Throws an error if the order is not found or any other issue occurs.
-//  */
-// const handlePaymentFailed = async (paymentIntent) => {
-//   try {
-//     const companyId = paymentIntent.metadata.companyId;
-
-//     const order = await Order.findOneAndUpdate(
-//       { paymentIntentId: paymentIntent.id },
-//       {
-//         status: PAYMENT_STATUSES.PAYMENT_FAILED,
-//         paymentStatus: PAYMENT_STATUSES.FAILED,
-//         failureReason: paymentIntent.last_payment_error?.message,
-//         companyId: companyId,
-//         updatedAt: new Date(),
-//       },
-//       { new: true }
-//     );
-
-//     if (!order) {
-//       throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
-//     }
-
-//     return {
-//       status: PAYMENT_STATUSES.FAILED,
-//       orderId: order._id,
-//       message: ERROR_MESSAGES.PAYMENT_FAILED,
-//       reason: paymentIntent.last_payment_error?.message,
-//     };
-//   } catch (error) {
-//     throw error;
-//   }
-// };
-
-// /**
-//  * Handles a refund event and updates the order status.
-//  *
-//  * @param {Object} charge - The charge object from Stripe.
-//  * @returns {Object} - The result of the refund handling.
-//  * @throws {Error} - Throws an error if the order is not found or any other issue occurs.
-//  */
-// const handleRefund = async (charge) => {
-//   try {
-//     const companyId = charge.metadata.companyId;
-
-//     const order = await Order.findOneAndUpdate(
-//       { chargeId: charge.id },
-//       {
-//         status: PAYMENT_STATUSES.REFUNDED,
-//         paymentStatus: PAYMENT_STATUSES.REFUNDED,
-//         companyId: companyId,
-//         updatedAt: new Date(),
-//       },
-//       { new: true }
-//     );
-
-//     if (!order) {
-//       throw new Error(ERROR_MESSAGES.ORDER_NOT_FOUND);
-//     }
-
-//     return {
-//       status: PAYMENT_STATUSES.REFUNDED,
-//       orderId: order._id,
-//       message: SUCCESS_MESSAGES.PAYMENT_REFUNDED,
-//     };
-//   } catch (error) {
-//     throw error;
-//   }
-// };
-
-// export const createPaymentIntent = async (companyId, price) => {
-//   const companyIdString = companyId.toString();
-//   // Common payment intent creation logic for both products and appointments
-//   const paymentIntent = await stripe.paymentIntents.create({
-//     amount: price * 100, // Convert price to cents
-//     currency: "usd",
-//     description: "Payment",
-//     metadata: { companyId: companyIdString },
-//   });
-//   console.log("payment intend", paymentIntent);
-//   return paymentIntent.client_secret;
-// };
+/**
+ * Stripe payment intents, refunds and webhooks.
+ * @type {import("./paymentGateway.js").PaymentGateway}
+ */
+export const stripeGateway = {
+  createIntent,
+  confirmIntent,
+  cancelIntent,
+  refund,
+  verifyWebhook,
+};
@@ -0,0 +1,327 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  COLLECTED_PAYMENT_STATUSES,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  REFUND_STATUS,
+  REPORT_INTERVALS,
+  TAX,
+  TAX_PRICING_MODES,
+} from "../constants.js";
+import { Payment } from "../models/Payment.js";
+import { Refund } from "../models/Refund.js";
+import { roundAmount } from "../utils/money.js";
+import { getCompanySettings } from "./company.js";
+
+/**
+ * Finds the tax category an item is charged under: its own, or the company's default.
+ *
+ * @param {Object} taxSettings - The company's tax settings.
+ * @param {string} [code] - The item's tax category.
+ * @returns {Object|null} - The tax category, or null if the item is not taxed.
+ */
+const findTaxCategory = (taxSettings, code) =>
+  taxSettings.categories.find(
+    (category) => category.code === (code || taxSettings.defaultCategory)
+  ) || null;
+
+/**
+ * Checks the tax category given for a service or stock item against the company's.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {string} [code] - The tax category's code; empty clears it.
+ * @returns {Promise<string|null>} - The code, in upper case, or null.
+ * @throws {Error} - Throws TAX_CATEGORY_NOT_FOUND.
+ */
+export const resolveTaxCategory = async (companyId, code) => {
+  const normalized = String(code ?? "").trim().toUpperCase();
+  if (!normalized) {
+    return null;
+  }
+
+  const { taxSettings } = await getCompanySettings(companyId);
+  if (!taxSettings.categories.some((item) => item.code === normalized)) {
+    throw new Error(ERROR_MESSAGES.TAX_CATEGORY_NOT_FOUND);
+  }
+  return normalized;
+};
+
+/**
+ * Works out the tax on a bill. A discount is shared between the items in proportion to
+ * their amounts before tax is worked out. With tax-exclusive pricing the tax is added on
+ * top; with tax-inclusive pricing it is the part of the amount that is tax.
+ *
+ * @param {Array<Object>} items - The `amount` and optional `taxCategory` of each item.
+ * @param {Object} taxSettings - The company's tax settings.
+ * @param {number} [discount=0] - The discount taken off the bill.
+ * @returns {{items: Array<Object>, breakdown: Array<Object>, tax: number, total: number}} - The
+ * `taxCategory` and `tax` of each item, the tax per category, the tax, and the bill total.
+ */
+export const computeTax = (items, taxSettings, discount = 0) => {
+  const isInclusive = taxSettings.pricingMode === TAX_PRICING_MODES.INCLUSIVE;
+  const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+  const categories = new Map();
+
+  const taxedItems = items.map((item) => {
+    const category = findTaxCategory(taxSettings, item.taxCategory);
+    if (!category || !subtotal) {
+      return { taxCategory: null, tax: 0 };
+    }
+
+    const { code, name, rate } = category;
+    const amount = item.amount - (discount * item.amount) / subtotal;
+    const tax = isInclusive
+      ? (amount * rate) / (100 + rate)
+      : (amount * rate) / 100;
+    const entry = categories.get(code) || {
+      code,
+      name,
+      rate,
+      amount: 0,
+      tax: 0,
+    };
+    entry.amount += amount;
+    entry.tax += tax;
+    categories.set(code, entry);
+    return { taxCategory: code, tax: roundAmount(tax) };
+  });
+
+  const breakdown = [...categories.values()].map(
+    ({ code, name, rate, amount, tax }) => ({
+      code,
+      name,
+      rate,
+      taxable: roundAmount(isInclusive ? amount - tax : amount),
+      tax: roundAmount(tax),
+    })
+  );
+  const tax = roundAmount(breakdown.reduce((sum, line) => sum + line.tax, 0));
+
+  return {
+    items: taxedItems,
+    breakdown,
+    tax,
+    total: roundAmount(subtotal - discount + (isInclusive ? 0 : tax)),
+  };
+};
+
+/**
+ * Works out the tax included in a part payment of a bill, e.g. its deposit or what is left
+ * once the deposit is paid, in proportion to the bill's total.
+ *
+ * @param {Array<Object>} breakdown - The tax on the whole bill per category.
+ * @param {number} amount - The part being paid.
+ * @param {number} total - The bill total.
+ * @returns {{taxAmount: number, taxBreakdown: Array<Object>}} - The tax included in the part.
+ */
+export const allocateTax = (breakdown, amount, total) => {
+  const share = total > 0 ? Math.min(Math.max(amount / total, 0), 1) : 0;
+  const taxBreakdown = breakdown.map(({ code, name, rate, taxable, tax }) => ({
+    code,
+    name,
+    rate,
+    taxable: roundAmount(taxable * share),
+    tax: roundAmount(tax * share),
+  }));
+
+  return {
+    taxAmount: roundAmount(
+      taxBreakdown.reduce((sum, line) => sum + line.tax, 0)
+    ),
+    taxBreakdown,
+  };
+};
+
+/**
+ * Sums the amounts and tax of payments or refunds per period, and per period and tax
+ * category.
+ *
+ * @param {mongoose.Model} model - Payment or Refund.
+ * @param {Object} match - Picks the documents, including their date range.
+ * @param {string} dateField - The date the documents are reported on.
+ * @param {string} interval - One of REPORT_INTERVALS.
+ * @param {string} timeZone - The company's timezone.
+ * @returns {Promise<{collected: Array<Object>, categories: Array<Object>}>} - The sums.
+ */
+const sumTaxByPeriod = async (model, match, dateField, interval, timeZone) => {
+  const [result] = await model.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        period: {
+          $dateTrunc: {
+            date: `$${dateField}`,
+            unit: interval,
+            timezone: timeZone,
+            startOfWeek: "monday",
+          },
+        },
+      },
+    },
+    {
+      $facet: {
+        collected: [
+          { $group: { _id: "$period", collected: { $sum: "$amount" } } },
+        ],
+        // A category whose rate changed is reported once per rate
+        categories: [
+          { $unwind: "$taxBreakdown" },
+          {
+            $group: {
+              _id: {
+                period: "$period",
+                code: "$taxBreakdown.code",
+                rate: "$taxBreakdown.rate",
+              },
+              name: { $last: "$taxBreakdown.name" },
+              taxable: { $sum: "$taxBreakdown.taxable" },
+              tax: { $sum: "$taxBreakdown.tax" },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+  return result;
+};
+
+/**
+ * Builds the tax liability of a company over a range of days: the tax collected on paid
+ * payments per period and tax category, less the tax given back on refunds in the period
+ * they were made, with the totals over the range. Periods follow the company's timezone.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} params - The range and breakdown.
+ * @param {string} params.from - First day in `YYYY-MM-DD`.
+ * @param {string} params.to - Last day (inclusive) in `YYYY-MM-DD`.
+ * @param {string} [params.interval] - One of REPORT_INTERVALS; defaults to months.
+ * @returns {Promise<Object>} - The range, timezone, interval, periods and totals; amounts
+ * are split into `collected`, `refunded` and `net`, and tax is net of refunds.
+ * @throws {Error} - Throws INVALID_DATE_FORMAT, TAX_REPORT_RANGE_TOO_LONG or INVALID_REPORT_INTERVAL.
+ */
+export const getTaxLiabilityReport = async (
+  companyId,
+  { from, to, interval = REPORT_INTERVALS.MONTH }
+) => {
+  const fromDay = moment(from, MOMENT_DATE_FORMAT, true);
+  const toDay = moment(to, MOMENT_DATE_FORMAT, true);
+
+  if (!fromDay.isValid() || !toDay.isValid() || toDay.isBefore(fromDay)) {
+    throw new Error(ERROR_MESSAGES.INVALID_DATE_FORMAT);
+  }
+  if (toDay.diff(fromDay, "days") >= TAX.REPORT_MAX_RANGE_DAYS) {
+    throw new Error(ERROR_MESSAGES.TAX_REPORT_RANGE_TOO_LONG);
+  }
+  if (!Object.values(REPORT_INTERVALS).includes(interval)) {
+    throw new Error(ERROR_MESSAGES.INVALID_REPORT_INTERVAL);
+  }
+
+  const { timeZone } = await getCompanySettings(companyId);
+  const start = moment.tz(from, MOMENT_DATE_FORMAT, timeZone);
+  const end = moment.tz(to, MOMENT_DATE_FORMAT, timeZone).endOf("day");
+  const range = { $gte: start.toDate(), $lte: end.toDate() };
+  const company = new mongoose.Types.ObjectId(companyId);
+  const payments = await sumTaxByPeriod(
+    Payment,
+    {
+      companyId: company,
+      status: { $in: COLLECTED_PAYMENT_STATUSES },
+      dateAndTime: range,
+    },
+    "dateAndTime",
+    interval,
+    timeZone
+  );
+  const refunds = await sumTaxByPeriod(
+    Refund,
+    { companyId: company, status: REFUND_STATUS.COMPLETED, refundedAt: range },
+    "refundedAt",
+    interval,
+    timeZone
+  );
+
+  const periods = new Map();
+  const getPeriod = (date) => {
+    const key = moment(date).tz(timeZone).format(MOMENT_DATE_FORMAT);
+    if (!periods.has(key)) {
+      periods.set(key, {
+        period: key,
+        collected: 0,
+        refunded: 0,
+        categories: new Map(),
+      });
+    }
+    return periods.get(key);
+  };
+  const addCategory = (categories, { code, name, rate }, taxable, tax) => {
+    const key = `${code}:${rate}`;
+    const entry = categories.get(key) || {
+      code,
+      name,
+      rate,
+      taxable: 0,
+      tax: 0,
+    };
+    entry.taxable = roundAmount(entry.taxable + taxable);
+    entry.tax = roundAmount(entry.tax + tax);
+    categories.set(key, entry);
+  };
+
+  payments.collected.forEach((item) => {
+    getPeriod(item._id).collected = roundAmount(item.collected);
+  });
+  refunds.collected.forEach((item) => {
+    getPeriod(item._id).refunded = roundAmount(item.collected);
+  });
+
+  // Refunds take their tax back off the period they were made in
+  const totals = new Map();
+  [
+    [payments.categories, 1],
+    [refunds.categories, -1],
+  ].forEach(([categories, sign]) => {
+    categories.forEach(({ _id, name, taxable, tax }) => {
+      const category = { code: _id.code, name, rate: _id.rate };
+      const period = getPeriod(_id.period);
+      addCategory(period.categories, category, sign * taxable, sign * tax);
+      addCategory(totals, category, sign * taxable, sign * tax);
+    });
+  });
+
+  const sortCategories = (categories) =>
+    [...categories.values()].sort(
+      (a, b) => a.code.localeCompare(b.code) || a.rate - b.rate
+    );
+  const sumTax = (items) =>
+    roundAmount(items.reduce((sum, item) => sum + item.tax, 0));
+  const sortedPeriods = [...periods.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(({ categories, ...period }) => {
+      const sorted = sortCategories(categories);
+      return {
+        ...period,
+        net: roundAmount(period.collected - period.refunded),
+        categories: sorted,
+        tax: sumTax(sorted),
+      };
+    });
+  const sumPeriods = (field) =>
+    roundAmount(sortedPeriods.reduce((sum, period) => sum + period[field], 0));
+  const totalCategories = sortCategories(totals);
+
+  return {
+    from,
+    to,
+    timeZone,
+    interval,
+    periods: sortedPeriods,
+    totals: {
+      collected: sumPeriods("collected"),
+      refunded: sumPeriods("refunded"),
+      net: sumPeriods("net"),
+      tax: sumTax(totalCategories),
+      categories: totalCategories,
+    },
+  };
+};
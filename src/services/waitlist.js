@@ -0,0 +1,443 @@
+import crypto from "crypto";
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import { WAITLIST_CLAIM_URL } from "../config/env.js";
+import {
+  APPOINTMENT_EMAIL_TYPES,
+  AVAILABILITY_ERRORS,
+  CLIENT,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  NOTIFICATION_MESSAGES,
+  NOTIFICATION_TYPES,
+  PAYMENT_STATUS,
+  SERVICE,
+  STATUS_CHANGE_ACTORS,
+  STYLIST,
+  TIME_FORMAT,
+  WAITLIST,
+  WAITLIST_STATUS,
+} from "../constants.js";
+import { Client } from "../models/Client.js";
+import { Employee } from "../models/Employee.js";
+import { Services } from "../models/Services.js";
+import Waitlist from "../models/Waitlist.js";
+import { WaitlistClaim } from "../models/WaitlistClaim.js";
+import { getServiceTiming } from "../utils/duration.js";
+import {
+  getAppointmentLineItems,
+  getLineItemWindow,
+} from "../utils/lineItems.js";
+import { buildLineItems, createAppointmentRecord } from "./appointment.js";
+import { assertLineItemsAvailable } from "./availability.js";
+import { getCompanySettings } from "./company.js";
+import { computeDeposit } from "./deposit.js";
+import { sendWaitlistOfferEmail } from "./email.js";
+import { getServiceEmployees, performsService } from "./employee.js";
+import { sendAppointmentInvite } from "./icalendar.js";
+import { saveNotification } from "./notification.js";
+
+/**
+ * Adds a client to the waitlist for a service over a range of days.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} details - The validated `clientId`, `service`, optional `stylistId`, `fromDate`, `toDate` and `note`.
+ * @returns {Promise<Object>} - The new waitlist entry.
+ * @throws {Error} - Throws if the client, service or stylist is not found, the stylist does not
+ * perform the service, or the range is over.
+ */
+export const addToWaitlist = async (
+  companyId,
+  { clientId, service, stylistId, fromDate, toDate, note }
+) => {
+  const { timeZone } = await getCompanySettings(companyId);
+  if (toDate < moment.tz(timeZone).format(MOMENT_DATE_FORMAT)) {
+    throw new Error(ERROR_MESSAGES.WAITLIST_DATES_IN_PAST);
+  }
+
+  const client = await Client.findOne({
+    clientId: clientId.toUpperCase(),
+    companyId,
+    isTrashed: false,
+  });
+  if (!client) {
+    throw new Error(ERROR_MESSAGES.CLIENT_NOT_FOUND);
+  }
+
+  const serviceDoc = mongoose.Types.ObjectId.isValid(service)
+    ? await Services.findOne({ _id: service, companyId, isTrashed: false })
+    : null;
+  if (!serviceDoc) {
+    throw new Error(ERROR_MESSAGES.SERVICE_NOT_FOUND);
+  }
+
+  if (stylistId) {
+    const stylist = mongoose.Types.ObjectId.isValid(stylistId)
+      ? await Employee.findOne({ _id: stylistId, companyId, isTrashed: false })
+      : null;
+    if (!stylist) {
+      throw new Error(ERROR_MESSAGES.STYLIST_NOT_FOUND);
+    }
+    if (!(await performsService(service, stylistId, companyId))) {
+      throw new Error(ERROR_MESSAGES.STYLIST_NOT_ELIGIBLE_FOR_SERVICE);
+    }
+  }
+
+  return Waitlist.create({
+    companyId,
+    client: client._id,
+    clientId: client.clientId,
+    service: serviceDoc._id,
+    preferredStylistId: stylistId,
+    fromDate,
+    toDate,
+    note,
+  });
+};
+
+/**
+ * Lists the waitlist of the company, oldest entry first. Claim tokens are left out.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} filters - The optional `status` filter.
+ * @returns {Promise<Array<Object>>} - The waitlist entries.
+ */
+export const listWaitlist = (companyId, { status }) =>
+  Waitlist.find(
+    { companyId, ...(status && { status }) },
+    { "offers.token": 0 }
+  )
+    .populate(CLIENT.FIELD, `${CLIENT.NAME_FIELD} ${CLIENT.PHONE_FIELD}`)
+    .populate(SERVICE.COLLECTION, SERVICE.FIELD)
+    .populate("preferredStylistId", STYLIST.EMPLOYEE_NAME)
+    .sort({ createdAt: 1 });
+
+/**
+ * Takes a client off the waitlist.
+ *
+ * @param {string} entryId - The ID of the waitlist entry.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The cancelled entry.
+ * @throws {Error} - Throws if the entry is not found or no longer active.
+ */
+export const cancelWaitlistEntry = async (entryId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const entry = await Waitlist.findOne({ _id: entryId, companyId });
+  if (!entry) {
+    throw new Error(ERROR_MESSAGES.WAITLIST_ENTRY_NOT_FOUND);
+  }
+  if (entry.status !== WAITLIST_STATUS.ACTIVE) {
+    throw new Error(ERROR_MESSAGES.WAITLIST_ENTRY_NOT_ACTIVE);
+  }
+
+  entry.status = WAITLIST_STATUS.CANCELLED;
+  return entry.save();
+};
+
+/**
+ * Emails an offer's claim link to the client, if the client has an email address.
+ * A failed email is logged so that the other clients still get their offer.
+ *
+ * @param {Object} entry - The waitlist entry with its client and service populated.
+ * @param {Object} offer - The offer just added to the entry.
+ * @param {string} timeZone - The company's timezone, used to format the dates.
+ * @returns {Promise<void>}
+ */
+const sendOffer = async (entry, offer, timeZone) => {
+  if (!entry.client.email) {
+    return;
+  }
+
+  try {
+    await sendWaitlistOfferEmail(entry.client.email, {
+      clientName: entry.client.name,
+      serviceName: entry.service.serviceName,
+      date: moment(offer.start).tz(timeZone).format(MOMENT_DATE_FORMAT),
+      time: offer.time,
+      expiresAt: moment(offer.expiresAt).tz(timeZone).format(TIME_FORMAT),
+      claimLink: `${WAITLIST_CLAIM_URL}/${offer.token}`,
+    });
+  } catch (error) {
+    console.error(ERROR_MESSAGES.FAILED_OFFERING_FREED_SLOT, error);
+  }
+};
+
+/**
+ * Offers the slots of a cancelled or deleted appointment to matching waitlisted clients.
+ * Each line item frees one slot of its stylist. It is offered to the oldest active entries whose
+ * range covers the day, whose service fits in the slot and is performed by the stylist, and
+ * whose preferred stylist, if any, is that stylist. Every client offered a slot gets a claim link
+ * by email; the first one to claim it books it.
+ * Errors are logged and never fail the cancellation itself.
+ *
+ * @param {Object} appointment - The cancelled or deleted appointment.
+ * @returns {Promise<void>}
+ */
+export const offerFreedSlot = async (appointment) => {
+  try {
+    const now = new Date();
+    if (appointment.date <= now) {
+      return;
+    }
+
+    const { companyId } = appointment;
+    const { timeZone } = await getCompanySettings(companyId);
+    const date = moment(appointment.date)
+      .tz(timeZone)
+      .format(MOMENT_DATE_FORMAT);
+
+    const entries = await Waitlist.find({
+      companyId,
+      status: WAITLIST_STATUS.ACTIVE,
+      fromDate: { $lte: date },
+      toDate: { $gte: date },
+    })
+      .populate(CLIENT.FIELD)
+      .populate(SERVICE.COLLECTION)
+      .sort({ createdAt: 1 });
+    if (entries.length === 0) {
+      return;
+    }
+
+    // Stylists performing each service, loaded once per service
+    const performers = new Map();
+    const getPerformers = async (serviceId) => {
+      if (!performers.has(serviceId)) {
+        const employees =
+          (await getServiceEmployees(serviceId, companyId, { _id: 1 })) || [];
+        performers.set(
+          serviceId,
+          employees.map((employee) => String(employee._id))
+        );
+      }
+      return performers.get(serviceId);
+    };
+
+    // A client is offered at most one slot of the same appointment
+    const offered = new Set();
+    for (const item of getAppointmentLineItems(appointment)) {
+      const window = getLineItemWindow(appointment.date, item);
+      const slotMinutes = (window.end - window.start) / 60000;
+      const stylistId = String(item.stylistId);
+
+      const matches = [];
+      for (const entry of entries) {
+        if (matches.length === WAITLIST.MAX_OFFERS_PER_SLOT) {
+          break;
+        }
+        if (
+          offered.has(String(entry._id)) ||
+          (entry.preferredStylistId &&
+            String(entry.preferredStylistId) !== stylistId) ||
+          getServiceTiming(entry.service).duration > slotMinutes
+        ) {
+          continue;
+        }
+        const serviceId = String(entry.service._id);
+        if ((await getPerformers(serviceId)).includes(stylistId)) {
+          matches.push(entry);
+        }
+      }
+
+      const expiresAt = new Date(
+        Math.min(
+          now.getTime() + WAITLIST.OFFER_EXPIRY_MINUTES * 60000,
+          window.start.getTime()
+        )
+      );
+      for (const entry of matches) {
+        const offer = {
+          token: crypto.randomBytes(WAITLIST.TOKEN_BYTES).toString("hex"),
+          stylistId: item.stylistId,
+          start: window.start,
+          time: moment(window.start).tz(timeZone).format(TIME_FORMAT),
+          freedBy: appointment._id,
+          expiresAt,
+        };
+        entry.offers.push(offer);
+        await entry.save();
+        offered.add(String(entry._id));
+
+        await sendOffer(entry, offer, timeZone);
+      }
+    }
+
+    if (offered.size > 0) {
+      await saveNotification({
+        companyId,
+        message: NOTIFICATION_MESSAGES.WAITLIST_SLOT_OFFERED,
+        type: NOTIFICATION_TYPES.APPOINTMENT,
+        details: {
+          appointmentId: appointment._id,
+          appointmentDate: date,
+          time: appointment.time,
+          offeredTo: entries
+            .filter((entry) => offered.has(String(entry._id)))
+            .map((entry) => entry.client.name),
+        },
+        timestamp: new Date(),
+        isRead: false,
+      });
+    }
+  } catch (error) {
+    console.error(ERROR_MESSAGES.FAILED_OFFERING_FREED_SLOT, error);
+  }
+};
+
+/**
+ * Finds the waitlist entry holding a claim token, with the matching offer.
+ *
+ * @param {string} token - The claim token.
+ * @returns {Promise<{entry: Object, offer: Object}>} - The entry with its client and service populated, and the offer.
+ * @throws {Error} - Throws WAITLIST_OFFER_NOT_FOUND.
+ */
+const findOffer = async (token) => {
+  const entry = await Waitlist.findOne({ "offers.token": token })
+    .populate(CLIENT.FIELD)
+    .populate(SERVICE.COLLECTION, `${SERVICE.FIELD} duration price`);
+  if (!entry) {
+    throw new Error(ERROR_MESSAGES.WAITLIST_OFFER_NOT_FOUND);
+  }
+
+  return { entry, offer: entry.offers.find((item) => item.token === token) };
+};
+
+/**
+ * Retrieves the slot offered by a claim link, for the client to review before claiming it.
+ *
+ * @param {string} token - The claim token.
+ * @returns {Promise<Object>} - The service, stylist, local date and time of the slot, and whether it can still be claimed.
+ * @throws {Error} - Throws if the offer is not found.
+ */
+export const getWaitlistOffer = async (token) => {
+  const { entry, offer } = await findOffer(token);
+  const { timeZone } = await getCompanySettings(entry.companyId);
+  const stylist = await Employee.findById(offer.stylistId, {
+    [STYLIST.EMPLOYEE_NAME]: 1,
+  });
+
+  return {
+    clientName: entry.client.name,
+    serviceName: entry.service.serviceName,
+    stylistName: stylist?.employeeName,
+    date: moment(offer.start).tz(timeZone).format(MOMENT_DATE_FORMAT),
+    time: offer.time,
+    timeZone,
+    expiresAt: offer.expiresAt,
+    isClaimable:
+      entry.status === WAITLIST_STATUS.ACTIVE && offer.expiresAt > new Date(),
+  };
+};
+
+/**
+ * Books an offered slot for the waitlisted client and closes the waitlist entry. Services
+ * that require a deposit hold the slot until it is paid, as for any other booking.
+ * The slot goes to the first client who claims it: each freed slot can be claimed once,
+ * so clients offered the same slot cannot both book it.
+ *
+ * @param {string} token - The claim token.
+ * @returns {Promise<Object>} - The booked appointment.
+ * @throws {Error} - Throws if the offer is not found, expired, or the slot or entry is no longer available.
+ */
+export const claimWaitlistOffer = async (token) => {
+  const { entry, offer } = await findOffer(token);
+  const now = new Date();
+  if (entry.status !== WAITLIST_STATUS.ACTIVE) {
+    throw new Error(ERROR_MESSAGES.WAITLIST_OFFER_NO_LONGER_AVAILABLE);
+  }
+  if (offer.expiresAt <= now) {
+    throw new Error(ERROR_MESSAGES.WAITLIST_OFFER_EXPIRED);
+  }
+
+  const company = await getCompanySettings(entry.companyId);
+  const lineItems = await buildLineItems(entry.companyId, [
+    { service: entry.service._id, stylistId: offer.stylistId },
+  ]);
+  try {
+    await assertLineItemsAvailable({ company, start: offer.start, lineItems });
+  } catch (error) {
+    if (AVAILABILITY_ERRORS.includes(error.message)) {
+      throw new Error(ERROR_MESSAGES.WAITLIST_OFFER_NO_LONGER_AVAILABLE);
+    }
+    throw error;
+  }
+
+  // Claim the slot, then close the entry, so that neither two clients nor opening the link
+  // twice can book it twice
+  let claim;
+  try {
+    claim = await WaitlistClaim.create({
+      companyId: entry.companyId,
+      stylistId: offer.stylistId,
+      start: offer.start,
+      freedBy: offer.freedBy,
+      waitlist: entry._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error(ERROR_MESSAGES.WAITLIST_OFFER_NO_LONGER_AVAILABLE);
+    }
+    throw error;
+  }
+  const reserved = await Waitlist.findOneAndUpdate(
+    { _id: entry._id, status: WAITLIST_STATUS.ACTIVE },
+    { status: WAITLIST_STATUS.BOOKED }
+  );
+  if (!reserved) {
+    await WaitlistClaim.deleteOne({ _id: claim._id });
+    throw new Error(ERROR_MESSAGES.WAITLIST_OFFER_NO_LONGER_AVAILABLE);
+  }
+
+  let appointment;
+  try {
+    ({ appointment } = await createAppointmentRecord({
+      companyId: entry.companyId,
+      client: entry.client,
+      lineItems,
+      start: offer.start,
+      time: offer.time,
+      note: entry.note,
+      paidStatus: PAYMENT_STATUS.UNPAID,
+      deposit: computeDeposit(lineItems, offer.start, now),
+      actor: STATUS_CHANGE_ACTORS.WAITLIST,
+    }));
+  } catch (error) {
+    await WaitlistClaim.deleteOne({ _id: claim._id });
+    await Waitlist.updateOne(
+      { _id: entry._id },
+      { status: WAITLIST_STATUS.ACTIVE }
+    );
+    throw error;
+  }
+
+  offer.claimedAt = now;
+  entry.status = WAITLIST_STATUS.BOOKED;
+  entry.appointment = appointment._id;
+  await entry.save();
+
+  await saveNotification({
+    companyId: entry.companyId,
+    message: NOTIFICATION_MESSAGES.WAITLIST_OFFER_CLAIMED,
+    type: NOTIFICATION_TYPES.APPOINTMENT,
+    details: {
+      appointmentId: appointment._id,
+      clientName: entry.client.name,
+      status: appointment.appointmentStatus,
+      appointmentDate: moment(offer.start)
+        .tz(company.timeZone)
+        .format(MOMENT_DATE_FORMAT),
+      time: offer.time,
+    },
+    timestamp: new Date(),
+    isRead: false,
+  });
+  await sendAppointmentInvite(
+    [appointment._id],
+    APPOINTMENT_EMAIL_TYPES.BOOKED
+  );
+
+  return appointment;
+};
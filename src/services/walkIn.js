@@ -0,0 +1,470 @@
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import {
+  CLIENT,
+  DEFAULT_PROFILE_IMAGE_URL,
+  ERROR_MESSAGES,
+  MOMENT_DATE_FORMAT,
+  NOTIFICATION_MESSAGES,
+  NOTIFICATION_TYPES,
+  PAYMENT_STATUS,
+  SERVICE,
+  STYLIST,
+  TIME_FORMAT,
+  WALK_IN_STATUS,
+} from "../constants.js";
+import { Client } from "../models/Client.js";
+import { Services } from "../models/Services.js";
+import WalkIn from "../models/WalkIn.js";
+import { getServiceTiming } from "../utils/duration.js";
+import { getTimingBlocks, getTimingSpan } from "../utils/lineItems.js";
+import { buildLineItems, createAppointmentRecord } from "./appointment.js";
+import {
+  assertLineItemsAvailable,
+  getBusyIntervals,
+  isTimingFree,
+} from "./availability.js";
+import { createClient } from "./client.js";
+import { getCompanySettings } from "./company.js";
+import { getServiceEmployees, performsService } from "./employee.js";
+import { saveNotification } from "./notification.js";
+import { getWorkingIntervals, isWithinWorkingHours } from "./schedule.js";
+
+// Employee fields needed to work out when a stylist is free
+const STYLIST_PROJECTION = {
+  employeeName: 1,
+  weeklySchedule: 1,
+  scheduleOverrides: 1,
+};
+
+/**
+ * Finds the earliest time from `from` at which a stylist is on shift and free for the whole
+ * service, setup and cleanup included.
+ *
+ * @param {Object} timing - The service timing (`duration`, buffers and processing), in minutes.
+ * @param {Array<{start: Date, end: Date}>} busy - Busy intervals of the stylist.
+ * @param {Array<{start: Date, end: Date}>} working - Working intervals of the stylist that day.
+ * @param {Date} from - The earliest acceptable start.
+ * @returns {Date|null} - The start, or `null` if the service no longer fits that day.
+ */
+export const findEarliestStart = (timing, busy, working, from) => {
+  // The earliest start is either `from`, or once setup is done after a booking or from the start of a shift
+  const setup = (timing.bufferBefore || 0) * 60000;
+  const candidates = [
+    from,
+    ...[
+      ...busy.map((interval) => interval.end),
+      ...working.map((interval) => interval.start),
+    ].map((time) => new Date(time.getTime() + setup)),
+  ]
+    .filter((candidate) => candidate >= from)
+    .sort((a, b) => a - b);
+
+  const start = candidates.find((candidate) => {
+    const span = getTimingSpan(candidate, timing);
+    return (
+      isWithinWorkingHours(working, span.start, span.end) &&
+      isTimingFree(busy, candidate, timing)
+    );
+  });
+
+  return start ?? null;
+};
+
+/**
+ * Serves the queue in order on paper: each entry goes to the eligible stylist who can
+ * start it first, and that stylist is then busy for the service, buffers included.
+ * The busy intervals in `stylists` are extended in place.
+ *
+ * @param {Array<{timing: Object, stylistIds: Array<string>}>} queue - The entries in queue order.
+ * @param {Map<string, {busy: Array, working: Array}>} stylists - Busy and working intervals keyed by stylist ID.
+ * @param {Date} now - The current time.
+ * @returns {Array<{stylistId: string|null, start: Date|null}>} - The stylist and estimated start of each entry.
+ */
+export const estimateQueue = (queue, stylists, now) =>
+  queue.map(({ timing, stylistIds }) => {
+    let assignment = { stylistId: null, start: null };
+
+    for (const stylistId of stylistIds) {
+      const stylist = stylists.get(stylistId);
+      if (!stylist) {
+        continue;
+      }
+
+      const start = findEarliestStart(
+        timing,
+        stylist.busy,
+        stylist.working,
+        now
+      );
+      if (start && (!assignment.start || start < assignment.start)) {
+        assignment = { stylistId, start };
+      }
+    }
+
+    if (assignment.start) {
+      stylists
+        .get(assignment.stylistId)
+        .busy.push(...getTimingBlocks(assignment.start, timing));
+    }
+
+    return assignment;
+  });
+
+/**
+ * Loads what the estimate needs: the length and eligible stylists of each entry, and the
+ * bookings and shifts of those stylists today.
+ *
+ * @param {Object} company - The company settings.
+ * @param {Array<Object>} entries - Walk-ins with their service populated, in queue order.
+ * @param {Date} now - The current time.
+ * @returns {Promise<{queue: Array<Object>, stylists: Map<string, Object>}>} - The input of `estimateQueue`.
+ */
+const loadQueueContext = async (company, entries, now) => {
+  const serviceIds = [
+    ...new Set(entries.map((entry) => String(entry.service._id))),
+  ];
+
+  const eligible = new Map();
+  const employees = new Map();
+  for (const serviceId of serviceIds) {
+    const serviceEmployees =
+      (await getServiceEmployees(
+        serviceId,
+        company._id,
+        STYLIST_PROJECTION
+      )) || [];
+    eligible.set(
+      serviceId,
+      serviceEmployees.map((employee) => String(employee._id))
+    );
+    serviceEmployees.forEach((employee) =>
+      employees.set(String(employee._id), employee)
+    );
+  }
+
+  const date = moment(now).tz(company.timeZone).format(MOMENT_DATE_FORMAT);
+  const dayStart = moment.tz(date, MOMENT_DATE_FORMAT, company.timeZone);
+  const stylistList = [...employees.values()];
+  const busy = await getBusyIntervals(
+    company._id,
+    stylistList.map((employee) => employee._id),
+    dayStart.toDate(),
+    dayStart.clone().add(1, "day").toDate()
+  );
+  const working = await getWorkingIntervals(company, stylistList, date);
+
+  const stylists = new Map(
+    stylistList.map((employee) => [
+      String(employee._id),
+      {
+        name: employee.employeeName,
+        busy: busy.get(String(employee._id)),
+        working: working.get(String(employee._id)),
+      },
+    ])
+  );
+
+  const queue = entries.map((entry) => ({
+    timing: getServiceTiming(entry.service),
+    stylistIds: entry.preferredStylistId
+      ? [String(entry.preferredStylistId._id)]
+      : eligible.get(String(entry.service._id)),
+  }));
+
+  return { queue, stylists };
+};
+
+/**
+ * Estimates the stylist, start and wait of each walk-in.
+ *
+ * @param {Object} company - The company settings.
+ * @param {Array<Object>} entries - Walk-ins with their service populated, in queue order.
+ * @param {Date} now - The current time.
+ * @returns {Promise<Array<Object>>} - One queue item per walk-in.
+ */
+const estimateWalkIns = async (company, entries, now) => {
+  const { queue, stylists } = await loadQueueContext(company, entries, now);
+
+  return estimateQueue(queue, stylists, now).map(
+    ({ stylistId, start }, index) => ({
+      walkIn: entries[index],
+      position: index + 1,
+      stylistId,
+      stylistName: stylistId ? stylists.get(stylistId).name : null,
+      estimatedStart: start
+        ? moment(start).tz(company.timeZone).format(TIME_FORMAT)
+        : null,
+      estimatedWaitMinutes: start
+        ? Math.ceil((start.getTime() - now.getTime()) / 60000)
+        : null,
+    })
+  );
+};
+
+/**
+ * Adds the populated client, service and preferred stylist to a walk-in query.
+ *
+ * @param {Object} query - A WalkIn query.
+ * @returns {Object} - The populated query.
+ */
+const populateWalkIn = (query) =>
+  query
+    .populate(CLIENT.FIELD)
+    .populate(
+      SERVICE.COLLECTION,
+      `${SERVICE.FIELD} ${SERVICE.TIMING_FIELDS} price`
+    )
+    .populate("preferredStylistId", STYLIST.EMPLOYEE_NAME);
+
+/**
+ * Finds a walk-in of the company or throws.
+ *
+ * @param {string} walkInId - The ID of the walk-in.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The populated walk-in document.
+ * @throws {Error} - Throws INVALID_ID_FORMAT or WALK_IN_NOT_FOUND.
+ */
+const findCompanyWalkIn = async (walkInId, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(walkInId)) {
+    throw new Error(ERROR_MESSAGES.INVALID_ID_FORMAT);
+  }
+
+  const walkIn = await populateWalkIn(
+    WalkIn.findOne({ _id: walkInId, companyId })
+  );
+  if (!walkIn) {
+    throw new Error(ERROR_MESSAGES.WALK_IN_NOT_FOUND);
+  }
+
+  return walkIn;
+};
+
+/**
+ * Ensures a stylist performs the given service.
+ *
+ * @param {string} serviceId - The ID of the service.
+ * @param {string} stylistId - The ID of the stylist.
+ * @param {string} companyId - The ID of the company.
+ * @throws {Error} - Throws STYLIST_NOT_ELIGIBLE_FOR_SERVICE.
+ */
+const assertStylistEligible = async (serviceId, stylistId, companyId) => {
+  if (!(await performsService(serviceId, stylistId, companyId))) {
+    throw new Error(ERROR_MESSAGES.STYLIST_NOT_ELIGIBLE_FOR_SERVICE);
+  }
+};
+
+/**
+ * Finds the client of a walk-in, registering a new client when needed.
+ * A new client whose phone number is already registered with the company is matched instead.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {Object} details - Either `clientId` of an existing client or the new `client`.
+ * @returns {Promise<Object>} - The client document.
+ * @throws {Error} - Throws CLIENT_NOT_FOUND for an unknown `clientId`.
+ */
+const resolveWalkInClient = async (companyId, { clientId, client }) => {
+  if (clientId) {
+    const existing = await Client.findOne({
+      clientId: clientId.toUpperCase(),
+      companyId,
+      isTrashed: false,
+    });
+    if (!existing) {
+      throw new Error(ERROR_MESSAGES.CLIENT_NOT_FOUND);
+    }
+    return existing;
+  }
+
+  const existing = await Client.findOne({
+    phone: client.phone,
+    companyId,
+    isTrashed: false,
+  });
+  if (existing) {
+    return existing;
+  }
+
+  const { firstName, lastName, ...details } = client;
+  return createClient(companyId, {
+    ...details,
+    name: [firstName, lastName].filter(Boolean).join(" "),
+    photo: DEFAULT_PROFILE_IMAGE_URL,
+  });
+};
+
+/**
+ * Retrieves today's walk-ins still waiting, in the order they arrived.
+ *
+ * @param {Object} company - The company settings.
+ * @param {Date} now - The current time.
+ * @returns {Promise<Array<Object>>} - The populated walk-ins.
+ */
+const findWaitingWalkIns = (company, now) =>
+  populateWalkIn(
+    WalkIn.find({
+      companyId: company._id,
+      status: WALK_IN_STATUS.WAITING,
+      checkedInAt: {
+        $gte: moment(now).tz(company.timeZone).startOf("day").toDate(),
+      },
+    }).sort({ checkedInAt: 1 })
+  );
+
+/**
+ * Retrieves the live walk-in queue with the stylist and wait estimated for each client.
+ * Estimates account for the stylists' bookings and shifts today, including appointments in progress.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The company's timezone and the queue, first in line first.
+ */
+export const getWalkInQueue = async (companyId) => {
+  const company = await getCompanySettings(companyId);
+  const now = new Date();
+  const entries = await findWaitingWalkIns(company, now);
+
+  return {
+    timeZone: company.timeZone,
+    queue: await estimateWalkIns(company, entries, now),
+  };
+};
+
+/**
+ * Adds a client to the walk-in queue.
+ *
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - Firebase UID of the staff member.
+ * @param {Object} details - The validated client, `service`, optional `stylistId` and `note`.
+ * @returns {Promise<Object>} - The new queue item with its position and estimated wait.
+ * @throws {Error} - Throws if the client or service is not found, or the stylist does not perform the service.
+ */
+export const addWalkIn = async (
+  companyId,
+  userId,
+  { clientId, client, service, stylistId, note }
+) => {
+  const serviceDoc = mongoose.Types.ObjectId.isValid(service)
+    ? await Services.findOne({ _id: service, companyId, isTrashed: false })
+    : null;
+  if (!serviceDoc) {
+    throw new Error(ERROR_MESSAGES.SERVICE_NOT_FOUND);
+  }
+  if (stylistId) {
+    await assertStylistEligible(service, stylistId, companyId);
+  }
+
+  const clientDoc = await resolveWalkInClient(companyId, { clientId, client });
+  const walkIn = await WalkIn.create({
+    companyId,
+    client: clientDoc._id,
+    clientId: clientDoc.clientId,
+    service: serviceDoc._id,
+    preferredStylistId: stylistId,
+    note,
+    addedBy: userId,
+  });
+
+  const { queue } = await getWalkInQueue(companyId);
+  return queue.find((item) => item.walkIn._id.equals(walkIn._id));
+};
+
+/**
+ * Starts serving a walk-in: books an appointment starting now and takes the client out of the queue.
+ * Without a stylist in the request the client's preferred stylist is used, or else the
+ * eligible stylist who is free right now.
+ *
+ * @param {string} walkInId - The ID of the walk-in.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} userId - Firebase UID of the staff member.
+ * @param {Object} details - The validated optional `stylistId`.
+ * @returns {Promise<{walkIn: Object, appointment: Object}>} - The started walk-in and its appointment.
+ * @throws {Error} - Throws if the walk-in is not found or not waiting, or no stylist can take it now.
+ */
+export const startWalkIn = async (
+  walkInId,
+  companyId,
+  userId,
+  { stylistId }
+) => {
+  const walkIn = await findCompanyWalkIn(walkInId, companyId);
+  if (walkIn.status !== WALK_IN_STATUS.WAITING) {
+    throw new Error(ERROR_MESSAGES.WALK_IN_NOT_WAITING);
+  }
+
+  const company = await getCompanySettings(companyId);
+  const startMoment = moment.tz(company.timeZone).startOf("minute");
+  const start = startMoment.toDate();
+
+  let assignedStylistId = stylistId || walkIn.preferredStylistId?._id;
+  if (stylistId) {
+    await assertStylistEligible(walkIn.service._id, stylistId, companyId);
+  } else if (!assignedStylistId) {
+    const { queue, stylists } = await loadQueueContext(
+      company,
+      [walkIn],
+      start
+    );
+    const [assignment] = estimateQueue(queue, stylists, start);
+    if (!assignment.start || assignment.start > start) {
+      throw new Error(ERROR_MESSAGES.NO_STYLIST_AVAILABLE_FOR_WALK_IN);
+    }
+    assignedStylistId = assignment.stylistId;
+  }
+
+  const lineItems = await buildLineItems(companyId, [
+    { service: walkIn.service._id, stylistId: assignedStylistId },
+  ]);
+  await assertLineItemsAvailable({ company, start, lineItems });
+
+  const { appointment } = await createAppointmentRecord({
+    companyId,
+    client: walkIn.client,
+    lineItems,
+    start,
+    time: startMoment.format(TIME_FORMAT),
+    note: walkIn.note,
+    paidStatus: PAYMENT_STATUS.UNPAID,
+    actor: userId,
+  });
+
+  walkIn.status = WALK_IN_STATUS.STARTED;
+  walkIn.startedAt = new Date();
+  walkIn.appointment = appointment._id;
+  await walkIn.save();
+
+  await saveNotification({
+    companyId,
+    message: NOTIFICATION_MESSAGES.NEW_APPOINTMENT_SCHEDULED,
+    type: NOTIFICATION_TYPES.APPOINTMENT,
+    details: {
+      appointmentId: appointment._id,
+      clientName: walkIn.client.name,
+      status: appointment.appointmentStatus,
+      appointmentDate: startMoment.format(MOMENT_DATE_FORMAT),
+      time: appointment.time,
+    },
+    timestamp: new Date(),
+    isRead: false,
+  });
+
+  return { walkIn, appointment };
+};
+
+/**
+ * Takes a client who left without being served out of the queue.
+ *
+ * @param {string} walkInId - The ID of the walk-in.
+ * @param {string} companyId - The ID of the company.
+ * @returns {Promise<Object>} - The removed walk-in.
+ * @throws {Error} - Throws if the walk-in is not found or not waiting.
+ */
+export const removeWalkIn = async (walkInId, companyId) => {
+  const walkIn = await findCompanyWalkIn(walkInId, companyId);
+  if (walkIn.status !== WALK_IN_STATUS.WAITING) {
+    throw new Error(ERROR_MESSAGES.WALK_IN_NOT_WAITING);
+  }
+
+  walkIn.status = WALK_IN_STATUS.LEFT;
+  walkIn.leftAt = new Date();
+  return walkIn.save();
+};
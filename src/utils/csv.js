@@ -0,0 +1,24 @@
+/**
+ * Quotes a CSV field when it holds a comma, quote or line break (RFC 4180). Empty values
+ * are left blank.
+ * @param {*} value - The value.
+ * @returns {string} - The field.
+ */
+const formatField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document with a header row.
+ * @param {Array<{key: string, label: string}>} columns - The field of each column and its heading.
+ * @param {Array<Object>} rows - The rows.
+ * @returns {string} - The CSV, with CRLF line endings.
+ */
+export const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => formatField(column.label)),
+    ...rows.map((row) => columns.map((column) => formatField(row[column.key]))),
+  ]
+    .map((fields) => fields.join(","))
+    .join("\r\n");
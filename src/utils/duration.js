@@ -23,4 +23,20 @@ const parseDurationToMinutes = (duration) => {
   throw new Error(ERROR_MESSAGES.UNSUPPORTED_DURATION_UNIT);
 };
 
+/**
+ * Reads the timing of a service in minutes. Services saved before the structured fields
+ * existed only have the `duration` string, and no buffers or processing time.
+ * @param {Object} service - The service document.
+ * @returns {{duration: number, bufferBefore: number, bufferAfter: number, processingStart: number, processingDuration: number}} - The timing, shaped like a line item.
+ * @throws {Error} - Throws if the service only has a `duration` string that cannot be parsed.
+ */
+export const getServiceTiming = (service) => ({
+  duration:
+    service.durationMinutes ?? parseDurationToMinutes(service.duration),
+  bufferBefore: service.bufferBeforeMinutes || 0,
+  bufferAfter: service.bufferAfterMinutes || 0,
+  processingStart: service.processingStartMinutes || 0,
+  processingDuration: service.processingMinutes || 0,
+});
+
 export default parseDurationToMinutes;
@@ -1,3 +1,9 @@
+import {
+  APPOINTMENT_EMAIL_TYPES,
+  DEFAULT_REMINDER_TEMPLATE,
+} from "../constants.js";
+import { renderReminderTemplate } from "./reminderTemplate.js";
+
 export const generateVerificationEmail = (
   name,
   emailVerificationLink,
@@ -129,3 +135,103 @@ export const paymentConfirmationTemplate = (order) => {
 
   return { subject, text, html };
 };
+
+export const waitlistOfferTemplate = (offer) => {
+  const subject = "A slot has opened up for you";
+  const text = `Hello ${offer.clientName},\n\nA slot for ${offer.serviceName} is now available on ${offer.date} at ${offer.time}.\n\nClaim it before ${offer.expiresAt}: ${offer.claimLink}\n\nOther clients on the waitlist have been offered the same slot, so it goes to whoever claims it first.`;
+  const html = `
+    <p>Hello ${offer.clientName},</p>
+    <p>A slot for <strong>${offer.serviceName}</strong> is now available on
+      <strong>${offer.date}</strong> at <strong>${offer.time}</strong>.</p>
+    <p><a href="${offer.claimLink}">Claim this slot</a> before ${offer.expiresAt}.</p>
+    <p>Other clients on the waitlist have been offered the same slot, so it goes to whoever claims it first.</p>
+  `;
+
+  return { subject, text, html };
+};
+
+/**
+ * Escapes text written by the salon or its clients before it is put in an HTML email.
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export const appointmentReminderTemplate = (reminder, values) => {
+  const subject = renderReminderTemplate(
+    reminder.subject || DEFAULT_REMINDER_TEMPLATE.subject,
+    values
+  );
+  const text = renderReminderTemplate(
+    reminder.body || DEFAULT_REMINDER_TEMPLATE.body,
+    values
+  );
+  // Blank lines separate paragraphs, single line breaks are kept
+  const html = text
+    .split(/\n{2,}/)
+    .map(
+      (paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`
+    )
+    .join("\n");
+
+  return { subject, text, html };
+};
+
+// Subject and opening line of each appointment email
+const APPOINTMENT_EMAIL_CONTENT = {
+  [APPOINTMENT_EMAIL_TYPES.BOOKED]: {
+    subject: "Your appointment is booked",
+    intro: "Your appointment is booked:",
+  },
+  [APPOINTMENT_EMAIL_TYPES.UPDATED]: {
+    subject: "Your appointment has changed",
+    intro: "Your appointment has changed. The new details are:",
+  },
+  [APPOINTMENT_EMAIL_TYPES.CANCELLED]: {
+    subject: "Your appointment has been cancelled",
+    intro: "The following appointment has been cancelled:",
+  },
+};
+
+export const appointmentInviteTemplate = (type, details) => {
+  const { subject, intro } = APPOINTMENT_EMAIL_CONTENT[type];
+  const lines = details.appointments.map(
+    (appointment) =>
+      `${appointment.date} at ${appointment.time}: ${appointment.summary}`
+  );
+  const text = `Hello ${details.clientName},\n\n${intro}\n\n${lines.join("\n")}\n\nThe attached calendar file updates your calendar.\n\n${details.companyName}`;
+  const html = `
+    <p>Hello ${escapeHtml(details.clientName)},</p>
+    <p>${intro}</p>
+    <ul>
+      ${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}
+    </ul>
+    <p>The attached calendar file updates your calendar.</p>
+    <p>${escapeHtml(details.companyName)}</p>
+  `;
+
+  return { subject: `${subject} - ${details.companyName}`, text, html };
+};
+
+export const invoiceEmailTemplate = (details) => {
+  const document = details.title.toLowerCase();
+  const text = `Hello ${details.clientName},\n\nPlease find attached your ${document} ${details.number} for ${details.amount}.\n\nThank you for visiting ${details.companyName}.`;
+  const html = `
+    <p>Hello ${escapeHtml(details.clientName)},</p>
+    <p>Please find attached your ${document} <strong>${escapeHtml(
+      details.number
+    )}</strong> for <strong>${details.amount}</strong>.</p>
+    <p>Thank you for visiting ${escapeHtml(details.companyName)}.</p>
+  `;
+
+  return {
+    subject: `Your ${document} ${details.number} - ${details.companyName}`,
+    text,
+    html,
+  };
+};
@@ -1,10 +1,21 @@
-const parseDateAsLocal = (dateStr) => {
+import moment from "moment-timezone";
+import { MOMENT_DATE_FORMAT, TIME_ZONE } from "../constants.js";
+
+/**
+ * Parses a `YYYY-MM-DD` string as the start of that day in the given timezone.
+ *
+ * @param {string} dateStr - The day to parse.
+ * @param {string} [timeZone] - The company's IANA timezone.
+ * @returns {Date|null} - The start of the day, or null if the input is not a valid date.
+ */
+const parseDateAsLocal = (dateStr, timeZone = TIME_ZONE) => {
   if (!dateStr) return null;
-  const [year, month, day] = dateStr.split("-").map(Number);
 
-  if (!year || !month || !day) return null;
+  const date = moment.tz(dateStr, MOMENT_DATE_FORMAT, true, timeZone);
+
+  if (!date.isValid()) return null;
 
-  return new Date(year, month - 1, day);
+  return date.toDate();
 };
 
 export default parseDateAsLocal;
@@ -0,0 +1,21 @@
+import crypto from "crypto";
+
+/**
+ * Signs a payload with HMAC-SHA256.
+ * @param {string} secret - The shared secret.
+ * @param {string|Buffer} payload - The payload.
+ * @returns {string} - The signature, hex encoded.
+ */
+export const signHmac = (secret, payload) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+/**
+ * Compares a signature with the expected one in constant time.
+ * @param {string} [signature] - The signature received.
+ * @param {string} expected - The signature computed.
+ * @returns {boolean} - True if they match.
+ */
+export const isSignatureValid = (signature, expected) =>
+  typeof signature === "string" &&
+  signature.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
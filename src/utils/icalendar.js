@@ -0,0 +1,99 @@
+import { ICALENDAR } from "../constants.js";
+
+// Content lines longer than this many octets are folded (RFC 5545, 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Formats a date as an iCalendar UTC date-time, e.g. `20261020T083000Z`.
+ * @param {Date} date - The date.
+ * @returns {string} - The formatted date-time.
+ */
+const formatDateTime = (date) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Escapes a TEXT value: backslashes, semicolons, commas and line breaks.
+ * @param {string} [text] - The value.
+ * @returns {string} - The escaped value.
+ */
+const escapeText = (text = "") =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Folds a content line into lines of at most 75 octets, continuation lines starting with a space.
+ * @param {string} line - The content line.
+ * @returns {string} - The folded line.
+ */
+const foldLine = (line) => {
+  const lines = [];
+  let current = "";
+  for (const char of line) {
+    // Continuation lines lose one octet to the leading space
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      lines.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+};
+
+/**
+ * Builds the stable UID of an appointment's event. Every feed and email uses the same UID,
+ * so calendars update or remove the event they already have instead of adding another.
+ * @param {Object} appointment - The appointment.
+ * @returns {string} - The event UID.
+ */
+export const getAppointmentUid = (appointment) =>
+  `${appointment._id}@${ICALENDAR.UID_DOMAIN}`;
+
+/**
+ * Builds an iCalendar document.
+ *
+ * @param {Object} params - The calendar.
+ * @param {string} params.name - Name shown by calendar apps.
+ * @param {string} params.method - One of ICALENDAR_METHODS.
+ * @param {Array<Object>} params.events - Events `{uid, start, end, summary, description, location, isCancelled, sequence, lastModified}`.
+ * @returns {string} - The `.ics` content.
+ */
+export const buildICalendar = ({ name, method, events }) => {
+  const now = formatDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICALENDAR.PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${now}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SEQUENCE:${event.sequence}`,
+      `LAST-MODIFIED:${formatDateTime(event.lastModified)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `STATUS:${event.isCancelled ? "CANCELLED" : "CONFIRMED"}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
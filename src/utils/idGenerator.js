@@ -16,7 +16,9 @@ import {
 import { AppointmentIdTracker } from "../models/Appointments.js";
 import { ClientIdTracker } from "../models/Client.js";
 import { EmployeeIdTracker } from "../models/Employee.js";
+import { InvoiceIdTracker } from "../models/Invoice.js";
 import { TransactionIdTracker } from "../models/Payment.js";
+import { SaleIdTracker } from "../models/Sale.js";
 import { ServicesIdTracker } from "../models/Services.js";
 import { StockIdTracker } from "../models/Stocks.js";
 import { UserIdTracker } from "../models/User.js";
@@ -258,3 +260,53 @@ export const generateNextTransactionId = async (companyId) => {
     throw new Error(ERROR_MESSAGES.FAILED_GENERATING_TRANSACTION_ID);
   }
 };
+
+/**
+ * Generates the next sale ID, the receipt number of a checkout sale, for a given company.
+ * The ID format will be '#SALE' followed by a 4-digit number, e.g., '#SALE0001'.
+ *
+ * @param {string} companyId - The ID of the company for which to generate the sale ID.
+ * @returns {Promise<string>} The next sale ID.
+ * @throws {Error} If there's an error generating the sale ID.
+ */
+export const generateNextSaleId = async (companyId) => {
+  try {
+    const tracker = await SaleIdTracker.findOneAndUpdate(
+      { companyId },
+      { $inc: { lastSaleId: GENERAL_CONSTANTS.ONE } },
+      { new: true, upsert: true }
+    );
+
+    return `#SALE${tracker.lastSaleId
+      .toString()
+      .padStart(GENERAL_CONSTANTS.FOUR, "0")}`;
+  } catch (error) {
+    console.error(ERROR_MESSAGES.FAILED_GENERATING_SALE_ID, error);
+    throw new Error(ERROR_MESSAGES.FAILED_GENERATING_SALE_ID);
+  }
+};
+
+/**
+ * Generates the next invoice number for a given company.
+ * The number format will be '#INV' followed by a 4-digit number, e.g., '#INV0001'.
+ *
+ * @param {string} companyId - The ID of the company for which to generate the invoice number.
+ * @returns {Promise<string>} The next invoice number.
+ * @throws {Error} If there's an error generating the invoice number.
+ */
+export const generateNextInvoiceId = async (companyId) => {
+  try {
+    const tracker = await InvoiceIdTracker.findOneAndUpdate(
+      { companyId },
+      { $inc: { lastInvoiceId: GENERAL_CONSTANTS.ONE } },
+      { new: true, upsert: true }
+    );
+
+    return `#INV${tracker.lastInvoiceId
+      .toString()
+      .padStart(GENERAL_CONSTANTS.FOUR, "0")}`;
+  } catch (error) {
+    console.error(ERROR_MESSAGES.FAILED_GENERATING_INVOICE_ID, error);
+    throw new Error(ERROR_MESSAGES.FAILED_GENERATING_INVOICE_ID);
+  }
+};
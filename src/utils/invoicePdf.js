@@ -0,0 +1,288 @@
+import { PDF } from "../constants.js";
+import { measureText, renderPdf } from "./pdf.js";
+
+const RIGHT = PDF.PAGE_WIDTH - PDF.MARGIN;
+const LINE_HEIGHT = 16;
+// Right edges of the quantity, unit price and amount columns
+const COLUMNS = {
+  QUANTITY: RIGHT - 170,
+  UNIT_PRICE: RIGHT - 85,
+  AMOUNT: RIGHT,
+};
+const DESCRIPTION_WIDTH = COLUMNS.QUANTITY - PDF.MARGIN - 40;
+// Room kept at the bottom of a page for the footer
+const FOOTER_SPACE = 60;
+
+/**
+ * Formats an amount of money with two decimals and thousands separators.
+ * @param {number} amount - The amount.
+ * @returns {string} - The formatted amount.
+ */
+export const formatAmount = (amount) =>
+  Number(amount || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+/**
+ * Shortens text with an ellipsis so that it fits a width.
+ * @param {string} text - The text.
+ * @param {number} size - The font size in points.
+ * @param {number} maxWidth - The width available in points.
+ * @returns {string} - The text, shortened if needed.
+ */
+const fitText = (text, size, maxWidth) => {
+  let fitted = String(text || "");
+  if (measureText(fitted, size) <= maxWidth) {
+    return fitted;
+  }
+  while (fitted && measureText(`${fitted}...`, size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+/**
+ * Lays out the header: company name and address, document title and reference details.
+ * @param {Object} invoice - The invoice, see `renderInvoicePdf`.
+ * @returns {{items: Array<Object>, y: number}} - The items drawn and where the page continues.
+ */
+const layoutHeader = (invoice) => {
+  const { company } = invoice;
+  let y = PDF.PAGE_HEIGHT - PDF.MARGIN - 10;
+  const items = [
+    {
+      text: fitText(company.name, 20, 300),
+      x: PDF.MARGIN,
+      y,
+      size: 20,
+      bold: true,
+      color: PDF.ACCENT_COLOR,
+    },
+    {
+      text: invoice.title.toUpperCase(),
+      x: RIGHT,
+      y,
+      size: 20,
+      bold: true,
+      align: "right",
+    },
+  ];
+
+  const address = [
+    company.address,
+    [company.city, company.country].filter(Boolean).join(", "),
+  ];
+  const references = [
+    ["Number", invoice.number],
+    ["Date", invoice.issuedAt],
+    ["Transaction", invoice.transactionId],
+    ["Reference", invoice.reference],
+    ["Status", invoice.status],
+  ].filter(([, value]) => value);
+
+  y -= 22;
+  const rows = Math.max(address.length, references.length);
+  for (let row = 0; row < rows; row += 1) {
+    if (address[row]) {
+      items.push({
+        text: fitText(address[row], 9, 260),
+        x: PDF.MARGIN,
+        y,
+        size: 9,
+        color: PDF.MUTED_COLOR,
+      });
+    }
+    if (references[row]) {
+      const [label, value] = references[row];
+      items.push(
+        {
+          text: label,
+          x: RIGHT - 190,
+          y,
+          size: 9,
+          color: PDF.MUTED_COLOR,
+        },
+        { text: fitText(value, 9, 120), x: RIGHT, y, size: 9, align: "right" }
+      );
+    }
+    y -= 13;
+  }
+
+  y -= 8;
+  items.push({
+    line: [PDF.MARGIN, y, RIGHT, y],
+    width: 1.5,
+    color: PDF.ACCENT_COLOR,
+  });
+  y -= 24;
+
+  const billTo = invoice.billTo || {};
+  const contact = [billTo.name, billTo.email, billTo.phone].filter(Boolean);
+  if (contact.length) {
+    items.push({ text: "Bill to", x: PDF.MARGIN, y, bold: true });
+    contact.forEach((value) => {
+      y -= 14;
+      items.push({ text: fitText(value, 10, 300), x: PDF.MARGIN, y });
+    });
+    y -= 26;
+  }
+
+  return { items, y };
+};
+
+/**
+ * Lays out the header row of the line item table.
+ * @param {number} y - Where the row goes.
+ * @returns {Array<Object>} - The items drawn.
+ */
+const layoutTableHeader = (y) => [
+  { text: "Description", x: PDF.MARGIN, y, bold: true },
+  { text: "Qty", x: COLUMNS.QUANTITY, y, bold: true, align: "right" },
+  { text: "Unit price", x: COLUMNS.UNIT_PRICE, y, bold: true, align: "right" },
+  { text: "Amount", x: COLUMNS.AMOUNT, y, bold: true, align: "right" },
+  { line: [PDF.MARGIN, y - 6, RIGHT, y - 6] },
+];
+
+/**
+ * Lays out the footer of a page.
+ * @param {Object} invoice - The invoice.
+ * @param {number} page - The page number.
+ * @param {number} pageCount - The number of pages.
+ * @returns {Array<Object>} - The items drawn.
+ */
+const layoutFooter = (invoice, page, pageCount) => {
+  const y = PDF.MARGIN - 10;
+  return [
+    { line: [PDF.MARGIN, y + 14, RIGHT, y + 14], color: PDF.MUTED_COLOR },
+    {
+      text: `${invoice.company.name} - ${invoice.number}`,
+      x: PDF.MARGIN,
+      y,
+      size: 8,
+      color: PDF.MUTED_COLOR,
+    },
+    {
+      text: `Page ${page} of ${pageCount}`,
+      x: RIGHT,
+      y,
+      size: 8,
+      color: PDF.MUTED_COLOR,
+      align: "right",
+    },
+  ];
+};
+
+/**
+ * Renders a company-branded invoice or receipt as a PDF. Line items flow onto further pages,
+ * each repeating the table header.
+ *
+ * @param {Object} invoice - The document to render.
+ * @param {string} invoice.title - `Invoice` or `Receipt`.
+ * @param {string} invoice.number - The invoice number.
+ * @param {string} invoice.issuedAt - The local date and time of issue.
+ * @param {string} [invoice.transactionId] - The payment's transaction ID.
+ * @param {string} [invoice.reference] - The appointment or sale the payment is for.
+ * @param {string} invoice.status - The payment status.
+ * @param {Object} invoice.company - The company's `name`, `address`, `city` and `country`.
+ * @param {Object} [invoice.billTo] - The client's `name`, `email` and `phone`.
+ * @param {Array<Object>} invoice.lines - The `description`, optional `detail`, `quantity`,
+ * `unitPrice` and `amount` of each line.
+ * @param {Array<Object>} invoice.summary - The `label`, `amount` and optional `bold` of each
+ * total, e.g. subtotal, discount and tax.
+ * @param {Array<string>} [invoice.notes] - Lines printed under the totals, e.g. how it was paid.
+ * @returns {Buffer} - The PDF file.
+ */
+export const renderInvoicePdf = (invoice) => {
+  const header = layoutHeader(invoice);
+  const pages = [header.items];
+  let items = header.items;
+  let y = header.y;
+  items.push(...layoutTableHeader(y));
+  y -= 24;
+
+  const ensureSpace = (height, withTableHeader) => {
+    if (y - height >= PDF.MARGIN + FOOTER_SPACE) {
+      return;
+    }
+    items = [];
+    pages.push(items);
+    y = PDF.PAGE_HEIGHT - PDF.MARGIN - 10;
+    if (withTableHeader) {
+      items.push(...layoutTableHeader(y));
+      y -= 24;
+    }
+  };
+
+  invoice.lines.forEach((line) => {
+    ensureSpace(line.detail ? LINE_HEIGHT + 11 : LINE_HEIGHT, true);
+    items.push(
+      {
+        text: fitText(line.description, PDF.FONT_SIZE, DESCRIPTION_WIDTH),
+        x: PDF.MARGIN,
+        y,
+      },
+      {
+        text: String(line.quantity),
+        x: COLUMNS.QUANTITY,
+        y,
+        align: "right",
+      },
+      {
+        text: formatAmount(line.unitPrice),
+        x: COLUMNS.UNIT_PRICE,
+        y,
+        align: "right",
+      },
+      { text: formatAmount(line.amount), x: COLUMNS.AMOUNT, y, align: "right" }
+    );
+    if (line.detail) {
+      y -= 11;
+      items.push({
+        text: fitText(line.detail, 8, DESCRIPTION_WIDTH),
+        x: PDF.MARGIN + 8,
+        y,
+        size: 8,
+        color: PDF.MUTED_COLOR,
+      });
+    }
+    y -= LINE_HEIGHT;
+  });
+
+  ensureSpace(invoice.summary.length * LINE_HEIGHT + 10, false);
+  items.push({ line: [RIGHT - 230, y + 6, RIGHT, y + 6] });
+  y -= 8;
+  invoice.summary.forEach((row) => {
+    items.push(
+      { text: row.label, x: RIGHT - 230, y, bold: row.bold },
+      {
+        text: formatAmount(row.amount),
+        x: RIGHT,
+        y,
+        bold: row.bold,
+        align: "right",
+      }
+    );
+    y -= LINE_HEIGHT;
+  });
+
+  (invoice.notes || []).forEach((note) => {
+    ensureSpace(LINE_HEIGHT, false);
+    y -= 4;
+    items.push({
+      text: fitText(note, 9, RIGHT - PDF.MARGIN),
+      x: PDF.MARGIN,
+      y,
+      size: 9,
+      color: PDF.MUTED_COLOR,
+    });
+    y -= 10;
+  });
+
+  return renderPdf(
+    pages.map((pageItems, index) => [
+      ...pageItems,
+      ...layoutFooter(invoice, index + 1, pages.length),
+    ])
+  );
+};
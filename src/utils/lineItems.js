@@ -0,0 +1,174 @@
+/**
+ * Computes when a line item starts and ends, given the start of its appointment.
+ * @param {Date} start - Appointment start (UTC).
+ * @param {{startOffset: number, duration: number}} item - The line item, in minutes.
+ * @returns {{start: Date, end: Date}} - The line item's interval.
+ */
+export const getLineItemWindow = (start, item) => {
+  const itemStart = new Date(start.getTime() + item.startOffset * 60 * 1000);
+  return {
+    start: itemStart,
+    end: new Date(itemStart.getTime() + item.duration * 60 * 1000),
+  };
+};
+
+/**
+ * Computes when a stylist is busy with a service: from the start of the setup buffer to the
+ * end of the cleanup buffer, except while the service is processing.
+ * @param {Date} start - Start of the service (UTC).
+ * @param {{duration: number, bufferBefore?: number, bufferAfter?: number, processingStart?: number, processingDuration?: number}} timing - The timing, in minutes.
+ * @returns {Array<{start: Date, end: Date}>} - The busy intervals, in order.
+ */
+export const getTimingBlocks = (start, timing) => {
+  const {
+    duration,
+    bufferBefore = 0,
+    bufferAfter = 0,
+    processingStart = 0,
+    processingDuration = 0,
+  } = timing;
+  const at = (minutes) => new Date(start.getTime() + minutes * 60 * 1000);
+
+  return [
+    { start: at(-bufferBefore), end: at(processingStart) },
+    {
+      start: at(processingStart + processingDuration),
+      end: at(duration + bufferAfter),
+    },
+  ].filter((block) => block.end > block.start);
+};
+
+/**
+ * Computes the span of a service buffers included, during which its room or equipment is held.
+ * @param {Date} start - Start of the service (UTC).
+ * @param {{duration: number, bufferBefore?: number, bufferAfter?: number}} timing - The timing, in minutes.
+ * @returns {{start: Date, end: Date}} - The span.
+ */
+export const getTimingSpan = (
+  start,
+  { duration, bufferBefore = 0, bufferAfter = 0 }
+) => ({
+  start: new Date(start.getTime() - bufferBefore * 60 * 1000),
+  end: new Date(start.getTime() + (duration + bufferAfter) * 60 * 1000),
+});
+
+/**
+ * Computes when a line item keeps its stylist busy, given the start of its appointment.
+ * @param {Date} start - Appointment start (UTC).
+ * @param {Object} item - The line item.
+ * @returns {Array<{start: Date, end: Date}>} - The busy intervals, in order.
+ */
+export const getLineItemBlocks = (start, item) =>
+  getTimingBlocks(getLineItemWindow(start, item).start, item);
+
+/**
+ * Computes when a line item holds its resources, given the start of its appointment.
+ * @param {Date} start - Appointment start (UTC).
+ * @param {Object} item - The line item.
+ * @returns {{start: Date, end: Date}} - The span, buffers included.
+ */
+export const getLineItemSpan = (start, item) =>
+  getTimingSpan(getLineItemWindow(start, item).start, item);
+
+/**
+ * Computes when a line item is processing, given the start of its appointment.
+ * @param {Date} start - Appointment start (UTC).
+ * @param {Object} item - The line item.
+ * @returns {{start: Date, end: Date}|null} - The processing interval, or null if the service has none.
+ */
+export const getLineItemProcessing = (start, item) => {
+  if (!item.processingDuration) {
+    return null;
+  }
+  const processingStart = new Date(
+    getLineItemWindow(start, item).start.getTime() +
+      item.processingStart * 60 * 1000
+  );
+  return {
+    start: processingStart,
+    end: new Date(
+      processingStart.getTime() + item.processingDuration * 60 * 1000
+    ),
+  };
+};
+
+/**
+ * Computes when an appointment ends, i.e. when its last line item finishes.
+ * @param {Date} start - Appointment start (UTC).
+ * @param {Array<{startOffset: number, duration: number}>} lineItems - The line items.
+ * @returns {Date} - Appointment end (UTC).
+ */
+export const getLineItemsEnd = (start, lineItems) =>
+  new Date(
+    Math.max(...lineItems.map((item) => getLineItemWindow(start, item).end))
+  );
+
+/**
+ * Checks whether any stylist is given two line items that overlap in time.
+ * @param {Array<{stylistId: *, startOffset: number, duration: number}>} lineItems - The line items.
+ * @returns {boolean} - True if a stylist would be double booked.
+ */
+export const hasStylistOverlap = (lineItems) =>
+  lineItems.some((item, index) =>
+    lineItems
+      .slice(index + 1)
+      .some(
+        (other) =>
+          String(other.stylistId) === String(item.stylistId) &&
+          other.startOffset < item.startOffset + item.duration &&
+          item.startOffset < other.startOffset + other.duration
+      )
+  );
+
+/**
+ * Lists the line items of a stored appointment. Appointments booked before line items
+ * existed are read as a single line item covering the whole appointment.
+ * @param {Object} appointment - The appointment document.
+ * @returns {Array<Object>} - Plain line items `{service, stylistId, startOffset, duration, bufferBefore, bufferAfter, processingStart, processingDuration, price, resources}`.
+ */
+export const getAppointmentLineItems = (appointment) => {
+  if (appointment.lineItems?.length) {
+    return appointment.lineItems.map((item) => ({
+      service: item.service,
+      stylistId: item.stylistId,
+      startOffset: item.startOffset,
+      duration: item.duration,
+      bufferBefore: item.bufferBefore || 0,
+      bufferAfter: item.bufferAfter || 0,
+      processingStart: item.processingStart || 0,
+      processingDuration: item.processingDuration || 0,
+      price: item.price,
+      resources: item.resources || [],
+    }));
+  }
+
+  return [
+    {
+      service: appointment.service,
+      stylistId: appointment.stylistId,
+      startOffset: 0,
+      duration:
+        (appointment.expiresAt.getTime() - appointment.date.getTime()) /
+        (60 * 1000),
+      bufferBefore: 0,
+      bufferAfter: 0,
+      processingStart: 0,
+      processingDuration: 0,
+    },
+  ];
+};
+
+/**
+ * Works out what a line item of a stored appointment costs. Line items stored without a
+ * price fall back to the appointment's total when they stand for a whole appointment booked
+ * before line items existed, and to the service's price otherwise.
+ * @param {Object} appointment - The appointment document.
+ * @param {Object} item - The line item, as listed by `getAppointmentLineItems`.
+ * @param {number|string} [servicePrice] - The current price of the item's service.
+ * @returns {number} - The price.
+ */
+export const getLineItemPrice = (appointment, item, servicePrice) =>
+  Number(item.price) ||
+  (!appointment.lineItems?.length && Number(appointment.totalPrice)) ||
+  Number(servicePrice) ||
+  0;
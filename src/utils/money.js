@@ -0,0 +1,7 @@
+/**
+ * Rounds an amount of money to cents.
+ *
+ * @param {number} value - The amount.
+ * @returns {number} - The rounded amount.
+ */
+export const roundAmount = (value) => Math.round(value * 100) / 100;
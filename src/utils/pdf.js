@@ -0,0 +1,124 @@
+import { PDF } from "../constants.js";
+
+// Advance widths of Helvetica, in 1/1000 em, for the printable ASCII characters 32 to 126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+const DEFAULT_WIDTH = 556;
+
+/**
+ * Makes text safe for a PDF string in WinAnsi encoding: characters the standard fonts cannot
+ * show become `?`, and backslashes and parentheses are escaped.
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/[\\()]/g, "\\$&");
+
+/**
+ * Measures text set in Helvetica. Digits and punctuation are as wide in the bold face, so
+ * right-aligned amounts line up whichever face they use.
+ * @param {string} text - The text.
+ * @param {number} size - The font size in points.
+ * @returns {number} - The width in points.
+ */
+export const measureText = (text, size) =>
+  ([...String(text)].reduce((width, char) => {
+    const code = char.charCodeAt(0);
+    return width + (HELVETICA_WIDTHS[code - 32] || DEFAULT_WIDTH);
+  }, 0) *
+    size) /
+  1000;
+
+/**
+ * Formats a colour as PDF RGB operands.
+ * @param {Array<number>} color - Red, green and blue, each from 0 to 1.
+ * @returns {string} - The operands.
+ */
+const formatColor = (color) => color.map((value) => value.toFixed(3)).join(" ");
+
+/**
+ * Builds the content stream of a page.
+ * @param {Array<Object>} items - Texts `{text, x, y, size, bold, align, color}` and rules
+ * `{line: [x1, y1, x2, y2], width, color}`, in points from the bottom left corner.
+ * @returns {string} - The content stream.
+ */
+const buildContent = (items) =>
+  items
+    .map((item) => {
+      const color = formatColor(item.color || PDF.TEXT_COLOR);
+      if (item.line) {
+        return `${color} RG ${item.width || 0.5} w ${item.line
+          .slice(0, 2)
+          .join(" ")} m ${item.line.slice(2).join(" ")} l S`;
+      }
+
+      const size = item.size || PDF.FONT_SIZE;
+      const x =
+        item.align === "right" ? item.x - measureText(item.text, size) : item.x;
+      return `BT ${color} rg /${item.bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(
+        2
+      )} ${item.y.toFixed(2)} Td (${escapeText(item.text)}) Tj ET`;
+    })
+    .join("\n");
+
+/**
+ * Renders pages of text and rules as an A4 PDF document set in Helvetica.
+ *
+ * @param {Array<Array<Object>>} pages - The items of each page, see `buildContent`.
+ * @returns {Buffer} - The PDF file.
+ */
+export const renderPdf = (pages) => {
+  const fontIds = [3, 4];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(" ")}] /Count ${pages.length} >>`,
+    ...["Helvetica", "Helvetica-Bold"].map(
+      (font) =>
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`
+    ),
+  ];
+  pages.forEach((items, index) => {
+    const content = buildContent(items);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF.PAGE_WIDTH} ${
+        PDF.PAGE_HEIGHT
+      }] /Resources << /Font << /F1 ${fontIds[0]} 0 R /F2 ${
+        fontIds[1]
+      } 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(
+        content,
+        "latin1"
+      )} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  // Every character is one byte in latin1, so string lengths are byte offsets
+  let body = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = body.length;
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = [
+    `xref\n0 ${objects.length + 1}`,
+    "0000000000 65535 f ",
+    ...offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+  ].join("\n");
+
+  return Buffer.from(
+    `${body}${xref}\ntrailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${body.length}\n%%EOF\n`,
+    "latin1"
+  );
+};
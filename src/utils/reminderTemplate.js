@@ -0,0 +1,25 @@
+import { REMINDER_PLACEHOLDERS } from "../constants.js";
+
+// A placeholder in a reminder subject or body, e.g. {{clientName}}
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Lists the placeholders of a reminder text that cannot be filled in.
+ * @param {string} text - The reminder subject or body.
+ * @returns {Array<string>} - Names of the unknown placeholders, in order of appearance.
+ */
+export const findUnknownPlaceholders = (text) =>
+  [...text.matchAll(PLACEHOLDER_PATTERN)]
+    .map((match) => match[1])
+    .filter((name) => !REMINDER_PLACEHOLDERS.includes(name));
+
+/**
+ * Fills in the placeholders of a reminder text. Placeholders without a value are left as written.
+ * @param {string} text - The reminder subject or body.
+ * @param {Object<string, string>} values - Value of each placeholder, by name.
+ * @returns {string} - The text to send.
+ */
+export const renderReminderTemplate = (text, values) =>
+  text.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    values[name] === undefined ? placeholder : String(values[name])
+  );
@@ -1,5 +1,34 @@
 import Joi from "joi";
 import { parseISO, isBefore } from "date-fns";
+import {
+  APPOINTMENT_STATUS,
+  ERROR_MESSAGES,
+  MAX_LINE_ITEMS_PER_APPOINTMENT,
+  RECURRENCE_FREQUENCY,
+  SERIES_EDIT_SCOPE,
+  SERIES_MAX_OCCURRENCES,
+} from "../constants.js";
+import { DATE_PATTERN, TIME_PATTERN } from "./schedule.js";
+
+// Validation schema for a single service of a multi-service appointment
+const lineItemValidationSchema = Joi.object({
+  service: Joi.string().required().messages({
+    "string.empty": "Service is required.",
+    "any.required": "Service is required.",
+  }),
+  stylistId: Joi.string().required().messages({
+    "string.empty": "Employee is required.",
+    "any.required": "Employee is required.",
+  }),
+  // Minutes after the appointment start; defaults to the end of the previous service
+  startOffset: Joi.number().integer().min(0).optional().messages({
+    "number.min": "Start offset cannot be negative.",
+  }),
+  // Minutes; defaults to the duration of the service
+  duration: Joi.number().integer().min(1).optional().messages({
+    "number.min": "Duration must be at least 1 minute.",
+  }),
+});
 
 // Validation schema for adding an appointment
 const appointmentValidationSchema = Joi.object({
@@ -10,10 +39,20 @@ const appointmentValidationSchema = Joi.object({
   clientName: Joi.string().optional().allow(null, "").messages({
     "string.empty": "Client name must be a string.",
   }),
-  service: Joi.string().required().messages({
+  service: Joi.string().messages({
     "string.empty": "Service is required.",
   }),
 
+  // Several services in one booking, in order
+  lineItems: Joi.array()
+    .items(lineItemValidationSchema)
+    .min(1)
+    .max(MAX_LINE_ITEMS_PER_APPOINTMENT)
+    .messages({
+      "array.min": "At least one service is required.",
+      "array.max": `An appointment can hold at most ${MAX_LINE_ITEMS_PER_APPOINTMENT} services.`,
+    }),
+
   // appointmentDateTime field is optional
   appointmentDateTime: Joi.string().optional().messages({
     "string.empty": "Appointment date and time must be provided.",
@@ -28,9 +67,8 @@ const appointmentValidationSchema = Joi.object({
   }),
 
   note: Joi.string().allow(null, "").optional(),
-  stylistId: Joi.string().required().messages({
+  stylistId: Joi.string().messages({
     "string.empty": "Employee is required.",
-    "any.required": "Employee is required.",
   }),
 
   // Email validation
@@ -59,7 +97,16 @@ const appointmentValidationSchema = Joi.object({
       "any.only":
         "Paid status must be one of 'paid', 'un-paid', or 'processing'.",
     }),
-});
+})
+  .xor("service", "lineItems")
+  .with("service", "stylistId")
+  .without("lineItems", "stylistId")
+  .messages({
+    "object.missing": "Service is required.",
+    "object.xor": "Provide either a service or a list of services, not both.",
+    "object.with": "Employee is required.",
+    "object.without": "Set the employee on each service of the list.",
+  });
 
 // Validate that the provided appointment date is in the future
 const validateAppointmentDate = (date, time) => {
@@ -109,3 +156,235 @@ export const validateAppointmentInput = (data) => {
 
   return { error: null };
 };
+
+// Validation schema for creating a recurring appointment series
+const appointmentSeriesValidationSchema = Joi.object({
+  clientId: Joi.string().required().messages({
+    "string.empty": "Customer is required.",
+    "any.required": "Customer is required.",
+  }),
+  service: Joi.string().required().messages({
+    "string.empty": "Service is required.",
+    "any.required": "Service is required.",
+  }),
+  stylistId: Joi.string().required().messages({
+    "string.empty": "Employee is required.",
+    "any.required": "Employee is required.",
+  }),
+  frequency: Joi.string()
+    .valid(...Object.values(RECURRENCE_FREQUENCY))
+    .required()
+    .messages({
+      "any.only": `Frequency must be one of ${Object.values(
+        RECURRENCE_FREQUENCY
+      ).join(", ")}.`,
+      "any.required": "Frequency is required.",
+    }),
+  startDate: Joi.string().pattern(DATE_PATTERN).required().messages({
+    "string.pattern.base": "Start date must be in YYYY-MM-DD format.",
+    "any.required": "Start date is required.",
+  }),
+  time: Joi.string().pattern(TIME_PATTERN).required().messages({
+    "string.pattern.base": "Time must be in HH:mm format.",
+    "any.required": "Time is required.",
+  }),
+  endDate: Joi.string().pattern(DATE_PATTERN).optional().messages({
+    "string.pattern.base": "End date must be in YYYY-MM-DD format.",
+  }),
+  occurrenceCount: Joi.number()
+    .integer()
+    .min(1)
+    .max(SERIES_MAX_OCCURRENCES)
+    .optional()
+    .messages({
+      "number.min": "Occurrence count must be at least 1.",
+      "number.max": `Occurrence count cannot exceed ${SERIES_MAX_OCCURRENCES}.`,
+    }),
+  note: Joi.string().allow(null, "").optional(),
+  paidStatus: Joi.string()
+    .valid("paid", "un-paid", "processing")
+    .default("un-paid")
+    .messages({
+      "any.only":
+        "Paid status must be one of 'paid', 'un-paid', or 'processing'.",
+    }),
+})
+  .or("endDate", "occurrenceCount")
+  .custom((series, helpers) =>
+    !series.endDate || series.endDate >= series.startDate
+      ? series
+      : helpers.error("series.order")
+  )
+  .messages({
+    "object.missing": "Either an end date or an occurrence count is required.",
+    "series.order": "End date cannot be before the start date.",
+  });
+
+// Validation schema for editing occurrences of a series
+const seriesUpdateValidationSchema = Joi.object({
+  scope: Joi.string()
+    .valid(...Object.values(SERIES_EDIT_SCOPE))
+    .required()
+    .messages({
+      "any.only": `Scope must be one of ${Object.values(SERIES_EDIT_SCOPE).join(
+        ", "
+      )}.`,
+      "any.required": "Scope is required.",
+    }),
+  // Moving to another day only makes sense for a single occurrence
+  date: Joi.string()
+    .pattern(DATE_PATTERN)
+    .when("scope", {
+      is: SERIES_EDIT_SCOPE.THIS,
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "string.pattern.base": "Date must be in YYYY-MM-DD format.",
+      "any.unknown": "Date can only be changed for a single occurrence.",
+    }),
+  time: Joi.string().pattern(TIME_PATTERN).messages({
+    "string.pattern.base": "Time must be in HH:mm format.",
+  }),
+  stylistId: Joi.string(),
+  note: Joi.string().allow(null, ""),
+  appointmentStatus: Joi.string().valid(APPOINTMENT_STATUS.CANCELLED).messages({
+    "any.only": `Only '${APPOINTMENT_STATUS.CANCELLED}' can be set on series occurrences.`,
+  }),
+  // Why the occurrences are cancelled or moved
+  reason: Joi.string().max(500).allow("").messages({
+    "string.max": "Reason cannot exceed 500 characters.",
+  }),
+})
+  .or("date", "time", "stylistId", "note", "appointmentStatus")
+  .when(Joi.object({ scope: SERIES_EDIT_SCOPE.THIS }).unknown(), {
+    then: Joi.object().and("date", "time"),
+  })
+  .messages({
+    "object.missing": "Nothing to update.",
+    "object.and": "Date and time must be provided together.",
+  });
+
+// Validate the input for a new appointment series
+export const validateAppointmentSeriesInput = (data) => {
+  const { error } = appointmentSeriesValidationSchema.validate(data, {
+    abortEarly: false,
+  });
+
+  return { error: error || null };
+};
+
+// Validate the input for editing occurrences of a series
+export const validateSeriesUpdateInput = (data) => {
+  const { error, value } = seriesUpdateValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Fields that only change through their own endpoints, e.g. cancel or reschedule
+const actionField = Joi.forbidden().messages({
+  "any.unknown": ERROR_MESSAGES.USE_APPOINTMENT_ACTION_ENDPOINTS,
+});
+
+// Validation schema for changing an appointment; anything else is dropped
+const appointmentUpdateValidationSchema = Joi.object({
+  stylistId: Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .messages({ "string.pattern.base": "Employee is invalid." }),
+  note: Joi.string().max(500).allow(null, "").messages({
+    "string.max": "Note cannot exceed 500 characters.",
+  }),
+  appointmentStatus: actionField,
+  date: actionField,
+  time: actionField,
+  appointmentDateTime: actionField,
+})
+  .or("stylistId", "note")
+  .messages({ "object.missing": "Nothing to update." });
+
+// Validation schema for cancelling an appointment
+const cancellationValidationSchema = Joi.object({
+  reason: Joi.string().max(500).allow("").optional().messages({
+    "string.max": "Reason cannot exceed 500 characters.",
+  }),
+});
+
+// Validation schema for rescheduling an appointment
+const rescheduleValidationSchema = Joi.object({
+  date: Joi.string().pattern(DATE_PATTERN).required().messages({
+    "string.pattern.base": "Date must be in YYYY-MM-DD format.",
+    "any.required": "Date is required.",
+  }),
+  time: Joi.string().pattern(TIME_PATTERN).required().messages({
+    "string.pattern.base": "Time must be in HH:mm format.",
+    "any.required": "Time is required.",
+  }),
+  reason: Joi.string().max(500).allow("").optional().messages({
+    "string.max": "Reason cannot exceed 500 characters.",
+  }),
+});
+
+// Validation schema for marking an appointment as a no-show
+const noShowValidationSchema = Joi.object({
+  note: Joi.string().max(500).allow("").optional().messages({
+    "string.max": "Note cannot exceed 500 characters.",
+  }),
+});
+
+const completionValidationSchema = Joi.object({
+  note: Joi.string().max(500).allow("").optional().messages({
+    "string.max": "Note cannot exceed 500 characters.",
+  }),
+});
+
+// Validate the input for changing an appointment
+export const validateAppointmentUpdateInput = (data) => {
+  const { error, value } = appointmentUpdateValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the input for cancelling an appointment
+export const validateCancellationInput = (data) => {
+  const { error, value } = cancellationValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the input for rescheduling an appointment
+export const validateRescheduleInput = (data) => {
+  const { error, value } = rescheduleValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the input for marking an appointment as a no-show
+export const validateNoShowInput = (data) => {
+  const { error, value } = noShowValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the input for completing an appointment
+export const validateCompletionInput = (data) => {
+  const { error, value } = completionValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
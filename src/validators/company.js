@@ -0,0 +1,264 @@
+import Joi from "joi";
+import moment from "moment-timezone";
+import {
+  ERROR_MESSAGES,
+  ONLINE_BOOKING,
+  REMINDER,
+  TAX,
+  TAX_PRICING_MODES,
+  WEEKDAYS,
+} from "../constants.js";
+import { findUnknownPlaceholders } from "../utils/reminderTemplate.js";
+import { DATE_PATTERN, TIME_PATTERN } from "./schedule.js";
+
+// Opening hours of a single weekday
+const businessHoursValidationSchema = Joi.object({
+  dayOfWeek: Joi.number()
+    .integer()
+    .min(WEEKDAYS.SUNDAY)
+    .max(WEEKDAYS.SATURDAY)
+    .required()
+    .messages({
+      "number.base": `"dayOfWeek" should be a number`,
+      "number.min": `"dayOfWeek" must be between 0 (Sunday) and 6 (Saturday)`,
+      "number.max": `"dayOfWeek" must be between 0 (Sunday) and 6 (Saturday)`,
+      "any.required": `"dayOfWeek" is a required field`,
+    }),
+  isClosed: Joi.boolean().default(false),
+  openTime: Joi.string()
+    .pattern(TIME_PATTERN)
+    .when("isClosed", { is: false, then: Joi.required() })
+    .messages({
+      "string.pattern.base": `"openTime" must be in HH:mm format`,
+      "any.required": `"openTime" is required unless "isClosed" is true`,
+    }),
+  closeTime: Joi.string()
+    .pattern(TIME_PATTERN)
+    .when("isClosed", { is: false, then: Joi.required() })
+    .messages({
+      "string.pattern.base": `"closeTime" must be in HH:mm format`,
+      "any.required": `"closeTime" is required unless "isClosed" is true`,
+    }),
+}).custom((hours, helpers) =>
+  hours.isClosed || hours.closeTime > hours.openTime
+    ? hours
+    : helpers.error("hours.order")
+).messages({
+  "hours.order": `"closeTime" must be after "openTime"`,
+});
+
+// Cancellation policy; fields left out keep their current value
+const cancellationPolicyValidationSchema = Joi.object({
+  windowHours: Joi.number().min(0).messages({
+    "number.base": `"windowHours" should be a number`,
+    "number.min": `"windowHours" cannot be negative`,
+  }),
+  allowLateChanges: Joi.boolean(),
+  lateCancellationFee: Joi.number().min(0).messages({
+    "number.base": `"lateCancellationFee" should be a number`,
+    "number.min": `"lateCancellationFee" cannot be negative`,
+  }),
+  noShowFee: Joi.number().min(0).messages({
+    "number.base": `"noShowFee" should be a number`,
+    "number.min": `"noShowFee" cannot be negative`,
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": `"cancellationPolicy" must set at least one field`,
+  });
+
+// Subject or body of a reminder; empty uses the default template
+const reminderTextValidationSchema = (maxLength) =>
+  Joi.string()
+    .allow("")
+    .max(maxLength)
+    .custom((value, helpers) => {
+      const [placeholder] = findUnknownPlaceholders(value);
+      return placeholder
+        ? helpers.error("template.placeholder", { placeholder })
+        : value;
+    })
+    .messages({
+      "string.max": `{#label} cannot exceed {#limit} characters`,
+      "template.placeholder": `{#label} uses the unknown placeholder "{#placeholder}"`,
+    });
+
+// A reminder sent a fixed number of minutes before each appointment
+const reminderValidationSchema = Joi.object({
+  minutesBefore: Joi.number()
+    .integer()
+    .min(1)
+    .max(REMINDER.MAX_MINUTES_BEFORE)
+    .required()
+    .messages({
+      "number.base": `"minutesBefore" should be a number`,
+      "number.integer": `"minutesBefore" must be a whole number of minutes`,
+      "number.min": `"minutesBefore" must be at least 1`,
+      "number.max": `"minutesBefore" cannot exceed ${REMINDER.MAX_MINUTES_BEFORE} minutes`,
+      "any.required": `"minutesBefore" is a required field`,
+    }),
+  subject: reminderTextValidationSchema(200),
+  body: reminderTextValidationSchema(2000),
+  sendEmail: Joi.boolean().default(true),
+  sendInApp: Joi.boolean().default(true),
+});
+
+// Reminder settings; fields left out keep their current value
+const reminderSettingsValidationSchema = Joi.object({
+  isEnabled: Joi.boolean(),
+  reminders: Joi.array()
+    .items(reminderValidationSchema)
+    .max(REMINDER.MAX_PER_COMPANY)
+    .unique("minutesBefore")
+    .messages({
+      "array.base": `"reminders" should be an array`,
+      "array.max": `At most ${REMINDER.MAX_PER_COMPANY} reminders can be set`,
+      "array.unique": `"reminders" cannot contain two reminders with the same "minutesBefore"`,
+    }),
+})
+  .min(1)
+  .messages({
+    "object.min": `"reminderSettings" must set at least one field`,
+  });
+
+// Online booking settings; fields left out keep their current value
+const onlineBookingValidationSchema = Joi.object({
+  isEnabled: Joi.boolean(),
+  slug: Joi.string()
+    .lowercase()
+    .min(3)
+    .max(ONLINE_BOOKING.SLUG_MAX_LENGTH)
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .messages({
+      "string.min": `"slug" must be at least 3 characters`,
+      "string.max": `"slug" cannot exceed ${ONLINE_BOOKING.SLUG_MAX_LENGTH} characters`,
+      "string.pattern.base": `"slug" may only contain letters, digits and single dashes`,
+    }),
+})
+  .min(1)
+  .messages({
+    "object.min": `"onlineBooking" must set at least one field`,
+  });
+
+// Code services and stock items use to refer to a tax category, e.g. "GST18"
+const taxCategoryCodeValidationSchema = Joi.string()
+  .trim()
+  .uppercase()
+  .max(TAX.CODE_MAX_LENGTH)
+  .pattern(/^[A-Z0-9_-]+$/)
+  .messages({
+    "string.max": `{#label} cannot exceed ${TAX.CODE_MAX_LENGTH} characters`,
+    "string.pattern.base": `{#label} may only contain letters, digits, dashes and underscores`,
+  });
+
+// A tax rate, e.g. a GST slab
+const taxCategoryValidationSchema = Joi.object({
+  code: taxCategoryCodeValidationSchema.required().messages({
+    "any.required": `"code" is a required field`,
+  }),
+  name: Joi.string().trim().max(50).required().messages({
+    "string.max": `"name" cannot exceed 50 characters`,
+    "any.required": `"name" is a required field`,
+  }),
+  rate: Joi.number().min(0).max(100).required().messages({
+    "number.base": `"rate" should be a number`,
+    "number.min": `"rate" cannot be negative`,
+    "number.max": `"rate" cannot exceed 100`,
+    "any.required": `"rate" is a required field`,
+  }),
+});
+
+// Tax settings; fields left out keep their current value, a null default category clears it
+const taxSettingsValidationSchema = Joi.object({
+  pricingMode: Joi.string()
+    .valid(...Object.values(TAX_PRICING_MODES))
+    .messages({
+      "any.only": `"pricingMode" must be one of ${Object.values(
+        TAX_PRICING_MODES
+      ).join(", ")}`,
+    }),
+  categories: Joi.array()
+    .items(taxCategoryValidationSchema)
+    .max(TAX.MAX_CATEGORIES)
+    .unique("code")
+    .messages({
+      "array.base": `"categories" should be an array`,
+      "array.max": `At most ${TAX.MAX_CATEGORIES} tax categories can be set`,
+      "array.unique": `"categories" cannot contain two categories with the same "code"`,
+    }),
+  defaultCategory: taxCategoryCodeValidationSchema.allow(null),
+})
+  .min(1)
+  .messages({
+    "object.min": `"taxSettings" must set at least one field`,
+  });
+
+// Company Settings Validation Schema
+const companySettingsValidationSchema = Joi.object({
+  timeZone: Joi.string()
+    .custom((value, helpers) =>
+      moment.tz.zone(value) ? value : helpers.error("timeZone.invalid")
+    )
+    .messages({
+      "timeZone.invalid": ERROR_MESSAGES.INVALID_TIME_ZONE,
+    }),
+  businessHours: Joi.array()
+    .items(businessHoursValidationSchema)
+    .unique("dayOfWeek")
+    .messages({
+      "array.base": `"businessHours" should be an array`,
+      "array.unique": `"businessHours" must contain each weekday at most once`,
+    }),
+  cancellationPolicy: cancellationPolicyValidationSchema,
+  reminderSettings: reminderSettingsValidationSchema,
+  onlineBooking: onlineBookingValidationSchema,
+  taxSettings: taxSettingsValidationSchema,
+})
+  .or(
+    "timeZone",
+    "businessHours",
+    "cancellationPolicy",
+    "reminderSettings",
+    "onlineBooking",
+    "taxSettings"
+  )
+  .messages({
+    "object.missing": `At least one of "timeZone", "businessHours", "cancellationPolicy", "reminderSettings", "onlineBooking" or "taxSettings" is required`,
+  });
+
+// Closure Validation Schema
+const closureValidationSchema = Joi.object({
+  date: Joi.string().pattern(DATE_PATTERN).required().messages({
+    "string.pattern.base": `"date" must be in YYYY-MM-DD format`,
+    "any.required": `"date" is a required field`,
+  }),
+  reason: Joi.string().optional().allow(""),
+});
+
+/**
+ * Validates data against one of the company schemas.
+ *
+ * @param {Joi.ObjectSchema} schema - The schema to validate against.
+ * @param {Object} data - The data to validate.
+ * @returns {{isValid: boolean, errors?: Array<string>, data?: Object}} - The validation result.
+ */
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data, {
+    abortEarly: false, // To capture all errors
+    stripUnknown: true,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => detail.message);
+    return { isValid: false, errors };
+  }
+
+  return { isValid: true, data: value };
+};
+
+export const validateCompanySettings = (data) =>
+  validate(companySettingsValidationSchema, data);
+
+export const validateCompanyClosure = (data) =>
+  validate(closureValidationSchema, data);
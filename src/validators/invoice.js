@@ -0,0 +1,19 @@
+import Joi from "joi";
+
+// Validation schema for emailing an invoice
+const invoiceEmailValidationSchema = Joi.object({
+  // Defaults to the client's email address
+  email: Joi.string().trim().lowercase().email().allow("").messages({
+    "string.email": "Email must be a valid email address.",
+  }),
+});
+
+// Validate the input for emailing an invoice
+export const validateInvoiceEmail = (data) => {
+  const { error, value } = invoiceEmailValidationSchema.validate(data || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
@@ -0,0 +1,24 @@
+import Joi from "joi";
+import { WEBHOOK_EVENT_STATUS } from "../constants.js";
+
+const validationOptions = { abortEarly: false, stripUnknown: true };
+
+// Validation schema for the webhook event list filter
+const webhookEventListValidationSchema = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(WEBHOOK_EVENT_STATUS))
+    .messages({
+      "any.only": `Status must be one of ${Object.values(
+        WEBHOOK_EVENT_STATUS
+      ).join(", ")}.`,
+    }),
+});
+
+// Validate the webhook event list filter
+export const validateWebhookEventList = (data) => {
+  const { error, value } = webhookEventListValidationSchema.validate(
+    data || {},
+    validationOptions
+  );
+  return { error: error || null, value };
+};
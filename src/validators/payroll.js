@@ -0,0 +1,167 @@
+import Joi from "joi";
+import { COMMISSION_TYPES, PAYROLL, SALARY_PERIODS } from "../constants.js";
+
+const idValidation = (label) =>
+  Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .messages({ "string.pattern.base": `${label} is invalid.` });
+
+const rateValidation = (label) =>
+  Joi.number().min(0).max(100).messages({
+    "number.base": `${label} must be a number.`,
+    "number.min": `${label} cannot be negative.`,
+    "number.max": `${label} cannot exceed 100.`,
+  });
+
+const dateValidation = (label) =>
+  Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .required()
+    .messages({
+      "string.pattern.base": `${label} must be in YYYY-MM-DD format.`,
+      "any.required": `${label} is required.`,
+    });
+
+// Commission on services or retail; the rate or the tiers depend on the type
+const commissionValidation = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(COMMISSION_TYPES))
+    .required()
+    .messages({
+      "any.only": `Commission type must be one of ${Object.values(
+        COMMISSION_TYPES
+      ).join(", ")}.`,
+      "any.required": "Commission type is required.",
+    }),
+  rate: rateValidation("Commission rate").when("type", {
+    is: COMMISSION_TYPES.PERCENTAGE,
+    then: Joi.required().messages({
+      "any.required": "Commission rate is required.",
+    }),
+    otherwise: Joi.forbidden().messages({
+      "any.unknown": "Commission rate is only for percentage commissions.",
+    }),
+  }),
+  tiers: Joi.array()
+    .items(
+      Joi.object({
+        threshold: Joi.number().min(0).required().messages({
+          "number.base": "Tier threshold must be a number.",
+          "number.min": "Tier threshold cannot be negative.",
+          "any.required": "Tier threshold is required.",
+        }),
+        rate: rateValidation("Tier rate").required().messages({
+          "any.required": "Tier rate is required.",
+        }),
+      })
+    )
+    .unique("threshold")
+    .min(1)
+    .max(PAYROLL.MAX_TIERS)
+    .when("type", {
+      is: COMMISSION_TYPES.TIERED,
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "array.unique": "Tier thresholds must be different.",
+      "array.min": "At least one tier is required.",
+      "array.max": `No more than ${PAYROLL.MAX_TIERS} tiers are allowed.`,
+      "any.required": "Tiers are required.",
+      "any.unknown": "Tiers are only for tiered commissions.",
+    }),
+});
+
+const planFields = {
+  name: Joi.string().trim().max(100).messages({
+    "string.empty": "Name is required.",
+    "string.max": "Name cannot exceed 100 characters.",
+  }),
+  salary: Joi.number().min(0).precision(2).messages({
+    "number.base": "Salary must be a number.",
+    "number.min": "Salary cannot be negative.",
+  }),
+  salaryPeriod: Joi.string()
+    .valid(...Object.values(SALARY_PERIODS))
+    .messages({
+      "any.only": `Salary period must be one of ${Object.values(
+        SALARY_PERIODS
+      ).join(", ")}.`,
+    }),
+  serviceCommission: commissionValidation,
+  retailCommission: commissionValidation,
+  // Percentage of their tips passed on to the employee
+  tipShare: rateValidation("Tip share"),
+  isActive: Joi.boolean(),
+};
+
+// Validation schema for creating a compensation plan, for an employee or for a role
+const planValidationSchema = Joi.object({
+  ...planFields,
+  name: planFields.name.required().messages({
+    "any.required": "Name is required.",
+  }),
+  employee: idValidation("Employee"),
+  role: idValidation("Role"),
+})
+  .xor("employee", "role")
+  .messages({
+    "object.missing": "The plan must be for an employee or a role.",
+    "object.xor": "The plan must be for an employee or a role, not both.",
+  });
+
+// Validation schema for updating a compensation plan
+const planUpdateValidationSchema = Joi.object(planFields).min(1).messages({
+  "object.min": "Nothing to update.",
+});
+
+// Validation schema for listing compensation plans
+const planQueryValidationSchema = Joi.object({
+  isActive: Joi.boolean(),
+});
+
+// Validation schema for starting a payroll run
+const payrollRunValidationSchema = Joi.object({
+  from: dateValidation("From date"),
+  to: dateValidation("To date"),
+});
+
+// Validate the input for creating a compensation plan
+export const validateCompensationPlanInput = (data) => {
+  const { error, value } = planValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the input for updating a compensation plan
+export const validateCompensationPlanUpdate = (data) => {
+  const { error, value } = planUpdateValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the filters for listing compensation plans
+export const validateCompensationPlanQuery = (data) => {
+  const { error, value } = planQueryValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the period of a payroll run
+export const validatePayrollRunInput = (data) => {
+  const { error, value } = payrollRunValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
@@ -0,0 +1,108 @@
+import Joi from "joi";
+import { DATE_PATTERN, TIME_PATTERN } from "./schedule.js";
+
+const idValidation = (label) =>
+  Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .messages({ "string.pattern.base": `${label} is invalid.` });
+
+const emailValidation = Joi.string().trim().lowercase().email().messages({
+  "string.empty": "Email is required.",
+  "string.email": "Email must be a valid email address.",
+  "any.required": "Email is required.",
+});
+
+// Validation schema for listing services
+const bookingServicesQueryValidationSchema = Joi.object({
+  categoryId: idValidation("Category"),
+});
+
+// Validation schema for listing stylists
+const bookingStylistsQueryValidationSchema = Joi.object({
+  serviceId: idValidation("Service"),
+});
+
+// Validation schema for listing open slots
+const bookingAvailabilityQueryValidationSchema = Joi.object({
+  serviceId: idValidation("Service").required().messages({
+    "any.required": "Service is required.",
+  }),
+  date: Joi.string().pattern(DATE_PATTERN).required().messages({
+    "string.pattern.base": "Date must be in YYYY-MM-DD format.",
+    "any.required": "Date is required.",
+  }),
+  stylistId: idValidation("Stylist"),
+});
+
+// Validation schema for requesting a booking OTP
+const bookingOtpValidationSchema = Joi.object({
+  email: emailValidation.required(),
+});
+
+// Validation schema for booking as a guest
+const onlineBookingValidationSchema = Joi.object({
+  name: Joi.string().trim().max(100).required().messages({
+    "string.empty": "Name is required.",
+    "string.max": "Name cannot exceed 100 characters.",
+    "any.required": "Name is required.",
+  }),
+  // Guests are matched to the salon's clients by phone number
+  phone: Joi.string()
+    .pattern(/^\d+$/)
+    .required()
+    .messages({
+      "string.empty": "Phone number is required.",
+      "string.pattern.base": "Phone number must contain only numbers.",
+      "any.required": "Phone number is required.",
+    }),
+  email: emailValidation.required(),
+  otp: Joi.string().trim().required().messages({
+    "string.empty": "OTP is required.",
+    "any.required": "OTP is required.",
+  }),
+  serviceId: idValidation("Service").required().messages({
+    "any.required": "Service is required.",
+  }),
+  // Any free stylist performing the service otherwise
+  stylistId: idValidation("Stylist"),
+  date: Joi.string().pattern(DATE_PATTERN).required().messages({
+    "string.pattern.base": "Date must be in YYYY-MM-DD format.",
+    "any.required": "Date is required.",
+  }),
+  time: Joi.string().pattern(TIME_PATTERN).required().messages({
+    "string.pattern.base": "Time must be in HH:mm format.",
+    "any.required": "Time is required.",
+  }),
+  note: Joi.string().max(500).allow("").messages({
+    "string.max": "Note cannot exceed 500 characters.",
+  }),
+});
+
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the filters for listing services
+export const validateBookingServicesQuery = (data) =>
+  validate(bookingServicesQueryValidationSchema, data);
+
+// Validate the filters for listing stylists
+export const validateBookingStylistsQuery = (data) =>
+  validate(bookingStylistsQueryValidationSchema, data);
+
+// Validate the query for listing open slots
+export const validateBookingAvailabilityQuery = (data) =>
+  validate(bookingAvailabilityQueryValidationSchema, data);
+
+// Validate the input for requesting a booking OTP
+export const validateBookingOtpInput = (data) =>
+  validate(bookingOtpValidationSchema, data);
+
+// Validate the input for booking as a guest
+export const validateOnlineBookingInput = (data) =>
+  validate(onlineBookingValidationSchema, data);
@@ -0,0 +1,70 @@
+import Joi from "joi";
+import { REFUND_REASONS, REFUND_STATUS } from "../constants.js";
+
+const validationOptions = { abortEarly: false, stripUnknown: true };
+
+// Validation schema for asking for a refund
+const refundRequestValidationSchema = Joi.object({
+  // Defaults to all that is left to refund on the payment
+  amount: Joi.number().positive().precision(2).messages({
+    "number.base": "Refund amount must be a number.",
+    "number.positive": "Refund amount must be greater than 0.",
+  }),
+  reason: Joi.string()
+    .valid(...Object.values(REFUND_REASONS))
+    .required()
+    .messages({
+      "any.only": `Refund reason must be one of ${Object.values(
+        REFUND_REASONS
+      ).join(", ")}.`,
+      "any.required": "Refund reason is required.",
+    }),
+  note: Joi.string().trim().max(500).allow("").messages({
+    "string.max": "Note cannot exceed 500 characters.",
+  }),
+});
+
+// Validation schema for approving or rejecting a refund
+const refundReviewValidationSchema = Joi.object({
+  note: Joi.string().trim().max(500).allow("").messages({
+    "string.max": "Note cannot exceed 500 characters.",
+  }),
+});
+
+// Validation schema for the refund queue filter
+const refundListValidationSchema = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(REFUND_STATUS))
+    .messages({
+      "any.only": `Status must be one of ${Object.values(REFUND_STATUS).join(
+        ", "
+      )}.`,
+    }),
+});
+
+// Validate the input for asking for a refund
+export const validateRefundRequest = (data) => {
+  const { error, value } = refundRequestValidationSchema.validate(
+    data || {},
+    validationOptions
+  );
+  return { error: error || null, value };
+};
+
+// Validate the input for approving or rejecting a refund
+export const validateRefundReview = (data) => {
+  const { error, value } = refundReviewValidationSchema.validate(
+    data || {},
+    validationOptions
+  );
+  return { error: error || null, value };
+};
+
+// Validate the refund queue filter
+export const validateRefundList = (data) => {
+  const { error, value } = refundListValidationSchema.validate(
+    data || {},
+    validationOptions
+  );
+  return { error: error || null, value };
+};
@@ -0,0 +1,78 @@
+import Joi from "joi";
+import { RESOURCE_TYPES } from "../constants.js";
+
+const resourceFields = {
+  name: Joi.string().trim().max(100).messages({
+    "string.empty": "Name is required.",
+    "string.max": "Name cannot exceed 100 characters.",
+  }),
+  type: Joi.string()
+    .valid(...Object.values(RESOURCE_TYPES))
+    .messages({
+      "any.only": `Type must be one of ${Object.values(RESOURCE_TYPES).join(
+        ", "
+      )}.`,
+    }),
+  // How many services can use the resource at the same time
+  capacity: Joi.number().integer().min(1).max(100).messages({
+    "number.base": "Capacity must be a number.",
+    "number.min": "Capacity must be at least 1.",
+    "number.max": "Capacity cannot exceed 100.",
+  }),
+  description: Joi.string().max(500).allow("").messages({
+    "string.max": "Description cannot exceed 500 characters.",
+  }),
+};
+
+// Validation schema for creating a resource
+const resourceValidationSchema = Joi.object({
+  ...resourceFields,
+  name: resourceFields.name.required().messages({
+    "any.required": "Name is required.",
+  }),
+  type: resourceFields.type.required().messages({
+    "any.required": "Type is required.",
+  }),
+});
+
+// Validation schema for updating a resource
+const resourceUpdateValidationSchema = Joi.object(resourceFields)
+  .min(1)
+  .messages({
+    "object.min": "Nothing to update.",
+  });
+
+// Validation schema for listing resources
+const resourceQueryValidationSchema = Joi.object({
+  type: resourceFields.type.optional(),
+});
+
+// Validate the input for creating a resource
+export const validateResourceInput = (data) => {
+  const { error, value } = resourceValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the input for updating a resource
+export const validateResourceUpdate = (data) => {
+  const { error, value } = resourceUpdateValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the filters for listing resources
+export const validateResourceQuery = (data) => {
+  const { error, value } = resourceQueryValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
@@ -0,0 +1,100 @@
+import Joi from "joi";
+import { DISCOUNT_TYPES, TENDER_METHODS } from "../constants.js";
+
+const idValidation = (label) =>
+  Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .messages({ "string.pattern.base": `${label} is invalid.` });
+
+const amountValidation = (label) =>
+  Joi.number().min(0).precision(2).messages({
+    "number.base": `${label} must be a number.`,
+    "number.min": `${label} cannot be negative.`,
+    "any.required": `${label} is required.`,
+  });
+
+const discountValidation = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(DISCOUNT_TYPES))
+    .required()
+    .messages({
+      "any.only": `Discount type must be one of ${Object.values(
+        DISCOUNT_TYPES
+      ).join(", ")}.`,
+      "any.required": "Discount type is required.",
+    }),
+  value: amountValidation("Discount")
+    .required()
+    .when("type", {
+      is: DISCOUNT_TYPES.PERCENTAGE,
+      then: Joi.number().max(100).messages({
+        "number.max": "A percentage discount cannot exceed 100.",
+      }),
+    }),
+  reason: Joi.string().trim().max(200).allow("").messages({
+    "string.max": "Discount reason cannot exceed 200 characters.",
+  }),
+});
+
+// Validation schema for checking out a sale
+const saleValidationSchema = Joi.object({
+  appointments: Joi.array().items(idValidation("Appointment")).default([]),
+  products: Joi.array()
+    .items(
+      Joi.object({
+        stock: idValidation("Product").required().messages({
+          "any.required": "Product is required.",
+        }),
+        quantity: Joi.number().integer().min(1).required().messages({
+          "number.base": "Quantity must be a number.",
+          "number.min": "Quantity must be at least 1.",
+          "any.required": "Quantity is required.",
+        }),
+        // Who sold the product, for their retail commission
+        stylistId: idValidation("Stylist"),
+      })
+    )
+    .default([]),
+  // Only needed for retail sales; appointments already name their client
+  clientId: Joi.string().trim().allow(""),
+  discount: discountValidation,
+  tips: Joi.array()
+    .items(
+      Joi.object({
+        stylistId: idValidation("Stylist").required().messages({
+          "any.required": "Stylist is required.",
+        }),
+        amount: amountValidation("Tip").required(),
+      })
+    )
+    .default([]),
+  tenders: Joi.array()
+    .items(
+      Joi.object({
+        method: Joi.string()
+          .valid(...Object.values(TENDER_METHODS))
+          .required()
+          .messages({
+            "any.only": `Tender method must be one of ${Object.values(
+              TENDER_METHODS
+            ).join(", ")}.`,
+            "any.required": "Tender method is required.",
+          }),
+        amount: amountValidation("Tender").required(),
+        reference: Joi.string().trim().max(100).allow("").messages({
+          "string.max": "Tender reference cannot exceed 100 characters.",
+        }),
+      })
+    )
+    .default([]),
+});
+
+// Validate the input for checking out a sale
+export const validateSaleInput = (data) => {
+  const { error, value } = saleValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
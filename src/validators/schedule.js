@@ -0,0 +1,138 @@
+import Joi from "joi";
+import { LEAVE_STATUS, LEAVE_TYPES, WEEKDAYS } from "../constants.js";
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A single shift in local time, e.g. 09:00 - 13:00
+const shiftValidationSchema = Joi.object({
+  startTime: Joi.string().pattern(TIME_PATTERN).required().messages({
+    "string.pattern.base": `"startTime" must be in HH:mm format`,
+    "any.required": `"startTime" is a required field`,
+  }),
+  endTime: Joi.string().pattern(TIME_PATTERN).required().messages({
+    "string.pattern.base": `"endTime" must be in HH:mm format`,
+    "any.required": `"endTime" is a required field`,
+  }),
+}).custom((shift, helpers) =>
+  shift.endTime > shift.startTime ? shift : helpers.error("shift.order")
+).messages({
+  "shift.order": `"endTime" must be after "startTime"`,
+});
+
+// Weekly Schedule Validation Schema
+const weeklyScheduleValidationSchema = Joi.object({
+  weeklySchedule: Joi.array()
+    .items(
+      shiftValidationSchema.keys({
+        dayOfWeek: Joi.number()
+          .integer()
+          .min(WEEKDAYS.SUNDAY)
+          .max(WEEKDAYS.SATURDAY)
+          .required()
+          .messages({
+            "number.base": `"dayOfWeek" should be a number`,
+            "number.min": `"dayOfWeek" must be between 0 (Sunday) and 6 (Saturday)`,
+            "number.max": `"dayOfWeek" must be between 0 (Sunday) and 6 (Saturday)`,
+            "any.required": `"dayOfWeek" is a required field`,
+          }),
+      })
+    )
+    .required()
+    .messages({
+      "array.base": `"weeklySchedule" should be an array`,
+      "any.required": `"weeklySchedule" is a required field`,
+    }),
+});
+
+// Schedule Override Validation Schema
+const scheduleOverrideValidationSchema = Joi.object({
+  date: Joi.string().pattern(DATE_PATTERN).required().messages({
+    "string.pattern.base": `"date" must be in YYYY-MM-DD format`,
+    "any.required": `"date" is a required field`,
+  }),
+  isDayOff: Joi.boolean().default(false),
+  shifts: Joi.array()
+    .items(shiftValidationSchema)
+    .when("isDayOff", {
+      is: false,
+      then: Joi.array().min(1).required(),
+      otherwise: Joi.array().max(0).default([]),
+    })
+    .messages({
+      "array.min": `"shifts" must contain at least one shift unless "isDayOff" is true`,
+      "array.max": `"shifts" must be empty when "isDayOff" is true`,
+      "any.required": `"shifts" is required unless "isDayOff" is true`,
+    }),
+  reason: Joi.string().optional().allow(""),
+});
+
+// Leave Request Validation Schema
+const leaveRequestValidationSchema = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(LEAVE_TYPES))
+    .default(LEAVE_TYPES.VACATION)
+    .messages({
+      "any.only": `"type" must be one of the following: ${Object.values(
+        LEAVE_TYPES
+      ).join(", ")}`,
+    }),
+  startDate: Joi.string().pattern(DATE_PATTERN).required().messages({
+    "string.pattern.base": `"startDate" must be in YYYY-MM-DD format`,
+    "any.required": `"startDate" is a required field`,
+  }),
+  endDate: Joi.string().pattern(DATE_PATTERN).required().messages({
+    "string.pattern.base": `"endDate" must be in YYYY-MM-DD format`,
+    "any.required": `"endDate" is a required field`,
+  }),
+  reason: Joi.string().optional().allow(""),
+}).custom((leave, helpers) =>
+  leave.endDate >= leave.startDate ? leave : helpers.error("leave.order")
+).messages({
+  "leave.order": `"endDate" must not be before "startDate"`,
+});
+
+// Leave Review Validation Schema
+const leaveReviewValidationSchema = Joi.object({
+  status: Joi.string()
+    .valid(LEAVE_STATUS.APPROVED, LEAVE_STATUS.REJECTED)
+    .required()
+    .messages({
+      "any.only": `"status" must be one of the following: ${LEAVE_STATUS.APPROVED}, ${LEAVE_STATUS.REJECTED}`,
+      "any.required": `"status" is a required field`,
+    }),
+  reviewNote: Joi.string().optional().allow(""),
+});
+
+/**
+ * Validates data against one of the schedule schemas.
+ *
+ * @param {Joi.ObjectSchema} schema - The schema to validate against.
+ * @param {Object} data - The data to validate.
+ * @returns {{isValid: boolean, errors?: Array<string>, data?: Object}} - The validation result.
+ */
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data, {
+    abortEarly: false, // To capture all errors
+    stripUnknown: true,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => detail.message);
+    return { isValid: false, errors };
+  }
+
+  return { isValid: true, data: value };
+};
+
+export const validateWeeklySchedule = (data) =>
+  validate(weeklyScheduleValidationSchema, data);
+
+export const validateScheduleOverride = (data) =>
+  validate(scheduleOverrideValidationSchema, data);
+
+export const validateLeaveRequest = (data) =>
+  validate(leaveRequestValidationSchema, data);
+
+export const validateLeaveReview = (data) =>
+  validate(leaveReviewValidationSchema, data);
@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { DEPOSIT, DEPOSIT_TYPES, SERVICE_TIMING } from "../constants.js";
 
 const serviceValidationSchema = Joi.object({
   name: Joi.string().required().messages({
@@ -21,3 +22,105 @@ const serviceValidationSchema = Joi.object({
 
 export const validateServiceInput = (data) =>
   serviceValidationSchema.validate(data, { abortEarly: false });
+
+// Setup and cleanup buffers share the same bounds
+const bufferValidation = (label) =>
+  Joi.number()
+    .integer()
+    .min(0)
+    .max(SERVICE_TIMING.MAX_BUFFER_MINUTES)
+    .messages({
+      "number.base": `${label} must be a number of minutes.`,
+      "number.min": `${label} cannot be negative.`,
+      "number.max": `${label} cannot exceed ${SERVICE_TIMING.MAX_BUFFER_MINUTES} minutes.`,
+    });
+
+// Validation schema for the timing of a service, in minutes
+const serviceTimingValidationSchema = Joi.object({
+  durationMinutes: Joi.number().integer().min(1).allow(null).messages({
+    "number.base": "Duration must be a number of minutes.",
+    "number.min": "Duration must be at least 1 minute.",
+  }),
+  bufferBeforeMinutes: bufferValidation("Setup time"),
+  bufferAfterMinutes: bufferValidation("Cleanup time"),
+  // Processing (e.g. colour developing) frees the stylist for other clients
+  processingStartMinutes: Joi.number().integer().min(0).messages({
+    "number.base": "Processing start must be a number of minutes.",
+    "number.min": "Processing start cannot be negative.",
+  }),
+  processingMinutes: Joi.number().integer().min(0).messages({
+    "number.base": "Processing time must be a number of minutes.",
+    "number.min": "Processing time cannot be negative.",
+  }),
+})
+  .custom((timing, helpers) => {
+    const processingEnd =
+      (timing.processingStartMinutes || 0) + (timing.processingMinutes || 0);
+    return !timing.processingMinutes ||
+      (timing.durationMinutes && processingEnd <= timing.durationMinutes)
+      ? timing
+      : helpers.error("processing.fit");
+  })
+  .messages({
+    "processing.fit": "Processing time must end before the service ends.",
+  });
+
+// Validate the timing of a service
+export const validateServiceTiming = (data) => {
+  const { error, value } = serviceTimingValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validation schema for the deposit a service requires; an empty type requires none
+const serviceDepositValidationSchema = Joi.object({
+  depositType: Joi.string()
+    .valid(...Object.values(DEPOSIT_TYPES))
+    .empty("")
+    .allow(null)
+    .default(null)
+    .messages({
+      "any.only": `Deposit type must be one of ${Object.values(
+        DEPOSIT_TYPES
+      ).join(", ")}.`,
+    }),
+  depositValue: Joi.number()
+    .min(0)
+    .when("depositType", {
+      is: DEPOSIT_TYPES.PERCENTAGE,
+      then: Joi.number().max(100),
+    })
+    .when("depositType", {
+      is: Joi.string().required(),
+      then: Joi.number().greater(0).required(),
+    })
+    .messages({
+      "number.base": "Deposit must be a number.",
+      "number.min": "Deposit cannot be negative.",
+      "number.greater": "Deposit must be greater than 0.",
+      "number.max": "A percentage deposit cannot exceed 100.",
+      "any.required": "Deposit is required when a deposit type is set.",
+    }),
+  depositHoldMinutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(DEPOSIT.MAX_HOLD_MINUTES)
+    .messages({
+      "number.base": "Deposit hold must be a number of minutes.",
+      "number.min": "Deposit hold must be at least 1 minute.",
+      "number.max": `Deposit hold cannot exceed ${DEPOSIT.MAX_HOLD_MINUTES} minutes.`,
+    }),
+});
+
+// Validate the deposit a service requires
+export const validateServiceDeposit = (data) => {
+  const { error, value } = serviceDepositValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
@@ -34,6 +34,9 @@ const stockValidationSchema = Joi.object({
   stockDescription: Joi.string().allow(null, "").optional().messages({
     "string.base": "Description must be a string.",
   }),
+  taxCategory: Joi.string().allow(null, "").optional().messages({
+    "string.base": "Tax category must be a string.",
+  }),
 }).unknown();
 
 export { stockValidationSchema };
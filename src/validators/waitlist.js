@@ -0,0 +1,61 @@
+import Joi from "joi";
+import { WAITLIST_STATUS } from "../constants.js";
+import { DATE_PATTERN } from "./schedule.js";
+
+// Validation schema for adding a client to the waitlist
+const waitlistValidationSchema = Joi.object({
+  clientId: Joi.string().required().messages({
+    "string.empty": "Customer is required.",
+    "any.required": "Customer is required.",
+  }),
+  service: Joi.string().required().messages({
+    "string.empty": "Service is required.",
+    "any.required": "Service is required.",
+  }),
+  // Only slots of this stylist are offered; any eligible stylist otherwise
+  stylistId: Joi.string().optional(),
+  fromDate: Joi.string().pattern(DATE_PATTERN).required().messages({
+    "string.pattern.base": `"fromDate" must be in YYYY-MM-DD format`,
+    "any.required": `"fromDate" is a required field`,
+  }),
+  toDate: Joi.string().pattern(DATE_PATTERN).required().messages({
+    "string.pattern.base": `"toDate" must be in YYYY-MM-DD format`,
+    "any.required": `"toDate" is a required field`,
+  }),
+  note: Joi.string().max(500).allow("").optional().messages({
+    "string.max": "Note cannot exceed 500 characters.",
+  }),
+})
+  .custom((entry, helpers) =>
+    entry.toDate >= entry.fromDate ? entry : helpers.error("dates.order")
+  )
+  .messages({
+    "dates.order": `"toDate" cannot be before "fromDate"`,
+  });
+
+// Validation schema for listing the waitlist
+const waitlistQueryValidationSchema = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(WAITLIST_STATUS))
+    .optional(),
+});
+
+// Validate the input for adding a client to the waitlist
+export const validateWaitlistInput = (data) => {
+  const { error, value } = waitlistValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the filters for listing the waitlist
+export const validateWaitlistQuery = (data) => {
+  const { error, value } = waitlistQueryValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
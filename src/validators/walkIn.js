@@ -0,0 +1,70 @@
+import Joi from "joi";
+import { GENDER } from "../constants.js";
+
+// A client who is not registered yet
+const newClientValidationSchema = Joi.object({
+  firstName: Joi.string().required().messages({
+    "string.empty": "First name is required.",
+    "any.required": "First name is required.",
+  }),
+  lastName: Joi.string().allow("").optional(),
+  phone: Joi.string().required().messages({
+    "string.empty": "Phone number is required.",
+    "any.required": "Phone number is required.",
+  }),
+  email: Joi.string().email().allow("").optional().messages({
+    "string.email": "Email must be a valid email address.",
+  }),
+  gender: Joi.string()
+    .valid(...Object.values(GENDER))
+    .optional(),
+});
+
+// Validation schema for adding a client to the walk-in queue
+const walkInValidationSchema = Joi.object({
+  clientId: Joi.string().messages({
+    "string.empty": "Customer is required.",
+  }),
+  client: newClientValidationSchema,
+  service: Joi.string().required().messages({
+    "string.empty": "Service is required.",
+    "any.required": "Service is required.",
+  }),
+  // The stylist the client asked for; any eligible stylist otherwise
+  stylistId: Joi.string().optional(),
+  note: Joi.string().max(500).allow("").optional().messages({
+    "string.max": "Note cannot exceed 500 characters.",
+  }),
+})
+  .xor("clientId", "client")
+  .messages({
+    "object.missing":
+      "Either an existing clientId or a new client is required.",
+    "object.xor": "Provide either clientId or client, not both.",
+  });
+
+// Validation schema for starting a walk-in
+const walkInStartValidationSchema = Joi.object({
+  // Overrides the stylist picked by the queue
+  stylistId: Joi.string().optional(),
+});
+
+// Validate the input for adding a walk-in
+export const validateWalkInInput = (data) => {
+  const { error, value } = walkInValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};
+
+// Validate the input for starting a walk-in
+export const validateWalkInStartInput = (data) => {
+  const { error, value } = walkInStartValidationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  return { error: error || null, value };
+};